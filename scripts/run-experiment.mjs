@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Headless rollout runner.
+ *
+ * Usage:
+ *   node scripts/run-experiment.mjs <rollout.json> [--out DIR] [--seeds 1-100|1,5,9] [--quiet]
+ *
+ * <rollout.json> is a file exported by the "Export" button of the experiment
+ * panel (ExperimentRunner.exportJSON) or any `{ state, protocol }` object.
+ * Each run writes `kuramoto_rollout_<hash>[_seed<n>].json` (same shape as the
+ * browser export) plus a full-resolution `.csv` time series; batches also
+ * write `batch_summary.csv` with one row per seed.
+ *
+ * The src/ tree is plain ES modules without a package.json, so Node needs
+ * ESM syntax detection: Node >= 22.12, or `node --experimental-default-type=module`
+ * on Node 20.10+.
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { runHeadlessRollout } from '../src/experiments/headless.js';
+
+const SUMMARY_KEYS = [
+    'samples', 'globalR_mean', 'globalR_std', 'localMeanR_mean', 'localMeanR_std',
+    'gradient_mean', 'syncFraction_mean', 'chi_mean', 'chi_max',
+];
+
+function usage(message) {
+    if (message) console.error(`error: ${message}`);
+    console.error('usage: node scripts/run-experiment.mjs <rollout.json> [--out DIR] [--seeds 1-100|1,5,9] [--quiet]');
+    process.exit(message ? 1 : 0);
+}
+
+function parseSeeds(spec) {
+    const seeds = [];
+    for (const part of String(spec).split(',')) {
+        const range = part.trim().match(/^(\d+)\s*(?:-|\.\.)\s*(\d+)$/);
+        if (range) {
+            const a = Number(range[1]);
+            const b = Number(range[2]);
+            for (let s = Math.min(a, b); s <= Math.max(a, b); s++) seeds.push(s);
+        } else if (/^\d+$/.test(part.trim())) {
+            seeds.push(Number(part.trim()));
+        } else {
+            usage(`invalid seed list "${spec}"`);
+        }
+    }
+    return seeds;
+}
+
+function parseArgs(argv) {
+    const args = { input: null, out: '.', seeds: null, quiet: false };
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (a === '--out') args.out = argv[++i];
+        else if (a === '--seeds') args.seeds = parseSeeds(argv[++i]);
+        else if (a === '--quiet') args.quiet = true;
+        else if (a === '--help' || a === '-h') usage();
+        else if (!args.input) args.input = a;
+        else usage(`unexpected argument "${a}"`);
+    }
+    if (!args.input) usage('missing rollout JSON path');
+    if (!args.out) usage('--out needs a directory');
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const input = JSON.parse(await readFile(args.input, 'utf8'));
+    await mkdir(args.out, { recursive: true });
+
+    const seeds = args.seeds ?? [null];
+    const rows = [];
+    for (const seed of seeds) {
+        const started = Date.now();
+        let lastPct = -1;
+        const onUpdate = args.quiet ? null : (info) => {
+            const pct = info.totalSteps ? Math.floor((100 * info.stepIndex) / info.totalSteps) : 0;
+            if (pct !== lastPct && pct % 10 === 0) {
+                lastPct = pct;
+                process.stderr.write(`\r${seed === null ? 'run' : `seed ${seed}`}: ${info.phase} ${pct}%   `);
+            }
+        };
+        const { rollout, csv } = await runHeadlessRollout(input, { seed: seed ?? undefined, onUpdate });
+        const base = `kuramoto_rollout_${rollout.configHash}${seed === null ? '' : `_seed${seed}`}`;
+        await writeFile(path.join(args.out, `${base}.json`), JSON.stringify(rollout, null, 2));
+        await writeFile(path.join(args.out, `${base}.csv`), csv);
+        rows.push({ seed: rollout.state?.seed, configHash: rollout.configHash, ...rollout.summary });
+        if (!args.quiet) {
+            const secs = ((Date.now() - started) / 1000).toFixed(1);
+            process.stderr.write(`\r${base}: R=${rollout.summary.globalR_mean.toFixed(4)} (${secs}s)\n`);
+        }
+    }
+
+    if (seeds.length > 1) {
+        let csv = `seed,configHash,${SUMMARY_KEYS.join(',')}\n`;
+        for (const row of rows) {
+            csv += `${row.seed},${row.configHash},${SUMMARY_KEYS.map(k => row[k]).join(',')}\n`;
+        }
+        await writeFile(path.join(args.out, 'batch_summary.csv'), csv);
+    }
+}
+
+main().catch((e) => {
+    console.error(e?.stack || e);
+    process.exit(1);
+});
@@ -1,13 +1,14 @@
-import { Simulation } from '../simulation/index.js';
+import { Simulation, CpuSimulation } from '../simulation/index.js';
 import { UIManager } from '../ui/index.js';
 import { drawKernel } from '../patterns/index.js';
 import { loadStateFromURL } from '../utils/index.js';
-import { TimeSeriesPlot, PhaseDiagramPlot, PhaseSpacePlot } from '../statistics/index.js';
-import { generateTopology, MAX_GRAPH_DEGREE } from '../topology/index.js';
+import { TimeSeriesPlot, PhaseDiagramPlot, PhaseSpacePlot, SpectralAnalyzer, SpectrogramPlot, InformationFlowAnalyzer } from '../statistics/index.js';
+import { generateTopology, topologyOptionsFromState, parseGraphFile, computeLaplacianSpectrumAsync } from '../topology/index.js';
 import { makeRng, normalizeSeed, cryptoSeedFallback } from '../utils/index.js';
 import { RCCriticalitySweepRunner, RCInjectionModeCompareRunner } from '../experiments/index.js';
+import { CHAOTIC_SYSTEMS, CLASSIFICATION_TASKS, capacityToCSV, confusionToCSV, createReadoutArtifact, checkReadoutCompatibility } from '../reservoir/index.js';
 import { encodeFloat32ToBase64, decodeBase64ToFloat32, estimateBase64SizeBytes } from '../utils/index.js';
-import { applyLayerParamsToState, syncStateToLayerParams, ensureLayerParams, normalizeSelectedLayers } from '../state/layerParams.js';
+import { applyLayerParamsToState, syncStateToLayerParams, ensureLayerParams, normalizeSelectedLayers, setLayerCouplingEntry } from '../state/layerParams.js';
 import {
     resizeSparkCanvas,
     showError,
@@ -29,14 +30,15 @@ import {
     applyGaugePattern
 } from '../patterns/index.js';
 import { createStateAdapter } from './stateAdapter.js';
-import { createInitialState, createInitialSparklineState } from './defaultState.js';
+import { createInitialState, createInitialSparklineState, splitStateByPersistence } from './defaultState.js';
 import { loadPreset } from './presets/loadPreset.js';
 import { createStatsViewUpdater } from './view/updateStatsView.js';
+import { updateSpectrumView } from './view/updateSpectrumView.js';
 import { initDrawing } from './view/initDrawing.js';
 import { createFrameLoop } from './render/frameLoop.js';
-import { extrapolateKc, createDiscoverySweepController } from './controllers/analysisController.js';
+import { extrapolateKc, createDiscoverySweepController, renderInformationFlowPlot, renderInterlayerKernelPlot } from './controllers/analysisController.js';
 import { createSnapshotController } from './controllers/snapshotController.js';
-import { drawRCPlot as drawRCPredictions, renderRCKSweepPlot as renderRCKSweepChart, renderRCModeComparePlot as renderRCModeCompareChart } from './controllers/rcController.js';
+import { drawRCPlot as drawRCPredictions, renderRCKSweepPlot as renderRCKSweepChart, renderRCModeComparePlot as renderRCModeCompareChart, renderRCCapacityPlot as renderRCCapacityChart, renderRCConfusionPlot as renderRCConfusionChart } from './controllers/rcController.js';
 import { initWebGPU } from './runtime/initWebGPU.js';
 import { initEventWiring } from './runtime/initEventWiring.js';
 import { initOverlayDiagnostics } from './runtime/initOverlayDiagnostics.js';
@@ -135,6 +137,11 @@ async function init() {
     updateRenderModeIndicator();
     
     let lleUpdateInterval = null;
+    let lleModel = null;  // CpuSimulation reference trajectory and tangent model
+    let lleModelTopology = null;
+    let lleLastStepEndMs = 0;
+    let lleLastStepCostMs = 0;
+    const LLE_STEP_BUDGET_MS = 8;
     let rcPlot = null;
     let rcKsweepPlot = null;
     const RC_TEST_STEPS = 200;
@@ -150,17 +157,43 @@ async function init() {
         return Math.min(Math.max(0, idx), Math.max(0, layers - 1));
     };
 
+    // Active layer of a full θ field, or of S² / S³ rgba state (4 floats per cell)
     const getActiveLayerThetaForRC = (thetaFull) => {
         if (!thetaFull) return thetaFull;
-        if (STATE.manifoldMode !== 's1') return null;
         const layers = sim?.layers ?? 1;
         if (layers <= 1) return thetaFull;
-        const layerSize = sim.gridSize * sim.gridSize;
+        const stride = STATE.manifoldMode === 's1' ? 1 : 4;
+        const layerSize = sim.gridSize * sim.gridSize * stride;
         const layer = getActiveLayerIndex();
         const offset = layer * layerSize;
         return thetaFull.subarray(offset, offset + layerSize);
     };
 
+    // One RC sample for reservoir.step(): readout values gathered on the GPU
+    // (rcGpuFeatures, S¹; the moving-dot overlay still needs the full field),
+    // else the active layer's θ or vector state. `theta` is the full S¹ field
+    // when it was read. Resolves to null while another readback is in flight,
+    // and when the reservoir was set up for another manifold.
+    const readRCFrame = async () => {
+        const manifold = STATE.manifoldMode || 's1';
+        if (reservoir.io.manifold !== manifold) return null;
+        if (manifold !== 's1') {
+            const frame = getActiveLayerThetaForRC(await (manifold === 's3' ? sim.readS3() : sim.readS2()));
+            return frame ? { frame, theta: null } : null;
+        }
+        if (STATE.rcGpuFeatures && STATE.rcTask !== 'moving_dot') {
+            sim.writeReservoirReadouts(reservoir.io.readoutIndices, {
+                layer: getActiveLayerIndex(),
+                localOrder: reservoir.io.needsLocalOrder()
+            });
+            const gathered = await sim.readReservoirFeatures();
+            return gathered ? { frame: { gathered }, theta: null } : null;
+        }
+        const theta = await sim.readTheta();
+        const frame = getActiveLayerThetaForRC(theta);
+        return frame ? { frame, theta } : null;
+    };
+
     const getDrawCellFromEvent = (evt) => {
         const rect = canvas.getBoundingClientRect();
         const x = evt.clientX - rect.left;
@@ -227,7 +260,7 @@ async function init() {
     const writeRCInputWeights = () => {
         const layerSize = sim.gridSize * sim.gridSize;
         const layer = getActiveLayerIndex();
-        const baseWeights = reservoir.getInputWeights();
+        const baseWeights = reservoir.getInjectionWeights();
         if (!baseWeights || baseWeights.length !== layerSize) {
             console.warn('RC input weights size mismatch', baseWeights?.length, 'expected', layerSize);
             return;
@@ -257,6 +290,10 @@ async function init() {
     let R_plot = null;
     let chi_plot = null;
     let phaseDiagramPlot = null;
+    let spectrogramPlot = null;
+    const spectralAnalyzer = new SpectralAnalyzer({ windowSize: STATE.spectralWindow });
+    const infoFlow = new InformationFlowAnalyzer();
+    let infoFlowUpdateInterval = null;
     let phaseSpacePlot = null;
     let ui = null;
 
@@ -278,33 +315,39 @@ async function init() {
     const compareSnapshots = { a: null, b: null };
 
     const regenerateTopology = () => {
-        const maxDegree = STATE.topologyMaxDegree || MAX_GRAPH_DEGREE;
+        const maxDegree = STATE.topologyMaxDegree || 0;
         STATE.topologySeed = Math.max(1, Math.floor(STATE.topologySeed || 1));
-        const topology = generateTopology({
-            mode: STATE.topologyMode,
-            gridSize: STATE.gridSize,
-            maxDegree,
-            seed: STATE.topologySeed,
-            wsK: STATE.topologyWSK,
-            wsRewire: STATE.topologyWSRewire,
-            baM0: STATE.topologyBAM0,
-            baM: STATE.topologyBAM,
-        });
+        const topology = generateTopology(topologyOptionsFromState(STATE));
         sim.writeTopology(topology);
         STATE.topologyAvgDegree = (STATE.topologyMode === 'grid') ? 0 : (topology.avgDegree ?? 0);
         STATE.topologyMaxDegree = maxDegree;
+        STATE.topologyUsedDegree = topology.maxUsedDegree ?? 0;
+        STATE.topologyLayout = topology.layout || 'fixed';
         const normalizeMode = (m) => {
             if (m === 'watts_strogatz' || m === 'ws') return 'ws';
             if (m === 'barabasi_albert' || m === 'ba') return 'ba';
+            if (['sbm', 'rgg', 'er', 'cm', 'custom'].includes(m)) return m;
             return 'grid';
         };
         STATE.topologyMode = normalizeMode(topology.mode || STATE.topologyMode);
         STATE.topologyClamped = topology.clamped || false;
+        STATE.topologyDroppedEdges = topology.droppedEdges ?? 0;
         if (STATE.topologyClamped) {
             console.warn(`Topology clamped at degree ${maxDegree}`);
         }
+        if (topology.droppedNodes > 0) {
+            console.warn(`Imported graph has ${topology.nodeCount} nodes; only the first ${STATE.gridSize * STATE.gridSize} fit the grid`);
+        }
         sim.updateFullParams(STATE);
         sim.setManifoldMode(STATE.manifoldMode);
+        if (runtime.graphSpectrum || runtime.graphSpectrumJob) {
+            runtime.graphSpectrum = null;
+            runtime.graphSpectrumJob = null;
+            updateSpectrumView(null, 'topology changed; recompute');
+        }
+        // New graph, new (non-adapted) weights
+        runtime.graphWeights = null;
+        updateAdaptiveCouplingStats(null);
         if (ui?.updateDisplay) ui.updateDisplay();
         runtime.overlayDirty = true;
         return topology;
@@ -365,6 +408,9 @@ async function init() {
     let rcModeCompareRunner = null;
     let rcModeCompareLastExport = null;
     let rcModeCompareInfo = { running: false, phase: 'idle', mode: null, modeIdx: 0, modeTotal: 0, configHash: null, results: [] };
+
+    // RC memory / information processing capacity state
+    let rcCapacityLastExport = null;
     
     // K-scan state
     runtime.kScanner = null;
@@ -524,6 +570,13 @@ async function init() {
             regenerateTopology();
             stateAdapter.syncURL(true);
         },
+        onTopologyImport: async (file) => {
+            if (isActionBlocked()) return;
+            STATE.topologyGraph = parseGraphFile(await file.text(), file.name);
+            STATE.topologyMode = 'custom';
+            regenerateTopology();
+            stateAdapter.syncURL(true);
+        },
         onTopologyRegenerate: () => {
             if (isActionBlocked()) return;
             STATE.topologySeed = (STATE.topologySeed || 1) + 1;
@@ -587,6 +640,36 @@ async function init() {
             STATE.graphOverlayEnabled = enabled;
             runtime.overlayDirty = true;
         },
+        onComputeSpectrum: async () => {
+            if (isActionBlocked()) return;
+            // Large Lanczos solves run in slices between frames; a new request
+            // or a topology change drops the token and cancels this one.
+            const job = {};
+            runtime.graphSpectrumJob = job;
+            updateSpectrumView(null, 'computing...');
+            try {
+                const spectrum = await computeLaplacianSpectrumAsync(sim.topologyInfo, {
+                    nodeCount: sim.layerSize,
+                    seed: STATE.topologySeed,
+                }, (matvecs) => {
+                    if (runtime.graphSpectrumJob === job) updateSpectrumView(null, `computing... ${matvecs} matvecs`);
+                }, () => runtime.graphSpectrumJob !== job);
+                if (runtime.graphSpectrumJob !== job) return;
+                runtime.graphSpectrum = spectrum;
+                updateSpectrumView(spectrum);
+            } catch (e) {
+                if (runtime.graphSpectrumJob !== job) return;
+                console.error('Spectral analysis failed:', e);
+                runtime.graphSpectrum = null;
+                updateSpectrumView(null, `failed: ${e.message}`);
+            }
+            runtime.graphSpectrumJob = null;
+            runtime.overlayDirty = true;
+        },
+        onSpectrumOverlayChange: (mode) => {
+            STATE.spectrumOverlayMode = mode;
+            runtime.overlayDirty = true;
+        },
         onSurfaceModeChange: (mode) => {
             STATE.surfaceMode = mode;
             renderer.setMeshMode(mode);
@@ -796,6 +879,13 @@ async function init() {
             if (ui?.updateDisplay) ui.updateDisplay();
             stateAdapter.syncURL(true);
         },
+        onLayerCouplingChange: (target, source, field, value) => {
+            if (isActionBlocked()) return;
+            if (!setLayerCouplingEntry(STATE, target, source, field, value)) return;
+            sim.writeLayerParams(STATE.layerParams);
+            if (ui?.updateDisplay) ui.updateDisplay();
+            stateAdapter.syncURL(true);
+        },
         onStartKScan: () => {
             if (!STATE.showStatistics) return;
             if (stats.isScanning) return;
@@ -831,6 +921,28 @@ async function init() {
             const csv = stats.exportCSV();
             downloadCSV(csv, 'kuramoto_stats.csv');
         },
+        onExportLayerSync: () => {
+            const csv = stats.exportLayerSyncCSV();
+            downloadCSV(csv, 'kuramoto_layer_sync.csv');
+        },
+        onExportSpectral: () => {
+            spectralAnalyzer.analyze(stats);
+            const csv = spectralAnalyzer.exportCSV();
+            downloadCSV(csv, 'kuramoto_spectra.csv');
+        },
+        onSpectralConfigChange: () => {
+            stateAdapter.syncURL(true);
+        },
+        onInfoFlowChannelsChange: () => {
+            // Recorded series belong to the old channels
+            setInfoFlowRecording(false);
+            infoFlow.reset();
+            updateInfoFlowDisplay();
+            stateAdapter.syncURL(true);
+        },
+        onInfoFlowConfigChange: () => {
+            stateAdapter.syncURL(true);
+        },
         onExportPhaseDiagram: () => {
             const csv = stats.exportPhaseDiagramCSV();
             downloadCSV(csv, 'kuramoto_phase_diagram.csv');
@@ -882,7 +994,7 @@ async function init() {
         reservoir,
         writeRCInputWeights: () => writeRCInputWeights(),
         setInputSignal: (signal) => sim.setInputSignal(signal),
-        getActiveLayerTheta: (thetaFull) => getActiveLayerThetaForRC(thetaFull),
+        readRCFrame: () => readRCFrame(),
         resetSimulation: () => resetSimulation(sim, STATE, lastExternalCanvas),
         setK: (K) => {
             STATE.K0 = K;
@@ -912,7 +1024,7 @@ async function init() {
         reservoir,
         writeRCInputWeights: () => writeRCInputWeights(),
         setInputSignal: (signal) => sim.setInputSignal(signal),
-        getActiveLayerTheta: (thetaFull) => getActiveLayerThetaForRC(thetaFull),
+        readRCFrame: () => readRCFrame(),
         setInjectionMode: (mode) => {
             STATE.rcInjectionMode = mode;
             applyStateToSimulation({ state: STATE, sim });
@@ -1122,6 +1234,8 @@ async function init() {
             });
             
             phaseDiagramPlot = new PhaseDiagramPlot('phase-diagram');
+
+            spectrogramPlot = new SpectrogramPlot('spectrogram-plot', { dynamicRangeDb: 40 });
             
             // Initialize RC plot
             rcPlot = new TimeSeriesPlot('rc-plot', {
@@ -1159,6 +1273,15 @@ async function init() {
         
         // Initialize LLE controls
         initLLEControls();
+
+        // Initialize information flow controls
+        initInfoFlowControls();
+
+        // Initialize interlayer plasticity controls
+        initPlasticityControls();
+
+        // Initialize adaptive graph coupling controls
+        initAdaptiveCouplingControls();
         
         // Initialize FSS controls
         initFSSControls();
@@ -1189,11 +1312,24 @@ async function init() {
         if (startBtn) {
             startBtn.addEventListener('click', async () => {
                 if (!STATE.showStatistics) return;
-                if (lyapunovCalc.isRunning) return;
+                if (lyapunovCalc.isRunning || STATE.manifoldMode !== 's1') return;
                 
-                // Read current theta from GPU
+                // Seed the CPU reference model from the GPU state; it mirrors the rule and then
+                // integrates its own trajectory for the tangent dynamics
                 const theta = await sim.readTheta();
-                lyapunovCalc.start(theta, makeRng(STATE.seed, 'lle'));
+                if (!theta) return;
+                lleModel = new CpuSimulation(STATE.gridSize, STATE.layerCount);
+                lleModelTopology = null;
+                syncLLEModel();
+                if (STATE.gaugeEnabled) {
+                    const gauge = typeof sim.readGaugeField === 'function'
+                        ? await sim.readGaugeField()
+                        : { ax: sim.gaugeXData, ay: sim.gaugeYData, graph: sim.graphGaugeData };
+                    if (gauge?.ax && gauge?.ay) lleModel.writeGaugeField(gauge.ax, gauge.ay);
+                    if (gauge?.graph) lleModel.writeGraphGauge(gauge.graph);
+                }
+                lyapunovCalc.setExponentCount(STATE.lleExponentCount || 4);
+                lyapunovCalc.start(theta, makeRng(STATE.seed, 'lle'), lleModel);
                 
                 startBtn.disabled = true;
                 stopBtn.disabled = false;
@@ -1206,6 +1342,7 @@ async function init() {
         if (stopBtn) {
             stopBtn.addEventListener('click', () => {
                 lyapunovCalc.stop();
+                lleModel = null;
                 stopBtn.disabled = true;
                 startBtn.disabled = false;
                 if (lleUpdateInterval) {
@@ -1216,11 +1353,36 @@ async function init() {
         }
     }
     
+    // Keep the CPU tangent model on the live rule, topology and frequencies
+    function syncLLEModel() {
+        if (!lleModel) return;
+        lleModel.updateFullParams(STATE);
+        lleModel.writeLayerParams(STATE.layerParams);
+        if (sim.topologyInfo && sim.topologyInfo !== lleModelTopology) {
+            lleModel.writeTopology(sim.topologyInfo);
+            lleModelTopology = sim.topologyInfo;
+        }
+        const omega = sim.getOmega();
+        if (omega) lleModel.writeOmega(omega);
+    }
+
     function updateLLEDisplay() {
         const lleEl = document.getElementById('stat-lle');
         const statusEl = document.getElementById('stat-lle-status');
         const iterEl = document.getElementById('lle-iterations');
         const marker = document.getElementById('lle-marker');
+        const spectrumEl = document.getElementById('stat-lle-spectrum');
+        const kyEl = document.getElementById('stat-lle-ky');
+        const measured = STATE.manifoldMode === 's1' && lyapunovCalc.renormCount > 0;
+        if (spectrumEl) {
+            spectrumEl.textContent = measured
+                ? Array.from(lyapunovCalc.exponents, (v) => v.toFixed(3)).join(', ')
+                : '—';
+        }
+        if (kyEl) {
+            const { dimension, bounded } = lyapunovCalc.kaplanYorke;
+            kyEl.textContent = measured ? `${bounded ? '' : '≥ '}${dimension.toFixed(2)}` : '—';
+        }
         
         if (lleEl) {
             if (STATE.manifoldMode !== 's1') {
@@ -1247,18 +1409,246 @@ async function init() {
     }
     
     // Step LLE calculation when simulation runs
-    async function stepLLE() {
+    // The CPU model integrates its own trajectory (seeded from the GPU state on start), so it
+    // may fall behind the GPU in model time. Each step costs k+1 drift evaluations plus one
+    // model step; run steps for up to LLE_STEP_BUDGET_MS, then idle as long so it uses at most
+    // half the main thread.
+    function stepLLE() {
         if (!lyapunovCalc.isRunning || STATE.paused) return;
-        if (STATE.manifoldMode !== 's1') return;
-        
-        const theta = await sim.readTheta();
-        const omega = sim.getOmega();
-        
-        if (theta && omega) {
-            lyapunovCalc.step(theta, omega, STATE.K0, STATE.dt * STATE.timeScale, STATE.range, STATE.gridSize);
-        }
+        if (STATE.manifoldMode !== 's1' || !lleModel) return;
+        if (performance.now() - lleLastStepEndMs < lleLastStepCostMs) return;
+
+        const start = performance.now();
+        syncLLEModel();
+        const options = { delaySteps: STATE.delaySteps, globalCoupling: STATE.globalCoupling };
+        do {
+            lyapunovCalc.step(STATE.dt * STATE.timeScale, options);
+        } while (lyapunovCalc.isRunning && performance.now() - start < LLE_STEP_BUDGET_MS);
+        lleLastStepEndMs = performance.now();
+        lleLastStepCostMs = lleLastStepEndMs - start;
     }
     
+    // ============= INFORMATION FLOW =============
+
+    // Channel names for the selected source, empty when it has fewer than two channels
+    function infoFlowLabels() {
+        if (STATE.manifoldMode !== 's1') return [];
+        if (STATE.infoFlowSource === 'regions') {
+            const r = STATE.infoFlowRegions || 2;
+            const labels = [];
+            for (let y = 0; y < r; y++) {
+                for (let x = 0; x < r; x++) labels.push(`r${y}c${x}`);
+            }
+            return labels;
+        }
+        if (STATE.layerCount < 2) return [];
+        return Array.from({ length: STATE.layerCount }, (_, l) => `L${l}`);
+    }
+
+    function setInfoFlowRecording(recording) {
+        infoFlow.recording = recording;
+        if (recording && !infoFlowUpdateInterval) {
+            infoFlowUpdateInterval = setInterval(updateInfoFlowDisplay, 250);
+        } else if (!recording && infoFlowUpdateInterval) {
+            clearInterval(infoFlowUpdateInterval);
+            infoFlowUpdateInterval = null;
+        }
+    }
+
+    function updateInfoFlowDisplay(status = null) {
+        const recordBtn = document.getElementById('info-flow-record-btn');
+        const analyzeBtn = document.getElementById('info-flow-analyze-btn');
+        const exportBtn = document.getElementById('export-info-flow-btn');
+        const samplesEl = document.getElementById('info-flow-samples');
+        const statusEl = document.getElementById('info-flow-status');
+        if (recordBtn) recordBtn.textContent = infoFlow.recording ? '⏹ Stop' : '⏺ Record';
+        if (analyzeBtn) analyzeBtn.textContent = infoFlow.running ? 'Cancel' : 'Analyze';
+        if (exportBtn) exportBtn.disabled = !infoFlow.lastResult;
+        if (samplesEl) samplesEl.textContent = `${infoFlow.sampleCount} samples`;
+        if (!statusEl) return;
+        if (status) {
+            statusEl.textContent = status;
+        } else if (infoFlow.recording) {
+            const waiting = STATE.infoFlowSource === 'layers' && !STATE.showStatistics;
+            statusEl.textContent = waiting ? 'waiting (enable statistics)' : `recording ${infoFlow.labels.length} channels`;
+        } else if (!infoFlow.running) {
+            statusEl.textContent = infoFlow.lastResult ? `${infoFlow.lastResult.pairs.length} pairs analyzed` : 'idle';
+        }
+    }
+
+    function initInfoFlowControls() {
+        const recordBtn = document.getElementById('info-flow-record-btn');
+        const analyzeBtn = document.getElementById('info-flow-analyze-btn');
+        const exportBtn = document.getElementById('export-info-flow-btn');
+        let cancelled = false;
+
+        if (recordBtn) {
+            recordBtn.addEventListener('click', () => {
+                if (infoFlow.recording) {
+                    setInfoFlowRecording(false);
+                    updateInfoFlowDisplay();
+                    return;
+                }
+                const labels = infoFlowLabels();
+                if (labels.length < 2) {
+                    updateInfoFlowDisplay(STATE.manifoldMode !== 's1' ? 'N/A (S¹ only)' : 'needs 2+ layers');
+                    return;
+                }
+                infoFlow.reset(labels);
+                setInfoFlowRecording(true);
+                updateInfoFlowDisplay();
+            });
+        }
+
+        if (analyzeBtn) {
+            analyzeBtn.addEventListener('click', async () => {
+                if (infoFlow.running) {
+                    cancelled = true;
+                    infoFlow.cancel();
+                    return;
+                }
+                cancelled = false;
+                updateInfoFlowDisplay('analyzing…');
+                const result = await infoFlow.analyze({
+                    method: STATE.infoFlowMethod,
+                    surrogates: STATE.infoFlowSurrogates,
+                    lag: STATE.infoFlowLag,
+                    seed: STATE.seed
+                }, (progress) => updateInfoFlowDisplay(`analyzing ${Math.round(progress * 100)}%`));
+                if (result) renderInformationFlowPlot(result);
+                updateInfoFlowDisplay(result ? null : (cancelled ? 'cancelled' : 'too few samples or channels'));
+            });
+        }
+
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                if (!infoFlow.lastResult) return;
+                downloadCSV(infoFlow.exportCSV(), `kuramoto_info_flow_${infoFlow.lastResult.method}.csv`);
+            });
+        }
+
+        renderInformationFlowPlot(null);
+        updateInfoFlowDisplay();
+    }
+
+    // ============= INTERLAYER PLASTICITY =============
+    // Layer pairs whose learned kernel is in use (nonzero gain in the coupling matrix)
+    function plasticityPairs() {
+        const pairs = [];
+        const layers = Math.min(STATE.layerCount, 8);
+        for (let target = 0; target < layers; target++) {
+            const row = STATE.layerParams?.[target]?.layerCoupling ?? [];
+            for (let source = 0; source < layers; source++) {
+                const entry = row[source];
+                if (entry && Math.abs(entry.gain) > 0.0001) pairs.push({ target, source, ...entry });
+            }
+        }
+        return pairs;
+    }
+
+    function renderPlasticityKernels(kernels) {
+        renderInterlayerKernelPlot(kernels, plasticityPairs(), STATE.plasticityClamp, sim.plasticityUpdates);
+        const updatesEl = document.getElementById('plasticity-updates');
+        if (updatesEl) updatesEl.textContent = `${sim.plasticityUpdates} updates`;
+    }
+
+    async function refreshPlasticityInspector() {
+        if (STATE.manifoldMode !== 's1' || STATE.layerCount < 2) {
+            renderInterlayerKernelPlot(null, [], STATE.plasticityClamp, 0);
+            return;
+        }
+        const kernels = await sim.readInterlayerKernels();
+        if (kernels) renderPlasticityKernels(kernels);
+    }
+
+    function initPlasticityControls() {
+        const resetBtn = document.getElementById('plasticity-reset-btn');
+        const exportBtn = document.getElementById('export-plasticity-btn');
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                sim.resetInterlayerKernels();
+                void refreshPlasticityInspector();
+            });
+        }
+
+        if (exportBtn) {
+            exportBtn.addEventListener('click', async () => {
+                const kernels = await sim.readInterlayerKernels();
+                if (!kernels) return;
+                const payload = {
+                    type: 'kuramoto_interlayer_kernels',
+                    timestamp: new Date().toISOString(),
+                    seed: STATE.seed,
+                    layerCount: STATE.layerCount,
+                    updates: sim.plasticityUpdates,
+                    plasticity: {
+                        enabled: !!STATE.plasticityEnabled,
+                        frozen: !!STATE.plasticityFrozen,
+                        rate: STATE.plasticityRate,
+                        decay: STATE.plasticityDecay,
+                        clamp: STATE.plasticityClamp,
+                        interval: STATE.plasticityInterval
+                    },
+                    // weights[(oy + 1) * 3 + (ox + 1)] multiplies the source at (x + dx + ox, y + dy + oy)
+                    pairs: plasticityPairs().map((pair) => {
+                        const base = (pair.target * 8 + pair.source) * 9;
+                        return { ...pair, weights: Array.from(kernels.subarray(base, base + 9)) };
+                    })
+                };
+                downloadJSON(JSON.stringify(payload, null, 2), `interlayer_kernels_seed${STATE.seed}.json`);
+            });
+        }
+
+        void refreshPlasticityInspector();
+    }
+
+    // ============= ADAPTIVE GRAPH COUPLING =============
+    // Summary of the adapted weights over the edges in use (fixed-layout rows have spare slots)
+    function updateAdaptiveCouplingStats(weights) {
+        const statsEl = document.getElementById('adaptive-coupling-stats');
+        if (!statsEl) return;
+        const topology = sim.topologyInfo;
+        if (!weights || !topology?.counts || weights.length !== topology.neighbors?.length) {
+            statsEl.textContent = 'K: —';
+            return;
+        }
+        let edges = 0;
+        let sum = 0;
+        let sumSq = 0;
+        let negative = 0;
+        for (let i = 0; i < topology.counts.length; i++) {
+            const base = topology.offsets[i];
+            for (let j = 0; j < topology.counts[i]; j++) {
+                const k = weights[base + j];
+                sum += k;
+                sumSq += k * k;
+                if (k < 0) negative++;
+                edges++;
+            }
+        }
+        if (edges === 0) {
+            statsEl.textContent = 'K: no edges';
+            return;
+        }
+        const mean = sum / edges;
+        const std = Math.sqrt(Math.max(0, sumSq / edges - mean * mean));
+        statsEl.textContent = `⟨K⟩ ${mean.toFixed(3)} ± ${std.toFixed(3)} | K<0 ${(100 * negative / edges).toFixed(1)}%`;
+    }
+
+    function initAdaptiveCouplingControls() {
+        const resetBtn = document.getElementById('adaptive-coupling-reset-btn');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                sim.resetGraphWeights();
+                runtime.graphWeights = null;
+                runtime.overlayDirty = true;
+                updateAdaptiveCouplingStats(null);
+            });
+        }
+        updateAdaptiveCouplingStats(null);
+    }
+
     // ============= FINITE-SIZE SCALING =============
     let fssData = [];  // Array of {N, Kc} pairs
     let fssRunning = false;
@@ -1491,6 +1881,9 @@ async function init() {
     function initRCControls() {
         const enabledCheck = document.getElementById('rc-enabled');
         const taskSelect = document.getElementById('rc-task-select');
+        const forecastHorizon = document.getElementById('rc-forecast-horizon');
+        const forecastDt = document.getElementById('rc-forecast-dt');
+        const forecastComponents = document.getElementById('rc-forecast-components');
         const injectionMode = document.getElementById('rc-injection-mode');
         const featureBudget = document.getElementById('rc-feature-budget');
         const featureBudgetVal = document.getElementById('rc-feature-budget-val');
@@ -1501,6 +1894,7 @@ async function init() {
         const trainBtn = document.getElementById('rc-train-btn');
         const stopBtn = document.getElementById('rc-stop-btn');
         const testBtn = document.getElementById('rc-test-btn');
+        const generateBtn = document.getElementById('rc-generate-btn');
         const kSweepBtn = document.getElementById('rc-ksweep-btn');
         const kSweepStatus = document.getElementById('rc-ksweep-status');
         
@@ -1512,6 +1906,7 @@ async function init() {
                 if (STATE.rcEnabled) {
                     reservoir.setFeatureBudget(STATE.rcMaxFeatures);
                     reservoir.setHistoryLength(STATE.rcHistoryLength);
+                    reservoir.setFeatureMaps(STATE.rcFeatureMaps, { fourierFeatures: STATE.rcFourierFeatures, manifold: STATE.manifoldMode });
                     reservoir.configure(
                         STATE.rcInputRegion,
                         STATE.rcOutputRegion,
@@ -1529,7 +1924,30 @@ async function init() {
         if (taskSelect) {
             taskSelect.addEventListener('change', () => {
                 STATE.rcTask = taskSelect.value;
-                reservoir.setTask(STATE.rcTask);
+                reservoir.setTask(STATE.rcTask, { horizon: STATE.rcForecastHorizon, dt: STATE.rcForecastDt, components: STATE.rcForecastComponents });
+            });
+        }
+        
+        if (forecastHorizon) {
+            forecastHorizon.addEventListener('change', () => {
+                STATE.rcForecastHorizon = Math.max(1, parseInt(forecastHorizon.value, 10) || 1);
+                reservoir.setTask(STATE.rcTask, { horizon: STATE.rcForecastHorizon, dt: STATE.rcForecastDt, components: STATE.rcForecastComponents });
+            });
+        }
+        
+        if (forecastDt) {
+            forecastDt.addEventListener('change', () => {
+                const dt = parseFloat(forecastDt.value);
+                if (Number.isFinite(dt) && dt > 0) STATE.rcForecastDt = dt;
+                reservoir.setTask(STATE.rcTask, { horizon: STATE.rcForecastHorizon, dt: STATE.rcForecastDt, components: STATE.rcForecastComponents });
+            });
+        }
+        
+        if (forecastComponents) {
+            forecastComponents.addEventListener('change', () => {
+                STATE.rcForecastComponents = forecastComponents.value === 'xyz' ? 'xyz' : 'x';
+                reservoir.setTask(STATE.rcTask, { horizon: STATE.rcForecastHorizon, dt: STATE.rcForecastDt, components: STATE.rcForecastComponents });
+                writeRCInputWeights();
             });
         }
         
@@ -1547,6 +1965,40 @@ async function init() {
                 reservoir.setFeatureBudget(STATE.rcMaxFeatures);
             });
         }
+
+        // The feature size changes with the maps, so a running readout keeps
+        // its maps; the next Train picks up the new selection
+        const applyFeatureMaps = () => {
+            if (STATE.rcTraining || STATE.rcInference || STATE.rcGenerating || STATE.rcCapacity) return;
+            reservoir.setFeatureMaps(STATE.rcFeatureMaps, { fourierFeatures: STATE.rcFourierFeatures, manifold: STATE.manifoldMode });
+        };
+        const featureMapBoxes = document.querySelectorAll('.rc-feature-map');
+        featureMapBoxes.forEach((box) => {
+            box.addEventListener('change', () => {
+                const selected = Array.from(featureMapBoxes).filter((b) => b.checked).map((b) => b.value);
+                if (selected.length === 0) {
+                    // At least one map: fall back to sin/cos
+                    featureMapBoxes.forEach((b) => { b.checked = b.value === 'phase'; });
+                    selected.push('phase');
+                }
+                STATE.rcFeatureMaps = selected.join(',');
+                applyFeatureMaps();
+            });
+        });
+        const fourierFeatures = document.getElementById('rc-fourier-features');
+        if (fourierFeatures) {
+            fourierFeatures.addEventListener('change', () => {
+                STATE.rcFourierFeatures = Math.max(4, Math.min(1024, parseInt(fourierFeatures.value, 10) || 64));
+                fourierFeatures.value = STATE.rcFourierFeatures;
+                applyFeatureMaps();
+            });
+        }
+        const gpuFeatures = document.getElementById('rc-gpu-features');
+        if (gpuFeatures) {
+            gpuFeatures.addEventListener('change', () => {
+                STATE.rcGpuFeatures = gpuFeatures.checked;
+            });
+        }
         
         if (inputRegion) {
             inputRegion.addEventListener('change', () => {
@@ -1603,6 +2055,15 @@ async function init() {
                     alert('Enable Reservoir Computing first');
                     return;
                 }
+                if (STATE.rcCapacity) {
+                    alert('Wait for the capacity measurement to finish');
+                    return;
+                }
+                if (STATE.rcGenerating) {
+                    alert('Stop closed-loop generation first');
+                    return;
+                }
+                reservoir.setFeatureMaps(STATE.rcFeatureMaps, { fourierFeatures: STATE.rcFourierFeatures, manifold: STATE.manifoldMode });
                 reservoir.configure(
                     STATE.rcInputRegion,
                     STATE.rcOutputRegion,
@@ -1610,8 +2071,9 @@ async function init() {
                     STATE.rcInputWidth,
                     STATE.rcOutputWidth
                 );
-                reservoir.setTask(STATE.rcTask);
+                reservoir.setTask(STATE.rcTask, { horizon: STATE.rcForecastHorizon, dt: STATE.rcForecastDt, components: STATE.rcForecastComponents });
                 writeRCInputWeights();
+                reservoir.setReadoutMode(STATE.rcReadoutMode);
                 reservoir.startTraining();
                 STATE.rcTraining = true;
                 STATE.rcInference = false;
@@ -1641,13 +2103,80 @@ async function init() {
                     stopBtn.disabled = true;
                     testBtn.disabled = false;
                     updateRCDisplay();
+                } else if (STATE.rcGenerating) {
+                    // updateRCDisplay() restores the buttons once the run has ended
+                    reservoir.stopGeneration();
+                    updateRCDisplay();
+                }
+            });
+        }
+
+        const readoutMode = document.getElementById('rc-readout-mode');
+        if (readoutMode) {
+            readoutMode.addEventListener('change', () => {
+                STATE.rcReadoutMode = readoutMode.value === 'ridge_cv' ? 'ridge_cv' : 'rls';
+            });
+        }
+
+        const genSteps = document.getElementById('rc-gen-steps');
+        if (genSteps) {
+            genSteps.addEventListener('change', () => {
+                STATE.rcGenSteps = Math.max(50, Math.min(5000, parseInt(genSteps.value, 10) || 500));
+            });
+        }
+        const genThreshold = document.getElementById('rc-gen-threshold');
+        if (genThreshold) {
+            genThreshold.addEventListener('change', () => {
+                const value = parseFloat(genThreshold.value);
+                STATE.rcGenThreshold = Number.isFinite(value) && value > 0 ? value : 0.4;
+            });
+        }
+
+        if (generateBtn) {
+            generateBtn.addEventListener('click', () => {
+                if (!STATE.rcEnabled) {
+                    alert('Enable Reservoir Computing first');
+                    return;
+                }
+                if (STATE.rcCapacity || STATE.rcGenerating) return;
+                if (STATE.rcTraining) {
+                    STATE.rcTraining = false;
+                    STATE.rcNRMSE = reservoir.stopTraining();
+                }
+                if (STATE.rcInference) {
+                    STATE.rcInference = false;
+                    reservoir.stopInference();
+                    runtime.rcTestRemaining = 0;
+                }
+                const started = reservoir.startGeneration({
+                    steps: STATE.rcGenSteps,
+                    threshold: STATE.rcGenThreshold
+                });
+                if (!started) {
+                    alert('Closed-loop generation needs a trained readout on a forecasting task (sine or chaotic)');
+                    updateRCDisplay();
+                    return;
                 }
+                STATE.rcGenerating = true;
+                trainBtn.disabled = true;
+                stopBtn.disabled = false;
+                testBtn.disabled = true;
+                generateBtn.disabled = true;
+                updateRCDisplay();
             });
         }
         
         if (testBtn) {
             testBtn.addEventListener('click', () => {
                 // Stop & Test: ensure trained weights, then run a short test window.
+                if (STATE.rcCapacity) {
+                    alert('Wait for the capacity measurement to finish');
+                    return;
+                }
+                if (STATE.rcGenerating) {
+                    alert('Stop closed-loop generation first');
+                    return;
+                }
                 if (STATE.rcTraining) {
                     STATE.rcTraining = false;
                     STATE.rcNRMSE = reservoir.stopTraining();
@@ -1779,6 +2308,203 @@ async function init() {
             });
         }
 
+        const capacitySamples = document.getElementById('rc-capacity-samples');
+        if (capacitySamples) {
+            capacitySamples.addEventListener('change', () => {
+                STATE.rcCapacitySamples = parseInt(capacitySamples.value, 10) || 2000;
+            });
+        }
+        const capacityMaxDelay = document.getElementById('rc-capacity-max-delay');
+        if (capacityMaxDelay) {
+            capacityMaxDelay.addEventListener('change', () => {
+                STATE.rcCapacityMaxDelay = Math.max(1, Math.min(100, parseInt(capacityMaxDelay.value, 10) || 30));
+            });
+        }
+        const capacityMaxDegree = document.getElementById('rc-capacity-max-degree');
+        if (capacityMaxDegree) {
+            capacityMaxDegree.addEventListener('change', () => {
+                STATE.rcCapacityMaxDegree = parseInt(capacityMaxDegree.value, 10) || 3;
+            });
+        }
+
+        const capacityBtn = document.getElementById('rc-capacity-btn');
+        if (capacityBtn) {
+            capacityBtn.addEventListener('click', () => {
+                if (!STATE.rcEnabled) {
+                    alert('Enable Reservoir Computing first');
+                    return;
+                }
+                if (STATE.rcTraining || STATE.rcInference || STATE.rcCapacity || STATE.rcGenerating) {
+                    alert('Stop RC training/inference/generation before measuring capacity');
+                    return;
+                }
+                if (isAnyRunnerActive(rcCritSweepRunner, rcModeCompareRunner)) {
+                    alert('Stop the running RC sweep first');
+                    return;
+                }
+                reservoir.setFeatureBudget(STATE.rcMaxFeatures);
+                reservoir.setFeatureMaps(STATE.rcFeatureMaps, { fourierFeatures: STATE.rcFourierFeatures, manifold: STATE.manifoldMode });
+                reservoir.configure(
+                    STATE.rcInputRegion,
+                    STATE.rcOutputRegion,
+                    STATE.rcInputStrength,
+                    STATE.rcInputWidth,
+                    STATE.rcOutputWidth
+                );
+                writeRCInputWeights();
+                rcCapacityLastExport = null;
+                reservoir.startCapacity({
+                    samples: STATE.rcCapacitySamples,
+                    maxDelay: STATE.rcCapacityMaxDelay,
+                    maxDegree: STATE.rcCapacityMaxDegree
+                });
+                STATE.rcCapacity = true;
+                updateRCDisplay();
+            });
+        }
+
+        const capacityCancel = document.getElementById('rc-capacity-cancel');
+        if (capacityCancel) {
+            capacityCancel.addEventListener('click', () => {
+                if (!STATE.rcCapacity) return;
+                reservoir.stopCapacity();
+                STATE.rcCapacity = false;
+                sim.setInputSignal(0);
+                updateRCDisplay();
+            });
+        }
+
+        const capacityExportJson = document.getElementById('rc-capacity-export-json');
+        if (capacityExportJson) {
+            capacityExportJson.addEventListener('click', () => {
+                if (!rcCapacityLastExport) return;
+                downloadJSON(JSON.stringify(rcCapacityLastExport, null, 2), `rc_capacity_seed${rcCapacityLastExport.seed}.json`);
+            });
+        }
+
+        const capacityExportCsv = document.getElementById('rc-capacity-export-csv');
+        if (capacityExportCsv) {
+            capacityExportCsv.addEventListener('click', () => {
+                if (!rcCapacityLastExport) return;
+                downloadCSV(capacityToCSV(rcCapacityLastExport.results), `rc_capacity_seed${rcCapacityLastExport.seed}.csv`);
+            });
+        }
+
+        const confusionExportJson = document.getElementById('rc-confusion-export-json');
+        if (confusionExportJson) {
+            confusionExportJson.addEventListener('click', () => {
+                const result = reservoir.getClassificationResult();
+                if (!result) return;
+                const payload = {
+                    type: 'rc_classification',
+                    timestamp: new Date().toISOString(),
+                    seed: STATE.seed,
+                    url: window.location.href,
+                    state: JSON.parse(JSON.stringify(STATE)),
+                    task: STATE.rcTask,
+                    results: result
+                };
+                downloadJSON(JSON.stringify(payload, null, 2), `rc_confusion_${STATE.rcTask}_${result.phase}_seed${STATE.seed}.json`);
+            });
+        }
+        const confusionExportCsv = document.getElementById('rc-confusion-export-csv');
+        if (confusionExportCsv) {
+            confusionExportCsv.addEventListener('click', () => {
+                const result = reservoir.getClassificationResult();
+                if (!result) return;
+                downloadCSV(confusionToCSV(result), `rc_confusion_${STATE.rcTask}_${result.phase}_seed${STATE.seed}.csv`);
+            });
+        }
+
+        const readoutStatus = document.getElementById('rc-readout-status');
+        const setReadoutStatus = (text) => {
+            if (readoutStatus) readoutStatus.textContent = text;
+        };
+        // Persistent state split into RC settings and the simulated substrate
+        const splitRCSettings = () => {
+            const { modelState } = splitStateByPersistence(STATE);
+            const rcSettings = {};
+            const simulation = {};
+            for (const [key, value] of Object.entries(modelState)) {
+                if (key.startsWith('rc')) rcSettings[key] = value;
+                else simulation[key] = value;
+            }
+            return { rcSettings, simulation };
+        };
+
+        const readoutSaveBtn = document.getElementById('rc-readout-save-btn');
+        if (readoutSaveBtn) {
+            readoutSaveBtn.addEventListener('click', () => {
+                if (STATE.rcTraining) {
+                    alert('Stop training before saving the readout');
+                    return;
+                }
+                const readout = reservoir.exportReadout();
+                if (!readout) {
+                    setReadoutStatus('no trained readout');
+                    return;
+                }
+                const artifact = createReadoutArtifact(readout, {
+                    ...splitRCSettings(),
+                    injectionMode: STATE.rcInjectionMode,
+                    seed: STATE.seed
+                });
+                downloadJSON(JSON.stringify(artifact, null, 2), `rc_readout_${artifact.task.type}_seed${artifact.seed}.json`);
+                setReadoutStatus(`saved ${readout.readout.kind} readout (${readout.readout.featureCount} features)`);
+            });
+        }
+
+        const readoutLoadInput = document.getElementById('rc-readout-load-input');
+        if (readoutLoadInput) {
+            readoutLoadInput.addEventListener('change', () => {
+                const file = readoutLoadInput.files && readoutLoadInput.files[0];
+                if (!file) return;
+                setReadoutStatus('loading...');
+                file.text().then((text) => {
+                    if (!STATE.rcEnabled) {
+                        throw new Error('enable Reservoir Computing first');
+                    }
+                    if (STATE.rcTraining || STATE.rcInference || STATE.rcCapacity || STATE.rcGenerating
+                        || isAnyRunnerActive(rcCritSweepRunner, rcModeCompareRunner)) {
+                        throw new Error('stop running RC work first');
+                    }
+                    const artifact = JSON.parse(text);
+                    const { errors, warnings } = checkReadoutCompatibility(artifact, {
+                        gridSize: STATE.gridSize,
+                        manifoldMode: STATE.manifoldMode || 's1',
+                        simulation: splitRCSettings().simulation
+                    });
+                    if (errors.length > 0) throw new Error(errors.join('; '));
+
+                    reservoir.importReadout(artifact);
+                    // Restore the RC settings of the training run; the substrate stays as is
+                    for (const [key, value] of Object.entries(artifact.rcSettings || {})) {
+                        if (key !== 'rcEnabled' && key in STATE) STATE[key] = value;
+                    }
+                    STATE.rcInjectionMode = artifact.io.injectionMode;
+                    STATE.rcNRMSE = artifact.readout.trainNRMSE ?? null;
+                    STATE.rcTestNRMSE = null;
+                    sim.updateFullParams(STATE);
+                    writeRCInputWeights();
+                    if (ui?.updateDisplay) ui.updateDisplay();
+                    stateAdapter.syncURL(true);
+
+                    if (warnings.length > 0) {
+                        console.warn('Readout loaded on a different substrate:', warnings);
+                        setReadoutStatus(`loaded; substrate differs in ${warnings.map((w) => w.split(':')[0]).join(', ')}`);
+                    } else {
+                        setReadoutStatus('loaded (same substrate)');
+                    }
+                    updateRCDisplay();
+                }).catch((e) => {
+                    console.error('Readout load failed:', e);
+                    setReadoutStatus(`load failed: ${e.message}`);
+                }).finally(() => {
+                    readoutLoadInput.value = '';
+                });
+            });
+        }
+
         const exportJsonBtn = document.getElementById('rc-ksweep-export-json');
         if (exportJsonBtn) {
             exportJsonBtn.addEventListener('click', () => {
@@ -1804,9 +2530,87 @@ async function init() {
         const ksweepStatus = document.getElementById('rc-ksweep-status');
         const ksweepResults = document.getElementById('rc-ksweep-results');
         
+        if (STATE.rcCapacity && !reservoir.isCapacity) {
+            // Measurement finished inside reservoir.step()
+            STATE.rcCapacity = false;
+            sim.setInputSignal(0);
+            const result = reservoir.capacityResult;
+            if (result && !result.error) {
+                rcCapacityLastExport = {
+                    type: 'rc_capacity',
+                    timestamp: new Date().toISOString(),
+                    seed: STATE.seed,
+                    url: window.location.href,
+                    state: JSON.parse(JSON.stringify(STATE)),
+                    protocol: {
+                        samples: STATE.rcCapacitySamples,
+                        maxDelay: STATE.rcCapacityMaxDelay,
+                        maxDegree: STATE.rcCapacityMaxDegree,
+                        input: 'iid_uniform[-1,1]'
+                    },
+                    results: result
+                };
+            }
+        }
+        if (STATE.rcGenerating && !reservoir.isGenerating) {
+            // Generation finished inside reservoir.step() or was stopped
+            STATE.rcGenerating = false;
+            sim.setInputSignal(0);
+            const trainBtn = document.getElementById('rc-train-btn');
+            const stopBtn = document.getElementById('rc-stop-btn');
+            const testBtn = document.getElementById('rc-test-btn');
+            const generateBtn = document.getElementById('rc-generate-btn');
+            if (trainBtn) trainBtn.disabled = false;
+            if (stopBtn) stopBtn.disabled = true;
+            if (testBtn) testBtn.disabled = false;
+            if (generateBtn) generateBtn.disabled = false;
+        }
+        const vptEl = document.getElementById('rc-vpt');
+        if (vptEl) {
+            const result = reservoir.generationResult;
+            if (STATE.rcGenerating) {
+                vptEl.textContent = `generating… ${Math.round(reservoir.getGenerationProgress() * 100)}%`;
+            } else if (result) {
+                // Not diverged within the run: the true VPT is at least this long
+                const parts = [`${result.validSteps} steps`];
+                if (result.validTime !== null) parts.push(`${result.validTime.toFixed(2)} t`);
+                if (result.lyapunovTimes !== null) parts.push(`${result.lyapunovTimes.toFixed(2)} Λt`);
+                vptEl.textContent = `${result.diverged ? '' : '≥ '}${parts.join(' / ')}`;
+            } else {
+                vptEl.textContent = '—';
+            }
+        }
+
+        const capacityStatus = document.getElementById('rc-capacity-status');
+        if (capacityStatus) {
+            const result = reservoir.capacityResult;
+            if (STATE.rcCapacity) {
+                capacityStatus.textContent = `measuring... ${Math.round(reservoir.getCapacityProgress() * 100)}%`;
+            } else if (result?.error) {
+                capacityStatus.textContent = `failed: ${result.error}`;
+            } else if (result) {
+                const nl = result.degrees.length > 1 ? ` | NL ${result.nonlinearCapacity.toFixed(2)}` : '';
+                capacityStatus.textContent = `MC ${result.memoryCapacity.toFixed(2)}${nl} | total ${result.totalCapacity.toFixed(2)} / ${result.featureCount} features`;
+            } else {
+                capacityStatus.textContent = 'idle';
+            }
+        }
+        const setControlDisabled = (id, disabled) => {
+            const el = document.getElementById(id);
+            if (el) el.disabled = disabled;
+        };
+        setControlDisabled('rc-capacity-btn', STATE.rcCapacity);
+        setControlDisabled('rc-capacity-cancel', !STATE.rcCapacity);
+        setControlDisabled('rc-capacity-export-json', !rcCapacityLastExport);
+        setControlDisabled('rc-capacity-export-csv', !rcCapacityLastExport);
+        renderRCCapacityChart(reservoir.capacityResult);
+        setControlDisabled('rc-readout-save-btn', STATE.rcTraining || !reservoir.isReadoutTrained());
+
         if (statusEl) {
             if (STATE.rcTraining) statusEl.textContent = 'training...';
             else if (STATE.rcInference) statusEl.textContent = 'inference';
+            else if (STATE.rcCapacity) statusEl.textContent = 'capacity (i.i.d. drive)';
+            else if (STATE.rcGenerating) statusEl.textContent = reservoir.getGenerationProgress() > 0 ? 'generating (closed loop)' : 'generating (warm-up)';
             else statusEl.textContent = 'idle';
         }
         
@@ -1845,6 +2649,39 @@ async function init() {
             }
         }
 
+        const classification = reservoir.getClassificationResult();
+        const accuracyEl = document.getElementById('rc-accuracy');
+        if (accuracyEl) {
+            if (classification && classification.accuracy !== null) {
+                const acc = classification.accuracy;
+                accuracyEl.textContent = `${classification.phase} ${(acc * 100).toFixed(1)}% (${classification.correct}/${classification.total})`;
+                // Relative to chance (1 / classes)
+                const chance = 1 / classification.labels.length;
+                if (acc > chance + 0.6 * (1 - chance)) accuracyEl.style.color = '#4CAF50';
+                else if (acc > chance + 0.2 * (1 - chance)) accuracyEl.style.color = '#FF9800';
+                else accuracyEl.style.color = '#f44336';
+            } else {
+                accuracyEl.textContent = classification ? `${classification.phase}…` : '—';
+                accuracyEl.style.color = '#888';
+            }
+        }
+        renderRCConfusionChart(classification);
+        setControlDisabled('rc-confusion-export-json', !classification || classification.total === 0);
+        setControlDisabled('rc-confusion-export-csv', !classification || classification.total === 0);
+
+        const ridgeLambdaEl = document.getElementById('rc-ridge-lambda');
+        if (ridgeLambdaEl) {
+            const ridge = reservoir.ridgeActive ? reservoir.ridgeResult : null;
+            if (ridge) {
+                const cvNrmse = ridge.cv ? ridge.cv.validationNRMSE[ridge.cv.bestIndex] : null;
+                ridgeLambdaEl.textContent = cvNrmse !== null && Number.isFinite(cvNrmse)
+                    ? `${ridge.lambda.toExponential(1)} (CV NRMSE ${cvNrmse.toFixed(3)})`
+                    : `${ridge.lambda.toExponential(1)} (fallback)`;
+            } else {
+                ridgeLambdaEl.textContent = '—';
+            }
+        }
+
         const condEl = document.getElementById('rc-cond');
         if (condEl) {
             const cond = reservoir.onlineLearner?.getConditionEstimate ? reservoir.onlineLearner.getConditionEstimate() : null;
@@ -1872,6 +2709,14 @@ async function init() {
                 if (pred !== null && Number.isFinite(pred)) parts.push(`pred=${pred.toFixed(3)}`);
                 if (target !== null && Number.isFinite(target)) parts.push(`tgt=${target.toFixed(3)}`);
                 taskStatusEl.textContent = parts.length ? parts.join(' ') : 'moving dot';
+            } else if (CHAOTIC_SYSTEMS[STATE.rcTask]) {
+                const horizon = reservoir.tasks?.forecastHorizon ?? 1;
+                const dims = reservoir.tasks?.getInputDimension() ?? 1;
+                const what = dims > 1 ? 'x/y/z' : 'x';
+                taskStatusEl.textContent = `${CHAOTIC_SYSTEMS[STATE.rcTask].label}, ${horizon === 1 ? 'one-step' : `${horizon}-step`} ${what} forecast`;
+            } else if (CLASSIFICATION_TASKS[STATE.rcTask]) {
+                const { label, classes } = CLASSIFICATION_TASKS[STATE.rcTask];
+                taskStatusEl.textContent = `${label}: ${classes.length} classes, argmax of one-hot readout`;
             } else {
                 taskStatusEl.textContent = STATE.rcTask || '—';
             }
@@ -1892,7 +2737,7 @@ async function init() {
                 ksweepResults.textContent = '—';
             } else {
                 const shown = results.slice(-8);
-                ksweepResults.textContent = shown.map(r => `K=${r.K.toFixed(2)} test=${r.testNRMSE.toFixed(3)} localR=${r.localMeanR_mean.toFixed(3)} chiMax=${r.chi_max.toFixed(2)}`).join('\n');
+                ksweepResults.textContent = shown.map(r => `K=${r.K.toFixed(2)} test=${r.testNRMSE.toFixed(3)}${r.testAccuracy != null ? ` acc=${r.testAccuracy.toFixed(3)}` : ''} localR=${r.localMeanR_mean.toFixed(3)} chiMax=${r.chi_max.toFixed(2)}`).join('\n');
             }
         }
 
@@ -1919,7 +2764,7 @@ async function init() {
                 compareResults.textContent = '—';
             } else {
                 compareResults.textContent = results.map(r => {
-                    return `${r.mode.padEnd(12)} test=${r.testNRMSE.toFixed(3)} train=${r.trainNRMSE.toFixed(3)} localR=${r.localMeanR_mean.toFixed(3)} chiMax=${r.chi_max.toFixed(2)}`;
+                    return `${r.mode.padEnd(12)} test=${r.testNRMSE.toFixed(3)}${r.testAccuracy != null ? ` acc=${r.testAccuracy.toFixed(3)}` : ''} train=${r.trainNRMSE.toFixed(3)} localR=${r.localMeanR_mean.toFixed(3)} chiMax=${r.chi_max.toFixed(2)}`;
                 }).join('\n');
             }
         }
@@ -1992,16 +2837,19 @@ async function init() {
         rcCritSweepRunner,
         rcModeCompareRunner,
         phaseSpacePlot,
+        infoFlow,
+        renderPlasticityKernels,
+        updateAdaptiveCouplingStats,
         resizeCanvasesToDisplay,
         getStatsInterval,
         getActiveLayerIndex,
-        getActiveLayerThetaForRC,
+        readRCFrame,
         writeRCInputWeights,
         stepLLE,
         drawRCPlot,
         renderPhaseSpace,
         updateRCDisplay,
-        updateStatsView: () => updateStatsView({ sim, stats, R_plot, chi_plot, phaseDiagramPlot }),
+        updateStatsView: () => updateStatsView({ sim, stats, R_plot, chi_plot, phaseDiagramPlot, spectralAnalyzer, spectrogramPlot }),
         onFrameError: (error) => {
             const msg = error?.message ? error.message : String(error);
             showError(`Runtime frame error: ${msg}`);
@@ -2023,6 +2871,9 @@ async function init() {
             PHASE_SAMPLE_INTERVAL: 10,
             RC_READ_MIN_MS: 40,
             ORGANISM_DETECTION_MIN_MS: 200,
+            INFO_FLOW_READ_MIN_MS: 100,
+            PLASTICITY_READ_MIN_MS: 500,
+            GRAPH_WEIGHTS_READ_MIN_MS: 250,
         }
     });
 
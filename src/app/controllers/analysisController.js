@@ -1,3 +1,5 @@
+import { INFO_FLOW_METHODS } from '../../statistics/index.js';
+
 export function extrapolateKc(data) {
     const n = data.length;
     let sumX = 0;
@@ -217,3 +219,121 @@ export function createDiscoverySweepController({
         exportCSV,
     };
 }
+
+// Source (row) → target (column) heatmap scaled to the largest estimate;
+// pairs that fail the surrogate test are drawn dim
+export function renderInformationFlowPlot(result) {
+    const canvas = document.getElementById('info-flow-plot');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const width = canvas.width;
+    const height = canvas.height;
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, width, height);
+
+    if (!result) {
+        ctx.fillStyle = '#666';
+        ctx.font = '11px Monaco, monospace';
+        ctx.fillText('No results yet', 10, 20);
+        return;
+    }
+
+    const n = result.labels.length;
+    const left = 40;
+    const top = 22;
+    const size = Math.min((width - left - 6) / n, (height - top - 16) / n);
+    let maxValue = 0;
+    for (const row of result.value) {
+        for (const v of row) {
+            if (Number.isFinite(v)) maxValue = Math.max(maxValue, v);
+        }
+    }
+    const tested = result.surrogates > 0;
+    ctx.font = '9px Monaco, monospace';
+    for (let s = 0; s < n; s++) {
+        for (let t = 0; t < n; t++) {
+            const x = left + t * size;
+            const y = top + s * size;
+            const v = result.value[s][t];
+            if (s === t || !Number.isFinite(v)) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.04)';
+            } else {
+                const frac = maxValue > 0 ? Math.max(0, v) / maxValue : 0;
+                const significant = !tested || result.pValue[s][t] <= result.alpha;
+                ctx.fillStyle = significant
+                    ? `rgba(74, 158, 255, ${0.15 + 0.85 * frac})`
+                    : `rgba(136, 136, 136, ${0.05 + 0.3 * frac})`;
+            }
+            ctx.fillRect(x + 1, y + 1, size - 2, size - 2);
+            if (size >= 26 && s !== t && Number.isFinite(v)) {
+                ctx.fillStyle = '#ddd';
+                ctx.fillText(v.toFixed(2), x + 3, y + size / 2 + 3);
+            }
+        }
+        ctx.fillStyle = '#aaa';
+        ctx.fillText(result.labels[s].slice(0, 6), 2, top + s * size + size / 2 + 3);
+        if (size >= 18) ctx.fillText(result.labels[s].slice(0, 4), left + s * size + 2, top - 4);
+    }
+    ctx.fillStyle = '#888';
+    ctx.fillText('source ↓ / target →', left, 10);
+    const significantCount = result.pairs.filter((p) => p.significant).length;
+    const summary = tested ? `${significantCount}/${result.pairs.length} p≤${result.alpha}` : 'untested';
+    ctx.fillText(`${INFO_FLOW_METHODS[result.method]} max ${maxValue.toFixed(3)} ${result.unit}, ${summary}`, 2, height - 3);
+}
+
+/**
+ * Draw the learned 3×3 interlayer kernels, one tile per coupled pair.
+ * @param {Float32Array|null} kernels - 576 weights, (target * 8 + source) * 9 + k
+ * @param {Array<{target: number, source: number}>} pairs - Coupled pairs to show
+ * @param {number} bound - Weight clamp (full colour scale)
+ * @param {number} updates - Plasticity updates since the last reset
+ */
+export function renderInterlayerKernelPlot(kernels, pairs, bound, updates) {
+    const canvas = document.getElementById('plasticity-weights-plot');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const width = canvas.width;
+    const height = canvas.height;
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.font = '9px Monaco, monospace';
+    if (!kernels || pairs.length === 0) {
+        ctx.fillStyle = '#666';
+        ctx.font = '11px Monaco, monospace';
+        ctx.fillText(kernels ? 'No coupled layer pairs' : 'No kernels yet', 10, 20);
+        return;
+    }
+
+    const scale = bound > 0 ? bound : 1;
+    const labelHeight = 12;
+    const cols = Math.ceil(Math.sqrt(pairs.length * width / height));
+    const rows = Math.ceil(pairs.length / cols);
+    const tile = Math.min(width / cols, (height - 12) / rows - labelHeight);
+    const cell = Math.max(2, (tile - 4) / 3);
+    pairs.forEach(({ target, source }, i) => {
+        const x0 = (i % cols) * (width / cols) + 2;
+        const y0 = Math.floor(i / cols) * (tile + labelHeight);
+        ctx.fillStyle = '#aaa';
+        ctx.fillText(`L${target}←L${source}`, x0, y0 + 9);
+        const base = (target * 8 + source) * 9;
+        for (let k = 0; k < 9; k++) {
+            const w = kernels[base + k];
+            const frac = Math.min(1, Math.abs(w) / scale);
+            ctx.fillStyle = w >= 0
+                ? `rgba(74, 158, 255, ${0.08 + 0.92 * frac})`
+                : `rgba(255, 107, 107, ${0.08 + 0.92 * frac})`;
+            ctx.fillRect(x0 + (k % 3) * cell, y0 + labelHeight + Math.floor(k / 3) * cell, cell - 1, cell - 1);
+            if (cell >= 22) {
+                ctx.fillStyle = '#ddd';
+                ctx.fillText(w.toFixed(2), x0 + (k % 3) * cell + 2, y0 + labelHeight + Math.floor(k / 3) * cell + cell / 2 + 3);
+            }
+        }
+    });
+    ctx.fillStyle = '#888';
+    ctx.fillText(`blue +, red −, full at ±${scale.toFixed(2)}; ${updates} updates`, 2, height - 3);
+}
@@ -71,9 +71,9 @@ export function createExperimentController(options) {
                 return;
             }
             if (runner.isRunning()) return;
-            if (state.rcTraining || state.rcInference) {
+            if (state.rcTraining || state.rcInference || state.rcCapacity || state.rcGenerating) {
                 if (statusEl) statusEl.textContent = 'stop RC to run';
-                alert('Stop RC training/inference before running a rollout');
+                alert('Stop RC training/inference/capacity before running a rollout');
                 return;
             }
 
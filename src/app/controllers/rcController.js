@@ -161,3 +161,112 @@ export function renderRCKSweepPlot(rcKsweepPlot, rcCritSweepInfo) {
     });
     ctx.restore();
 }
+
+const CAPACITY_DEGREE_COLORS = ['#2196F3', '#FF9800', '#4CAF50', '#E91E63', '#9C27B0'];
+
+export function renderRCCapacityPlot(result) {
+    const canvas = document.getElementById('rc-capacity-plot');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const width = canvas.width;
+    const height = canvas.height;
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, width, height);
+
+    if (!result || result.error) {
+        ctx.fillStyle = '#666';
+        ctx.font = '11px Monaco, monospace';
+        ctx.fillText('No results yet', 10, 20);
+        return;
+    }
+
+    const padding = 14;
+    const plotW = width - padding * 2;
+    const plotH = height - padding * 2;
+    const count = result.delays.length;
+    const xAt = (i) => padding + (count > 1 ? (i / (count - 1)) * plotW : plotW / 2);
+    const yAt = (c) => padding + (1 - c) * plotH;
+
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(padding, yAt(0));
+    ctx.lineTo(width - padding, yAt(0));
+    ctx.moveTo(padding, yAt(1));
+    ctx.lineTo(width - padding, yAt(1));
+    ctx.stroke();
+
+    // MC(k) for degree 1, then the nonlinear degrees on top
+    for (const n of result.degrees) {
+        const curve = result.capacity[n - 1];
+        ctx.strokeStyle = CAPACITY_DEGREE_COLORS[(n - 1) % CAPACITY_DEGREE_COLORS.length];
+        ctx.lineWidth = n === 1 ? 2 : 1.5;
+        ctx.beginPath();
+        for (let i = 0; i < count; i++) {
+            if (i === 0) ctx.moveTo(xAt(i), yAt(curve[i]));
+            else ctx.lineTo(xAt(i), yAt(curve[i]));
+        }
+        ctx.stroke();
+    }
+
+    ctx.font = '10px Monaco, monospace';
+    for (const n of result.degrees) {
+        ctx.fillStyle = CAPACITY_DEGREE_COLORS[(n - 1) % CAPACITY_DEGREE_COLORS.length];
+        ctx.fillText(`P${n} ${result.totals[n - 1].toFixed(2)}`, width - 78, 12 + (n - 1) * 11);
+    }
+    ctx.fillStyle = '#888';
+    ctx.fillText('1', 2, yAt(1) + 3);
+    ctx.fillText('0', 2, yAt(0) + 3);
+    ctx.fillText(`k=1..${result.delays[count - 1]}`, padding, height - 2);
+}
+
+// Confusion matrix heatmap, cells shaded by row-normalized counts (recall on the diagonal)
+export function renderRCConfusionPlot(result) {
+    const canvas = document.getElementById('rc-confusion-plot');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const width = canvas.width;
+    const height = canvas.height;
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, width, height);
+
+    if (!result || result.total === 0) {
+        ctx.fillStyle = '#666';
+        ctx.font = '11px Monaco, monospace';
+        ctx.fillText(result ? 'No decisions yet' : 'No results yet', 10, 20);
+        return;
+    }
+
+    const k = result.labels.length;
+    const left = 58;
+    const top = 14;
+    const size = Math.min((width - left - 6) / k, (height - top - 16) / k);
+    ctx.font = '9px Monaco, monospace';
+    for (let i = 0; i < k; i++) {
+        const row = result.matrix[i];
+        const support = result.perClass[i].support;
+        for (let j = 0; j < k; j++) {
+            const frac = support > 0 ? row[j] / support : 0;
+            const x = left + j * size;
+            const y = top + i * size;
+            ctx.fillStyle = i === j
+                ? `rgba(76, 175, 80, ${0.15 + 0.85 * frac})`
+                : `rgba(244, 67, 54, ${frac > 0 ? 0.15 + 0.85 * frac : 0.05})`;
+            ctx.fillRect(x + 1, y + 1, size - 2, size - 2);
+            if (size >= 14) {
+                ctx.fillStyle = '#ddd';
+                ctx.fillText(String(row[j]), x + 3, y + size / 2 + 3);
+            }
+        }
+        ctx.fillStyle = '#aaa';
+        ctx.fillText(result.labels[i].slice(0, 8), 2, top + i * size + size / 2 + 3);
+    }
+    ctx.fillStyle = '#888';
+    ctx.fillText('true ↓ / predicted →', left, 10);
+    const acc = result.accuracy !== null ? `${(result.accuracy * 100).toFixed(1)}%` : '—';
+    ctx.fillText(`${result.phase} acc ${acc} (n=${result.total})`, left, height - 3);
+}
@@ -75,6 +75,7 @@ export function createSnapshotController(options) {
         let theta = null;
         let omega = null;
         let gauge = null;
+        let graphWeights = null;
 
         if (includeTheta) {
             theta = state.manifoldMode === 's2' ? await sim.readS2() : await sim.readTheta();
@@ -96,6 +97,14 @@ export function createSnapshotController(options) {
                 return;
             }
         }
+        // Adaptive edge weights are dynamical state, not reproducible from the topology seed
+        if (state.adaptiveCouplingEnabled && state.topologyMode !== 'grid' && typeof sim.readGraphWeights === 'function') {
+            graphWeights = await sim.readGraphWeights();
+            if (!graphWeights) {
+                setSnapshotStatus('graph weights read failed');
+                return;
+            }
+        }
 
         if (activeLayerOnly && layers > 1) {
             if (theta && theta.length === sim.N) {
@@ -116,11 +125,15 @@ export function createSnapshotController(options) {
             if (gauge?.ay && gauge.ay.length === sim.N) {
                 gauge.ay = gauge.ay.subarray(activeLayer * layerSize, activeLayer * layerSize + layerSize);
             }
-            const layerGraphSize = layerSize * sim.maxGraphDegree;
-            if (gauge?.graph && gauge.graph.length === sim.N * sim.maxGraphDegree) {
+            const layerGraphSize = sim.graphSlots / layers;
+            if (gauge?.graph && gauge.graph.length === sim.graphSlots) {
                 const graphStart = activeLayer * layerGraphSize;
                 gauge.graph = gauge.graph.subarray(graphStart, graphStart + layerGraphSize);
             }
+            if (graphWeights && graphWeights.length === sim.graphSlots) {
+                const graphStart = activeLayer * layerGraphSize;
+                graphWeights = graphWeights.subarray(graphStart, graphStart + layerGraphSize);
+            }
         }
 
         setSnapshotStatus('encoding...');
@@ -187,6 +200,16 @@ export function createSnapshotController(options) {
             }
         }
 
+        if (graphWeights) {
+            snapshot.buffers.graphWeights = {
+                dtype: 'f32',
+                encoding: 'base64',
+                length: graphWeights.length,
+                base64: encodeFloat32ToBase64(graphWeights),
+            };
+            approxBytes += estimateBase64SizeBytes(graphWeights.byteLength);
+        }
+
         const json = JSON.stringify(snapshot, null, 2);
         const filename = `kuramoto_snapshot_${snapshot.timestamp.replace(/[:.]/g, '-')}.json`;
         downloadJSON(json, filename);
@@ -239,8 +262,9 @@ export function createSnapshotController(options) {
         applyLayerParamsToState(state, state.activeLayer);
         syncStateToLayerParams(state, state.selectedLayers);
         sim.writeLayerParams(state.layerParams);
-        sim.updateFullParams(state);
-        sim.setManifoldMode(state.manifoldMode);
+        // Rebuild the graph from the restored topology settings (and the
+        // imported graph stored in state for 'custom'); also pushes params.
+        regenerateTopology();
 
         const layerSize = sim.gridSize * sim.gridSize;
         const layers = sim.layers || 1;
@@ -321,8 +345,8 @@ export function createSnapshotController(options) {
 
             if (snapshot.buffers.gauge.graphBase64 && typeof sim.writeGraphGauge === 'function') {
                 const graphDecoded = decodeBase64ToFloat32(snapshot.buffers.gauge.graphBase64);
-                const expected = sim.N * sim.maxGraphDegree;
-                const layerGraphSize = layerSize * sim.maxGraphDegree;
+                const expected = sim.graphSlots;
+                const layerGraphSize = expected / layers;
                 if (graphDecoded.length === expected) {
                     sim.writeGraphGauge(graphDecoded);
                 } else if (layers > 1 && graphDecoded.length === layerGraphSize) {
@@ -335,6 +359,23 @@ export function createSnapshotController(options) {
             }
         }
 
+        if (snapshot.buffers?.graphWeights?.base64 && typeof sim.writeGraphWeights === 'function') {
+            const weightsDecoded = decodeBase64ToFloat32(snapshot.buffers.graphWeights.base64);
+            const expected = sim.graphSlots;
+            const layerGraphSize = expected / layers;
+            if (weightsDecoded.length === expected) {
+                sim.writeGraphWeights(weightsDecoded);
+            } else if (layers > 1 && weightsDecoded.length === layerGraphSize) {
+                // Other layers keep the weights of the regenerated graph
+                const generated = sim.topologyInfo?.weights;
+                const fullWeights = generated?.length === expected ? Float32Array.from(generated) : new Float32Array(expected);
+                fullWeights.set(weightsDecoded, activeLayer * layerGraphSize);
+                sim.writeGraphWeights(fullWeights);
+            } else {
+                throw new Error(`Graph weights length mismatch: ${weightsDecoded.length}`);
+            }
+        }
+
         stats.reset();
         const ui = getUI();
         if (ui?.updateDisplay) ui.updateDisplay();
@@ -1,4 +1,3 @@
-import { MAX_GRAPH_DEGREE } from '../topology/index.js';
 
 export const TRANSIENT_STATE_KEYS = Object.freeze([
     'frameTime',
@@ -12,6 +11,8 @@ export const TRANSIENT_STATE_KEYS = Object.freeze([
     'rcTrainingSamples',
     'rcNRMSE',
     'rcTestNRMSE',
+    'rcCapacity',
+    'rcGenerating',
 ]);
 
 export function createInitialState() {
@@ -26,15 +27,31 @@ export function createInitialState() {
         harmonicA: 0.4,
         harmonicB: 0.0,
         globalCoupling: false,
-        topologyMode: 'grid', // 'grid', 'ws', 'ba'
+        topologyMode: 'grid', // 'grid', 'ws', 'ba', 'sbm', 'rgg', 'er', 'cm', 'custom'
         topologySeed: 1,
         topologyWSK: 4,
         topologyWSRewire: 0.2,
         topologyBAM0: 5,
         topologyBAM: 3,
+        topologySBMBlocks: 4,
+        topologySBMKIn: 8, // mean within-block degree
+        topologySBMKOut: 1, // mean between-block degree
+        topologyRGGK: 8, // mean degree (sets the torus radius)
+        topologyERK: 6, // mean degree
+        topologyCMGamma: 2.5, // power-law exponent of the degree sequence
+        topologyCMKMin: 2,
         topologyAvgDegree: 0,
-        topologyMaxDegree: MAX_GRAPH_DEGREE,
+        topologyMaxDegree: 0, // per-node degree cap; 0 = unlimited (hubs use CSR storage)
+        topologyUsedDegree: 0,
+        topologyLayout: 'fixed', // 'fixed' stride or 'csr', picked by generateTopology
         topologyClamped: false,
+        topologyGraph: null, // imported graph for 'custom' (see topology/graphImport.js)
+        topologyDroppedEdges: 0,
+        // Adaptive coupling (S1 graph topologies): dK_ij/dt = ε(α cos(θ_j − θ_i + β) − K_ij) per edge
+        adaptiveCouplingEnabled: false,
+        adaptiveCouplingEpsilon: 0.05, // Adaptation rate ε (slow when ≪ 1)
+        adaptiveCouplingAlpha: 1.0, // Target amplitude α
+        adaptiveCouplingBeta: 0.0, // Phase shift β of the adaptation rule
         delaySteps: 10,
         sigma: 1.2,
         sigma2: 1.2,
@@ -43,6 +60,8 @@ export function createInitialState() {
         colormap: 0, // analytic layer
         colormapPalette: 0, // visual palette
         noiseStrength: 0.0,
+        noiseMode: 'rule', // 'rule' (legacy in-rule perturbation) | 'wiener' (Euler-Maruyama) | 'ou' (colored)
+        noiseTau: 1.0, // OU correlation time
         frameTime: 0,
         thetaPattern: 'random',
         omegaPattern: 'random',
@@ -53,15 +72,23 @@ export function createInitialState() {
         gridSize: 256, // Adjustable grid size
         layerCount: 1, // Number of stacked layers (same resolution)
         activeLayer: 0, // Which layer to visualize
-        layerCouplingUp: 0.0, // coupling from lower layer to this layer
-        layerCouplingDown: 0.0, // coupling from upper layer to this layer
+        layerCouplingUp: 0.0, // G[l][l-1] of the active layer (coupling matrix lives in layerParams[].layerCoupling)
+        layerCouplingDown: 0.0, // G[l][l+1] of the active layer
         layerKernelEnabled: false,
+        // Interlayer plasticity (S1, same-cell interlayer mode): learned 3×3 kernel per coupled pair
+        plasticityEnabled: false,
+        plasticityFrozen: false, // Keep the learned kernels fixed (e.g. over RC test windows)
+        plasticityRate: 0.01, // Hebbian learning rate η
+        plasticityDecay: 0.0, // Weight decay per update
+        plasticityClamp: 1.0, // Weights are clamped to [-clamp, clamp]
+        plasticityInterval: 10, // Simulation steps between updates
         renderAllLayers: false,
         layerZOffset: 0.15,
         selectedLayers: [0],
         smoothingMode: 0, // 0=nearest (none), 1=bilinear, 2=bicubic, 3=gaussian
         showStatistics: true, // Enable/disable statistics computation and display
         leak: 0.0, // simple leak/damping on dynamics (0 = none)
+        integrator: 'euler', // 'euler' | 'heun' | 'rk4' (per layer)
         // Gauge-field (U(1), S1 only)
         gaugeEnabled: false,
         gaugeMode: 'static', // 'static' | 'dynamic'
@@ -84,6 +111,16 @@ export function createInitialState() {
         sweepTo: 2,
         sweepSteps: 5,
         sweepSettleFrames: 180,
+        // Temporal spectral analysis (statistics/SpectralAnalyzer.js)
+        spectralSeries: 'R', // 'R' | 'localR' | 'gradient' | 'chi'
+        spectralWindow: 128, // STFT window in samples (power of two)
+        lleExponentCount: 4, // Lyapunov spectrum size (tangent vectors)
+        // Directed information flow (statistics/InformationFlow.js)
+        infoFlowSource: 'layers', // 'layers' (mean phase per layer) | 'regions' (blocks of the active layer)
+        infoFlowRegions: 2, // Blocks per side in 'regions' mode
+        infoFlowMethod: 'binned', // 'binned' | 'ksg' (transfer entropy) | 'granger'
+        infoFlowLag: 1, // Source lag in samples
+        infoFlowSurrogates: 100, // Time-shift surrogates per pair
         overlayGaugeLinks: false,
         overlayPlaquetteSign: false,
         overlayProbeEnabled: true,
@@ -140,6 +177,7 @@ export function createInitialState() {
         orientBubble: 0.0,
         orientLinear: 0.0,
         graphOverlayEnabled: false,
+        spectrumOverlayMode: 'none', // 'none' | 'v2' | 'v3' | 'v4' | 'vmax' (see topology/spectrum.js)
         // Zoom/pan for 2D mode
         zoom: 1.0,
         panX: 0.0,
@@ -180,12 +218,26 @@ export function createInitialState() {
         rcInjectionMode: 'freq_mod', // 'freq_mod', 'phase_drive', 'coupling_mod'
         rcHistoryLength: 20, // Number of timesteps to store for temporal features
         rcMaxFeatures: 512, // Feature budget after history stacking (stride downsample)
-        rcTask: 'sine', // 'sine', 'narma10', 'memory'
+        rcFeatureMaps: 'phase', // Comma list of 'phase', 'local_order', 'phase_diff', 'frequency', 'products', 'fourier'
+        rcFourierFeatures: 64, // Random Fourier projections when 'fourier' is selected
+        rcGpuFeatures: true, // Gather readout [sin, cos, patch R] on the GPU instead of reading back all of θ
+        rcTask: 'sine', // 'sine', 'narma10', 'memory', 'moving_dot', 'mackey_glass', 'lorenz', 'rossler'
+        rcForecastHorizon: 1, // Chaotic tasks: samples ahead to predict (1 = one-step)
+        rcForecastDt: 0.01, // Chaotic tasks: RK4 integration step
+        rcForecastComponents: 'x', // Lorenz / Rössler: 'x' (scalar) or 'xyz' (3 input channels, 3 readouts)
+        rcReadoutMode: 'rls', // 'rls' (online) or 'ridge_cv' (batch ridge, λ by blocked time-series CV)
         rcTraining: false, // Currently collecting training data
         rcInference: false, // Running trained model
         rcTrainingSamples: 0, // Number of samples collected
         rcNRMSE: null, // Performance metric after training
         rcTestNRMSE: null,
+        rcGenerating: false, // Closed-loop generation running (readout fed back as input)
+        rcGenSteps: 500, // Closed-loop steps per generation run
+        rcGenThreshold: 0.4, // Normalized error |ŷ − y| / σ that ends the valid prediction time
+        rcCapacity: false, // Capacity measurement running (i.i.d. drive)
+        rcCapacitySamples: 2000, // Recorded samples per capacity measurement
+        rcCapacityMaxDelay: 30, // Largest delay k for MC(k) / IPC
+        rcCapacityMaxDegree: 3, // Largest Legendre degree (1 = linear MC only)
 
         // Organism detection
         organismsEnabled: false,
@@ -95,9 +95,8 @@ export async function loadPreset({ name, sim, ui, state, lastExternalCanvas }) {
         });
         sim.writeGaugeField(combinedAx, combinedAy);
 
-        const maxDegree = sim.maxGraphDegree || 16;
-        const edgeCount = sim.N * maxDegree;
-        const edgeLayerSize = layerSize * maxDegree;
+        const edgeCount = sim.graphSlots;
+        const edgeLayerSize = edgeCount / (sim.layers || 1);
         if (typeof sim.writeGraphGauge === 'function' && sim.graphGaugeData && sim.graphGaugeData.length === edgeCount) {
             const combinedGraph = (baseGauge.graph && baseGauge.graph.length === edgeCount)
                 ? new Float32Array(baseGauge.graph)
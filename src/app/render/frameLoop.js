@@ -1,5 +1,7 @@
 import { drawRCTaskOverlay, drawGraphOverlay, drawOrganismOverlay } from '../../core/overlays.js';
 import { canUseGaugeOverlay } from '../../utils/gaugeSupport.js';
+import { isFeatureSupported } from '../../manifolds/ManifoldRegistry.js';
+import { layerPhases, regionPhases } from '../../statistics/index.js';
 
 function isRunnerActive(runner) {
     return !!(runner && typeof runner.isRunning === 'function' && runner.isRunning());
@@ -36,10 +38,13 @@ export function createFrameLoop(ctx) {
             rcCritSweepRunner,
             rcModeCompareRunner,
             phaseSpacePlot,
+            infoFlow,
+            renderPlasticityKernels,
+            updateAdaptiveCouplingStats,
             resizeCanvasesToDisplay,
             getStatsInterval,
             getActiveLayerIndex,
-            getActiveLayerThetaForRC,
+            readRCFrame,
             writeRCInputWeights,
             stepLLE,
             drawRCPlot,
@@ -148,8 +153,9 @@ export function createFrameLoop(ctx) {
 
             const gaugeOverlayLive = canUseGaugeOverlay(STATE)
                 && (STATE.overlayGaugeLinks || STATE.overlayPlaquetteSign || (STATE.overlayProbeEnabled && runtime.overlayMouseNorm?.inside));
+            const spectrumOverlayLive = !!runtime.graphSpectrum && (STATE.spectrumOverlayMode || 'none') !== 'none';
             const overlayLive = STATE.viewMode === 1
-                && (STATE.graphOverlayEnabled || gaugeOverlayLive);
+                && (STATE.graphOverlayEnabled || gaugeOverlayLive || spectrumOverlayLive);
             if (runtime.overlayDirty || overlayLive) {
                 drawGraphOverlay(sim.topologyInfo, {
                     graphOverlay,
@@ -159,7 +165,9 @@ export function createFrameLoop(ctx) {
                     resizeCanvasesToDisplay,
                     gaugeOverlayData: runtime.gaugeOverlayData,
                     gaugeProbeData: runtime.gaugeProbeData,
-                    overlayMouseNorm: runtime.overlayMouseNorm
+                    spectrum: runtime.graphSpectrum,
+                    overlayMouseNorm: runtime.overlayMouseNorm,
+                    graphWeights: sim.adaptiveCoupling?.active ? runtime.graphWeights : null
                 });
                 runtime.overlayDirty = false;
             }
@@ -176,26 +184,25 @@ export function createFrameLoop(ctx) {
                 });
             }
 
-            if (!rcSweepActive && !rcModeCompareActive && STATE.rcEnabled && !STATE.paused && STATE.manifoldMode === 's1') {
-                if (STATE.rcTraining || STATE.rcInference) {
+            if (!rcSweepActive && !rcModeCompareActive && STATE.rcEnabled && !STATE.paused && isFeatureSupported(STATE.manifoldMode, 'reservoir')) {
+                if (STATE.rcTraining || STATE.rcInference || STATE.rcCapacity || STATE.rcGenerating) {
                     const nowMs = performance.now();
                     if (!runtime.rcReadPending && isCadenceReady(nowMs, runtime.lastRCReadMs, config.RC_READ_MIN_MS)) {
                         runtime.rcReadPending = true;
-                        sim.readTheta().then((theta) => {
-                            if (theta) {
+                        readRCFrame().then((sample) => {
+                            if (sample) {
                                 try {
-                                    const thetaLayer = getActiveLayerThetaForRC(theta);
-                                    reservoir.step(thetaLayer);
+                                    reservoir.step(sample.frame);
                                     if (STATE.rcTask === 'moving_dot') {
-                                        runtime.rcOverlayLastThetaLayer = thetaLayer;
+                                        runtime.rcOverlayLastThetaLayer = sample.frame;
                                     }
-                                    if (reservoir.tasks && reservoir.tasks.taskType === 'moving_dot') {
+                                    if (reservoir.hasDynamicInputWeights()) {
                                         writeRCInputWeights();
                                     }
                                     sim.setInputSignal(reservoir.getInputSignal());
                                     updateRCDisplay();
                                     drawRCPlot();
-                                    renderPhaseSpace(theta);
+                                    if (sample.theta) renderPhaseSpace(sample.theta);
 
                                     if (STATE.rcInference && runtime.rcTestRemaining > 0) {
                                         runtime.rcTestRemaining--;
@@ -247,11 +254,16 @@ export function createFrameLoop(ctx) {
                 const canReadback = sim.readbackPending && isCadenceReady(frameNow, runtime.lastStatsReadbackMs, config.STATS_READBACK_MIN_MS);
                 if (canReadback) {
                     const didComputeStatsThisFrame = didComputeStats;
+                    const sampleTime = STATE.frameTime;
                     const readbackStart = performance.now();
                     sim.processReadback().then((result) => {
                         if (result && !STATE.paused) {
-                            stats.update(result.cos, result.sin, result.localStats);
+                            stats.update(result.cos, result.sin, result.localStats, sampleTime);
                             runtime.lastStatsReadbackMs = frameNow;
+                            const layerSync = result.localStats?.layerSync;
+                            if (infoFlow?.recording && STATE.infoFlowSource === 'layers' && layerSync) {
+                                infoFlow.addSample(layerPhases(layerSync), sampleTime);
+                            }
                         }
                         runtime.lastReadbackDurationMs = performance.now() - readbackStart;
 
@@ -279,7 +291,8 @@ export function createFrameLoop(ctx) {
                 updateStatsView();
             }
 
-            if (phaseSpacePlot && STATE.phaseSpaceEnabled && !(STATE.rcTraining || STATE.rcInference) && !rcSweepActive && !rcModeCompareActive) {
+            const rcReadsTheta = STATE.rcTraining || STATE.rcInference || STATE.rcCapacity || STATE.rcGenerating || rcSweepActive || rcModeCompareActive;
+            if (phaseSpacePlot && STATE.phaseSpaceEnabled && !rcReadsTheta) {
                 runtime.phaseSpaceCounter++;
                 const interval = STATE.gridSize >= 512 ? config.PHASE_SAMPLE_INTERVAL * 2 : config.PHASE_SAMPLE_INTERVAL;
                 if (runtime.phaseSpaceCounter >= interval && !runtime.phaseSpacePending) {
@@ -294,6 +307,50 @@ export function createFrameLoop(ctx) {
                 }
             }
 
+            // Region phases for information flow (throttled)
+            if (infoFlow?.recording && STATE.infoFlowSource === 'regions' && !STATE.paused && !rcReadsTheta
+                && !runtime.infoFlowReadPending && isCadenceReady(frameNow, runtime.lastInfoFlowReadMs, config.INFO_FLOW_READ_MIN_MS)) {
+                runtime.infoFlowReadPending = true;
+                runtime.lastInfoFlowReadMs = frameNow;
+                const sampleTime = STATE.frameTime;
+                const layer = getActiveLayerIndex();
+                sim.readTheta().then((theta) => {
+                    runtime.infoFlowReadPending = false;
+                    if (theta) infoFlow.addSample(regionPhases(theta, sim.gridSize, layer, STATE.infoFlowRegions), sampleTime);
+                }).catch(() => {
+                    runtime.infoFlowReadPending = false;
+                });
+            }
+
+            // Learned interlayer kernels for the weight inspector (throttled)
+            if (sim.plasticity?.active && renderPlasticityKernels && !runtime.plasticityReadPending
+                && isCadenceReady(frameNow, runtime.lastPlasticityReadMs, config.PLASTICITY_READ_MIN_MS)) {
+                runtime.plasticityReadPending = true;
+                runtime.lastPlasticityReadMs = frameNow;
+                sim.readInterlayerKernels().then((kernels) => {
+                    runtime.plasticityReadPending = false;
+                    if (kernels) renderPlasticityKernels(kernels);
+                }).catch(() => {
+                    runtime.plasticityReadPending = false;
+                });
+            }
+
+            // Adapted graph edge weights for the overlay and panel summary (throttled)
+            if (sim.adaptiveCoupling?.active && !runtime.graphWeightsReadPending && STATE.gridSize <= 256
+                && isCadenceReady(frameNow, runtime.lastGraphWeightsReadMs, config.GRAPH_WEIGHTS_READ_MIN_MS)) {
+                runtime.graphWeightsReadPending = true;
+                runtime.lastGraphWeightsReadMs = frameNow;
+                sim.readGraphWeights().then((weights) => {
+                    runtime.graphWeightsReadPending = false;
+                    if (!weights) return;
+                    runtime.graphWeights = weights;
+                    runtime.overlayDirty = true;
+                    updateAdaptiveCouplingStats?.(weights);
+                }).catch(() => {
+                    runtime.graphWeightsReadPending = false;
+                });
+            }
+
             // Organism detection (throttled)
             if (STATE.organismsEnabled && !runtime.organismsReadPending && ctx.structureDetector && ctx.structureTracker
                 && (frameNow - (runtime.lastOrganismDetectionMs || 0)) >= (config.ORGANISM_DETECTION_MIN_MS || 200)) {
@@ -35,8 +35,9 @@ export function createRCCallbacks({
         onRCConfigure: () => {
             reservoir.setFeatureBudget(STATE.rcMaxFeatures);
             reservoir.setHistoryLength(STATE.rcHistoryLength);
+            reservoir.setFeatureMaps(STATE.rcFeatureMaps, { fourierFeatures: STATE.rcFourierFeatures, manifold: STATE.manifoldMode });
             configureReservoir();
-            reservoir.setTask(STATE.rcTask);
+            reservoir.setTask(STATE.rcTask, { horizon: STATE.rcForecastHorizon, dt: STATE.rcForecastDt, components: STATE.rcForecastComponents });
             writeRCInputWeights();
             stateAdapter.syncURL(true);
         },
@@ -47,9 +48,11 @@ export function createRCCallbacks({
             }
             reservoir.setFeatureBudget(STATE.rcMaxFeatures);
             reservoir.setHistoryLength(STATE.rcHistoryLength);
+            reservoir.setFeatureMaps(STATE.rcFeatureMaps, { fourierFeatures: STATE.rcFourierFeatures, manifold: STATE.manifoldMode });
             configureReservoir();
-            reservoir.setTask(STATE.rcTask);
+            reservoir.setTask(STATE.rcTask, { horizon: STATE.rcForecastHorizon, dt: STATE.rcForecastDt, components: STATE.rcForecastComponents });
             writeRCInputWeights();
+            reservoir.setReadoutMode(STATE.rcReadoutMode);
             reservoir.startTraining();
             STATE.rcTraining = true;
             STATE.rcInference = false;
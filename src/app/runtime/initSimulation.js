@@ -30,6 +30,8 @@ export function initSimulationRuntime({ device, format, canvas, state }) {
         overlayDirty: true,
         overlayMouseNorm: { x: 0.5, y: 0.5, inside: false },
         gaugeOverlayData: null,
+        graphSpectrum: null,
+        graphSpectrumJob: null, // token of the running Laplacian solve
         gaugeOverlayReadPending: false,
         lastGaugeOverlayReadMs: 0,
         lastGaugeOverlayDurationMs: 0,
@@ -47,6 +49,13 @@ export function initSimulationRuntime({ device, format, canvas, state }) {
         kScanner: null,
         phaseSpaceCounter: 0,
         phaseSpacePending: false,
+        infoFlowReadPending: false,
+        lastInfoFlowReadMs: 0,
+        plasticityReadPending: false,
+        lastPlasticityReadMs: 0,
+        graphWeightsReadPending: false,
+        lastGraphWeightsReadMs: 0,
+        graphWeights: null,
         audioReadPending: false,
         lastAudioReadMs: 0,
         prismaticMetricsReadPending: false,
@@ -29,8 +29,8 @@ export async function initWebGPU({ showError, canvasId = 'canvas' }) {
 
         const requiredLimits = {};
         const maxStorageBuffers = adapter.limits?.maxStorageBuffersPerShaderStage;
-        // Main S1 compute pipeline currently binds 10 storage buffers.
-        const requiredStorageBuffers = 10;
+        // Main S1 compute pipeline currently binds 12 storage buffers.
+        const requiredStorageBuffers = 12;
         if (typeof maxStorageBuffers === 'number') {
             if (maxStorageBuffers < requiredStorageBuffers) {
                 showError(
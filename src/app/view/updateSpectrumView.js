@@ -0,0 +1,32 @@
+function formatEigenvalue(value) {
+    if (!Number.isFinite(value)) return '∞';
+    return Math.abs(value) >= 100 ? value.toFixed(1) : value.toPrecision(4);
+}
+
+/**
+ * Fill the Graph Spectrum panel from a computeLaplacianSpectrum result.
+ * @param {Object|null} spectrum - Result, or null to clear the readouts
+ * @param {string} [status] - Status line override (e.g. 'computing...')
+ */
+export function updateSpectrumView(spectrum, status) {
+    const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+    setText('spectrum-lambda2', spectrum ? formatEigenvalue(spectrum.lambda2) : '—');
+    setText('spectrum-lambdamax', spectrum ? formatEigenvalue(spectrum.lambdaMax) : '—');
+    setText('spectrum-ratio', spectrum ? formatEigenvalue(spectrum.ratio) : '—');
+    if (status !== undefined || !spectrum) {
+        setText('spectrum-status', status ?? 'not computed');
+        return;
+    }
+    const parts = [];
+    if (spectrum.componentCount > 1) {
+        parts.push(`largest of ${spectrum.componentCount} components: ${spectrum.componentSize}/${spectrum.nodeCount} nodes`);
+    } else {
+        parts.push(`${spectrum.componentSize} nodes`);
+    }
+    parts.push(spectrum.method === 'lanczos' ? `Lanczos, ${spectrum.matvecs} matvecs` : 'dense');
+    if (!spectrum.converged) parts.push(`not converged (residual ${spectrum.residual.toExponential(1)})`);
+    setText('spectrum-status', parts.join(' | '));
+}
@@ -24,13 +24,113 @@ function renderLocalHistogram(canvas, bins) {
     ctx.fillText('1', width - 8, height - 2);
 }
 
+// Green for in-phase / locked, orange for anti-phase, dark at zero
+function syncColor(v) {
+    const a = Math.min(1, Math.abs(v));
+    const [r, g, b] = v >= 0 ? [76, 175, 80] : [255, 152, 0];
+    return `rgb(${Math.round(15 + (r - 15) * a)}, ${Math.round(15 + (g - 15) * a)}, ${Math.round(26 + (b - 26) * a)})`;
+}
+
+// L×L grid: per-layer R on the diagonal, mean cos below, PLV above
+function renderLayerSyncHeatmap(canvas, sync) {
+    const ctx = canvas.getContext('2d');
+    const rect = canvas.getBoundingClientRect();
+    const width = rect.width;
+    const height = rect.height;
+    const L = sync.layers;
+    const pad = 18;
+    const cell = Math.floor(Math.min(width - pad - 4, height - pad - 4) / L);
+    const x0 = pad + Math.floor((width - pad - cell * L) / 2);
+    const y0 = pad;
+    ctx.fillStyle = '#0f0f1a';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = '9px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (let l = 0; l < L; l++) {
+        ctx.fillStyle = '#777';
+        ctx.fillText(`L${l}`, x0 + (l + 0.5) * cell, y0 - 8);
+        ctx.fillText(`L${l}`, x0 - 10, y0 + (l + 0.5) * cell);
+        for (let m = 0; m < L; m++) {
+            let v;
+            if (l === m) v = sync.R[l];
+            else if (l > m) v = sync.cos[l * L + m];
+            else v = sync.plv[l * L + m];
+            ctx.fillStyle = syncColor(v);
+            ctx.fillRect(x0 + m * cell + 1, y0 + l * cell + 1, cell - 2, cell - 2);
+            if (cell >= 22) {
+                ctx.fillStyle = Math.abs(v) > 0.6 ? '#000' : '#ccc';
+                ctx.fillText(v.toFixed(2), x0 + (m + 0.5) * cell, y0 + (l + 0.5) * cell);
+            }
+        }
+    }
+    ctx.strokeStyle = '#555';
+    ctx.strokeRect(x0 + 0.5, y0 + 0.5, cell * L - 1, cell * L - 1);
+}
+
+// One row of 16 local R bins per layer, shaded relative to the row maximum
+function renderLayerHistograms(canvas, sync) {
+    const ctx = canvas.getContext('2d');
+    const rect = canvas.getBoundingClientRect();
+    const width = rect.width;
+    const height = rect.height;
+    const L = sync.layers;
+    const labelWidth = 20;
+    const rowHeight = (height - 4) / L;
+    const binWidth = (width - labelWidth - 4) / 16;
+    ctx.fillStyle = '#0f0f1a';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = '9px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (let l = 0; l < L; l++) {
+        const bins = sync.histograms.subarray(l * 16, (l + 1) * 16);
+        const maxVal = Math.max(...bins, 1e-6);
+        const y = 2 + l * rowHeight;
+        ctx.fillStyle = '#777';
+        ctx.fillText(`L${l}`, labelWidth / 2, y + rowHeight / 2);
+        for (let b = 0; b < 16; b++) {
+            ctx.fillStyle = syncColor(bins[b] / maxVal);
+            ctx.fillRect(labelWidth + b * binWidth, y + 1, binWidth - 1, rowHeight - 2);
+        }
+    }
+}
+
+function renderSpectralView(state, stats, spectralAnalyzer, spectrogramPlot) {
+    if (state.spectralWindow && spectralAnalyzer.windowSize !== state.spectralWindow) {
+        spectralAnalyzer.setWindowSize(state.spectralWindow);
+    }
+    const result = spectralAnalyzer.analyze(stats);
+    const series = result?.series[state.spectralSeries] || result?.series.R || null;
+    if (spectrogramPlot && spectrogramPlot.canvas) {
+        spectrogramPlot.render(series, result?.unit);
+    }
+    const labelEl = document.getElementById('spectral-label');
+    const dominantEl = document.getElementById('spectral-dominant');
+    const bandsEl = document.getElementById('spectral-bands');
+    if (labelEl) labelEl.textContent = result ? result.label : '—';
+    if (dominantEl) {
+        const top = series?.dominant[0];
+        const unit = result?.unit === 'sample' ? ' /sample' : '';
+        dominantEl.textContent = top
+            ? `${top.frequency.toPrecision(3)}${unit} (T ${top.period.toPrecision(3)}, ${(top.fraction * 100).toFixed(0)}%)`
+            : '—';
+    }
+    if (bandsEl) {
+        bandsEl.textContent = series
+            ? series.bands.map(b => `${Math.round(b.fraction * 100)}`).join(' / ') + ' %'
+            : '—';
+    }
+}
+
 export function createStatsViewUpdater({ state, sparkline }) {
     let fps = 0;
     let frameCount = 0;
     let lastTime = performance.now();
     let plotUpdateCounter = 0;
+    let lastSpectralMs = 0;
 
-    return function updateStatsView({ sim, stats, R_plot, chi_plot, phaseDiagramPlot }) {
+    return function updateStatsView({ sim, stats, R_plot, chi_plot, phaseDiagramPlot, spectralAnalyzer, spectrogramPlot }) {
         frameCount++;
         const now = performance.now();
         if (now - lastTime > 1000) {
@@ -89,6 +189,12 @@ export function createStatsViewUpdater({ state, sparkline }) {
         }
 
         const nowMs = performance.now();
+        // The STFT only changes as samples arrive; twice a second is plenty.
+        if (spectralAnalyzer && nowMs - lastSpectralMs >= 500) {
+            lastSpectralMs = nowMs;
+            renderSpectralView(state, stats, spectralAnalyzer, spectrogramPlot);
+        }
+
         if (!state.sparklinePaused && sparkline.rCanvas && sparkline.chiCanvas && sparkline.rCtx && sparkline.chiCtx && sparkline.rBuf && sparkline.chiBuf) {
             if (nowMs - sparkline.lastDrawMs >= sparkline.minMs) {
                 sparkline.lastDrawMs = nowMs;
@@ -141,6 +247,19 @@ export function createStatsViewUpdater({ state, sparkline }) {
             renderLocalHistogram(histCanvas, stats.localHist);
         }
 
+        const layerSyncCard = document.getElementById('layer-sync-card');
+        if (layerSyncCard) {
+            const sync = stats.getLayerSync();
+            const show = !!sync && (state.layerCount ?? 1) > 1 && (state.manifoldMode ?? 's1') === 's1';
+            layerSyncCard.style.display = show ? '' : 'none';
+            if (show) {
+                const heatmapCanvas = document.getElementById('layer-sync-heatmap');
+                const layerHistCanvas = document.getElementById('layer-hist');
+                if (heatmapCanvas) renderLayerSyncHeatmap(heatmapCanvas, sync);
+                if (layerHistCanvas) renderLayerHistograms(layerHistCanvas, sync);
+            }
+        }
+
         if (phaseDiagramPlot && phaseDiagramPlot.canvas && stats.phaseDiagramData.length > 0) {
             phaseDiagramPlot.setCurrentK(sim.lastGlobalOrder ? state.K0 : state.K0);
             phaseDiagramPlot.render(stats.phaseDiagramData, stats.estimatedKc);
@@ -181,6 +181,49 @@ export function drawRCTaskOverlay(viewProj, options) {
     }
 }
 
+const SPECTRUM_OVERLAY_MODES = { v2: 0, v3: 1, v4: 2 };
+const SPECTRUM_POSITIVE_RGB = [255, 96, 64];
+const SPECTRUM_NEGATIVE_RGB = [64, 150, 255];
+let spectrumHeatmap = { vector: null, grid: 0, canvas: null };
+
+function spectrumOverlayVector(spectrum, mode) {
+    if (!spectrum || !mode || mode === 'none') return null;
+    if (mode === 'vmax') return spectrum.maxVector || null;
+    return spectrum.eigenvectors?.[SPECTRUM_OVERLAY_MODES[mode]] || null;
+}
+
+/**
+ * Grid-sized diverging heatmap of an eigenvector (red > 0, blue < 0, alpha
+ * grows with |v|), cached until the vector changes.
+ */
+function spectrumHeatmapCanvas(vector, grid) {
+    if (spectrumHeatmap.vector === vector && spectrumHeatmap.grid === grid) return spectrumHeatmap.canvas;
+    const canvas = document.createElement('canvas');
+    canvas.width = grid;
+    canvas.height = grid;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(grid, grid);
+    let peak = 0;
+    for (let i = 0; i < vector.length; i++) peak = Math.max(peak, Math.abs(vector[i]));
+    peak = peak || 1;
+    for (let r = 0; r < grid; r++) {
+        // Sim row 0 is at the bottom of the view.
+        const dstRow = (grid - 1 - r) * grid;
+        for (let c = 0; c < grid; c++) {
+            const v = vector[r * grid + c] / peak;
+            const o = (dstRow + c) * 4;
+            const rgb = v >= 0 ? SPECTRUM_POSITIVE_RGB : SPECTRUM_NEGATIVE_RGB;
+            image.data[o] = rgb[0];
+            image.data[o + 1] = rgb[1];
+            image.data[o + 2] = rgb[2];
+            image.data[o + 3] = Math.round(210 * Math.sqrt(Math.abs(v)));
+        }
+    }
+    ctx.putImageData(image, 0, 0);
+    spectrumHeatmap = { vector, grid, canvas };
+    return canvas;
+}
+
 /**
  * Draw the graph topology overlay (network edges).
  * @param {Object} topology - Topology data with counts and neighbors
@@ -190,6 +233,10 @@ export function drawRCTaskOverlay(viewProj, options) {
  * @param {Object} options.STATE - Application state
  * @param {Object} options.sim - Simulation instance
  * @param {Function} options.resizeCanvasesToDisplay - Canvas resize function
+ * @param {Object} [options.spectrum] - computeLaplacianSpectrum result used to
+ *   color nodes when STATE.spectrumOverlayMode is set
+ * @param {Float32Array} [options.graphWeights] - Adapted edge weights (same
+ *   slots as topology.neighbors); edges are then colored by sign and strength
  */
 export function drawGraphOverlay(topology, options) {
     const {
@@ -200,7 +247,9 @@ export function drawGraphOverlay(topology, options) {
         resizeCanvasesToDisplay,
         gaugeOverlayData,
         gaugeProbeData,
-        overlayMouseNorm
+        spectrum,
+        overlayMouseNorm,
+        graphWeights
     } = options;
 
     if (!graphOverlayCtx || !graphOverlay) return;
@@ -213,7 +262,9 @@ export function drawGraphOverlay(topology, options) {
     const showGaugeLinks = !!STATE.overlayGaugeLinks && canGaugeOverlay && gaugeOverlayData?.ax && gaugeOverlayData?.ay;
     const showPlaquetteSign = !!STATE.overlayPlaquetteSign && canGaugeOverlay && gaugeOverlayData?.ax && gaugeOverlayData?.ay;
     const showProbe = !!STATE.overlayProbeEnabled && canGaugeOverlay && gaugeProbeData && overlayMouseNorm?.inside;
-    if (!showGraph && !showGaugeLinks && !showPlaquetteSign && !showProbe) return;
+    const spectrumVector = is2D ? spectrumOverlayVector(spectrum, STATE.spectrumOverlayMode) : null;
+    const showSpectrum = !!spectrumVector && spectrumVector.length === STATE.gridSize * STATE.gridSize;
+    if (!showGraph && !showGaugeLinks && !showPlaquetteSign && !showProbe && !showSpectrum) return;
 
     const grid = STATE.gridSize;
     const w = graphOverlay.width;
@@ -224,10 +275,19 @@ export function drawGraphOverlay(topology, options) {
     const toScreen = (c, r) => simCellToScreenPx(c, r, grid, w, h, zoom, panX, panY);
     graphOverlay.style.display = 'block';
 
-    if (showGraph && topology?.counts && topology?.neighbors && grid <= 256) {
+    if (showSpectrum) {
+        const lo = simUvToScreenUv(0, 0, zoom, panX, panY);
+        const hi = simUvToScreenUv(1, 1, zoom, panX, panY);
+        const p0 = screenUvGpuToScreenPx(lo.u, lo.v, w, h);
+        const p1 = screenUvGpuToScreenPx(hi.u, hi.v, w, h);
+        graphOverlayCtx.imageSmoothingEnabled = false;
+        graphOverlayCtx.drawImage(spectrumHeatmapCanvas(spectrumVector, grid), p0.x, p1.y, p1.x - p0.x, p0.y - p1.y);
+    }
+
+    if (showGraph && topology?.counts && topology?.neighbors && topology?.offsets && grid <= 256) {
         const counts = topology.counts;
         const neighbors = topology.neighbors;
-        const maxDeg = sim.maxGraphDegree;
+        const offsets = topology.offsets;
 
         let edges = 0;
         for (let i = 0; i < counts.length; i++) edges += counts[i];
@@ -244,11 +304,13 @@ export function drawGraphOverlay(topology, options) {
 
         graphOverlayCtx.strokeStyle = 'rgba(255,255,255,0.35)';
         graphOverlayCtx.lineWidth = 1.0;
+        const weights = graphWeights?.length === neighbors.length ? graphWeights : null;
+        const weightScale = Math.max(Math.abs(STATE.adaptiveCouplingAlpha ?? 1), 1e-6);
 
         for (let i = 0; i < counts.length; i++) {
-            const deg = Math.min(counts[i], maxDeg);
+            const deg = counts[i];
             if (!deg) continue;
-            const base = i * maxDeg;
+            const base = offsets[i];
             const c0 = i % grid;
             const r0 = Math.floor(i / grid);
             const p0 = toScreen(c0, r0);
@@ -262,6 +324,12 @@ export function drawGraphOverlay(topology, options) {
                 const jitter = 0.002;
                 const jx = (rand() - 0.5) * w * jitter;
                 const jy = (rand() - 0.5) * h * jitter;
+                if (weights) {
+                    // Adapted weight: white positive, red negative, opacity by |K| / α
+                    const k = weights[base + j];
+                    const a = 0.1 + 0.8 * Math.min(1, Math.abs(k) / weightScale);
+                    graphOverlayCtx.strokeStyle = k >= 0 ? `rgba(255,255,255,${a})` : `rgba(255,107,107,${a})`;
+                }
                 graphOverlayCtx.beginPath();
                 graphOverlayCtx.moveTo(p0.x + jx, p0.y + jy);
                 graphOverlayCtx.lineTo(p1.x - jx, p1.y - jy);
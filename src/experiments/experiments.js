@@ -1,3 +1,5 @@
+import { layerSyncColumns, layerSyncRow } from '../statistics/StatisticsTracker.js';
+
 function stableStringify(value) {
     if (value === null || value === undefined) return String(value);
     const t = typeof value;
@@ -46,6 +48,27 @@ function downsample(series, maxPoints = 300) {
     return out;
 }
 
+// Readout fields for a sweep result row: feature maps, and the CV-selected λ and validation curve (ridge_cv only)
+function readoutSummary(reservoir) {
+    const ridge = reservoir.ridgeActive ? reservoir.ridgeResult : null;
+    return {
+        readoutMode: reservoir.readoutMode,
+        featureMaps: reservoir.io.featureMaps.join('+'),
+        featuresPerFrame: reservoir.io.getFeatureSize(),
+        ridgeLambda: ridge ? ridge.lambda : null,
+        ridgeCV: ridge?.cv ? { lambdas: ridge.cv.lambdas, validationNRMSE: ridge.cv.validationNRMSE } : null,
+    };
+}
+
+// Test accuracy and confusion matrix for a sweep result row (classification tasks; null otherwise)
+function classificationSummary(reservoir) {
+    const result = reservoir.getClassificationResult();
+    return {
+        testAccuracy: result?.accuracy ?? null,
+        confusion: result ? { labels: result.labels, matrix: result.matrix } : null,
+    };
+}
+
 export class ExperimentRunner {
     constructor({ device, sim, stats, getState, onUpdate }) {
         this.device = device;
@@ -73,7 +96,9 @@ export class ExperimentRunner {
             chi: [],
             gradient: [],
             syncFraction: [],
+            layerSync: [], // layerSyncRow() per sample on layered S¹ runs, else null
         };
+        this.layerSyncLayers = 0;
 
         this.summary = null;
         this.pendingProcess = false;
@@ -124,6 +149,7 @@ export class ExperimentRunner {
         for (const k of Object.keys(this.samples)) {
             this.samples[k] = [];
         }
+        this.layerSyncLayers = 0;
 
         this._emit();
         return true;
@@ -196,9 +222,10 @@ export class ExperimentRunner {
             if (!result) return;
             if (!this.stats) return;
 
-            this.stats.update(result.cos, result.sin, result.localStats);
-
             const stepRel = this.pendingSampleStepRel;
+            const stepDt = (this.snapshot?.dt ?? 0) * (this.snapshot?.timeScale ?? 1);
+            this.stats.update(result.cos, result.sin, result.localStats, Number.isFinite(stepRel) ? stepRel * stepDt : NaN);
+
             if (stepRel !== null && stepRel !== undefined && stepRel >= 1 && stepRel <= this.protocol.measureSteps) {
                 this.samples.step.push(stepRel);
                 this.samples.globalR.push(result.R);
@@ -206,6 +233,9 @@ export class ExperimentRunner {
                 this.samples.chi.push(this.stats.chi);
                 this.samples.gradient.push(result.localStats?.gradient ?? 0);
                 this.samples.syncFraction.push(result.localStats?.syncFraction ?? 0);
+                const sync = result.localStats?.layerSync ?? null;
+                if (sync) this.layerSyncLayers = sync.layers;
+                this.samples.layerSync.push(sync ? layerSyncRow(sync) : null);
             }
             this.pendingSampleStepRel = null;
 
@@ -246,6 +276,26 @@ export class ExperimentRunner {
         };
     }
 
+    /**
+     * Full-resolution measurement samples as CSV (exportJSON downsamples).
+     * @returns {string}
+     */
+    exportTimeseriesCSV() {
+        const s = this.samples;
+        // Layered S¹ runs append per-layer R and layer-pair mean cos columns
+        const layerCols = this.layerSyncLayers > 1 ? layerSyncColumns(this.layerSyncLayers) : [];
+        let csv = `step,globalR,localMeanR,chi,gradient,syncFraction${layerCols.length ? ',' + layerCols.join(',') : ''}\n`;
+        for (let i = 0; i < s.step.length; i++) {
+            csv += `${s.step[i]},${s.globalR[i].toFixed(6)},${s.localMeanR[i].toFixed(6)},${s.chi[i].toFixed(6)},${s.gradient[i].toFixed(6)},${s.syncFraction[i].toFixed(6)}`;
+            const row = s.layerSync[i];
+            for (let c = 0; c < layerCols.length; c++) {
+                csv += `,${row && row.length === layerCols.length ? row[c].toFixed(6) : ''}`;
+            }
+            csv += '\n';
+        }
+        return csv;
+    }
+
     _finish(status) {
         this.running = false;
         this.phase = status;
@@ -290,14 +340,14 @@ export class ExperimentRunner {
 }
 
 export class RCCriticalitySweepRunner {
-    constructor({ device, sim, stats, reservoir, writeRCInputWeights, setInputSignal, getActiveLayerTheta, resetSimulation, setK, onUpdate }) {
+    constructor({ device, sim, stats, reservoir, writeRCInputWeights, setInputSignal, readRCFrame, resetSimulation, setK, onUpdate }) {
         this.device = device;
         this.sim = sim;
         this.stats = stats;
         this.reservoir = reservoir;
         this.writeRCInputWeights = writeRCInputWeights;
         this.setInputSignal = setInputSignal;
-        this.getActiveLayerTheta = getActiveLayerTheta;
+        this.readRCFrame = readRCFrame;
         this.resetSimulation = resetSimulation;
         this.setK = setK;
         this.onUpdate = onUpdate;
@@ -423,11 +473,10 @@ export class RCCriticalitySweepRunner {
 
         if (!this.pendingTheta) {
             this.pendingTheta = true;
-            this.sim.readTheta().then(thetaFull => {
-                if (!thetaFull) return;
-                const thetaLayer = this.getActiveLayerTheta(thetaFull);
-                this.reservoir.step(thetaLayer);
-                if (this.reservoir.tasks && this.reservoir.tasks.taskType === 'moving_dot') {
+            this.readRCFrame().then(sample => {
+                if (!sample) return;
+                this.reservoir.step(sample.frame);
+                if (this.reservoir.hasDynamicInputWeights()) {
                     this.writeRCInputWeights();
                 }
                 this.setInputSignal(this.reservoir.getInputSignal());
@@ -455,9 +504,9 @@ export class RCCriticalitySweepRunner {
     }
 
     exportCSV() {
-        let csv = 'K,trainNRMSE,testNRMSE,localMeanR_mean,chi_mean,chi_max\n';
+        let csv = 'K,trainNRMSE,testNRMSE,localMeanR_mean,chi_mean,chi_max,ridgeLambda,featureMaps,featuresPerFrame,testAccuracy\n';
         for (const r of this.results) {
-            csv += `${r.K.toFixed(3)},${r.trainNRMSE.toFixed(6)},${r.testNRMSE.toFixed(6)},${r.localMeanR_mean.toFixed(6)},${r.chi_mean.toFixed(6)},${r.chi_max.toFixed(6)}\n`;
+            csv += `${r.K.toFixed(3)},${r.trainNRMSE.toFixed(6)},${r.testNRMSE.toFixed(6)},${r.localMeanR_mean.toFixed(6)},${r.chi_mean.toFixed(6)},${r.chi_max.toFixed(6)},${r.ridgeLambda ?? ''},${r.featureMaps},${r.featuresPerFrame},${r.testAccuracy ?? ''}\n`;
         }
         return csv;
     }
@@ -489,9 +538,18 @@ export class RCCriticalitySweepRunner {
             this.setK(K);
         }
         this.resetSimulation();
-        this.reservoir.setTask(this.snapshot?.rcTask ?? 'sine');
+        this.reservoir.setTask(this.snapshot?.rcTask ?? 'sine', {
+            horizon: this.snapshot?.rcForecastHorizon,
+            dt: this.snapshot?.rcForecastDt,
+            components: this.snapshot?.rcForecastComponents
+        });
         this.reservoir.setHistoryLength(this.snapshot?.rcHistoryLength ?? 20);
         this.reservoir.setFeatureBudget(this.snapshot?.rcMaxFeatures ?? 512);
+        this.reservoir.setFeatureMaps(this.snapshot?.rcFeatureMaps ?? 'phase', {
+            fourierFeatures: this.snapshot?.rcFourierFeatures,
+            manifold: this.snapshot?.manifoldMode ?? 's1'
+        });
+        this.reservoir.setReadoutMode(this.snapshot?.rcReadoutMode ?? 'rls');
         this.reservoir.configure(
             this.snapshot?.rcInputRegion ?? 'center',
             this.snapshot?.rcOutputRegion ?? 'random',
@@ -542,6 +600,8 @@ export class RCCriticalitySweepRunner {
                     localMeanR_mean: localStats.mean,
                     chi_mean: chiStats.mean,
                     chi_max: chiMax,
+                    ...readoutSummary(this.reservoir),
+                    ...classificationSummary(this.reservoir),
                 });
 
                 this.kIdx++;
@@ -577,14 +637,14 @@ export class RCCriticalitySweepRunner {
 }
 
 export class RCInjectionModeCompareRunner {
-    constructor({ device, sim, stats, reservoir, writeRCInputWeights, setInputSignal, getActiveLayerTheta, setInjectionMode, resetSimulation, onUpdate }) {
+    constructor({ device, sim, stats, reservoir, writeRCInputWeights, setInputSignal, readRCFrame, setInjectionMode, resetSimulation, onUpdate }) {
         this.device = device;
         this.sim = sim;
         this.stats = stats;
         this.reservoir = reservoir;
         this.writeRCInputWeights = writeRCInputWeights;
         this.setInputSignal = setInputSignal;
-        this.getActiveLayerTheta = getActiveLayerTheta;
+        this.readRCFrame = readRCFrame;
         this.setInjectionMode = setInjectionMode;
         this.resetSimulation = resetSimulation;
         this.onUpdate = onUpdate;
@@ -700,11 +760,10 @@ export class RCInjectionModeCompareRunner {
 
         if (!this.pendingTheta) {
             this.pendingTheta = true;
-            this.sim.readTheta().then(thetaFull => {
-                if (!thetaFull) return;
-                const thetaLayer = this.getActiveLayerTheta(thetaFull);
-                this.reservoir.step(thetaLayer);
-                if (this.reservoir.tasks && this.reservoir.tasks.taskType === 'moving_dot') {
+            this.readRCFrame().then(sample => {
+                if (!sample) return;
+                this.reservoir.step(sample.frame);
+                if (this.reservoir.hasDynamicInputWeights()) {
                     this.writeRCInputWeights();
                 }
                 this.setInputSignal(this.reservoir.getInputSignal());
@@ -732,9 +791,9 @@ export class RCInjectionModeCompareRunner {
     }
 
     exportCSV() {
-        let csv = 'mode,trainNRMSE,testNRMSE,localMeanR_mean,chi_mean,chi_max\n';
+        let csv = 'mode,trainNRMSE,testNRMSE,localMeanR_mean,chi_mean,chi_max,ridgeLambda,featureMaps,featuresPerFrame,testAccuracy\n';
         for (const r of this.results) {
-            csv += `${r.mode},${r.trainNRMSE.toFixed(6)},${r.testNRMSE.toFixed(6)},${r.localMeanR_mean.toFixed(6)},${r.chi_mean.toFixed(6)},${r.chi_max.toFixed(6)}\n`;
+            csv += `${r.mode},${r.trainNRMSE.toFixed(6)},${r.testNRMSE.toFixed(6)},${r.localMeanR_mean.toFixed(6)},${r.chi_mean.toFixed(6)},${r.chi_max.toFixed(6)},${r.ridgeLambda ?? ''},${r.featureMaps},${r.featuresPerFrame},${r.testAccuracy ?? ''}\n`;
         }
         return csv;
     }
@@ -769,9 +828,18 @@ export class RCInjectionModeCompareRunner {
             this.setInjectionMode(mode);
         }
 
-        this.reservoir.setTask(this.snapshot?.rcTask ?? 'sine');
+        this.reservoir.setTask(this.snapshot?.rcTask ?? 'sine', {
+            horizon: this.snapshot?.rcForecastHorizon,
+            dt: this.snapshot?.rcForecastDt,
+            components: this.snapshot?.rcForecastComponents
+        });
         this.reservoir.setHistoryLength(this.snapshot?.rcHistoryLength ?? 20);
         this.reservoir.setFeatureBudget(this.snapshot?.rcMaxFeatures ?? 512);
+        this.reservoir.setFeatureMaps(this.snapshot?.rcFeatureMaps ?? 'phase', {
+            fourierFeatures: this.snapshot?.rcFourierFeatures,
+            manifold: this.snapshot?.manifoldMode ?? 's1'
+        });
+        this.reservoir.setReadoutMode(this.snapshot?.rcReadoutMode ?? 'rls');
         this.reservoir.configure(
             this.snapshot?.rcInputRegion ?? 'center',
             this.snapshot?.rcOutputRegion ?? 'random',
@@ -823,6 +891,8 @@ export class RCInjectionModeCompareRunner {
                     localMeanR_mean: localStats.mean,
                     chi_mean: chiStats.mean,
                     chi_max: chiMax,
+                    ...readoutSummary(this.reservoir),
+                    ...classificationSummary(this.reservoir),
                 });
 
                 this.modeIdx++;
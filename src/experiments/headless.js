@@ -0,0 +1,106 @@
+/**
+ * Headless rollout execution.
+ *
+ * Replays an ExperimentRunner protocol on CpuSimulation so rollouts can be
+ * batched from Node (see scripts/run-experiment.mjs). The frame loop is
+ * reproduced step-for-step: updateParams → encodeSteps → afterSubmit.
+ */
+
+import { ExperimentRunner } from './experiments.js';
+import { CpuSimulation } from '../simulation/CpuSimulation.js';
+import { StatisticsTracker } from '../statistics/StatisticsTracker.js';
+import { createInitialState } from '../app/defaultState.js';
+import { ensureLayerParams } from '../state/layerParams.js';
+import { resetSimulation } from '../patterns/patterns.js';
+import { generateTopology, topologyOptionsFromState } from '../topology/index.js';
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Split a rollout/protocol document into { state, protocol }.
+ * Accepts an `exportJSON()` rollout or a bare `{ state, protocol }` object;
+ * protocol fields fall back to the exp* keys of the state.
+ */
+export function parseRolloutInput(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Rollout input must be a JSON object');
+    }
+    const state = { ...createInitialState(), ...(input.state || {}) };
+    const p = input.protocol || {};
+    const protocol = {
+        resetAtStart: p.resetAtStart ?? state.expResetAtStart,
+        warmupSteps: p.warmupSteps ?? state.expWarmupSteps,
+        measureSteps: p.measureSteps ?? state.expMeasureSteps,
+        stepsPerFrame: p.stepsPerFrame ?? state.expStepsPerFrame,
+        readbackEvery: p.readbackEvery ?? state.expReadbackEvery,
+    };
+    return { state, protocol };
+}
+
+function applyTopology(sim, state) {
+    if ((state.topologyMode || 'grid') === 'grid') {
+        state.topologyAvgDegree = 0;
+        return;
+    }
+    const topology = generateTopology(topologyOptionsFromState(state));
+    sim.writeTopology(topology);
+    // 'custom' without an imported graph falls back to the grid.
+    if (topology.mode === 'grid') state.topologyMode = 'grid';
+    state.topologyAvgDegree = topology.avgDegree ?? 0;
+    state.topologyUsedDegree = topology.maxUsedDegree ?? 0;
+    state.topologyLayout = topology.layout || 'fixed';
+    state.topologyClamped = topology.clamped || false;
+    state.topologyDroppedEdges = topology.droppedEdges ?? 0;
+}
+
+/**
+ * Run one rollout on the CPU reference simulator.
+ * @param {Object} input - Rollout JSON (`ExperimentRunner.exportJSON` shape)
+ * @param {Object} [options]
+ * @param {number} [options.seed] - Override `state.seed`
+ * @param {Function} [options.onUpdate] - Receives ExperimentRunner progress
+ * @returns {Promise<{ rollout: Object, csv: string }>}
+ */
+export async function runHeadlessRollout(input, options = {}) {
+    const { state, protocol } = parseRolloutInput(input);
+    if (Number.isFinite(options.seed)) state.seed = Math.floor(options.seed);
+    if ((state.manifoldMode || 's1') !== 's1') {
+        throw new Error(`Headless rollouts only support the S1 manifold (got ${state.manifoldMode})`);
+    }
+    state.paused = false;
+    state.frameTime = 0;
+
+    const layerCount = Math.max(1, Math.floor(state.layerCount || 1));
+    const sim = new CpuSimulation(state.gridSize, layerCount);
+    ensureLayerParams(state, layerCount);
+    sim.writeLayerParams(state.layerParams);
+    applyTopology(sim, state);
+    sim.updateFullParams(state);
+    sim.setManifoldMode(state.manifoldMode);
+    // There is no prior GPU state to continue from, so always initialize.
+    resetSimulation(sim, state, null);
+
+    const stats = new StatisticsTracker(sim.N);
+    stats.reset();
+    const runner = new ExperimentRunner({
+        device: null,
+        sim,
+        stats,
+        getState: () => state,
+        onUpdate: options.onUpdate || null,
+    });
+    const snapshot = JSON.parse(JSON.stringify(state));
+    if (!runner.start(protocol, snapshot)) {
+        throw new Error('ExperimentRunner refused to start');
+    }
+
+    while (runner.isRunning()) {
+        state.frameTime += state.dt * state.timeScale;
+        sim.updateParams(state);
+        runner.encodeSteps(null, state.delaySteps, state.globalCoupling);
+        runner.afterSubmit();
+        await nextTick();
+    }
+
+    return { rollout: runner.exportJSON(), csv: runner.exportTimeseriesCSV() };
+}
@@ -9,3 +9,5 @@ export {
     RCCriticalitySweepRunner,
     RCInjectionModeCompareRunner
 } from './experiments.js';
+
+export { runHeadlessRollout, parseRolloutInput } from './headless.js';
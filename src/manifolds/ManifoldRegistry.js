@@ -46,7 +46,7 @@ export const ManifoldRegistry = {
       delay: false,         // Not implemented for S²
       harmonics: false,     // Not applicable
       kernel: true,         // Grid kernel works
-      reservoir: false,     // Not implemented
+      reservoir: true,      // Vector readouts; input as rotation drive / field bias
       layerKernel: true,
       globalCoupling: false, // Not implemented for S²
       phaseSpace: false,     // S¹ phase space visualization only
@@ -76,7 +76,7 @@ export const ManifoldRegistry = {
       delay: false,         // Not implemented
       harmonics: false,     // Not applicable
       kernel: true,         // Grid kernel works
-      reservoir: false,     // Not implemented
+      reservoir: true,      // Quaternion readouts; input as rotation drive / field bias
       layerKernel: true,
       globalCoupling: false, // Not implemented for S³
       phaseSpace: false,     // S¹ phase space visualization only
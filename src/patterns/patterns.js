@@ -51,6 +51,7 @@ export function resetSimulation(sim, STATE, lastExternalCanvas = null, options =
     applyThetaPattern(sim, thetaPattern, null, null, thetaRng, STATE, lastExternalCanvas);
     applyOmegaPattern(sim, omegaPattern, omegaAmp, null, null, omegaRng, STATE);
     if (typeof sim.writePrismaticState === 'function') sim.writePrismaticState();
+    if (typeof sim.seedNoise === 'function') sim.seedNoise(STATE.seed);
 }
 
 /**
@@ -318,9 +319,8 @@ export function applyGaugePattern(sim, pattern, options = {}, targetLayers = nul
 
     let graphGauge = null;
     const topo = sim.topologyInfo;
-    const maxDegree = sim.maxGraphDegree || 16;
-    if (topo?.neighbors && topo?.counts) {
-        const expected = N * maxDegree;
+    if (topo?.neighbors && topo?.counts && topo?.offsets) {
+        const expected = sim.graphSlots;
         graphGauge = baseGauge?.graph && baseGauge.graph.length === expected
             ? new Float32Array(baseGauge.graph)
             : new Float32Array(expected);
@@ -334,8 +334,8 @@ export function applyGaugePattern(sim, pattern, options = {}, targetLayers = nul
             if (!targetLayerSet.has(layerIdx)) {
                 continue;
             }
-            const count = Math.min(topo.counts[i], maxDegree);
-            const base = i * maxDegree;
+            const count = topo.counts[i];
+            const base = topo.offsets[i];
             for (let k = 0; k < count; k++) {
                 const j = topo.neighbors[base + k];
                 const key = i < j ? `${i}:${j}` : `${j}:${i}`;
@@ -354,8 +354,9 @@ export function applyGaugePattern(sim, pattern, options = {}, targetLayers = nul
                 }
                 graphGauge[base + k] = i < j ? phi : -phi;
             }
-            for (let k = count; k < maxDegree; k++) {
-                graphGauge[base + k] = 0.0;
+            // Fixed-stride rows have padding slots up to the next row start.
+            for (let k = base + count; k < topo.offsets[i + 1]; k++) {
+                graphGauge[k] = 0.0;
             }
         }
     }
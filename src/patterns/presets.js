@@ -121,7 +121,7 @@ export const Presets = {
             sim.writeGaugeField(ax, ay);
         }
         if (typeof sim.writeGraphGauge === 'function') {
-            sim.writeGraphGauge(new Float32Array(sim.N * (sim.maxGraphDegree || 16)));
+            sim.writeGraphGauge(new Float32Array(sim.graphSlots));
         }
     },
 
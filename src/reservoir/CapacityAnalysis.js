@@ -0,0 +1,191 @@
+/**
+ * Memory capacity (MC) and information processing capacity (IPC)
+ *
+ * The reservoir is driven with i.i.d. u(t) ~ U[-1, 1]. For every delay k and
+ * Legendre degree n, a ridge readout reconstructs the target
+ * y(t) = Pₙ(u(t − k)) from the instantaneous readout state. The capacity is
+ * C = 1 − MSE / Var(y) on a held-out tail, clipped to [0, 1].
+ * Degree 1 gives the linear memory curve MC(k); degrees ≥ 2 give the
+ * single-delay nonlinear capacities of Dambre et al. (2012). Cross-delay
+ * products are not included, so totals are a lower bound on the full IPC.
+ */
+
+/**
+ * Legendre polynomial Pₙ(x) (orthogonal on U[-1, 1])
+ */
+export function legendre(n, x) {
+    if (n === 0) return 1;
+    let p0 = 1;
+    let p1 = x;
+    for (let k = 1; k < n; k++) {
+        const p2 = ((2 * k + 1) * x * p1 - k * p0) / (k + 1);
+        p0 = p1;
+        p1 = p2;
+    }
+    return p1;
+}
+
+// In-place Cholesky of a dense SPD matrix (row-major, lower triangle); false if not SPD
+function choleskyInPlace(A, d) {
+    for (let j = 0; j < d; j++) {
+        let diag = A[j * d + j];
+        for (let k = 0; k < j; k++) diag -= A[j * d + k] * A[j * d + k];
+        if (!(diag > 0)) return false;
+        const ljj = Math.sqrt(diag);
+        A[j * d + j] = ljj;
+        for (let i = j + 1; i < d; i++) {
+            let sum = A[i * d + j];
+            for (let k = 0; k < j; k++) sum -= A[i * d + k] * A[j * d + k];
+            A[i * d + j] = sum / ljj;
+        }
+    }
+    return true;
+}
+
+function choleskySolve(L, d, b) {
+    const x = Float64Array.from(b);
+    for (let i = 0; i < d; i++) {
+        let sum = x[i];
+        for (let k = 0; k < i; k++) sum -= L[i * d + k] * x[k];
+        x[i] = sum / L[i * d + i];
+    }
+    for (let i = d - 1; i >= 0; i--) {
+        let sum = x[i];
+        for (let k = i + 1; k < d; k++) sum -= L[k * d + i] * x[k];
+        x[i] = sum / L[i * d + i];
+    }
+    return x;
+}
+
+/**
+ * Compute MC(k) and per-degree capacities from a recorded run.
+ * `states[t]` must be the readout state observed before `inputs[t]` was
+ * applied, so delay k = 1 is the most recent input the state can know.
+ *
+ * @param {Float32Array[]} states - Readout feature vectors per sample
+ * @param {number[]} inputs - Input applied after each state, in [-1, 1]
+ * @param {Object} [options]
+ * @param {number} [options.maxDelay=30] - Largest delay k
+ * @param {number} [options.maxDegree=3] - Largest Legendre degree
+ * @param {number} [options.washout=100] - Leading samples to discard
+ * @param {number} [options.testFraction=0.3] - Held-out tail used for scoring
+ * @param {number} [options.lambda=1e-6] - Ridge penalty relative to mean feature variance
+ * @returns {{delays: number[], degrees: number[], capacity: number[][], totals: number[],
+ *   memoryCapacity: number, nonlinearCapacity: number, totalCapacity: number,
+ *   featureCount: number, trainSamples: number, testSamples: number}}
+ */
+export function computeCapacities(states, inputs, options = {}) {
+    const maxDelay = Math.max(1, Math.floor(options.maxDelay ?? 30));
+    const maxDegree = Math.max(1, Math.floor(options.maxDegree ?? 3));
+    const washout = Math.max(maxDelay, Math.floor(options.washout ?? 100));
+    const testFraction = Math.min(0.9, Math.max(0.1, options.testFraction ?? 0.3));
+    const lambda = options.lambda ?? 1e-6;
+
+    const total = Math.min(states.length, inputs.length);
+    const usable = total - washout;
+    const d = states[0]?.length ?? 0;
+    if (d === 0 || usable < 50) {
+        throw new Error(`Capacity analysis needs at least ${washout + 50} samples with a non-empty readout`);
+    }
+    const nTest = Math.max(10, Math.floor(usable * testFraction));
+    const nTrain = usable - nTest;
+    const trainEnd = washout + nTrain;
+
+    // Centered training moments
+    const mean = new Float64Array(d);
+    for (let t = washout; t < trainEnd; t++) {
+        const s = states[t];
+        for (let i = 0; i < d; i++) mean[i] += s[i];
+    }
+    for (let i = 0; i < d; i++) mean[i] /= nTrain;
+
+    const XtX = new Float64Array(d * d);
+    const row = new Float64Array(d);
+    for (let t = washout; t < trainEnd; t++) {
+        const s = states[t];
+        for (let i = 0; i < d; i++) row[i] = s[i] - mean[i];
+        for (let i = 0; i < d; i++) {
+            const ri = row[i];
+            if (ri === 0) continue;
+            for (let j = 0; j <= i; j++) XtX[i * d + j] += ri * row[j];
+        }
+    }
+    let trace = 0;
+    for (let i = 0; i < d; i++) trace += XtX[i * d + i];
+    const ridge = Math.max(1e-12, lambda * trace / d);
+    for (let i = 0; i < d; i++) XtX[i * d + i] += ridge;
+    if (!choleskyInPlace(XtX, d)) {
+        throw new Error('Capacity analysis: normal equations are not positive definite');
+    }
+
+    const target = (t, k, n) => legendre(n, inputs[t - k]);
+    const delays = [];
+    for (let k = 1; k <= maxDelay; k++) delays.push(k);
+    const degrees = [];
+    for (let n = 1; n <= maxDegree; n++) degrees.push(n);
+
+    const capacity = degrees.map(() => new Array(maxDelay).fill(0));
+    const totals = new Array(maxDegree).fill(0);
+    const rhs = new Float64Array(d);
+    for (const n of degrees) {
+        for (const k of delays) {
+            // Train: w = (XᵀX + λI)⁻¹ Xᵀ(y − ȳ)
+            let yMean = 0;
+            for (let t = washout; t < trainEnd; t++) yMean += target(t, k, n);
+            yMean /= nTrain;
+            rhs.fill(0);
+            for (let t = washout; t < trainEnd; t++) {
+                const y = target(t, k, n) - yMean;
+                const s = states[t];
+                for (let i = 0; i < d; i++) rhs[i] += (s[i] - mean[i]) * y;
+            }
+            const w = choleskySolve(XtX, d, rhs);
+
+            // Score on the held-out tail
+            let testMean = 0;
+            for (let t = trainEnd; t < total; t++) testMean += target(t, k, n);
+            testMean /= nTest;
+            let sse = 0;
+            let sst = 0;
+            for (let t = trainEnd; t < total; t++) {
+                const s = states[t];
+                let pred = yMean;
+                for (let i = 0; i < d; i++) pred += w[i] * (s[i] - mean[i]);
+                const y = target(t, k, n);
+                sse += (y - pred) * (y - pred);
+                sst += (y - testMean) * (y - testMean);
+            }
+            const c = sst > 1e-12 ? Math.max(0, Math.min(1, 1 - sse / sst)) : 0;
+            capacity[n - 1][k - 1] = c;
+            totals[n - 1] += c;
+        }
+    }
+
+    const memoryCapacity = totals[0];
+    const nonlinearCapacity = totals.slice(1).reduce((a, b) => a + b, 0);
+    return {
+        delays,
+        degrees,
+        capacity,
+        totals,
+        memoryCapacity,
+        nonlinearCapacity,
+        totalCapacity: memoryCapacity + nonlinearCapacity,
+        featureCount: d,
+        trainSamples: nTrain,
+        testSamples: nTest
+    };
+}
+
+/**
+ * CSV with one row per delay: k, C_deg1 (= MC(k)), C_deg2, ...
+ */
+export function capacityToCSV(result) {
+    if (!result) return 'No capacity data. Run a capacity measurement first.';
+    let csv = `k,${result.degrees.map((n) => `C_deg${n}`).join(',')}\n`;
+    for (let i = 0; i < result.delays.length; i++) {
+        csv += `${result.delays[i]},${result.degrees.map((n) => result.capacity[n - 1][i].toFixed(6)).join(',')}\n`;
+    }
+    csv += `total,${result.totals.map((v) => v.toFixed(6)).join(',')}\n`;
+    return csv;
+}
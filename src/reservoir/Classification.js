@@ -0,0 +1,81 @@
+/**
+ * Classification scoring for one-hot readouts
+ *
+ * A class readout has one output per class, trained on one-hot targets,
+ * and is decoded by argmax. Decisions are counted in a confusion matrix
+ * with rows for the true class and columns for the predicted class.
+ */
+
+/**
+ * Index of the largest value (first one on ties)
+ * @param {ArrayLike<number>} values
+ * @returns {number}
+ */
+export function argmax(values) {
+    let best = 0;
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] > values[best]) best = i;
+    }
+    return best;
+}
+
+/**
+ * @param {number} classCount
+ * @returns {number[][]} classCount × classCount zeros
+ */
+export function createConfusionMatrix(classCount) {
+    return Array.from({ length: classCount }, () => new Array(classCount).fill(0));
+}
+
+/**
+ * Accuracy and per-class recall / precision of a confusion matrix.
+ * Recall or precision of a class without samples or predictions is null.
+ * @param {number[][]} matrix - Counts, rows true class, columns predicted class
+ * @param {string[]} labels - Class names
+ * @returns {{labels: string[], matrix: number[][], total: number, correct: number,
+ *   accuracy: number|null, perClass: {label: string, support: number,
+ *   recall: number|null, precision: number|null}[]}}
+ */
+export function summarizeConfusion(matrix, labels) {
+    const k = matrix.length;
+    let total = 0;
+    let correct = 0;
+    const predicted = new Array(k).fill(0);
+    const perClass = [];
+    for (let i = 0; i < k; i++) {
+        let support = 0;
+        for (let j = 0; j < k; j++) {
+            support += matrix[i][j];
+            predicted[j] += matrix[i][j];
+        }
+        total += support;
+        correct += matrix[i][i];
+        perClass.push({ label: labels[i] ?? String(i), support, recall: support > 0 ? matrix[i][i] / support : null, precision: null });
+    }
+    for (let j = 0; j < k; j++) {
+        perClass[j].precision = predicted[j] > 0 ? matrix[j][j] / predicted[j] : null;
+    }
+    return {
+        labels: perClass.map((c) => c.label),
+        matrix: matrix.map((row) => [...row]),
+        total,
+        correct,
+        accuracy: total > 0 ? correct / total : null,
+        perClass
+    };
+}
+
+/**
+ * CSV with one row per true class: counts per predicted class, then support,
+ * recall and precision; the last row is the overall accuracy.
+ */
+export function confusionToCSV(summary) {
+    if (!summary) return 'No classification data. Run a test on a classification task first.';
+    const fmt = (v) => (v === null ? '' : v.toFixed(6));
+    let csv = `true\\predicted,${summary.labels.join(',')},support,recall,precision\n`;
+    summary.perClass.forEach((c, i) => {
+        csv += `${c.label},${summary.matrix[i].join(',')},${c.support},${fmt(c.recall)},${fmt(c.precision)}\n`;
+    });
+    csv += `accuracy,${fmt(summary.accuracy)}\n`;
+    return csv;
+}
@@ -1,8 +1,9 @@
 export class OnlineLearner {
     constructor() {
-        this.weights = null;  // Weight vector
-        this.P = null;        // Inverse correlation matrix (for RLS)
+        this.weights = null;  // Weight matrix, row-major dim × outputs
+        this.P = null;        // Inverse correlation matrix (for RLS), shared by all outputs
         this.dim = 0;         // Feature dimension
+        this.outputs = 1;     // Number of jointly trained targets
         this.lambda = 0.99;   // Forgetting factor (1.0 = no forgetting)
         this.delta = 1.0;     // Initial P scaling
         this.sampleCount = 0;
@@ -11,19 +12,23 @@ export class OnlineLearner {
         this.xScratch = null;
         this.PxScratch = null;
         this.kScratch = null;
+        this.errorScratch = null;
         
-        // For computing running NRMSE
-        this.errorSum = 0;
-        this.targetSum = 0;
-        this.targetSqSum = 0;
+        // For computing running NRMSE (per output)
+        this.errorSum = new Float64Array(1);
+        this.targetSum = new Float64Array(1);
+        this.targetSqSum = new Float64Array(1);
     }
     
     /**
      * Initialize with feature dimension
+     * @param {number} dim - Feature dimension (without bias)
+     * @param {number} [outputs=1] - Number of targets
      */
-    initialize(dim) {
+    initialize(dim, outputs = 1) {
         this.dim = dim + 1; // +1 for bias
-        this.weights = new Float32Array(this.dim);
+        this.outputs = Math.max(1, outputs | 0);
+        this.weights = new Float32Array(this.dim * this.outputs);
         
         // Initialize P as scaled identity matrix
         // Use a simple diagonal representation for efficiency
@@ -33,27 +38,34 @@ export class OnlineLearner {
         }
         
         this.sampleCount = 0;
-        this.errorSum = 0;
-        this.targetSum = 0;
-        this.targetSqSum = 0;
+        this.errorSum = new Float64Array(this.outputs);
+        this.targetSum = new Float64Array(this.outputs);
+        this.targetSqSum = new Float64Array(this.outputs);
         this.initialized = true;
 
         this.xScratch = new Float32Array(this.dim);
         this.PxScratch = new Float32Array(this.dim);
         this.kScratch = new Float32Array(this.dim);
-        console.log(`OnlineLearner initialized with ${dim} features (+1 bias)`);
+        this.errorScratch = new Float64Array(this.outputs);
+        console.log(`OnlineLearner initialized with ${dim} features (+1 bias), ${this.outputs} output(s)`);
     }
     
     /**
-     * Update weights with a single sample (RLS update)
+     * Update weights with a single sample (RLS update). All outputs share
+     * the gain vector and P, so M targets cost one O(n²) update plus O(nM).
      * @param {Float32Array} features - Feature vector
-     * @param {number} target - Target value
-     * @returns {number} Prediction error for this sample
+     * @param {number|ArrayLike<number>} target - Target value, or one value per output
+     * @returns {number} Prediction error for this sample (output 0)
      */
     update(features, target) {
+        const targets = typeof target === 'number' ? [target] : target;
         if (!this.initialized) {
-            this.initialize(features.length);
+            this.initialize(features.length, targets.length);
         }
+        if (targets.length !== this.outputs) {
+            throw new Error(`OnlineLearner.update: expected ${this.outputs} target(s), got ${targets.length}`);
+        }
+        const M = this.outputs;
         
         // Augment features with bias term
         const x = this.xScratch;
@@ -61,15 +73,16 @@ export class OnlineLearner {
         x.set(features, 0);
         x[this.dim - 1] = 1.0; // Bias
         
-        // Compute prediction with current weights
-        let prediction = 0;
-        for (let i = 0; i < this.dim; i++) {
-            prediction += this.weights[i] * x[i];
+        // Prediction errors with current weights
+        const errors = this.errorScratch;
+        for (let m = 0; m < M; m++) {
+            let prediction = 0;
+            for (let i = 0; i < this.dim; i++) {
+                prediction += this.weights[i * M + m] * x[i];
+            }
+            errors[m] = targets[m] - prediction;
         }
         
-        // Prediction error
-        const error = target - prediction;
-        
         // RLS update: compute P * x
         const Px = this.PxScratch;
         for (let i = 0; i < this.dim; i++) {
@@ -93,9 +106,11 @@ export class OnlineLearner {
             k[i] = Px[i] / denom;
         }
         
-        // Update weights: w = w + k * error
+        // Update weights: W = W + k * errorᵀ
         for (let i = 0; i < this.dim; i++) {
-            this.weights[i] += k[i] * error;
+            for (let m = 0; m < M; m++) {
+                this.weights[i * M + m] += k[i] * errors[m];
+            }
         }
         
         // Update P: P = (P - k * x' * P) / lambda
@@ -108,41 +123,80 @@ export class OnlineLearner {
         
         // Update running statistics
         this.sampleCount++;
-        this.errorSum += error * error;
-        this.targetSum += target;
-        this.targetSqSum += target * target;
+        for (let m = 0; m < M; m++) {
+            this.errorSum[m] += errors[m] * errors[m];
+            this.targetSum[m] += targets[m];
+            this.targetSqSum[m] += targets[m] * targets[m];
+        }
         
-        return error;
+        return errors[0];
     }
     
     /**
      * Make a prediction
+     * @returns {number} Output 0
      */
     predict(features) {
         if (!this.initialized || !this.weights) return 0;
-        
-        let result = this.weights[this.dim - 1]; // Bias
+        return this.predictOutput(features, 0);
+    }
+
+    /**
+     * Predict every output
+     * @param {Float32Array} features - Feature vector
+     * @param {Float32Array} [out] - Destination of length `outputs`
+     * @returns {Float32Array}
+     */
+    predictAll(features, out = new Float32Array(this.outputs)) {
+        if (!this.initialized || !this.weights) {
+            out.fill(0);
+            return out;
+        }
+        for (let m = 0; m < this.outputs; m++) {
+            out[m] = this.predictOutput(features, m);
+        }
+        return out;
+    }
+
+    predictOutput(features, m) {
+        const M = this.outputs;
+        let result = this.weights[(this.dim - 1) * M + m]; // Bias
         const len = Math.min(features.length, this.dim - 1);
         for (let i = 0; i < len; i++) {
-            result += this.weights[i] * features[i];
+            result += this.weights[i * M + m] * features[i];
         }
         return result;
     }
     
     /**
-     * Get running NRMSE
+     * Get running NRMSE: sqrt of the mean over outputs of MSE / Var(target)
      */
     getNRMSE() {
         if (this.sampleCount < 2) return Infinity;
         
-        const mse = this.errorSum / this.sampleCount;
-        const meanTarget = this.targetSum / this.sampleCount;
-        const varTarget = this.targetSqSum / this.sampleCount - meanTarget * meanTarget;
-        
-        if (varTarget < 1e-10) return Infinity;
-        return Math.sqrt(mse / varTarget);
+        let ratioSum = 0;
+        for (let m = 0; m < this.outputs; m++) {
+            const mse = this.errorSum[m] / this.sampleCount;
+            const meanTarget = this.targetSum[m] / this.sampleCount;
+            const varTarget = this.targetSqSum[m] / this.sampleCount - meanTarget * meanTarget;
+            if (varTarget < 1e-10) return Infinity;
+            ratioSum += mse / varTarget;
+        }
+        return Math.sqrt(ratioSum / this.outputs);
     }
     
+    /**
+     * Mean and standard deviation of the training targets seen so far
+     * @param {number} [output=0]
+     * @returns {{mean: number, std: number}}
+     */
+    getTargetStats(output = 0) {
+        if (this.sampleCount < 2 || output >= this.outputs) return { mean: 0, std: 0 };
+        const mean = this.targetSum[output] / this.sampleCount;
+        const variance = this.targetSqSum[output] / this.sampleCount - mean * mean;
+        return { mean, std: Math.sqrt(Math.max(0, variance)) };
+    }
+
     /**
      * Check if learner is ready
      */
@@ -180,14 +234,16 @@ export class OnlineLearner {
         this.weights = null;
         this.P = null;
         this.initialized = false;
+        this.outputs = 1;
         this.sampleCount = 0;
-        this.errorSum = 0;
-        this.targetSum = 0;
-        this.targetSqSum = 0;
+        this.errorSum = new Float64Array(1);
+        this.targetSum = new Float64Array(1);
+        this.targetSqSum = new Float64Array(1);
 
         this.xScratch = null;
         this.PxScratch = null;
         this.kScratch = null;
+        this.errorScratch = null;
     }
 }
 
@@ -1,5 +1,164 @@
 import { makeRng, normalizeSeed } from '../utils/index.js';
 
+/**
+ * Chaotic forecasting benchmarks. `sampleInterval` is the model time between
+ * task samples, `transient` the model time discarded after seeding, and each
+ * observed state component is mapped to roughly [-1, 1] by (v - center) / scale
+ * with one [center, scale] pair per component in `normalization`.
+ * `lyapunovExponent` is the published largest exponent (per model time unit)
+ * used to express valid prediction time in Lyapunov times; null if unknown.
+ * `maxDt` caps the RK4 step well inside its stability limit (Lorenz blows up
+ * from dt ≈ 0.2, Rössler from dt ≈ 0.3).
+ */
+export const CHAOTIC_SYSTEMS = {
+    mackey_glass: { label: 'Mackey–Glass (τ=17)', sampleInterval: 1.0, transient: 500, normalization: [[0.9, 0.5]], lyapunovExponent: null, maxDt: 1.0 },
+    lorenz: { label: 'Lorenz-63', sampleInterval: 0.02, transient: 20, normalization: [[0, 20], [0, 27], [25, 25]], lyapunovExponent: 0.906, maxDt: 0.02 },
+    rossler: { label: 'Rössler', sampleInterval: 0.1, transient: 100, normalization: [[0, 12], [0, 12], [5, 10]], lyapunovExponent: 0.0714, maxDt: 0.05 }
+};
+
+/**
+ * RK4 step actually used for a requested dt: capped at the system's `maxDt`
+ * and shortened so a whole number of steps spans exactly one sample interval.
+ * @param {string} type - Key of CHAOTIC_SYSTEMS
+ * @param {number} dt - Requested integration step
+ * @returns {{dt: number, stepsPerSample: number}}
+ */
+export function chaoticIntegrationStep(type, dt) {
+    const { sampleInterval, maxDt } = CHAOTIC_SYSTEMS[type];
+    const h = Math.min(dt, maxDt, sampleInterval);
+    const stepsPerSample = Math.max(1, Math.ceil(sampleInterval / h - 1e-9));
+    return { dt: sampleInterval / stepsPerSample, stepsPerSample };
+}
+
+const SINE_TASK = { freq: 0.05, tau: 10 };
+
+// Waveform segments: `length` samples each, period drawn in [minPeriod, maxPeriod]
+const WAVEFORM_TASK = { length: 40, minPeriod: 8, maxPeriod: 16, noise: 0.05 };
+// Parity of the last `bits` applied ±1 inputs
+const PARITY_TASK = { bits: 3 };
+// Bundled patterns: each level is held for `hold` samples, plus Gaussian noise
+const PATTERN_TASK = { hold: 4, noise: 0.1 };
+
+const PATTERN_SET = [
+    { name: 'rise', levels: [-1, -0.75, -0.5, -0.25, 0, 0.25, 0.5, 0.75] },
+    { name: 'fall', levels: [0.75, 0.5, 0.25, 0, -0.25, -0.5, -0.75, -1] },
+    { name: 'peak', levels: [-1, -0.5, 0, 1, 1, 0, -0.5, -1] },
+    { name: 'dip', levels: [1, 0.5, 0, -1, -1, 0, 0.5, 1] },
+    { name: 'wiggle', levels: [0, 1, 0, -1, 0, 1, 0, -1] },
+    { name: 'step', levels: [-1, -1, -1, -1, 1, 1, 1, 1] }
+];
+
+/**
+ * Sequence classification tasks. Readouts have one output per class,
+ * trained on one-hot targets and decoded by argmax.
+ */
+export const CLASSIFICATION_TASKS = {
+    waveform_class: { label: 'Waveform classes', classes: ['sine', 'square', 'triangle', 'sawtooth'] },
+    parity: { label: `Temporal parity (${PARITY_TASK.bits} bits)`, classes: ['even', 'odd'] },
+    pattern_class: { label: 'Pattern set', classes: PATTERN_SET.map((p) => p.name) }
+};
+
+function waveformValue(shape, p) {
+    switch (shape) {
+        case 'sine': return Math.sin(2 * Math.PI * p);
+        case 'square': return p < 0.5 ? 1 : -1;
+        case 'triangle': return 1 - 4 * Math.abs(p - 0.5);
+        default: return 2 * p - 1;
+    }
+}
+
+const MACKEY_GLASS = { beta: 0.2, gamma: 0.1, n: 10, tau: 17 };
+const LORENZ = { sigma: 10, rho: 28, beta: 8 / 3 };
+const ROSSLER = { a: 0.2, b: 0.2, c: 5.7 };
+
+function lorenzDeriv([x, y, z]) {
+    return [LORENZ.sigma * (y - x), x * (LORENZ.rho - z) - y, x * y - LORENZ.beta * z];
+}
+
+function rosslerDeriv([x, y, z]) {
+    return [-y - z, x + ROSSLER.a * y, ROSSLER.b + z * (x - ROSSLER.c)];
+}
+
+function rk4Step(deriv, state, dt) {
+    const k1 = deriv(state);
+    const k2 = deriv(state.map((v, i) => v + 0.5 * dt * k1[i]));
+    const k3 = deriv(state.map((v, i) => v + 0.5 * dt * k2[i]));
+    const k4 = deriv(state.map((v, i) => v + dt * k3[i]));
+    return state.map((v, i) => v + (dt / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+}
+
+/**
+ * Integrates one chaotic system with RK4 and serves normalized state samples
+ * exactly `sampleInterval` apart (see chaoticIntegrationStep).
+ * Mackey–Glass keeps a ring of past values covering τ; the delayed term at
+ * RK half steps is linearly interpolated.
+ */
+class ChaoticSeries {
+    constructor(type, dt, rng) {
+        this.type = type;
+        this.config = CHAOTIC_SYSTEMS[type];
+        const step = chaoticIntegrationStep(type, dt);
+        this.dt = step.dt;
+        this.stepsPerSample = step.stepsPerSample;
+        const u = () => (rng ? rng.float() : Math.random());
+        if (type === 'mackey_glass') {
+            this.delaySteps = MACKEY_GLASS.tau / this.dt;
+            this.ring = new Float64Array(Math.ceil(this.delaySteps) + 2).fill(0.5 + 0.8 * u());
+            this.head = 0;
+            this.state = [this.ring[0]];
+        } else if (type === 'lorenz') {
+            this.state = [20 * u() - 10, 20 * u() - 10, 10 + 30 * u()];
+        } else {
+            this.state = [10 * u() - 5, 10 * u() - 5, u()];
+        }
+        const transientSteps = Math.round(this.config.transient / this.dt);
+        for (let s = 0; s < transientSteps; s++) this.integrate();
+    }
+
+    // x(t - τ + offset·dt) from the history ring (offset in [0, 1])
+    delayed(offset) {
+        const len = this.ring.length;
+        const back = this.delaySteps - offset;
+        const lo = Math.floor(back);
+        const frac = back - lo;
+        const a = this.ring[(this.head - lo + len * 2) % len];
+        const b = this.ring[(this.head - lo - 1 + len * 2) % len];
+        return a + frac * (b - a);
+    }
+
+    integrate() {
+        const dt = this.dt;
+        if (this.type === 'mackey_glass') {
+            const { beta, gamma, n } = MACKEY_GLASS;
+            const f = (x, xd) => beta * xd / (1 + Math.pow(xd, n)) - gamma * x;
+            const x = this.state[0];
+            const xd0 = this.delayed(0);
+            const xdHalf = this.delayed(0.5);
+            const xd1 = this.delayed(1);
+            const k1 = f(x, xd0);
+            const k2 = f(x + 0.5 * dt * k1, xdHalf);
+            const k3 = f(x + 0.5 * dt * k2, xdHalf);
+            const k4 = f(x + dt * k3, xd1);
+            const next = x + (dt / 6) * (k1 + 2 * k2 + 2 * k3 + k4);
+            this.head = (this.head + 1) % this.ring.length;
+            this.ring[this.head] = next;
+            this.state = [next];
+            return;
+        }
+        this.state = rk4Step(this.type === 'lorenz' ? lorenzDeriv : rosslerDeriv, this.state, dt);
+    }
+
+    // Normalized state after one sample interval ([x] or [x, y, z])
+    next() {
+        for (let s = 0; s < this.stepsPerSample; s++) this.integrate();
+        // A NaN here would silently poison the RLS / ridge statistics
+        if (!this.state.every(Number.isFinite)) {
+            throw new Error(`${this.config.label} diverged with dt=${this.dt}`);
+        }
+        return this.state.map((v, i) => (v - this.config.normalization[i][0]) / this.config.normalization[i][1]);
+    }
+}
+
 export class RCTasks {
     constructor() {
         this.time = 0;
@@ -9,6 +168,13 @@ export class RCTasks {
         this.movingDotHorizon = 5;
         this.movingDotWidth = 0.05;
         this.movingDotY = 0.5;
+        this.forecastHorizon = 1;  // Samples ahead for chaotic forecasting (1 = one-step)
+        this.forecastDt = 0.01;    // Requested RK4 step of the chaotic system (see chaoticIntegrationStep)
+        this.forecastComponents = 'x';  // 'x' or 'xyz' (Lorenz / Rössler: 3 inputs, 3 targets)
+        this.series = null;
+        this.window = [];          // Upcoming chaotic states: [current, ..., current + horizon]
+        this.segment = null;       // Classification sequence being presented: { label, values, pos }
+        this.appliedLabel = null;  // Class of the last input handed out (what the reservoir has seen)
 
         this.seed = 1;
         this.rng = makeRng(this.seed, 'rc:tasks');
@@ -22,17 +188,82 @@ export class RCTasks {
     
     /**
      * Set task type
-     * @param {string} type - 'sine', 'narma10', 'memory'
+     * @param {string} type - 'sine', 'narma10', 'memory', 'moving_dot',
+     *   'mackey_glass', 'lorenz', 'rossler', or a classification task
+     *   ('waveform_class', 'parity', 'pattern_class')
+     * @param {Object} [options]
+     * @param {number} [options.horizon] - Forecast horizon in samples (chaotic tasks)
+     * @param {number} [options.dt] - Integration step (chaotic tasks)
+     * @param {string} [options.components] - 'x' or 'xyz' (Lorenz / Rössler)
      */
-    setTask(type) {
+    setTask(type, options = {}) {
         this.taskType = type;
+        if (options.components === 'x' || options.components === 'xyz') {
+            this.forecastComponents = options.components;
+        }
+        if (Number.isFinite(options.horizon)) {
+            this.forecastHorizon = Math.max(1, Math.min(200, Math.round(options.horizon)));
+        }
+        if (Number.isFinite(options.dt) && options.dt > 0) {
+            this.forecastDt = Math.max(0.001, Math.min(1, options.dt));
+        }
         this.time = 0;
         this.history = [];
+        this.series = null;
+        this.window = [];
+        this.segment = null;
+        this.appliedLabel = null;
     }
     
     /**
-     * Get next input/target pair
-     * @returns {{input: number, target: number}}
+     * Input channels of the current task (one value per channel in `inputs`)
+     */
+    getInputDimension() {
+        return this.isVectorForecast() ? 3 : 1;
+    }
+
+    /**
+     * Targets of the current task (one value per output in `targets`)
+     */
+    getOutputDimension() {
+        if (this.isClassification()) return this.getClassLabels().length;
+        return this.isVectorForecast() ? 3 : 1;
+    }
+
+    isClassification() {
+        return Object.hasOwn(CLASSIFICATION_TASKS, this.taskType);
+    }
+
+    /**
+     * Class names of a classification task (output m is class m); empty otherwise
+     * @returns {string[]}
+     */
+    getClassLabels() {
+        return CLASSIFICATION_TASKS[this.taskType]?.classes ?? [];
+    }
+
+    isVectorForecast() {
+        return this.forecastComponents === 'xyz' && (this.taskType === 'lorenz' || this.taskType === 'rossler');
+    }
+
+    /**
+     * Model time between two samples of the chaotic task (steps per sample ×
+     * the RK4 step actually used); null for other tasks
+     * @returns {number|null}
+     */
+    getSampleSpacing() {
+        if (!Object.hasOwn(CHAOTIC_SYSTEMS, this.taskType)) return null;
+        const { dt, stepsPerSample } = this.series ?? chaoticIntegrationStep(this.taskType, this.forecastDt);
+        return dt * stepsPerSample;
+    }
+
+    /**
+     * Get next input/target pair. Multi-dimensional tasks also return
+     * `inputs` / `targets` arrays; `input` / `target` are then their first entry.
+     * Classification tasks return one-hot `targets`, the true class `label`,
+     * and `scored` on samples where a decision is due.
+     * @returns {{input: number, target: number, inputs?: number[], targets?: number[],
+     *   label?: number, scored?: boolean}}
      */
     step() {
         this.time++;
@@ -46,6 +277,15 @@ export class RCTasks {
                 return this.memoryTask();
             case 'moving_dot':
                 return this.movingDotTask();
+            case 'mackey_glass':
+            case 'lorenz':
+            case 'rossler':
+                return this.chaoticTask();
+            case 'waveform_class':
+            case 'pattern_class':
+                return this.sequenceClassTask();
+            case 'parity':
+                return this.parityTask();
             default:
                 return { input: 0, target: 0 };
         }
@@ -55,8 +295,7 @@ export class RCTasks {
      * Sine wave prediction: predict sin(t + τ) from sin(t)
      */
     sineTask() {
-        const freq = 0.05; // Slow frequency for reservoir dynamics
-        const tau = 10; // Prediction horizon
+        const { freq, tau } = SINE_TASK; // Slow frequency; prediction horizon in samples
         const input = Math.sin(freq * this.time);
         const target = Math.sin(freq * (this.time + tau));
         return { input, target };
@@ -138,6 +377,113 @@ export class RCTasks {
         return { input, target };
     }
     
+    /**
+     * Chaotic forecasting: input x(t), target x(t + horizon·Δ) for
+     * Mackey–Glass, Lorenz-63 or Rössler (with components 'xyz': inputs and
+     * targets are the full state). Each (re)start draws a new initial
+     * condition from the `rc:tasks` stream, so training and test segments
+     * come from different stretches of the attractor.
+     */
+    chaoticTask() {
+        if (!this.series) {
+            this.series = new ChaoticSeries(this.taskType, this.forecastDt, this.rng);
+            this.window = [];
+        }
+        while (this.window.length < this.forecastHorizon + 1) {
+            this.window.push(this.series.next());
+        }
+        const current = this.window[0];
+        const future = this.window[this.forecastHorizon];
+        this.window.shift();
+        if (this.isVectorForecast()) {
+            return { input: current[0], target: future[0], inputs: current, targets: future };
+        }
+        return { input: current[0], target: future[0] };
+    }
+    
+    // Next waveform or pattern sequence with a random class
+    drawSegment() {
+        const classes = this.getClassLabels();
+        const label = this.rng.int(0, classes.length - 1);
+        const values = [];
+        if (this.taskType === 'waveform_class') {
+            const { length, minPeriod, maxPeriod, noise } = WAVEFORM_TASK;
+            const period = minPeriod + (maxPeriod - minPeriod) * this.rng.float();
+            const phase = this.rng.float();
+            for (let s = 0; s < length; s++) {
+                const p = (phase + s / period) % 1;
+                values.push(waveformValue(classes[label], p) + this.rng.normal(0, noise));
+            }
+        } else {
+            const { hold, noise } = PATTERN_TASK;
+            for (const level of PATTERN_SET[label].levels) {
+                for (let s = 0; s < hold; s++) values.push(level + this.rng.normal(0, noise));
+            }
+        }
+        return { label, values, pos: 0 };
+    }
+
+    /**
+     * Waveform / pattern classification: sequences of random class are
+     * presented back to back. The label is the class of the previous input,
+     * the last one the reservoir state can reflect, and a decision is scored
+     * when a new sequence starts, i.e. once the whole previous one was seen.
+     */
+    sequenceClassTask() {
+        let scored = false;
+        if (!this.segment || this.segment.pos >= this.segment.values.length) {
+            scored = this.segment !== null;
+            this.segment = this.drawSegment();
+        }
+        const label = this.appliedLabel ?? this.segment.label;
+        const input = this.segment.values[this.segment.pos++];
+        this.appliedLabel = this.segment.label;
+        return this.classSample(input, label, scored);
+    }
+
+    /**
+     * Temporal parity: i.i.d. ±1 inputs; the class is the parity of the
+     * number of +1 among the last PARITY_TASK.bits inputs already applied
+     * (a nonlinear XOR of the reservoir's recent memory).
+     */
+    parityTask() {
+        const { bits } = PARITY_TASK;
+        let ones = 0;
+        for (let i = Math.max(0, this.history.length - bits); i < this.history.length; i++) {
+            if (this.history[i] > 0) ones++;
+        }
+        const scored = this.history.length >= bits;
+        const input = this.rng.float() < 0.5 ? -1 : 1;
+        this.history.push(input);
+        if (this.history.length > bits) this.history.shift();
+        return this.classSample(input, ones % 2, scored);
+    }
+
+    classSample(input, label, scored) {
+        const targets = this.getClassLabels().map((_, c) => (c === label ? 1 : 0));
+        return { input, target: targets[0], targets, label, scored };
+    }
+    
+    /**
+     * Samples between an input and the target that predicts it, for tasks
+     * whose target is a future value of their own input (sine, chaotic
+     * forecasting). Null when the target is not the input's continuation,
+     * so the readout cannot be fed back as the next input.
+     * @returns {number|null}
+     */
+    getGenerativeHorizon() {
+        switch (this.taskType) {
+            case 'sine':
+                return SINE_TASK.tau;
+            case 'mackey_glass':
+            case 'lorenz':
+            case 'rossler':
+                return this.forecastHorizon;
+            default:
+                return null;
+        }
+    }
+
     /**
      * Reset task state
      */
@@ -145,6 +491,10 @@ export class RCTasks {
         this.time = 0;
         this.history = [];
         this.currentDotX = 0.5;
+        this.series = null;
+        this.window = [];
+        this.segment = null;
+        this.appliedLabel = null;
     }
 }
 
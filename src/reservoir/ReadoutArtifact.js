@@ -0,0 +1,168 @@
+/**
+ * Versioned readout artifacts
+ *
+ * A trained readout only means something together with the I/O it was
+ * fitted on: which oscillators are read, how features are history-stacked
+ * and downsampled, where and how the input is injected, and the task. An
+ * artifact stores all of that next to the weights, plus the simulation
+ * parameters of the training run, so one readout can be evaluated on
+ * perturbed substrates (other K, noise, topology, ...) of the same grid.
+ */
+import { RCTasks } from './RCTasks.js';
+import { FEATURE_MAPS, MANIFOLD_COMPONENTS, featureMapSize } from './ReservoirIO.js';
+
+export const READOUT_ARTIFACT_TYPE = 'kuramoto_rc_readout';
+// 2: io.featureMaps / fourierFeatures / featureSeed (version 1 is sin/cos only)
+// 3: io.manifold (earlier versions are S¹)
+export const READOUT_ARTIFACT_VERSION = 3;
+
+const INJECTION_MODES = ['freq_mod', 'phase_drive', 'coupling_mod'];
+
+/**
+ * Simulation parameters compared on load. Differences are reported but do
+ * not block loading: evaluating on a changed substrate is the use case.
+ * `layerParams` holds the per-layer parameters and the interlayer coupling
+ * matrix (gains, shifts, delays); layerCouplingUp / Down only mirror the
+ * active layer's adjacent gains.
+ */
+export const SUBSTRATE_KEYS = Object.freeze([
+    'seed', 'dt', 'timeScale', 'K0', 'range', 'ruleMode', 'harmonicA', 'harmonicB',
+    'globalCoupling', 'topologyMode', 'topologySeed', 'delaySteps', 'sigma', 'sigma2', 'beta',
+    'noiseStrength', 'noiseMode', 'noiseTau', 'thetaPattern', 'omegaPattern', 'omegaAmplitude',
+    'manifoldMode', 'gridSize', 'layerCount', 'layerCouplingUp', 'layerCouplingDown', 'layerParams',
+    'leak', 'integrator', 'gaugeEnabled', 'phaseLagEnabled', 'phaseLagEta',
+    'plasticityEnabled', 'plasticityFrozen', 'adaptiveCouplingEnabled',
+]);
+
+/**
+ * Wrap a ReservoirComputer.exportReadout() result into a file artifact.
+ * @param {Object} readout - { readout, io, task } from exportReadout()
+ * @param {Object} context
+ * @param {Object} context.simulation - Persistent non-RC state of the training run
+ * @param {Object} context.rcSettings - Persistent RC state (regions, task, budget, ...)
+ * @param {string} context.injectionMode - How the simulation applies the input
+ * @param {number} context.seed - Global seed (input mask and task streams)
+ * @returns {Object}
+ */
+export function createReadoutArtifact(readout, { simulation, rcSettings, injectionMode, seed }) {
+    return {
+        type: READOUT_ARTIFACT_TYPE,
+        version: READOUT_ARTIFACT_VERSION,
+        timestamp: new Date().toISOString(),
+        seed,
+        readout: readout.readout,
+        io: { ...readout.io, injectionMode },
+        task: readout.task,
+        rcSettings: JSON.parse(JSON.stringify(rcSettings)),
+        simulation: JSON.parse(JSON.stringify(simulation)),
+    };
+}
+
+// Length of the stacked feature vector (mirrors ReservoirIO.getFullFeatureVector)
+function stackedFeatureCount(frameSize, historyLength, maxFeatures) {
+    const full = frameSize * historyLength;
+    if (full <= maxFeatures || maxFeatures <= 0) return full;
+    const step = Math.ceil(full / maxFeatures);
+    return Math.floor(Math.min(full, step * maxFeatures) / step);
+}
+
+function formatValue(value) {
+    return typeof value === 'number' ? String(+value.toPrecision(6)) : JSON.stringify(value);
+}
+
+// Layers and fields that differ, e.g. "layer 1 (K0, layerCoupling)"
+function describeLayerParamsDifference(trained, now) {
+    if (!Array.isArray(trained) || !Array.isArray(now)) return 'differs from the training run';
+    const parts = [];
+    if (trained.length !== now.length) parts.push(`trained ${trained.length} layers, now ${now.length}`);
+    for (let l = 0; l < Math.min(trained.length, now.length); l++) {
+        const a = trained[l] ?? {};
+        const b = now[l] ?? {};
+        const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+            .filter((field) => JSON.stringify(a[field]) !== JSON.stringify(b[field]));
+        if (fields.length > 0) parts.push(`layer ${l} (${fields.join(', ')})`);
+    }
+    return parts.join('; ');
+}
+
+/**
+ * Check whether an artifact can be used on the current substrate.
+ * @param {Object} artifact - Parsed artifact
+ * @param {Object} current
+ * @param {number} current.gridSize - Current grid side length
+ * @param {Object} [current.simulation] - Current simulation state (for substrate differences)
+ * @param {string} [current.manifoldMode] - Current manifold ('s1', 's2', 's3')
+ * @returns {{errors: string[], warnings: string[]}} Errors block loading;
+ *   warnings list substrate parameters that differ from the training run
+ */
+export function checkReadoutCompatibility(artifact, current) {
+    const errors = [];
+    const warnings = [];
+    if (!artifact || artifact.type !== READOUT_ARTIFACT_TYPE) {
+        errors.push(`Not a ${READOUT_ARTIFACT_TYPE} artifact`);
+        return { errors, warnings };
+    }
+    if (!Number.isInteger(artifact.version) || artifact.version < 1 || artifact.version > READOUT_ARTIFACT_VERSION) {
+        errors.push(`Unsupported readout artifact version: ${artifact.version}`);
+        return { errors, warnings };
+    }
+    const { readout, io, task } = artifact;
+    if (!readout || !io || !task) {
+        errors.push('Artifact is missing readout, io or task');
+        return { errors, warnings };
+    }
+
+    if (io.gridSize !== current.gridSize) {
+        errors.push(`Trained on a ${io.gridSize}×${io.gridSize} grid, current grid is ${current.gridSize}×${current.gridSize}`);
+    }
+    const N = io.gridSize * io.gridSize;
+    const indices = io.readoutIndices ?? [];
+    if (indices.length === 0 || !indices.every((i) => Number.isInteger(i) && i >= 0 && i < N)) {
+        errors.push('Readout indices are empty or outside the grid');
+    }
+    const manifold = io.manifold ?? 's1';
+    if (!(manifold in MANIFOLD_COMPONENTS)) {
+        errors.push(`Unknown manifold: ${manifold}`);
+    } else if (current.manifoldMode && current.manifoldMode !== manifold) {
+        errors.push(`Trained on ${manifold}, current manifold is ${current.manifoldMode}`);
+    }
+    const maps = io.featureMaps ?? ['phase'];
+    const unknownMaps = maps.filter((map) => !FEATURE_MAPS.includes(map));
+    if (unknownMaps.length > 0) {
+        errors.push(`Unknown feature maps: ${unknownMaps.join(', ')}`);
+    }
+    const frameSize = featureMapSize(maps, indices.length, io.fourierFeatures ?? 0, MANIFOLD_COMPONENTS[manifold] ?? 2);
+    const expected = stackedFeatureCount(frameSize, io.historyLength, io.maxFeatures);
+    if (readout.featureCount !== expected) {
+        errors.push(`Readout has ${readout.featureCount} features, its I/O settings give ${expected}`);
+    }
+    if (!Array.isArray(readout.weights) || readout.weights.length !== readout.outputs
+        || !Array.isArray(readout.biases) || readout.biases.length !== readout.outputs) {
+        errors.push('Readout weights and biases do not match the output count');
+    }
+    if (!INJECTION_MODES.includes(io.injectionMode)) {
+        errors.push(`Unknown injection mode: ${io.injectionMode}`);
+    }
+
+    const probe = new RCTasks();
+    probe.setTask(task.type, { horizon: task.horizon, dt: task.dt, components: task.components });
+    if (probe.getOutputDimension() !== readout.outputs) {
+        errors.push(`Task ${task.type} has ${probe.getOutputDimension()} output(s), readout has ${readout.outputs}`);
+    }
+    if (!Array.isArray(io.inputMasks) || io.inputMasks.length !== probe.getInputDimension()) {
+        errors.push(`Task ${task.type} needs ${probe.getInputDimension()} input mask(s)`);
+    }
+
+    const trained = artifact.simulation ?? {};
+    const now = current.simulation ?? {};
+    for (const key of SUBSTRATE_KEYS) {
+        if (!(key in trained) || !(key in now)) continue;
+        if (JSON.stringify(trained[key]) === JSON.stringify(now[key])) continue;
+        if (key === 'layerParams') {
+            warnings.push(`layerParams: ${describeLayerParamsDifference(trained[key], now[key])}`);
+        } else {
+            warnings.push(`${key}: trained ${formatValue(trained[key])}, now ${formatValue(now[key])}`);
+        }
+    }
+    return { errors, warnings };
+}
@@ -1,13 +1,20 @@
 import { ReservoirIO } from './ReservoirIO.js';
 import { OnlineLearner } from './OnlineLearner.js';
 import { RidgeRegression } from './RidgeRegression.js';
-import { RCTasks } from './RCTasks.js';
-import { normalizeSeed } from '../utils/index.js';
+import { RCTasks, CHAOTIC_SYSTEMS } from './RCTasks.js';
+import { computeCapacities } from './CapacityAnalysis.js';
+import { argmax, createConfusionMatrix, summarizeConfusion } from './Classification.js';
+import { makeRng, normalizeSeed, encodeFloat32ToBase64, decodeBase64ToFloat32 } from '../utils/index.js';
 
 export class ReservoirComputer {
     constructor(gridSize) {
         this.io = new ReservoirIO(gridSize);
         this.onlineLearner = new OnlineLearner();
+        this.ridge = new RidgeRegression();
+        this.readoutMode = 'rls';  // 'rls' (online) or 'ridge_cv' (batch ridge, λ by blocked CV)
+        this.ridgeResult = null;   // Last trainCV() result: { nrmse, lambda, cv }
+        this.ridgeActive = false;  // Batch weights (ridge fit or loaded readout) replace RLS for inference / generation
+        this.loadedReadout = null; // Metadata of a readout loaded by importReadout()
         this.tasks = new RCTasks();
 
         this.seed = 1;
@@ -15,6 +22,13 @@ export class ReservoirComputer {
         
         this.isTraining = false;
         this.isInference = false;
+        this.isCapacity = false;
+        this.capacityRun = null;
+        this.capacityResult = null;
+        this.isGenerating = false;
+        this.generation = null;
+        this.generationResult = null;
+        this.classification = null; // Decisions of the current train / test run (classification tasks)
         this.warmupSteps = 15; // Steps to fill history buffer
         this.currentStep = 0;
         
@@ -51,6 +65,66 @@ export class ReservoirComputer {
         this.tasks.setSeed(this.seed);
     }
 
+    /**
+     * Start a memory / information processing capacity measurement: drive
+     * i.i.d. U[-1, 1] input (stream `rc:capacity`) and record the
+     * instantaneous readout state (no history stacking) every step.
+     * @param {Object} [options] - samples, plus computeCapacities options
+     */
+    startCapacity(options = {}) {
+        const samples = Math.max(200, Math.floor(options.samples ?? 2000));
+        this.isCapacity = true;
+        this.isTraining = false;
+        this.isInference = false;
+        this.capacityResult = null;
+        this.capacityRun = {
+            options: { ...options, samples },
+            rng: makeRng(this.seed, 'rc:capacity'),
+            states: [],
+            inputs: []
+        };
+        this.io.clearHistory();
+        this.predictions = [];
+        this.targets = [];
+    }
+
+    stopCapacity() {
+        this.isCapacity = false;
+        this.capacityRun = null;
+        this.io.setInputSignal(0);
+    }
+
+    /**
+     * Record one capacity sample; analyzes and stops once enough are collected.
+     */
+    capacityStep(theta) {
+        const run = this.capacityRun;
+        run.states.push(this.io.extractFeatures(theta));
+        if (run.states.length >= run.options.samples) {
+            try {
+                this.capacityResult = computeCapacities(run.states, run.inputs, run.options);
+            } catch (e) {
+                console.warn('Capacity analysis failed:', e);
+                this.capacityResult = { error: e.message };
+            }
+            this.stopCapacity();
+            return { input: 0, prediction: null, target: 0 };
+        }
+        const input = run.rng.float() * 2 - 1;
+        run.inputs.push(input);
+        this.io.setInputSignal(input);
+        this.lastInput = input;
+        return { input, prediction: null, target: 0 };
+    }
+
+    /**
+     * Capacity measurement progress in [0, 1]
+     */
+    getCapacityProgress() {
+        if (!this.capacityRun) return this.capacityResult ? 1 : 0;
+        return this.capacityRun.states.length / this.capacityRun.options.samples;
+    }
+
     setFeatureBudget(maxFeatures) {
         this.maxFeatures = maxFeatures;
         this.io.setFeatureBudget(maxFeatures);
@@ -59,14 +133,37 @@ export class ReservoirComputer {
     setHistoryLength(len) {
         this.io.setHistoryLength(len);
     }
+
+    /**
+     * Select the readout feature maps (see FEATURE_MAPS in ReservoirIO.js)
+     * @param {string|string[]} maps - Array or comma-separated list
+     * @param {Object} [options] - fourierFeatures, seed (defaults to the reservoir seed)
+     */
+    setFeatureMaps(maps, options = {}) {
+        this.io.setFeatureMaps(maps, { seed: this.seed, ...options });
+    }
     
     /**
      * Set the task type
+     * @param {string} taskType
+     * @param {Object} [options] - Forecast `horizon` / `dt` for chaotic tasks
      */
-    setTask(taskType) {
-        this.tasks.setTask(taskType);
+    setTask(taskType, options = {}) {
+        this.tasks.setTask(taskType, options);
+        this.io.setInputChannels(this.tasks.getInputDimension());
     }
     
+    /**
+     * Choose how the readout is fitted. RLS trains online and is always run
+     * for the live plot; with 'ridge_cv' the training features are also
+     * collected and stopTraining() fits a batch ridge readout whose λ is
+     * picked by blocked time-series cross-validation.
+     * @param {string} mode - 'rls' or 'ridge_cv'
+     */
+    setReadoutMode(mode) {
+        this.readoutMode = mode === 'ridge_cv' ? 'ridge_cv' : 'rls';
+    }
+
     /**
      * Start training mode
      */
@@ -75,11 +172,16 @@ export class ReservoirComputer {
         this.isInference = false;
         this.currentStep = 0;
         this.onlineLearner.clear();
+        this.ridge.clear();
+        this.ridgeResult = null;
+        this.ridgeActive = false;
+        this.loadedReadout = null;
         this.tasks.reset();
         this.io.clearHistory();
         this.predictions = [];
         this.targets = [];
         this.lastNRMSE = Infinity;
+        this.resetClassification('train');
     }
     
     /**
@@ -89,15 +191,164 @@ export class ReservoirComputer {
     stopTraining() {
         this.isTraining = false;
         this.lastNRMSE = this.onlineLearner.getNRMSE();
+        if (this.readoutMode === 'ridge_cv' && this.ridge.getSampleCount() >= 10) {
+            // History-stacked samples closer than historyLength share features
+            this.ridgeResult = this.ridge.trainCV({ gap: this.io.historyLength });
+            this.ridgeActive = this.ridge.isTrained() && Number.isFinite(this.ridgeResult.nrmse);
+            if (this.ridgeActive) {
+                this.lastNRMSE = this.ridgeResult.nrmse;
+                console.log(`Ridge readout: λ=${this.ridgeResult.lambda.toExponential(2)} (blocked CV)`);
+            }
+        }
         console.log(`Training stopped: ${this.onlineLearner.getSampleCount()} samples, NRMSE: ${this.lastNRMSE.toFixed(4)}`);
         return this.lastNRMSE;
     }
+
+    isReadoutTrained() {
+        return this.ridgeActive || this.onlineLearner.isTrained();
+    }
+
+    // Readout output 0 (ridge when fitted, else RLS)
+    predictReadout(features) {
+        return this.ridgeActive ? this.ridge.predict(features) : this.onlineLearner.predict(features);
+    }
+
+    // All readout outputs (ridge when fitted, else RLS)
+    predictReadoutAll(features) {
+        return this.ridgeActive ? Float32Array.from(this.ridge.predictAll(features)) : this.onlineLearner.predictAll(features);
+    }
+
+    getReadoutOutputs() {
+        return this.ridgeActive ? this.ridge.outputs : this.onlineLearner.outputs;
+    }
+
+    /**
+     * Mean and standard deviation of the training targets, per output
+     * @returns {{mean: number, std: number}[]}
+     */
+    getReadoutTargetStats() {
+        if (this.loadedReadout) return this.loadedReadout.targetStats;
+        const stats = [];
+        for (let m = 0; m < this.onlineLearner.outputs; m++) stats.push(this.onlineLearner.getTargetStats(m));
+        return stats;
+    }
+
+    /**
+     * Trained readout with everything needed to apply it again: weights,
+     * readout oscillators, history stacking, feature budget, input masks
+     * and task. The injection mode is owned by the simulation and added by
+     * createReadoutArtifact(). Weights are float32 base64, one vector per output.
+     * @returns {{readout: Object, io: Object, task: Object}|null} Null if untrained
+     */
+    exportReadout() {
+        if (!this.isReadoutTrained()) return null;
+        const weights = [];
+        const biases = [];
+        if (this.ridgeActive) {
+            for (let m = 0; m < this.ridge.outputs; m++) {
+                weights.push(Float32Array.from(this.ridge.outputWeights[m]));
+                biases.push(this.ridge.biases[m]);
+            }
+        } else {
+            const learner = this.onlineLearner;
+            const M = learner.outputs;
+            const d = learner.dim - 1;
+            for (let m = 0; m < M; m++) {
+                const w = new Float32Array(d);
+                for (let i = 0; i < d; i++) w[i] = learner.weights[i * M + m];
+                weights.push(w);
+                biases.push(learner.weights[d * M + m]);
+            }
+        }
+        const loaded = this.loadedReadout;
+        return {
+            readout: {
+                kind: loaded ? loaded.kind : (this.ridgeActive ? 'ridge_cv' : 'rls'),
+                featureCount: weights[0].length,
+                outputs: weights.length,
+                weights: weights.map((w) => encodeFloat32ToBase64(w)),
+                biases,
+                lambda: loaded ? loaded.lambda : (this.ridgeResult?.lambda ?? null),
+                samples: loaded ? loaded.samples : this.onlineLearner.getSampleCount(),
+                trainNRMSE: Number.isFinite(this.lastNRMSE) ? this.lastNRMSE : null,
+                targetStats: this.getReadoutTargetStats()
+            },
+            io: {
+                gridSize: this.io.gridSize,
+                readoutIndices: [...this.io.readoutIndices],
+                historyLength: this.io.historyLength,
+                maxFeatures: this.io.maxFeatures,
+                featureMaps: [...this.io.featureMaps],
+                fourierFeatures: this.io.fourierFeatures,
+                featureSeed: this.io.featureSeed,
+                manifold: this.io.manifold,
+                inputChannels: this.io.inputChannels,
+                inputMasks: this.io.channelWeights.map((mask) => encodeFloat32ToBase64(mask)),
+                inputMaskSeed: this.io.seed
+            },
+            task: {
+                type: this.tasks.taskType,
+                horizon: this.tasks.forecastHorizon,
+                dt: this.tasks.forecastDt,
+                components: this.tasks.forecastComponents
+            }
+        };
+    }
+
+    /**
+     * Restore a readout written by exportReadout(). Check the artifact with
+     * checkReadoutCompatibility() first; this only validates array sizes.
+     * The loaded weights are used as fixed batch weights (like a ridge fit)
+     * until the next training run.
+     * @param {{readout: Object, io: Object, task: Object}} artifact
+     */
+    importReadout({ readout, io, task }) {
+        const weights = readout.weights.map((b64) => decodeBase64ToFloat32(b64));
+        if (weights.some((w) => w.length !== readout.featureCount)) {
+            throw new Error(`Readout weights do not have ${readout.featureCount} entries`);
+        }
+        const masks = io.inputMasks.map((b64) => decodeBase64ToFloat32(b64));
+        if (masks.some((mask) => mask.length !== this.io.N)) {
+            throw new Error(`Input masks do not match the ${this.io.gridSize}×${this.io.gridSize} grid`);
+        }
+
+        this.isTraining = false;
+        this.isInference = false;
+        this.setTask(task.type, { horizon: task.horizon, dt: task.dt, components: task.components });
+        this.setFeatureBudget(io.maxFeatures);
+        this.setHistoryLength(io.historyLength);
+        // Version 1 artifacts predate feature maps (sin/cos only), versions
+        // before 3 are S¹ only
+        this.setFeatureMaps(io.featureMaps ?? ['phase'], {
+            fourierFeatures: io.fourierFeatures,
+            seed: io.featureSeed ?? io.inputMaskSeed,
+            manifold: io.manifold ?? 's1'
+        });
+        this.io.setInputMasks(masks);
+        this.io.setReadoutIndices(io.readoutIndices);
+
+        this.onlineLearner.clear();
+        this.ridge.setWeights(weights, readout.biases);
+        this.ridgeResult = null;
+        this.ridgeActive = true;
+        this.loadedReadout = {
+            kind: readout.kind,
+            lambda: readout.lambda ?? null,
+            samples: readout.samples ?? 0,
+            targetStats: readout.targetStats ?? weights.map(() => ({ mean: 0, std: 0 }))
+        };
+        this.lastNRMSE = readout.trainNRMSE ?? Infinity;
+        this.classification = null;
+        this.predictions = [];
+        this.targets = [];
+        console.log(`Readout loaded: ${readout.kind}, ${readout.featureCount} features, ${readout.outputs} output(s), ${this.io.numReadouts} readouts`);
+    }
     
     /**
      * Start inference mode
      */
     startInference() {
-        if (!this.onlineLearner.isTrained()) {
+        if (!this.isReadoutTrained()) {
             console.warn('Model not trained yet');
             return false;
         }
@@ -109,6 +360,7 @@ export class ReservoirComputer {
         this.io.clearHistory();
         this.predictions = [];
         this.targets = [];
+        this.resetClassification('test');
         return true;
     }
     
@@ -118,6 +370,161 @@ export class ReservoirComputer {
     stopInference() {
         this.isInference = false;
     }
+
+    /**
+     * Start closed-loop generation with the trained readout. The reservoir is
+     * first driven by the true series for `warmup` steps, then the prediction
+     * made `horizon` steps earlier replaces tasks.step()'s input, so the
+     * oscillator field free-runs as a generator. The task keeps stepping in
+     * the background to provide the true continuation for scoring.
+     * @param {Object} [options]
+     * @param {number} [options.warmup=100] - Teacher-forced steps before closing the loop
+     * @param {number} [options.steps=500] - Closed-loop steps to run
+     * @param {number} [options.threshold=0.4] - Normalized error |ŷ − y| / σ_y (RMS over
+     *   outputs for multi-output tasks) that ends the valid prediction time
+     * @returns {boolean} False if untrained or the task has no continuation
+     */
+    startGeneration(options = {}) {
+        if (!this.isReadoutTrained()) {
+            console.warn('Model not trained yet');
+            return false;
+        }
+        const horizon = this.tasks.getGenerativeHorizon();
+        const outputs = this.tasks.getOutputDimension();
+        if (!horizon || outputs !== this.tasks.getInputDimension() || outputs !== this.getReadoutOutputs()) {
+            console.warn(`Task ${this.tasks.taskType} has no autonomous continuation to generate`);
+            return false;
+        }
+        const stats = this.getReadoutTargetStats();
+        if (!stats.every(({ std }) => std > 1e-10)) {
+            console.warn('Training targets have no variance');
+            return false;
+        }
+        this.isGenerating = true;
+        this.isTraining = false;
+        this.isInference = false;
+        this.currentStep = 0;
+        this.tasks.reset();
+        this.io.clearHistory();
+        this.predictions = [];
+        this.targets = [];
+        this.generationResult = null;
+        this.generation = {
+            horizon,
+            warmup: Math.max(this.warmupSteps + horizon, Math.floor(options.warmup ?? 100)),
+            steps: Math.max(1, Math.floor(options.steps ?? 500)),
+            threshold: options.threshold ?? 0.4,
+            targetMean: stats.map(({ mean }) => mean),
+            targetStd: stats.map(({ std }) => std),
+            pending: [],     // Prediction vectors awaiting feedback, oldest first
+            closedSteps: 0,
+            validSteps: null,
+            errorSq: 0
+        };
+        console.log(`Closed-loop generation: horizon=${horizon}, warmup=${this.generation.warmup}, steps=${this.generation.steps}`);
+        return true;
+    }
+
+    /**
+     * Stop generation; keeps the result up to the current step.
+     */
+    stopGeneration() {
+        if (!this.generation) return this.generationResult;
+        const gen = this.generation;
+        const system = CHAOTIC_SYSTEMS[this.tasks.taskType];
+        const validSteps = gen.validSteps ?? gen.closedSteps;
+        const spacing = this.tasks.getSampleSpacing();
+        const validTime = spacing !== null ? validSteps * spacing : null;
+        this.generationResult = {
+            task: this.tasks.taskType,
+            horizon: gen.horizon,
+            threshold: gen.threshold,
+            closedSteps: gen.closedSteps,
+            validSteps,
+            diverged: gen.validSteps !== null,
+            validTime,
+            lyapunovTimes: system?.lyapunovExponent ? validTime * system.lyapunovExponent : null,
+            nrmse: gen.closedSteps > 0 ? Math.sqrt(gen.errorSq / gen.closedSteps) : Infinity
+        };
+        this.isGenerating = false;
+        this.generation = null;
+        this.io.setInputSignal(0);
+        return this.generationResult;
+    }
+
+    /**
+     * One closed-loop step. Prediction ŷ(t) estimates the input `horizon`
+     * steps ahead, so once the loop is closed the input at t is ŷ(t − horizon),
+     * clamped to mean ± 4σ of the training targets to keep a diverging
+     * generator from driving the oscillators arbitrarily hard.
+     */
+    generationStep(theta) {
+        const gen = this.generation;
+        const sample = this.tasks.step();
+        const target = sample.target;
+        const trueInputs = sample.inputs ?? [sample.input];
+        const targets = sample.targets ?? [target];
+        const features = this.io.extractFeatures(theta);
+        this.io.updateHistory(features);
+        this.currentStep++;
+
+        const outputs = this.currentStep >= this.warmupSteps
+            ? this.predictReadoutAll(this.io.getFullFeatureVector())
+            : null;
+        const prediction = outputs ? outputs[0] : null;
+        gen.pending.push(outputs);
+        const fed = gen.pending.length > gen.horizon ? gen.pending.shift() : null;
+
+        let inputs = trueInputs;
+        if (this.currentStep > gen.warmup) {
+            inputs = gen.targetMean.map((mean, m) => {
+                const bound = 4 * gen.targetStd[m];
+                const value = fed ? fed[m] : NaN;
+                return Number.isFinite(value) ? Math.max(mean - bound, Math.min(mean + bound, value)) : mean;
+            });
+
+            // Score the free-running forecast against the true continuation
+            let errSq = 0;
+            for (let m = 0; m < targets.length; m++) {
+                const e = (outputs[m] - targets[m]) / gen.targetStd[m];
+                errSq += e * e;
+            }
+            errSq /= targets.length;
+            gen.errorSq += errSq;
+            gen.closedSteps++;
+            if (gen.validSteps === null && !(Math.sqrt(errSq) <= gen.threshold)) {
+                gen.validSteps = gen.closedSteps - 1;
+            }
+            this.predictions.push(prediction);
+            this.targets.push(target);
+            if (this.predictions.length > this.maxPlotPoints) {
+                this.predictions.shift();
+                this.targets.shift();
+            }
+        }
+        const input = inputs[0];
+        this.lastInput = input;
+        this.lastTarget = target;
+        this.lastPrediction = prediction;
+        this.setTaskInput(inputs);
+
+        if (gen.closedSteps >= gen.steps) this.stopGeneration();
+        return { input, prediction, target };
+    }
+
+    // Drive the input channel(s) with one value per task input dimension
+    setTaskInput(inputs) {
+        if (this.io.inputChannels > 1) this.io.setInputSignals(inputs);
+        else this.io.setInputSignal(inputs[0]);
+    }
+
+    /**
+     * Closed-loop progress in [0, 1] (warm-up counts as 0)
+     */
+    getGenerationProgress() {
+        if (!this.generation) return this.generationResult ? 1 : 0;
+        return this.generation.closedSteps / this.generation.steps;
+    }
     
     /**
      * Process one timestep - uses online learning for instant weight updates
@@ -125,13 +532,17 @@ export class ReservoirComputer {
      * @returns {{input: number, prediction: number|null, target: number}}
      */
     step(theta) {
-        // Get task input/target
-        const { input, target } = this.tasks.step();
+        if (this.isCapacity) return this.capacityStep(theta);
+        if (this.isGenerating) return this.generationStep(theta);
+
+        // Get task input/target (vector tasks also carry inputs/targets arrays)
+        const sample = this.tasks.step();
+        const { input, target } = sample;
         this.lastInput = input;
         this.lastTarget = target;
         
         // Set input signal for next simulation step
-        this.io.setInputSignal(input);
+        this.setTaskInput(sample.inputs ?? [input]);
         // For moving dot, update spatial weights
         if (this.tasks.taskType === 'moving_dot') {
             const x = this.tasks.currentDotX ?? 0.5;
@@ -155,14 +566,20 @@ export class ReservoirComputer {
         
         if (this.isTraining) {
             // IMPORTANT: Predict BEFORE updating to show true generalization error
-            const prediction = this.onlineLearner.predict(fullFeatures);
+            let prediction = this.onlineLearner.predict(fullFeatures);
+            if (this.classification) {
+                prediction = this.recordClassification(this.onlineLearner.predictAll(fullFeatures), sample);
+            }
             
-            // Then update weights with this sample
-            this.onlineLearner.update(fullFeatures, target);
+            // Then update weights with this sample (all outputs share P)
+            this.onlineLearner.update(fullFeatures, sample.targets ?? target);
+            if (this.readoutMode === 'ridge_cv') {
+                this.ridge.collectSample(fullFeatures, sample.targets ?? target);
+            }
             
-            // Store prediction for plotting
+            // Store prediction for plotting (class indices for classification tasks)
             this.predictions.push(prediction);
-            this.targets.push(target);
+            this.targets.push(sample.label ?? target);
             if (this.predictions.length > this.maxPlotPoints) {
                 this.predictions.shift();
                 this.targets.shift();
@@ -179,11 +596,13 @@ export class ReservoirComputer {
         
         if (this.isInference) {
             // Make prediction
-            const prediction = this.onlineLearner.predict(fullFeatures);
+            const prediction = this.classification
+                ? this.recordClassification(this.predictReadoutAll(fullFeatures), sample)
+                : this.predictReadout(fullFeatures);
             
             // Store for plotting
             this.predictions.push(prediction);
-            this.targets.push(target);
+            this.targets.push(sample.label ?? target);
             if (this.predictions.length > this.maxPlotPoints) {
                 this.predictions.shift();
                 this.targets.shift();
@@ -200,16 +619,32 @@ export class ReservoirComputer {
      * Get current input signal for injection into simulation
      */
     getInputSignal() {
-        return this.io.inputSignal;
+        return this.io.getInjectionSignal();
     }
     
     /**
-     * Get input weights array
+     * Get input weights array (union of all channel masks)
      */
     getInputWeights() {
         return this.io.inputWeights;
     }
 
+    /**
+     * Weights to upload to the simulation; multiply by getInputSignal().
+     * With several input channels the current signals are baked in.
+     */
+    getInjectionWeights() {
+        return this.io.getInjectionWeights();
+    }
+
+    /**
+     * True if the injection weights change every step (moving dot, or
+     * multi-channel input) and must be re-uploaded after each step()
+     */
+    hasDynamicInputWeights() {
+        return this.tasks.taskType === 'moving_dot' || this.io.inputChannels > 1;
+    }
+
     /**
      * Get readout mask array
      */
@@ -237,14 +672,91 @@ export class ReservoirComputer {
     resize(newGridSize) {
         this.io.resize(newGridSize);
         this.onlineLearner.clear();
+        this.ridge.clear();
+        this.ridgeResult = null;
+        this.ridgeActive = false;
+        this.loadedReadout = null;
+        this.classification = null;
         this.predictions = [];
         this.targets = [];
     }
+
+    /**
+     * Start counting decisions for a classification task (null otherwise)
+     * @param {string} phase - 'train' or 'test'
+     */
+    resetClassification(phase) {
+        if (!this.tasks.isClassification()) {
+            this.classification = null;
+            return;
+        }
+        const k = this.tasks.getOutputDimension();
+        this.classification = {
+            phase,
+            labels: this.tasks.getClassLabels(),
+            confusion: createConfusionMatrix(k),
+            frames: 0,
+            frameCorrect: 0,
+            errorSum: new Float64Array(k),
+            targetSum: new Float64Array(k),
+            targetSqSum: new Float64Array(k)
+        };
+    }
+
+    /**
+     * Decode readout outputs by argmax and count the decision. Every frame
+     * enters frame accuracy and the one-hot NRMSE; the confusion matrix only
+     * counts frames the task marks as `scored`.
+     * @returns {number} Predicted class
+     */
+    recordClassification(outputs, sample) {
+        const c = this.classification;
+        const predicted = argmax(outputs);
+        c.frames++;
+        if (predicted === sample.label) c.frameCorrect++;
+        if (sample.scored) c.confusion[sample.label][predicted]++;
+        for (let m = 0; m < c.errorSum.length; m++) {
+            const y = sample.targets[m];
+            const err = (outputs[m] ?? 0) - y;
+            c.errorSum[m] += err * err;
+            c.targetSum[m] += y;
+            c.targetSqSum[m] += y * y;
+        }
+        return predicted;
+    }
+
+    /**
+     * Confusion matrix, accuracy and frame accuracy of the current (or last)
+     * train / test run on a classification task
+     * @returns {Object|null} summarizeConfusion() fields plus phase, frames, frameAccuracy
+     */
+    getClassificationResult() {
+        const c = this.classification;
+        if (!c) return null;
+        return {
+            phase: c.phase,
+            ...summarizeConfusion(c.confusion, c.labels),
+            frames: c.frames,
+            frameAccuracy: c.frames > 0 ? c.frameCorrect / c.frames : null
+        };
+    }
     
     /**
-     * Compute test NRMSE
+     * Compute test NRMSE (classification: of the one-hot outputs, RMS over classes)
      */
     computeTestNRMSE() {
+        const c = this.classification;
+        if (c?.phase === 'test') {
+            if (c.frames < 10) return Infinity;
+            let ratioSum = 0;
+            for (let m = 0; m < c.errorSum.length; m++) {
+                const mean = c.targetSum[m] / c.frames;
+                const varY = c.targetSqSum[m] / c.frames - mean * mean;
+                if (varY < 1e-10) return Infinity;
+                ratioSum += c.errorSum[m] / c.frames / varY;
+            }
+            return Math.sqrt(ratioSum / c.errorSum.length);
+        }
         if (this.predictions.length < 10) return Infinity;
         
         let mse = 0;
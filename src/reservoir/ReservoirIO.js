@@ -1,12 +1,81 @@
 import { makeRng, normalizeSeed } from '../utils/index.js';
 
+/**
+ * Feature maps for extractFeatures(), in output order. On S² / S³ the state
+ * vector x (3 or 4 components) takes the place of (sin θ, cos θ):
+ * - phase: sin θ, cos θ per readout (S² / S³: the components of x)
+ * - local_order: order parameter R of the 3×3 patch around each readout
+ * - phase_diff: sin, cos of θ(k+1) − θ(k) for consecutive readouts
+ *   (S² / S³: cos and sin of the angle between x(k+1) and x(k))
+ * - frequency: wrapped phase advance θ(t) − θ(t−1) per readout and frame
+ *   (S² / S³: angle between x(t) and x(t−1))
+ * - products: sin θa sin θb, cos θa cos θb for one random partner b per readout
+ *   (S² / S³: component-wise xa ⊙ xb)
+ * - fourier: random Fourier projections cos(ω·x + b) of the phase features x
+ */
+export const FEATURE_MAPS = Object.freeze(['phase', 'local_order', 'phase_diff', 'frequency', 'products', 'fourier']);
+
+/**
+ * Readout components per oscillator: (sin θ, cos θ) on S¹, the unit vector
+ * on S² and the quaternion on S³
+ */
+export const MANIFOLD_COMPONENTS = Object.freeze({ s1: 2, s2: 3, s3: 4 });
+
+/**
+ * Features per frame for a feature-map selection
+ * @param {string[]} maps - Entries of FEATURE_MAPS
+ * @param {number} readouts - Number of readout oscillators
+ * @param {number} fourierFeatures - Random Fourier projections
+ * @param {number} [components=2] - Components per readout (MANIFOLD_COMPONENTS)
+ */
+export function featureMapSize(maps, readouts, fourierFeatures, components = 2) {
+    let size = 0;
+    for (const map of maps) {
+        if (map === 'phase') size += components * readouts;
+        else if (map === 'products') size += readouts > 1 ? components * readouts : 0;
+        else if (map === 'local_order' || map === 'frequency') size += readouts;
+        else if (map === 'phase_diff') size += 2 * Math.max(0, readouts - 1);
+        else if (map === 'fourier') size += readouts > 0 ? fourierFeatures : 0;
+    }
+    return size;
+}
+
+/**
+ * Floats per readout oscillator in a GPU feature gather (S¹ only):
+ * [sin θ, cos θ, 3×3 patch order R]
+ */
+export const GATHER_STRIDE = 3;
+
+const wrapPhase = (d) => d - 2 * Math.PI * Math.round(d / (2 * Math.PI));
+
+function dot(a, ia, b, ib, n) {
+    let sum = 0;
+    for (let j = 0; j < n; j++) sum += a[ia + j] * b[ib + j];
+    return sum;
+}
+
+// Readout k's step since the previous frame: wrapped phase advance on S¹,
+// angle between the two state vectors on S² / S³
+function stepAngle(v, prev, k, C, s1) {
+    if (s1) return wrapPhase(Math.atan2(v[k * 2], v[k * 2 + 1]) - Math.atan2(prev[k * 2], prev[k * 2 + 1]));
+    return Math.acos(Math.max(-1, Math.min(1, dot(v, k * C, prev, k * C, C))));
+}
+
 export class ReservoirIO {
     constructor(gridSize) {
         this.gridSize = gridSize;
         this.N = gridSize * gridSize;
         
         // Input weights: how strongly each oscillator receives input signal
+        // (union of all channel masks when there is more than one channel)
         this.inputWeights = new Float32Array(this.N);
+
+        // Multi-channel input: one spatial mask and one signal per channel.
+        // With a single channel the mask is inputWeights itself.
+        this.inputChannels = 1;
+        this.channelWeights = [this.inputWeights];
+        this.inputSignals = new Float32Array(1);
+        this.injectionWeights = null;  // Scratch for Σ_d mask_d · u_d
         
         // Readout mask: which oscillators are used for output (0 or 1)
         this.readoutMask = new Float32Array(this.N);
@@ -27,23 +96,165 @@ export class ReservoirIO {
         // Number of readout oscillators
         this.numReadouts = 0;
 
+        // Feature maps (see FEATURE_MAPS); random pairs and projections are
+        // drawn from stream 'rc:features' of featureSeed
+        this.featureMaps = ['phase'];
+        this.fourierFeatures = 64;
+        this.fourierScale = 1.0;       // ω ~ N(0, scale² / readouts), so ω·x ~ N(0, scale²)
+        this.productPartners = null;   // Int32Array: partner readout per readout
+        this.fourierWeights = null;    // Float32Array: fourierFeatures × components·readouts
+        this.fourierOffsets = null;    // Float32Array: b ~ U[0, 2π)
+        this.prevReadoutState = null;  // Last frame's readout components (frequency map)
+
+        // Oscillator state space: 's1' phases, or 's2' / 's3' unit vectors
+        // read from rgba32 state (x, y, z, w), 4 floats per oscillator
+        this.manifold = 's1';
+        this.components = MANIFOLD_COMPONENTS.s1;
+
         this.seed = 1;
+        this.featureSeed = 1;
         this.rng = makeRng(this.seed, 'rc:io');
     }
 
     setSeed(seed) {
         this.seed = normalizeSeed(seed);
+        this.featureSeed = this.seed;
         this.rng = makeRng(this.seed, 'rc:io');
+        this.buildFeatureMaps();
+    }
+
+    /**
+     * Select feature maps. Unknown names are dropped, the order is always
+     * that of FEATURE_MAPS, and an empty selection falls back to 'phase'.
+     * @param {string|string[]} maps - Array or comma-separated list
+     * @param {Object} [options]
+     * @param {number} [options.fourierFeatures] - Random Fourier projections (4-1024)
+     * @param {number} [options.seed] - Seed for random pairs / projections
+     * @param {string} [options.manifold] - 's1', 's2' or 's3'
+     */
+    setFeatureMaps(maps, options = {}) {
+        const list = typeof maps === 'string' ? maps.split(',').map((m) => m.trim()) : (maps ?? []);
+        const selected = FEATURE_MAPS.filter((map) => list.includes(map));
+        this.featureMaps = selected.length > 0 ? selected : ['phase'];
+        if (options.manifold !== undefined) {
+            this.manifold = options.manifold in MANIFOLD_COMPONENTS ? options.manifold : 's1';
+            this.components = MANIFOLD_COMPONENTS[this.manifold];
+        }
+        if (Number.isFinite(options.fourierFeatures)) {
+            this.fourierFeatures = Math.max(4, Math.min(1024, Math.floor(options.fourierFeatures)));
+        }
+        if (options.seed !== undefined) this.featureSeed = normalizeSeed(options.seed);
+        this.buildFeatureMaps();
+        this.clearHistory();
+    }
+
+    /**
+     * Features per frame for the current readouts and maps
+     */
+    getFeatureSize() {
+        return featureMapSize(this.featureMaps, this.readoutIndices.length, this.fourierFeatures, this.components);
+    }
+
+    // Draw product partners and Fourier projections for the current readouts
+    buildFeatureMaps() {
+        const R = this.readoutIndices.length;
+        const rng = makeRng(this.featureSeed, 'rc:features');
+        this.productPartners = null;
+        this.fourierWeights = null;
+        this.fourierOffsets = null;
+        if (R > 1 && this.featureMaps.includes('products')) {
+            this.productPartners = new Int32Array(R);
+            for (let k = 0; k < R; k++) {
+                const b = rng.int(0, R - 2);
+                this.productPartners[k] = b >= k ? b + 1 : b;
+            }
+        }
+        if (R > 0 && this.featureMaps.includes('fourier')) {
+            const D = this.fourierFeatures;
+            const std = this.fourierScale / Math.sqrt(R);
+            this.fourierWeights = new Float32Array(D * this.components * R);
+            this.fourierOffsets = new Float32Array(D);
+            for (let i = 0; i < this.fourierWeights.length; i++) this.fourierWeights[i] = rng.normal(0, std);
+            for (let j = 0; j < D; j++) this.fourierOffsets[j] = rng.float() * 2 * Math.PI;
+        }
     }
     
+    /**
+     * Set the number of input channels. The current input region is split
+     * again so every channel gets its own part of it.
+     * @param {number} count - Input dimension D (1-16)
+     */
+    setInputChannels(count) {
+        const D = Math.max(1, Math.min(16, Math.floor(count) || 1));
+        if (D === this.inputChannels) return;
+        this.inputChannels = D;
+        this.inputSignals = new Float32Array(D);
+        this.inputSignal = 0;
+        this.splitInputChannels();
+    }
+
     /**
      * Configure input region
      * @param {string} region - 'left', 'top', 'center', 'random'
      * @param {number} width - Fraction of grid (0-0.5)
      * @param {number} strength - Input scaling factor
+     * @param {number|null} [channel] - Write only this channel's mask (full
+     *   region); by default the region is split into one contiguous part per channel
+     */
+    setInputRegion(region, width = 0.1, strength = 1.0, channel = null) {
+        if (channel !== null) {
+            if (this.inputChannels === 1) {
+                this.fillRegionMask(region, width, strength, this.inputWeights);
+                return;
+            }
+            const mask = this.channelWeights[channel];
+            if (!mask) {
+                console.warn(`setInputRegion: no input channel ${channel}`);
+                return;
+            }
+            this.fillRegionMask(region, width, strength, mask);
+            this.updateInputUnion();
+            return;
+        }
+        this.fillRegionMask(region, width, strength, this.inputWeights);
+        this.splitInputChannels();
+    }
+
+    /**
+     * Split inputWeights into one mask per channel: the input cells in
+     * row-major order are cut into D contiguous runs, i.e. horizontal bands
+     * of the region.
      */
-    setInputRegion(region, width = 0.1, strength = 1.0) {
+    splitInputChannels() {
+        const D = this.inputChannels;
+        if (D === 1) {
+            this.channelWeights = [this.inputWeights];
+            return;
+        }
+        const cells = [];
+        for (let i = 0; i < this.N; i++) {
+            if (this.inputWeights[i] !== 0) cells.push(i);
+        }
+        this.channelWeights = [];
+        for (let d = 0; d < D; d++) {
+            const mask = new Float32Array(this.N);
+            const start = Math.floor((d * cells.length) / D);
+            const end = Math.floor(((d + 1) * cells.length) / D);
+            for (let c = start; c < end; c++) mask[cells[c]] = this.inputWeights[cells[c]];
+            this.channelWeights.push(mask);
+        }
+    }
+
+    // Rebuild inputWeights as the union (sum) of the channel masks
+    updateInputUnion() {
         this.inputWeights.fill(0);
+        for (const mask of this.channelWeights) {
+            for (let i = 0; i < this.N; i++) this.inputWeights[i] += mask[i];
+        }
+    }
+
+    fillRegionMask(region, width, strength, out) {
+        out.fill(0);
         const w = Math.floor(this.gridSize * width);
         
         switch (region) {
@@ -51,7 +262,7 @@ export class ReservoirIO {
                 // Simple left edge - uniform weights
                 for (let y = 0; y < this.gridSize; y++) {
                     for (let x = 0; x < w; x++) {
-                        this.inputWeights[y * this.gridSize + x] = strength;
+                        out[y * this.gridSize + x] = strength;
                     }
                 }
                 break;
@@ -59,7 +270,7 @@ export class ReservoirIO {
                 // Simple top edge - uniform weights  
                 for (let y = 0; y < w; y++) {
                     for (let x = 0; x < this.gridSize; x++) {
-                        this.inputWeights[y * this.gridSize + x] = strength;
+                        out[y * this.gridSize + x] = strength;
                     }
                 }
                 break;
@@ -71,7 +282,7 @@ export class ReservoirIO {
                     for (let x = 0; x < this.gridSize; x++) {
                         const dx = x - cx, dy = y - cy;
                         if (dx * dx + dy * dy < r * r) {
-                            this.inputWeights[y * this.gridSize + x] = strength;
+                            out[y * this.gridSize + x] = strength;
                         }
                     }
                 }
@@ -86,7 +297,7 @@ export class ReservoirIO {
                     [indices[i], indices[j]] = [indices[j], indices[i]];
                 }
                 for (let i = 0; i < numInputs; i++) {
-                    this.inputWeights[indices[i]] = strength;
+                    out[indices[i]] = strength;
                 }
                 break;
             case 'gradient':
@@ -97,7 +308,7 @@ export class ReservoirIO {
                         // Exponential falloff from left edge
                         const normalizedX = x / this.gridSize;
                         const falloff = Math.exp(-normalizedX * 4); // e^(-4x) decays to ~2% at x=1
-                        this.inputWeights[y * this.gridSize + x] = strength * falloff;
+                        out[y * this.gridSize + x] = strength * falloff;
                     }
                 }
                 break;
@@ -164,26 +375,106 @@ export class ReservoirIO {
                 this.readoutIndices.push(idx);
             }
         }
+        this.buildFeatureMaps();
     }
     
     /**
-     * Set current input signal
+     * Use an explicit list of readout oscillators (e.g. from a saved readout)
+     * @param {number[]} indices - Cell indices in [0, N)
+     */
+    setReadoutIndices(indices) {
+        this.readoutMask.fill(0);
+        this.readoutIndices = [];
+        for (const idx of indices) {
+            if (!Number.isInteger(idx) || idx < 0 || idx >= this.N) continue;
+            this.readoutMask[idx] = 1;
+            this.readoutIndices.push(idx);
+        }
+        this.numReadouts = this.readoutIndices.length;
+        this.buildFeatureMaps();
+    }
+
+    /**
+     * Use explicit per-channel input masks (e.g. from a saved readout);
+     * sets the channel count to masks.length
+     * @param {Float32Array[]} masks - One length-N mask per channel
+     */
+    setInputMasks(masks) {
+        this.inputChannels = Math.max(1, masks.length);
+        this.inputSignals = new Float32Array(this.inputChannels);
+        this.inputSignal = 0;
+        if (this.inputChannels === 1) {
+            this.inputWeights.set(masks[0]);
+            this.channelWeights = [this.inputWeights];
+            return;
+        }
+        this.channelWeights = masks.map((mask) => Float32Array.from(mask));
+        this.updateInputUnion();
+    }
+
+    /**
+     * Set current input signal (channel 0; other channels are zeroed)
      * @param {number} signal - Input value (typically normalized to [-1, 1])
      */
     setInputSignal(signal) {
         this.inputSignal = signal;
+        this.inputSignals.fill(0);
+        this.inputSignals[0] = signal;
+    }
+
+    /**
+     * Set all channel signals at once
+     * @param {ArrayLike<number>} signals - One value per input channel
+     */
+    setInputSignals(signals) {
+        for (let d = 0; d < this.inputChannels; d++) {
+            this.inputSignals[d] = signals[d] ?? 0;
+        }
+        this.inputSignal = this.inputSignals[0];
+    }
+
+    /**
+     * Per-oscillator weights to upload to the simulation. The simulation
+     * injects weights[i] · signal, so with several channels the field
+     * Σ_d mask_d[i] · u_d is returned and getInjectionSignal() is 1.
+     * @returns {Float32Array}
+     */
+    getInjectionWeights() {
+        if (this.inputChannels === 1) return this.inputWeights;
+        if (!this.injectionWeights || this.injectionWeights.length !== this.N) {
+            this.injectionWeights = new Float32Array(this.N);
+        }
+        const field = this.injectionWeights;
+        field.fill(0);
+        for (let d = 0; d < this.inputChannels; d++) {
+            const u = this.inputSignals[d];
+            if (u === 0) continue;
+            const mask = this.channelWeights[d];
+            for (let i = 0; i < this.N; i++) field[i] += mask[i] * u;
+        }
+        return field;
+    }
+
+    getInjectionSignal() {
+        return this.inputChannels === 1 ? this.inputSignal : 1;
     }
     
     /**
      * Extract features from current oscillator state
-     * @param {Float32Array} theta - Current phase values
-     * @returns {Float32Array} Feature vector [sin(θ), cos(θ)] for readout oscillators
+     * @param {Float32Array|{gathered: Float32Array}} theta - Current phase values
+     *   (S² / S³: rgba state, 4 floats per oscillator), or readout values
+     *   gathered on the GPU (see extractGatheredFeatures)
+     * @returns {Float32Array} Concatenated feature maps (default: [sin(θ), cos(θ)]
+     *   for readout oscillators)
      */
     extractFeatures(theta) {
+        if (theta?.gathered) return this.extractGatheredFeatures(theta.gathered);
+
         // Safety check
-        if (!theta || theta.length !== this.N) {
-            console.warn('extractFeatures: invalid theta', theta?.length, 'expected', this.N);
-            return new Float32Array(this.numReadouts * 2);
+        const expected = this.manifold === 's1' ? this.N : this.N * 4;
+        if (!theta || theta.length !== expected) {
+            console.warn('extractFeatures: invalid theta', theta?.length, 'expected', expected);
+            return new Float32Array(this.getFeatureSize());
         }
         
         if (this.numReadouts === 0) {
@@ -191,20 +482,158 @@ export class ReservoirIO {
             return new Float32Array(0);
         }
         
-        // Features: sin(θ) and cos(θ) for each readout oscillator
         const indices = this.readoutIndices;
-        const features = new Float32Array(indices.length * 2);
+        const R = indices.length;
+        const C = this.components;
+        const v = new Float32Array(R * C);
+        for (let k = 0; k < R; k++) {
+            if (this.manifold === 's1') {
+                const th = theta[indices[k]];
+                v[k * 2] = Math.sin(th);
+                v[k * 2 + 1] = Math.cos(th);
+            } else {
+                for (let j = 0; j < C; j++) v[k * C + j] = theta[indices[k] * 4 + j];
+            }
+        }
+        let order = null;
+        if (this.needsLocalOrder()) {
+            order = new Float32Array(R);
+            for (let k = 0; k < R; k++) order[k] = this.patchOrder(theta, indices[k]);
+        }
+        return this.assembleFeatures(v, order);
+    }
+
+    /**
+     * Features from readout values gathered on the GPU: GATHER_STRIDE floats
+     * per readout oscillator, [sin θ, cos θ, 3×3 patch order R] (R is 0
+     * unless needsLocalOrder()). Gives the same maps as extractFeatures(theta)
+     * up to float32 rounding. S¹ only.
+     * @param {Float32Array} gathered
+     * @returns {Float32Array}
+     */
+    extractGatheredFeatures(gathered) {
+        const R = this.numReadouts;
+        if (R === 0) {
+            console.warn('extractGatheredFeatures: no readout oscillators configured');
+            return new Float32Array(0);
+        }
+        if (this.manifold !== 's1' || !gathered || gathered.length < R * GATHER_STRIDE) {
+            console.warn('extractGatheredFeatures: invalid gather', gathered?.length, 'expected', R * GATHER_STRIDE);
+            return new Float32Array(this.getFeatureSize());
+        }
+        const v = new Float32Array(R * 2);
+        const order = this.needsLocalOrder() ? new Float32Array(R) : null;
+        for (let k = 0; k < R; k++) {
+            v[k * 2] = gathered[k * GATHER_STRIDE];
+            v[k * 2 + 1] = gathered[k * GATHER_STRIDE + 1];
+            if (order) order[k] = gathered[k * GATHER_STRIDE + 2];
+        }
+        return this.assembleFeatures(v, order);
+    }
+
+    // True if the selected maps need the 3×3 patch order around each readout
+    needsLocalOrder() {
+        return this.featureMaps.includes('local_order');
+    }
+
+    /**
+     * Concatenate the selected feature maps from the readout components
+     * (interleaved, `components` per readout: sin θ, cos θ on S¹) and, for
+     * local_order, their patch order parameters
+     */
+    assembleFeatures(v, order) {
+        const C = this.components;
+        const R = v.length / C;
+        const s1 = this.manifold === 's1';
+        const features = new Float32Array(this.getFeatureSize());
         let fi = 0;
 
-        for (let k = 0; k < indices.length; k++) {
-            const i = indices[k];
-            const th = theta[i];
-            features[fi++] = Math.sin(th);
-            features[fi++] = Math.cos(th);
+        for (const map of this.featureMaps) {
+            switch (map) {
+                case 'phase':
+                    // sin(θ) and cos(θ) (or the state vector) for each readout oscillator
+                    for (let i = 0; i < R * C; i++) features[fi++] = v[i];
+                    break;
+                case 'local_order':
+                    for (let k = 0; k < R; k++) {
+                        features[fi++] = order ? order[k] : 0;
+                    }
+                    break;
+                case 'phase_diff':
+                    for (let k = 0; k + 1 < R; k++) {
+                        if (s1) {
+                            // sin / cos of θ(k+1) − θ(k) by the angle-difference identities
+                            const sa = v[k * 2 + 2], ca = v[k * 2 + 3], sb = v[k * 2], cb = v[k * 2 + 1];
+                            features[fi++] = sa * cb - ca * sb;
+                            features[fi++] = ca * cb + sa * sb;
+                        } else {
+                            const cos = dot(v, (k + 1) * C, v, k * C, C);
+                            features[fi++] = cos;
+                            features[fi++] = Math.sqrt(Math.max(0, 1 - cos * cos));
+                        }
+                    }
+                    break;
+                case 'frequency': {
+                    // First frame after clearHistory() has no previous state: 0
+                    const prev = this.prevReadoutState;
+                    for (let k = 0; k < R; k++) {
+                        features[fi++] = prev ? stepAngle(v, prev, k, C, s1) : 0;
+                    }
+                    break;
+                }
+                case 'products':
+                    if (!this.productPartners) break;
+                    for (let k = 0; k < R; k++) {
+                        const b = this.productPartners[k];
+                        for (let j = 0; j < C; j++) features[fi++] = v[k * C + j] * v[b * C + j];
+                    }
+                    break;
+                case 'fourier': {
+                    if (!this.fourierWeights) break;
+                    const W = this.fourierWeights;
+                    const stride = C * R;
+                    for (let j = 0; j < this.fourierFeatures; j++) {
+                        let z = this.fourierOffsets[j];
+                        const row = j * stride;
+                        for (let i = 0; i < stride; i++) z += W[row + i] * v[i];
+                        features[fi++] = Math.cos(z);
+                    }
+                    break;
+                }
+            }
+        }
+
+        if (this.featureMaps.includes('frequency')) {
+            this.prevReadoutState = new Float32Array(v);
         }
 
         return features;
     }
+
+    /**
+     * Order parameter of the 3×3 patch around a cell (periodic boundaries):
+     * R = |⟨e^{iθ}⟩| on S¹, the length of the mean state vector on S² / S³
+     */
+    patchOrder(theta, idx) {
+        const n = this.gridSize;
+        const x = idx % n;
+        const y = (idx - x) / n;
+        const C = this.manifold === 's1' ? 0 : this.components;
+        const sum = [0, 0, 0, 0];
+        for (let dy = -1; dy <= 1; dy++) {
+            const row = ((y + dy + n) % n) * n;
+            for (let dx = -1; dx <= 1; dx++) {
+                const cell = row + ((x + dx + n) % n);
+                if (C === 0) {
+                    sum[0] += Math.cos(theta[cell]);
+                    sum[1] += Math.sin(theta[cell]);
+                } else {
+                    for (let j = 0; j < C; j++) sum[j] += theta[cell * 4 + j];
+                }
+            }
+        }
+        return Math.sqrt(sum.reduce((acc, u) => acc + u * u, 0)) / 9;
+    }
     
     /**
      * Update feature history with current features
@@ -256,6 +685,7 @@ export class ReservoirIO {
     clearHistory() {
         this.featureHistory = [];
         this.historyIndex = 0;
+        this.prevReadoutState = null;
     }
     
     /**
@@ -265,8 +695,12 @@ export class ReservoirIO {
         this.gridSize = newGridSize;
         this.N = newGridSize * newGridSize;
         this.inputWeights = new Float32Array(this.N);
+        this.channelWeights = [this.inputWeights];
+        this.injectionWeights = null;
+        if (this.inputChannels > 1) this.splitInputChannels();
         this.readoutMask = new Float32Array(this.N);
         this.readoutIndices = [];
+        this.buildFeatureMaps();
         this.clearHistory();
     }
 
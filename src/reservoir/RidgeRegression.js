@@ -1,23 +1,48 @@
+import { symmetricEigen } from '../utils/index.js';
+
+/**
+ * Log-spaced ridge penalties from `min` to `max` (inclusive)
+ */
+export function logLambdaGrid(min = 1e-6, max = 1e3, count = 19) {
+    const lo = Math.log10(min);
+    const hi = Math.log10(max);
+    const n = Math.max(2, count | 0);
+    const grid = [];
+    for (let i = 0; i < n; i++) grid.push(Math.pow(10, lo + ((hi - lo) * i) / (n - 1)));
+    return grid;
+}
+
 export class RidgeRegression {
     constructor() {
         this.X = []; // Feature matrix (list of feature vectors)
-        this.Y = []; // Target values
-        this.weights = null; // Trained weights
+        this.Y = []; // Target rows (one value per output)
+        this.outputs = 1;
+        this.outputWeights = null; // Trained weights, one array per output
+        this.biases = null;
+        this.weights = null; // Output 0 weights
         this.bias = 0;
     }
     
     /**
      * Collect a training sample
      * @param {Float32Array} features - Feature vector
-     * @param {number} target - Target value
+     * @param {number|ArrayLike<number>} target - Target value, or one value per output
      */
     collectSample(features, target) {
+        const row = typeof target === 'number' ? [target] : Array.from(target);
+        if (this.Y.length === 0) {
+            this.outputs = row.length;
+        } else if (row.length !== this.outputs) {
+            console.warn(`RidgeRegression: expected ${this.outputs} target(s), got ${row.length}`);
+            return;
+        }
         this.X.push(Array.from(features));
-        this.Y.push(target);
+        this.Y.push(row);
     }
     
     /**
-     * Train the model using ridge regression
+     * Train the model using ridge regression. All outputs share XᵀX, so the
+     * system is solved once with the matrix right-hand side XᵀY.
      * @param {number} lambda - Regularization parameter
      * @returns {number} Training NRMSE
      */
@@ -58,37 +83,233 @@ export class RidgeRegression {
             XtX[i][i] += lambda;
         }
         
-        // Compute X^T Y
-        const XtY = new Array(d_aug).fill(0);
+        // Compute X^T Y (d_aug × outputs)
+        const M = this.outputs;
+        const XtY = new Array(d_aug).fill(0).map(() => new Array(M).fill(0));
         for (let i = 0; i < d_aug; i++) {
             for (let k = 0; k < n; k++) {
-                XtY[i] += X_aug[k][i] * this.Y[k];
+                const xi = X_aug[k][i];
+                for (let m = 0; m < M; m++) {
+                    XtY[i][m] += xi * this.Y[k][m];
+                }
             }
         }
         
-        // Solve (X^T X + λI) w = X^T Y using Gaussian elimination
-        const w = this.solveLinearSystem(XtX, XtY);
+        // Solve (X^T X + λI) W = X^T Y using Gaussian elimination
+        const W = this.solveLinearSystem(XtX, XtY);
         
-        if (w === null) {
+        if (W === null) {
             console.error('Failed to solve linear system');
             return Infinity;
         }
         
-        this.weights = w.slice(0, d);
-        this.bias = w[d];
+        this.outputWeights = [];
+        this.biases = [];
+        for (let m = 0; m < M; m++) {
+            this.outputWeights.push(W.slice(0, d).map((row) => row[m]));
+            this.biases.push(W[d][m]);
+        }
+        this.weights = this.outputWeights[0];
+        this.bias = this.biases[0];
         
         // Compute training NRMSE
         return this.computeNRMSE(this.X, this.Y);
     }
     
     /**
-     * Solve linear system Ax = b using Gaussian elimination with partial pivoting
+     * Install fixed readout weights (e.g. a loaded artifact) without
+     * training data
+     * @param {ArrayLike<number>[]} outputWeights - One weight vector per output
+     * @param {number[]} biases - One bias per output
+     */
+    setWeights(outputWeights, biases) {
+        this.X = [];
+        this.Y = [];
+        this.outputs = outputWeights.length;
+        this.outputWeights = outputWeights.map((w) => Array.from(w));
+        this.biases = [...biases];
+        this.weights = this.outputWeights[0];
+        this.bias = this.biases[0];
+    }
+
+    /**
+     * Blocked time-series cross-validation of the ridge penalty. Samples are
+     * cut into `folds` contiguous blocks in collection order; each block is
+     * held out in turn, and `gap` samples on either side of it are dropped
+     * from training because history-stacked features overlap in time.
+     *
+     * Features and targets are centered on the training part (the bias is not
+     * penalized), and each fold's XᵀX = VΛVᵀ is diagonalized once, so every λ
+     * on the grid costs only w(λ) = V (Λ + λ)⁻¹ VᵀXᵀy instead of a new solve.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.folds=5] - Number of contiguous blocks
+     * @param {number[]} [options.lambdas] - Penalties to try (default logLambdaGrid())
+     * @param {number} [options.gap=0] - Samples excluded next to the validation block
+     * @returns {{lambdas: number[], validationNRMSE: number[], foldNRMSE: number[][],
+     *   bestLambda: number, bestIndex: number, folds: number, gap: number}|null}
+     *   Null if there are too few samples
+     */
+    crossValidate(options = {}) {
+        const n = this.X.length;
+        const folds = Math.max(2, Math.min(20, Math.floor(options.folds ?? 5)));
+        const gap = Math.max(0, Math.floor(options.gap ?? 0));
+        const lambdas = options.lambdas ?? logLambdaGrid();
+        if (n === 0 || n < folds * 10) {
+            console.warn(`RidgeRegression.crossValidate: need at least ${folds * 10} samples, have ${n}`);
+            return null;
+        }
+        const d = this.X[0].length;
+        const M = this.outputs;
+
+        const foldNRMSE = [];
+        for (let f = 0; f < folds; f++) {
+            const valStart = Math.floor((f * n) / folds);
+            const valEnd = Math.floor(((f + 1) * n) / folds);
+            const isTrain = (t) => t < valStart - gap || t >= valEnd + gap;
+
+            // Training means
+            const mu = new Float64Array(d);
+            const yMu = new Float64Array(M);
+            let nTrain = 0;
+            for (let t = 0; t < n; t++) {
+                if (!isTrain(t)) continue;
+                const x = this.X[t];
+                for (let i = 0; i < d; i++) mu[i] += x[i];
+                for (let m = 0; m < M; m++) yMu[m] += this.Y[t][m];
+                nTrain++;
+            }
+            if (nTrain < 2) {
+                foldNRMSE.push(lambdas.map(() => Infinity));
+                continue;
+            }
+            for (let i = 0; i < d; i++) mu[i] /= nTrain;
+            for (let m = 0; m < M; m++) yMu[m] /= nTrain;
+
+            // Centered XᵀX (lower triangle, then mirrored) and XᵀY
+            const G = [];
+            for (let i = 0; i < d; i++) G.push(new Float64Array(d));
+            const B = new Float64Array(d * M);
+            const xc = new Float64Array(d);
+            for (let t = 0; t < n; t++) {
+                if (!isTrain(t)) continue;
+                const x = this.X[t];
+                for (let i = 0; i < d; i++) xc[i] = x[i] - mu[i];
+                for (let i = 0; i < d; i++) {
+                    const xi = xc[i];
+                    if (xi === 0) continue;
+                    const row = G[i];
+                    for (let j = 0; j <= i; j++) row[j] += xi * xc[j];
+                    for (let m = 0; m < M; m++) B[i * M + m] += xi * (this.Y[t][m] - yMu[m]);
+                }
+            }
+            for (let i = 0; i < d; i++) {
+                for (let j = 0; j < i; j++) G[j][i] = G[i][j];
+            }
+
+            const { values, vectors } = symmetricEigen(G);
+
+            // z = Vᵀ XᵀY (d × M)
+            const z = new Float64Array(d * M);
+            for (let i = 0; i < d; i++) {
+                const vi = vectors[i];
+                for (let j = 0; j < d; j++) {
+                    const v = vi[j];
+                    if (v === 0) continue;
+                    for (let m = 0; m < M; m++) z[j * M + m] += v * B[i * M + m];
+                }
+            }
+
+            // Validation rows projected on the eigenbasis
+            const nVal = valEnd - valStart;
+            const proj = [];
+            const valMean = new Float64Array(M);
+            for (let t = valStart; t < valEnd; t++) {
+                const x = this.X[t];
+                const p = new Float64Array(d);
+                for (let i = 0; i < d; i++) {
+                    const c = x[i] - mu[i];
+                    if (c === 0) continue;
+                    const vi = vectors[i];
+                    for (let j = 0; j < d; j++) p[j] += c * vi[j];
+                }
+                proj.push(p);
+                for (let m = 0; m < M; m++) valMean[m] += this.Y[t][m] / nVal;
+            }
+            const valVar = new Float64Array(M);
+            for (let t = valStart; t < valEnd; t++) {
+                for (let m = 0; m < M; m++) valVar[m] += (this.Y[t][m] - valMean[m]) ** 2 / nVal;
+            }
+
+            const curve = [];
+            const coef = new Float64Array(d * M);
+            for (const lambda of lambdas) {
+                for (let j = 0; j < d; j++) {
+                    const scale = 1 / (Math.max(0, values[j]) + lambda);
+                    for (let m = 0; m < M; m++) coef[j * M + m] = z[j * M + m] * scale;
+                }
+                let ratioSum = 0;
+                for (let m = 0; m < M; m++) {
+                    let sse = 0;
+                    for (let r = 0; r < nVal; r++) {
+                        const p = proj[r];
+                        let pred = yMu[m];
+                        for (let j = 0; j < d; j++) pred += p[j] * coef[j * M + m];
+                        const err = pred - this.Y[valStart + r][m];
+                        sse += err * err;
+                    }
+                    ratioSum += valVar[m] > 1e-10 ? sse / nVal / valVar[m] : Infinity;
+                }
+                curve.push(Math.sqrt(ratioSum / M));
+            }
+            foldNRMSE.push(curve);
+        }
+
+        const validationNRMSE = lambdas.map((_, li) => {
+            let sum = 0;
+            for (const curve of foldNRMSE) sum += curve[li];
+            return sum / foldNRMSE.length;
+        });
+        let bestIndex = 0;
+        for (let li = 1; li < lambdas.length; li++) {
+            if (validationNRMSE[li] < validationNRMSE[bestIndex]) bestIndex = li;
+        }
+        return {
+            lambdas: [...lambdas],
+            validationNRMSE,
+            foldNRMSE,
+            bestLambda: lambdas[bestIndex],
+            bestIndex,
+            folds,
+            gap
+        };
+    }
+
+    /**
+     * Pick λ by crossValidate() and train on all samples with it. Falls back
+     * to `options.fallbackLambda` (0.001) when there are too few samples.
+     * @returns {{nrmse: number, lambda: number, cv: Object|null}}
+     */
+    trainCV(options = {}) {
+        const cv = this.crossValidate(options);
+        const lambda = cv && Number.isFinite(cv.validationNRMSE[cv.bestIndex])
+            ? cv.bestLambda
+            : (options.fallbackLambda ?? 0.001);
+        const nrmse = this.train(lambda);
+        return { nrmse, lambda, cv };
+    }
+
+    /**
+     * Solve linear system Ax = b using Gaussian elimination with partial pivoting.
+     * `b` may be a vector or a matrix (array of rows); the result has the same shape.
      */
     solveLinearSystem(A, b) {
         const n = b.length;
+        const matrixRHS = Array.isArray(b[0]);
+        const cols = matrixRHS ? b[0].length : 1;
         
         // Create augmented matrix
-        const aug = A.map((row, i) => [...row, b[i]]);
+        const aug = A.map((row, i) => [...row, ...(matrixRHS ? b[i] : [b[i]])]);
         
         // Forward elimination
         for (let col = 0; col < n; col++) {
@@ -109,65 +330,87 @@ export class RidgeRegression {
             // Eliminate column
             for (let row = col + 1; row < n; row++) {
                 const factor = aug[row][col] / aug[col][col];
-                for (let j = col; j <= n; j++) {
+                for (let j = col; j < n + cols; j++) {
                     aug[row][j] -= factor * aug[col][j];
                 }
             }
         }
         
         // Back substitution
-        const x = new Array(n).fill(0);
+        const x = new Array(n).fill(0).map(() => new Array(cols).fill(0));
         for (let i = n - 1; i >= 0; i--) {
-            x[i] = aug[i][n];
-            for (let j = i + 1; j < n; j++) {
-                x[i] -= aug[i][j] * x[j];
+            for (let c = 0; c < cols; c++) {
+                let v = aug[i][n + c];
+                for (let j = i + 1; j < n; j++) {
+                    v -= aug[i][j] * x[j][c];
+                }
+                x[i][c] = v / aug[i][i];
             }
-            x[i] /= aug[i][i];
         }
         
-        return x;
+        return matrixRHS ? x : x.map((row) => row[0]);
     }
     
     /**
      * Make a prediction
      * @param {Float32Array|Array} features - Feature vector
+     * @param {number} [output=0] - Output index
      * @returns {number} Predicted value
      */
-    predict(features) {
-        if (!this.weights) return 0;
+    predict(features, output = 0) {
+        if (!this.outputWeights) return 0;
         
-        let result = this.bias;
-        for (let i = 0; i < this.weights.length && i < features.length; i++) {
-            result += this.weights[i] * features[i];
+        const weights = this.outputWeights[output];
+        let result = this.biases[output];
+        for (let i = 0; i < weights.length && i < features.length; i++) {
+            result += weights[i] * features[i];
         }
         return result;
     }
+
+    /**
+     * Predict every output
+     * @returns {number[]}
+     */
+    predictAll(features) {
+        const out = [];
+        for (let m = 0; m < this.outputs; m++) out.push(this.predict(features, m));
+        return out;
+    }
     
     /**
-     * Compute Normalized Root Mean Square Error
+     * Compute Normalized Root Mean Square Error: sqrt of the mean over
+     * outputs of MSE / Var(target)
+     * @param {Array} X - Feature rows
+     * @param {Array} Y - Target rows (or scalar targets for one output)
      */
     computeNRMSE(X, Y) {
         if (X.length === 0) return Infinity;
         
-        let mse = 0;
-        for (let i = 0; i < X.length; i++) {
-            const pred = this.predict(X[i]);
-            const err = pred - Y[i];
-            mse += err * err;
-        }
-        mse /= X.length;
-        
-        // Normalize by target variance
-        const meanY = Y.reduce((a, b) => a + b, 0) / Y.length;
-        let varY = 0;
-        for (const y of Y) {
-            varY += (y - meanY) * (y - meanY);
+        const rows = Y.map((y) => (typeof y === 'number' ? [y] : y));
+        const M = rows[0].length;
+        let ratioSum = 0;
+        for (let m = 0; m < M; m++) {
+            let mse = 0;
+            for (let i = 0; i < X.length; i++) {
+                const err = this.predict(X[i], m) - rows[i][m];
+                mse += err * err;
+            }
+            mse /= X.length;
+            
+            // Normalize by target variance
+            const meanY = rows.reduce((a, r) => a + r[m], 0) / rows.length;
+            let varY = 0;
+            for (const r of rows) {
+                varY += (r[m] - meanY) * (r[m] - meanY);
+            }
+            varY /= rows.length;
+            
+            if (varY < 1e-10) return Infinity;
+            ratioSum += mse / varY;
         }
-        varY /= Y.length;
-        
-        if (varY < 1e-10) return Infinity;
         
-        return Math.sqrt(mse / varY);
+        return Math.sqrt(ratioSum / M);
     }
     
     /**
@@ -176,6 +419,9 @@ export class RidgeRegression {
     clear() {
         this.X = [];
         this.Y = [];
+        this.outputs = 1;
+        this.outputWeights = null;
+        this.biases = null;
         this.weights = null;
         this.bias = 0;
     }
@@ -184,7 +430,7 @@ export class RidgeRegression {
      * Check if model is trained
      */
     isTrained() {
-        return this.weights !== null;
+        return this.outputWeights !== null;
     }
     
     /**
@@ -4,4 +4,4 @@
  * Reservoir computing infrastructure for temporal pattern learning.
  */
 
-export { ReservoirComputer } from './reservoir.js';
+export { ReservoirComputer, CHAOTIC_SYSTEMS, CLASSIFICATION_TASKS, computeCapacities, capacityToCSV, confusionToCSV, createReadoutArtifact, checkReadoutCompatibility } from './reservoir.js';
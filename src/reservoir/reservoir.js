@@ -1,5 +1,8 @@
-export { ReservoirIO } from './ReservoirIO.js';
+export { ReservoirIO, FEATURE_MAPS, featureMapSize } from './ReservoirIO.js';
 export { OnlineLearner } from './OnlineLearner.js';
 export { RidgeRegression } from './RidgeRegression.js';
-export { RCTasks } from './RCTasks.js';
+export { RCTasks, CHAOTIC_SYSTEMS, CLASSIFICATION_TASKS } from './RCTasks.js';
 export { ReservoirComputer } from './ReservoirComputer.js';
+export { computeCapacities, capacityToCSV, legendre } from './CapacityAnalysis.js';
+export { argmax, createConfusionMatrix, summarizeConfusion, confusionToCSV } from './Classification.js';
+export { READOUT_ARTIFACT_TYPE, READOUT_ARTIFACT_VERSION, SUBSTRATE_KEYS, createReadoutArtifact, checkReadoutCompatibility } from './ReadoutArtifact.js';
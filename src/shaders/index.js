@@ -20,8 +20,14 @@ export {
     S3_GLOBAL_ORDER_REDUCTION_SHADER,
     S3_GLOBAL_ORDER_NORMALIZE_SHADER,
     S3_LOCAL_ORDER_STATS_SHADER,
+    LAYER_SYNC_STATS_SHADER,
+    LAYER_SYNC_NORMALIZE_SHADER,
     PRISMATIC_METRICS_REDUCTION_SHADER,
     PRISMATIC_METRICS_NORMALIZE_SHADER,
+    RC_FEATURE_GATHER_SHADER,
+    PLASTICITY_HEBB_SHADER,
+    PLASTICITY_APPLY_SHADER,
+    ADAPTIVE_COUPLING_SHADER,
     // Render shaders
     RENDER_SHADER,
     RENDER_2D_SHADER,
@@ -18,6 +18,11 @@ export {
     S3_GLOBAL_ORDER_REDUCTION_SHADER,
     S3_GLOBAL_ORDER_NORMALIZE_SHADER,
     S3_LOCAL_ORDER_STATS_SHADER,
+    LAYER_SYNC_STATS_SHADER,
+    LAYER_SYNC_NORMALIZE_SHADER,
 } from './sources/reductions.js';
 export { RENDER_SHADER, RENDER_2D_SHADER } from './sources/render.js';
 export { PRISMATIC_METRICS_REDUCTION_SHADER, PRISMATIC_METRICS_NORMALIZE_SHADER } from './sources/prismatic.js';
+export { RC_FEATURE_GATHER_SHADER } from './sources/reservoir.js';
+export { PLASTICITY_HEBB_SHADER, PLASTICITY_APPLY_SHADER } from './sources/plasticity.js';
+export { ADAPTIVE_COUPLING_SHADER } from './sources/adaptive.js';
@@ -0,0 +1,45 @@
+/**
+ * Adaptive graph coupling shader source exports.
+ */
+
+// One thread per node, Euler step of every edge weight in its row:
+// dK_ij/dt = ε (α cos(θ_j − θ_i + β) − K_ij)
+export const ADAPTIVE_COUPLING_SHADER = `
+struct AdaptiveParams {
+    nodes: u32,   // Oscillators over all layers
+    csr: u32,     // 0 = fixed stride rows, 1 = CSR offsets
+    stride: u32,  // Fixed-layout row stride
+    pad0: u32,
+    dt: f32,      // Simulation step (0 while paused)
+    epsilon: f32, // Adaptation rate ε
+    alpha: f32,   // Target amplitude α
+    beta: f32,    // Phase shift β
+}
+
+@group(0) @binding(0) var<storage, read> theta: array<f32>;  // [layer][row][col]
+@group(0) @binding(1) var<storage, read> graph_neighbors: array<u32>;
+@group(0) @binding(2) var<storage, read_write> graph_weights: array<f32>;
+@group(0) @binding(3) var<storage, read> graph_rows: array<u32>;  // counts (fixed layout) or N + 1 offsets (CSR)
+@group(0) @binding(4) var<uniform> params: AdaptiveParams;
+
+@compute @workgroup_size(256)
+fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
+    let i = gid.x;
+    if (i >= params.nodes) {
+        return;
+    }
+    var start = i * params.stride;
+    var end = start + min(graph_rows[i], params.stride);
+    if (params.csr == 1u) {
+        start = graph_rows[i];
+        end = graph_rows[i + 1u];
+    }
+    let t = theta[i];
+    let rate = params.epsilon * params.dt;
+    for (var e = start; e < end; e = e + 1u) {
+        let w = graph_weights[e];
+        let target_w = params.alpha * cos(theta[graph_neighbors[e]] - t + params.beta);
+        graph_weights[e] = w + rate * (target_w - w);
+    }
+}
+`;
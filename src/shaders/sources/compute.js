@@ -3,6 +3,30 @@
  * Auto-partitioned from legacy monolithic shaders.js for maintainability.
  */
 
+// Explicit Runge-Kutta tableaux with a diagonal stage matrix:
+// X_{s+1} = X_0 + rk_advance(s) * dt * k_s,  X_new = X_0 + dt * sum_s rk_weight(s) * k_s.
+// Stages past a scheme's own count have zero weights, so mixed per-layer
+// integrators can share one multi-stage step. Shared by the S¹, S² and S³ shaders.
+const RK_TABLEAU = `
+fn rk_weight(method: i32, stage: u32) -> f32 {
+    if (method == 1) { return select(0.0, 0.5, stage < 2u); }
+    if (method == 2) {
+        if (stage == 0u || stage == 3u) { return 1.0 / 6.0; }
+        return select(0.0, 1.0 / 3.0, stage < 3u);
+    }
+    return select(0.0, 1.0, stage == 0u);
+}
+
+fn rk_advance(method: i32, stage: u32) -> f32 {
+    if (method == 1) { return select(0.0, 1.0, stage == 0u); }
+    if (method == 2) {
+        if (stage < 2u) { return 0.5; }
+        return select(0.0, 1.0, stage == 2u);
+    }
+    return 0.0;
+}
+`;
+
 export const COMPUTE_SHADER = `
 struct Params {
     dt: f32, K0: f32, range: f32, rule_mode: f32,
@@ -24,8 +48,8 @@ struct Params {
     flow_radial: f32, flow_rotate: f32, flow_swirl: f32, flow_bubble: f32,
     flow_ring: f32, flow_vortex: f32, flow_vertical: f32, orient_radial: f32,
     orient_circles: f32, orient_swirl: f32, orient_bubble: f32, orient_linear: f32,
-    mesh_mode: f32, manifold_mode: f32, pad5: f32, pad6: f32,
-    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_pad: f32,
+    mesh_mode: f32, manifold_mode: f32, noise_mode: f32, noise_tau: f32,
+    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_layout: f32,
     layer_count: f32, pad7: f32, pad8: f32, active_layer: f32,
 }
 
@@ -81,14 +105,14 @@ struct LayerParams {
     orient_swirl: f32,
     orient_bubble: f32,
     orient_linear: f32,
-    // Inter-layer coupling (per-layer)
-    layer_coupling_up: f32,
-    layer_coupling_down: f32,
+    // 50-51 unused (interlayer gains live in the layer_coupling matrix)
+    coupling_pad0: f32,
+    coupling_pad1: f32,
     // Lenia growth function parameters (indices 52-54)
     growth_mu: f32,
     growth_sigma: f32,
     growth_mode: f32,
-    _pad3: f32,
+    integrator: f32,  // 0 = Euler, 1 = Heun, 2 = RK4
 }
 
 struct GaugeParams {
@@ -106,6 +130,14 @@ struct GaugeParams {
     viz_signed_flux: f32,
 }
 
+// Per-cell stochastic state: stream key, draw counter, Ornstein-Uhlenbeck forcing value
+struct NoiseCell {
+    key: u32,
+    counter: u32,
+    eta: f32,
+    _pad: f32,
+}
+
 struct InteractionParams {
     phase_lag_enabled: f32,
     phase_lag_eta: f32,
@@ -149,7 +181,7 @@ struct InteractionParams {
 @group(0) @binding(8) var<uniform> input_signal: f32;
 @group(0) @binding(9) var<storage, read> graph_neighbors: array<u32>;
 @group(0) @binding(10) var<storage, read> graph_weights: array<f32>;
-@group(0) @binding(11) var<storage, read> graph_counts: array<u32>;
+@group(0) @binding(11) var<storage, read> graph_rows: array<u32>;  // counts (fixed layout) or N + 1 offsets (CSR)
 @group(0) @binding(12) var<uniform> layer_params: array<LayerParams, 8>;
 @group(0) @binding(13) var gauge_x: texture_2d_array<f32>;
 @group(0) @binding(14) var gauge_y: texture_2d_array<f32>;
@@ -158,6 +190,21 @@ struct InteractionParams {
 @group(0) @binding(17) var<uniform> interaction_params: InteractionParams;
 @group(0) @binding(18) var prismatic_state_in: texture_2d_array<f32>;
 @group(0) @binding(19) var prismatic_state_out: texture_storage_2d_array<rg32float, write>;
+@group(0) @binding(20) var theta_base: texture_2d_array<f32>;      // theta at the start of the step (RK X_0)
+@group(0) @binding(21) var<storage, read_write> rk_accum: array<f32>; // running sum of weighted stage slopes
+@group(0) @binding(22) var<uniform> rk_stage: vec4<f32>;            // (stage, stage_count, 0, 0)
+@group(0) @binding(23) var<storage, read_write> noise_state: array<NoiseCell>;
+// Interlayer coupling G[target][source]: (gain, dx, dy, delay) at target * 8 + source,
+// then the learned 3×3 kernel of each pair (identity unless plasticity changed it)
+struct LayerCoupling {
+    links: array<vec4<f32>, 64>,
+    kernels: array<f32, 576>,  // (target * 8 + source) * 9 + (oy + 1) * 3 + (ox + 1)
+}
+@group(0) @binding(24) var<storage, read> layer_coupling: LayerCoupling;
+@group(0) @binding(25) var theta_history: texture_2d_array<f32>;  // slot * layer_count + layer
+@group(0) @binding(26) var<uniform> coupling_history: vec4<u32>;  // (slot of this step, slot count, 0, 0)
+
+${RK_TABLEAU}
 
 // ============================================================================
 // SHARED MEMORY TILE for fast neighbor access
@@ -167,7 +214,6 @@ struct InteractionParams {
 const TILE_SIZE: u32 = 16u;
 const HALO: u32 = 8u;
 const SHARED_SIZE: u32 = 32u; // TILE_SIZE + 2 * HALO
-const MAX_GRAPH_DEGREE: u32 = 16u; // Keep in sync with topology.js
 
 var<workgroup> shared_theta: array<f32, 1024>; // 32 * 32 = 1024
 
@@ -185,6 +231,21 @@ fn loadThetaGlobal(col: i32, row: i32, layer: i32, cols: i32, rows: i32) -> f32
     return textureLoad(theta_in, vec2<i32>(c, r), layer, 0).r;
 }
 
+// Theta of a source layer delay steps back for interlayer coupling;
+// delay 0 (or no history) reads the current stage input
+fn loadSourceTheta(col: i32, row: i32, layer: u32, delay: u32, cols: i32, rows: i32) -> f32 {
+    let slots = coupling_history.y;
+    if (delay == 0u || slots == 0u) {
+        return loadThetaGlobal(col, row, i32(layer), cols, rows);
+    }
+    var c = col % cols;
+    var r = row % rows;
+    if (c < 0) { c = c + cols; }
+    if (r < 0) { r = r + rows; }
+    let slot = (coupling_history.x + slots - min(delay, slots - 1u)) % slots;
+    return textureLoad(theta_history, vec2<i32>(c, r), i32(slot * u32(params.layer_count) + layer), 0).r;
+}
+
 // Helper to read from shared memory tile
 fn loadThetaShared(local_c: i32, local_r: i32) -> f32 {
     // Offset by HALO since shared memory includes border
@@ -308,6 +369,27 @@ fn noise(i: u32, strength: f32) -> f32 {
     return (hash(seed) - 0.5) * strength * 2.0;
 }
 
+// PCG output hash (Jarzynski & Olano 2020)
+fn pcg_hash(v: u32) -> u32 {
+    let state = v * 747796405u + 2891336453u;
+    let word = ((state >> ((state >> 28u) + 4u)) ^ state) * 277803737u;
+    return (word >> 22u) ^ word;
+}
+
+// Counter-based uniform in (0, 1): the cell key comes from makeRng(seed, 'noise'),
+// the cell index keeps streams disjoint even if two keys collide
+fn noise_uniform(key: u32, i: u32, counter: u32) -> f32 {
+    let h = pcg_hash(key ^ pcg_hash(i ^ pcg_hash(counter)));
+    return (f32(h >> 8u) + 0.5) / 16777216.0;
+}
+
+// Standard normal sample via Box-Muller (consumes draws counter, counter + 1)
+fn noise_gaussian(key: u32, i: u32, counter: u32) -> f32 {
+    let u = noise_uniform(key, i, counter);
+    let v = noise_uniform(key, i, counter + 1u);
+    return sqrt(-2.0 * log(u)) * cos(6.28318530718 * v);
+}
+
 // Load theta using linear index (graph mode helper)
 fn loadThetaByIndex(idx: u32, cols: u32, rows: u32) -> f32 {
     let layer_stride = cols * rows;
@@ -318,17 +400,27 @@ fn loadThetaByIndex(idx: u32, cols: u32, rows: u32) -> f32 {
     return textureLoad(theta_in, vec2<i32>(col, row), layer, 0).r;
 }
 
-// Local order for graph topology (degree-limited adjacency)
+// Edge slot range [start, end) of node i. Fixed layout rows sit at
+// i * topology_max_degree; CSR rows come from the offsets in graph_rows.
+fn graphRow(i: u32) -> vec2<u32> {
+    if (params.topology_layout > 0.5) {
+        return vec2<u32>(graph_rows[i], graph_rows[i + 1u]);
+    }
+    let stride = u32(params.topology_max_degree);
+    let start = i * stride;
+    return vec2<u32>(start, start + min(graph_rows[i], stride));
+}
+
+// Local order for graph topology
 fn localOrderGraph(i: u32, cols: u32, rows: u32) -> f32 {
-    let count = min(graph_counts[i], MAX_GRAPH_DEGREE);
+    let row = graphRow(i);
+    let count = row.y - row.x;
     if (count == 0u) { return 0.0; }
-    let base = i * MAX_GRAPH_DEGREE;
     var sx = 0.0; var sy = 0.0; var norm = 0.0;
-    for (var j = 0u; j < MAX_GRAPH_DEGREE; j = j + 1u) {
-        if (j >= count) { break; }
-        let idx = graph_neighbors[base + j];
+    for (var e = row.x; e < row.y; e = e + 1u) {
+        let idx = graph_neighbors[e];
         let theta_j = loadThetaByIndex(idx, cols, rows);
-        let w = abs(graph_weights[base + j]);
+        let w = abs(graph_weights[e]);
         sx = sx + cos(theta_j) * w;
         sy = sy + sin(theta_j) * w;
         norm = norm + max(w, 0.0001);
@@ -341,16 +433,15 @@ fn localOrderGraph(i: u32, cols: u32, rows: u32) -> f32 {
 
 // Coupling sum for graph mode (returns sum, norm)
 fn graphCoupling(i: u32, t: f32, cols: u32, rows: u32) -> vec2<f32> {
-    let count = min(graph_counts[i], MAX_GRAPH_DEGREE);
+    let row = graphRow(i);
+    let count = row.y - row.x;
     if (count == 0u) { return vec2<f32>(0.0, 1.0); }
-    let base = i * MAX_GRAPH_DEGREE;
     var sum = 0.0; var norm = 0.0;
-    for (var j = 0u; j < MAX_GRAPH_DEGREE; j = j + 1u) {
-        if (j >= count) { break; }
-        let idx = graph_neighbors[base + j];
+    for (var e = row.x; e < row.y; e = e + 1u) {
+        let idx = graph_neighbors[e];
         let theta_j = loadThetaByIndex(idx, cols, rows);
-        let w = graph_weights[base + j];
-        let a_ij = select(0.0, graph_gauge[base + j], gauge_params.enabled > 0.5);
+        let w = graph_weights[e];
+        let a_ij = select(0.0, graph_gauge[e], gauge_params.enabled > 0.5);
         sum = sum + w * covSin(theta_j, t, a_ij);
         norm = norm + abs(w);
     }
@@ -360,16 +451,15 @@ fn graphCoupling(i: u32, t: f32, cols: u32, rows: u32) -> vec2<f32> {
 
 // Coupling sum using delayed theta (graph mode)
 fn graphCouplingDelayed(i: u32, t: f32, cols: u32, rows: u32) -> vec2<f32> {
-    let count = min(graph_counts[i], MAX_GRAPH_DEGREE);
+    let row = graphRow(i);
+    let count = row.y - row.x;
     if (count == 0u) { return vec2<f32>(0.0, 1.0); }
-    let base = i * MAX_GRAPH_DEGREE;
     var sum = 0.0; var norm = 0.0;
-    for (var j = 0u; j < MAX_GRAPH_DEGREE; j = j + 1u) {
-        if (j >= count) { break; }
-        let idx = graph_neighbors[base + j];
+    for (var e = row.x; e < row.y; e = e + 1u) {
+        let idx = graph_neighbors[e];
         let theta_j = theta_delayed[idx];
-        let w = graph_weights[base + j];
-        let a_ij = select(0.0, graph_gauge[base + j], gauge_params.enabled > 0.5);
+        let w = graph_weights[e];
+        let a_ij = select(0.0, graph_gauge[e], gauge_params.enabled > 0.5);
         sum = sum + w * covSin(theta_j, t, a_ij);
         norm = norm + abs(w);
     }
@@ -379,16 +469,15 @@ fn graphCouplingDelayed(i: u32, t: f32, cols: u32, rows: u32) -> vec2<f32> {
 
 // Harmonics coupling for graph mode (returns s1, s2, s3, norm)
 fn graphHarmonics(i: u32, t: f32, cols: u32, rows: u32) -> vec4<f32> {
-    let count = min(graph_counts[i], MAX_GRAPH_DEGREE);
+    let row = graphRow(i);
+    let count = row.y - row.x;
     if (count == 0u) { return vec4<f32>(0.0, 0.0, 0.0, 1.0); }
-    let base = i * MAX_GRAPH_DEGREE;
     var s1 = 0.0; var s2 = 0.0; var s3 = 0.0; var norm = 0.0;
-    for (var j = 0u; j < MAX_GRAPH_DEGREE; j = j + 1u) {
-        if (j >= count) { break; }
-        let idx = graph_neighbors[base + j];
+    for (var e = row.x; e < row.y; e = e + 1u) {
+        let idx = graph_neighbors[e];
         let theta_j = loadThetaByIndex(idx, cols, rows);
-        let w = graph_weights[base + j];
-        let a_ij = select(0.0, graph_gauge[base + j], gauge_params.enabled > 0.5);
+        let w = graph_weights[e];
+        let a_ij = select(0.0, graph_gauge[e], gauge_params.enabled > 0.5);
         let d = theta_j - t - gauge_params.charge * a_ij - phaseLag();
         s1 = s1 + w * sin(d);
         s2 = s2 + w * sin(2.0 * d);
@@ -642,7 +731,9 @@ fn mexhat_weight(dx: f32, dy: f32, lp: LayerParams) -> f32 {
     return mexhat_weight_scaled(dx, dy, 1.0, lp);
 }
 
-fn kernelCouplingLayer(global_c: u32, global_r: u32, cols: u32, rows: u32, source_layer: u32, t: f32, lp: LayerParams) -> f32 {
+// Kernel-weighted coupling to a source layer around (col, row), the target
+// cell displaced by the pair's offset
+fn kernelCouplingLayer(col: i32, row: i32, cols: i32, rows: i32, source_layer: u32, delay: u32, t: f32, lp: LayerParams) -> f32 {
     let rng_ext = i32(clamp(lp.sigma2 * 3.0, 1.0, 8.0));
     var sum = 0.0; var wtotal = 0.0;
     for (var dr = -rng_ext; dr <= rng_ext; dr = dr + 1) {
@@ -650,7 +741,7 @@ fn kernelCouplingLayer(global_c: u32, global_r: u32, cols: u32, rows: u32, sourc
             if (dr == 0 && dc == 0) { continue; }
             let w = mexhat_weight_scaled(f32(dc), f32(dr), 1.0, lp);
             if (abs(w) < 0.0001) { continue; }
-            let theta_j = loadThetaGlobal(i32(global_c) + dc, i32(global_r) + dr, i32(source_layer), i32(cols), i32(rows));
+            let theta_j = loadSourceTheta(col + dc, row + dr, source_layer, delay, cols, rows);
             sum = sum + w * sin(theta_j - t - phaseLag());
             wtotal = wtotal + abs(w);
         }
@@ -824,7 +915,8 @@ fn rule_delay(local_c: i32, local_r: i32, global_c: u32, global_r: u32, layer: i
             var cc = (i32(global_c) + dc) % i32(cols);
             if (rr < 0) { rr = rr + i32(rows); }
             if (cc < 0) { cc = cc + i32(cols); }
-            let j = u32(rr) * cols + u32(cc);
+            // The delay ring holds every layer
+            let j = u32(layer) * cols * rows + u32(rr) * cols + u32(cc);
             let a_ij = gaugePath(i32(global_c), i32(global_r), dc, dr, layer, i32(cols), i32(rows));
             sum = sum + covSin(theta_delayed[j], t, a_ij);
             cnt = cnt + 1.0;
@@ -948,7 +1040,8 @@ fn main(@builtin(global_invocation_id) id: vec3<u32>,
     } else {
         ri = localOrderShared(local_c, local_r, rng);
     }
-    order[i] = ri;
+    // Intermediate RK stages see trial states; keep the order field at X_0
+    if (rk_stage.x < 0.5) { order[i] = ri; }
     
     var dtheta = 0.0;
     let mode = i32(lp.rule_mode);
@@ -960,42 +1053,47 @@ fn main(@builtin(global_invocation_id) id: vec3<u32>,
     else if (mode == 5) { dtheta = rule_delay(local_c, local_r, global_c, global_r, i32(layer), cols, rows, rng, t, i, lp); }
     else if (mode == 6) { dtheta = rule_lenia(local_c, local_r, i32(global_c), i32(global_r), i32(cols), i32(rows), i32(layer), t, i, lp); }
 
-    // Inter-layer coupling (same-cell or kernel-based)
+    // Inter-layer coupling G[layer][m] from every source layer m, read at
+    // the pair's offset (dx, dy) and delay (learned 3×3 or Mexican-hat kernel)
     var inter_sum = 0.0;
     let use_kernel = params.layer_kernel_enabled > 0.5;
-    if (layer > 0u && abs(lp.layer_coupling_up) > 0.0001) {
-        let src_layer = layer - 1u;
-        if (use_kernel) {
-            let src_lp = layer_params[min(src_layer, 7u)];
-            let ksum = kernelCouplingLayer(global_c, global_r, cols, rows, src_layer, t, src_lp);
-            inter_sum = inter_sum + lp.layer_coupling_up * ksum;
-        } else {
-            let t_up = loadThetaGlobal(i32(global_c), i32(global_r), i32(src_layer), i32(cols), i32(rows));
-            inter_sum = inter_sum + lp.layer_coupling_up * sin(t_up - t - phaseLag());
-        }
-    }
-    if (layer + 1u < u32(params.layer_count) && abs(lp.layer_coupling_down) > 0.0001) {
-        let src_layer = layer + 1u;
+    let coupling_row = min(layer, 7u) * 8u;
+    for (var m = 0u; m < min(u32(params.layer_count), 8u); m = m + 1u) {
+        let link = layer_coupling.links[coupling_row + m];
+        if (abs(link.x) <= 0.0001) { continue; }
+        let src_c = i32(global_c) + i32(link.y);
+        let src_r = i32(global_r) + i32(link.z);
+        let delay = u32(link.w);
         if (use_kernel) {
-            let src_lp = layer_params[min(src_layer, 7u)];
-            let ksum = kernelCouplingLayer(global_c, global_r, cols, rows, src_layer, t, src_lp);
-            inter_sum = inter_sum + lp.layer_coupling_down * ksum;
+            let ksum = kernelCouplingLayer(src_c, src_r, i32(cols), i32(rows), m, delay, t, layer_params[m]);
+            inter_sum = inter_sum + link.x * ksum;
         } else {
-            let t_down = loadThetaGlobal(i32(global_c), i32(global_r), i32(src_layer), i32(cols), i32(rows));
-            inter_sum = inter_sum + lp.layer_coupling_down * sin(t_down - t - phaseLag());
+            // Zero weights are skipped, so the identity kernel reads one cell
+            let kbase = (coupling_row + m) * 9u;
+            var ksum = 0.0;
+            for (var k = 0u; k < 9u; k = k + 1u) {
+                let w = layer_coupling.kernels[kbase + k];
+                if (w == 0.0) { continue; }
+                let t_src = loadSourceTheta(src_c + i32(k % 3u) - 1, src_r + i32(k / 3u) - 1, m, delay, i32(cols), i32(rows));
+                ksum = ksum + w * sin(t_src - t - phaseLag());
+            }
+            inter_sum = inter_sum + link.x * ksum;
         }
     }
-    let dtheta_base = dtheta;
-    
-    // Add noise perturbation
-    if (lp.noise_strength > 0.001) {
-        dtheta = dtheta + noise(i, lp.noise_strength);
+
+    // In-rule noise (noise_mode 0): a bounded rate kick of amplitude noise_strength.
+    // Like white / OU noise it is added after the leak, outside the K-scaled,
+    // orientation-weighted rule term, so the set amplitude does not vary with
+    // local K modulation or vanish as leak -> 1
+    var rule_noise = 0.0;
+    if (i32(params.noise_mode + 0.5) == 0 && lp.noise_strength > 0.001) {
+        rule_noise = noise(i, lp.noise_strength);
     }
     
     // Reservoir computing input: selectable injection mode
     // mode 0: frequency modulation (default)
     // mode 1: additive phase drive (torque)
-    // mode 2: coupling modulation (scales dtheta locally)
+    // mode 2: coupling modulation (scales the rule's coupling term locally)
     let input_drive = input_weights[i] * input_signal;
     var omega_eff = omega[i];
     var dtheta_input = 0.0;
@@ -1040,7 +1138,7 @@ fn main(@builtin(global_invocation_id) id: vec3<u32>,
         + lp.scale_ring * (norm_x * norm_x + norm_y * norm_y) * 4.0;
     let K_scaled = lp.K0 * clamp(scale_mod, 0.1, 5.0);
     // Adjust dtheta by new K (approximate): rescale by ratio of K_scaled / K0
-    let dtheta_scaled = dtheta_base * (K_scaled / max(lp.K0, 1e-6));
+    let dtheta_scaled = dtheta * (K_scaled / max(lp.K0, 1e-6));
 
     var mouse_drive = 0.0;
     if (interaction_params.interaction_force_enabled > 0.5
@@ -1086,8 +1184,44 @@ fn main(@builtin(global_invocation_id) id: vec3<u32>,
         newTheta = t + omega_eff + vel;
     } else {
         var dyn = omega_eff + dtheta_scaled * orient + inter_sum + dtheta_input + mouse_drive + flow;
-        dyn = dyn * (1.0 - lp.leak);
-        newTheta = t + dyn * params.dt;
+        dyn = dyn * (1.0 - lp.leak) + rule_noise;
+        let stage = u32(rk_stage.x);
+        let stage_count = u32(rk_stage.y);
+        if (stage_count <= 1u) {
+            newTheta = t + dyn * params.dt;
+        } else {
+            // Global mean field and delayed theta stay at their X_0 values across stages,
+            // so only the local terms get the scheme's order (those two are first order)
+            let method = i32(lp.integrator);
+            let t0 = textureLoad(theta_base, vec2<i32>(i32(global_c), i32(global_r)), i32(layer), 0).x;
+            var acc = rk_weight(method, stage) * dyn;
+            if (stage > 0u) { acc = acc + rk_accum[i]; }
+            if (stage + 1u < stage_count) {
+                rk_accum[i] = acc;
+                newTheta = t0 + rk_advance(method, stage) * dyn * params.dt;
+            } else {
+                newTheta = t0 + acc * params.dt;
+            }
+        }
+
+        // Stochastic forcing (noise_mode 1 = white / Euler-Maruyama, 2 = Ornstein-Uhlenbeck),
+        // added once per step after the deterministic update so its statistics do not depend on dt
+        let noise_mode = i32(params.noise_mode + 0.5);
+        if (noise_mode > 0 && lp.noise_strength > 0.0 && params.dt > 0.0 && stage + 1u >= stage_count) {
+            let cell = noise_state[i];
+            var eta = cell.eta;
+            let xi = noise_gaussian(cell.key, i, cell.counter);
+            if (noise_mode == 1) {
+                newTheta = newTheta + lp.noise_strength * sqrt(params.dt) * xi;
+            } else {
+                // Exact OU update over dt; stationary variance noise_strength^2 / (2 tau)
+                let tau = max(params.noise_tau, 1e-4);
+                let decay = exp(-params.dt / tau);
+                newTheta = newTheta + eta * params.dt;
+                eta = eta * decay + lp.noise_strength * sqrt((1.0 - decay * decay) / (2.0 * tau)) * xi;
+            }
+            noise_state[i] = NoiseCell(cell.key, cell.counter + 2u, eta, 0.0);
+        }
         // Passive decay when prismatic branch is disabled.
         vel = vel * 0.95;
         energy = energy * 0.98;
@@ -1121,8 +1255,8 @@ struct Params {
     flow_radial: f32, flow_rotate: f32, flow_swirl: f32, flow_bubble: f32,
     flow_ring: f32, flow_vortex: f32, flow_vertical: f32, orient_radial: f32,
     orient_circles: f32, orient_swirl: f32, orient_bubble: f32, orient_linear: f32,
-    mesh_mode: f32, manifold_mode: f32, pad5: f32, pad6: f32,
-    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_pad: f32,
+    mesh_mode: f32, manifold_mode: f32, noise_mode: f32, noise_tau: f32,
+    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_layout: f32,
     layer_count: f32, pad7: f32, pad8: f32, active_layer: f32,
 }
 
@@ -1177,12 +1311,12 @@ struct LayerParams {
     orient_swirl: f32,
     orient_bubble: f32,
     orient_linear: f32,
-    layer_coupling_up: f32,
-    layer_coupling_down: f32,
+    coupling_pad0: f32,
+    coupling_pad1: f32,
     growth_mu: f32,
     growth_sigma: f32,
     growth_mode: f32,
-    _pad3: f32,
+    integrator: f32,  // 0 = Euler, 1 = Heun, 2 = RK4
 }
 
 @group(0) @binding(0) var s2_in: texture_2d_array<f32>;
@@ -1192,10 +1326,16 @@ struct LayerParams {
 @group(0) @binding(4) var s2_out: texture_storage_2d_array<rgba32float, write>;
 @group(0) @binding(5) var<storage, read> graph_neighbors: array<u32>;
 @group(0) @binding(6) var<storage, read> graph_weights: array<f32>;
-@group(0) @binding(7) var<storage, read> graph_counts: array<u32>;
+@group(0) @binding(7) var<storage, read> graph_rows: array<u32>;  // counts (fixed layout) or N + 1 offsets (CSR)
 @group(0) @binding(8) var<uniform> layer_params: array<LayerParams, 8>;
+@group(0) @binding(9) var s2_base: texture_2d_array<f32>;
+@group(0) @binding(10) var<storage, read_write> rk_accum: array<vec4<f32>>;
+@group(0) @binding(11) var<uniform> rk_stage: vec4<f32>;  // (stage, stage_count, 0, 0)
+@group(0) @binding(12) var<storage, read> input_weights: array<f32>;
+@group(0) @binding(13) var<uniform> input_signal: f32;
+@group(0) @binding(14) var<storage, read> layer_coupling: array<vec4<f32>, 64>;  // (gain, dx, dy, delay) at target * 8 + source
 
-const MAX_GRAPH_DEGREE: u32 = 16u;
+${RK_TABLEAU}
 
 fn loadVecGlobal(col: i32, row: i32, layer: i32, cols: i32, rows: i32) -> vec3<f32> {
     var c = col % cols;
@@ -1214,16 +1354,26 @@ fn loadVecByIndex(idx: u32, cols: u32, rows: u32) -> vec3<f32> {
     return textureLoad(s2_in, vec2<i32>(col, row), layer, 0).xyz;
 }
 
+// Edge slot range [start, end) of node i. Fixed layout rows sit at
+// i * topology_max_degree; CSR rows come from the offsets in graph_rows.
+fn graphRow(i: u32) -> vec2<u32> {
+    if (params.topology_layout > 0.5) {
+        return vec2<u32>(graph_rows[i], graph_rows[i + 1u]);
+    }
+    let stride = u32(params.topology_max_degree);
+    let start = i * stride;
+    return vec2<u32>(start, start + min(graph_rows[i], stride));
+}
+
 fn meanGraph(i: u32, cols: u32, rows: u32) -> vec3<f32> {
-    let count = min(graph_counts[i], MAX_GRAPH_DEGREE);
+    let row = graphRow(i);
+    let count = row.y - row.x;
     if (count == 0u) { return vec3<f32>(0.0); }
-    let base = i * MAX_GRAPH_DEGREE;
     var sum = vec3<f32>(0.0);
     var norm = 0.0;
-    for (var j = 0u; j < MAX_GRAPH_DEGREE; j = j + 1u) {
-        if (j >= count) { break; }
-        let idx = graph_neighbors[base + j];
-        let w = abs(graph_weights[base + j]);
+    for (var e = row.x; e < row.y; e = e + 1u) {
+        let idx = graph_neighbors[e];
+        let w = abs(graph_weights[e]);
         sum = sum + loadVecByIndex(idx, cols, rows) * w;
         norm = norm + max(w, 0.0001);
     }
@@ -1268,26 +1418,55 @@ fn main(@builtin(global_invocation_id) id: vec3<u32>,
         m = meanGrid(id.x, id.y, layer, rng, cols, rows);
     }
     let local_r = length(m);
-    order[i] = clamp(local_r, 0.0, 1.0);
+    if (rk_stage.x < 0.5) { order[i] = clamp(local_r, 0.0, 1.0); }
 
     var y = m * lp.K0;
 
-    if (layer > 0u && abs(lp.layer_coupling_up) > 0.0001) {
-        let v = loadVecGlobal(i32(id.x), i32(id.y), i32(layer - 1u), i32(cols), i32(rows));
-        y = y + v * lp.layer_coupling_up;
+    // Layer coupling G[layer][m] at the pair's offset (delays are S¹ only)
+    let coupling_row = min(layer, 7u) * 8u;
+    for (var m = 0u; m < min(u32(params.layer_count), 8u); m = m + 1u) {
+        let link = layer_coupling[coupling_row + m];
+        if (abs(link.x) <= 0.0001) { continue; }
+        let v = loadVecGlobal(i32(id.x) + i32(link.y), i32(id.y) + i32(link.z), i32(m), i32(cols), i32(rows));
+        y = y + v * link.x;
     }
-    if (layer + 1u < u32(params.layer_count) && abs(lp.layer_coupling_down) > 0.0001) {
-        let v = loadVecGlobal(i32(id.x), i32(id.y), i32(layer + 1u), i32(cols), i32(rows));
-        y = y + v * lp.layer_coupling_down;
+
+    // Reservoir computing input, params.input_mode as on S¹:
+    // mode 0: rotation drive (extra angular velocity about ẑ)
+    // mode 1: field bias toward ẑ
+    // mode 2: coupling modulation (scales the coupling term locally)
+    let input_drive = input_weights[i] * input_signal;
+    let inj_mode = i32(params.input_mode + 0.5);
+    var omega = omega_vec[i].xyz;
+    if (inj_mode == 0) {
+        omega = omega + vec3<f32>(0.0, 0.0, input_drive * 5.0);
+    } else if (inj_mode == 1) {
+        y = y + vec3<f32>(0.0, 0.0, input_drive * 5.0);
+    } else if (inj_mode == 2) {
+        y = y * (1.0 + input_drive * 0.5);
     }
 
-    let omega = omega_vec[i].xyz;
     let cross_term = cross(omega, x);
     y = y + cross_term;
 
     var dx = y - dot(x, y) * x;
     dx = dx * (1.0 - lp.leak);
-    let x_next = x + dx * params.dt;
+    var x_next = x + dx * params.dt;
+    let stage = u32(rk_stage.x);
+    let stage_count = u32(rk_stage.y);
+    if (stage_count > 1u) {
+        // RK stage on the embedding, projected back to S² after every stage
+        let method = i32(lp.integrator);
+        let x0 = textureLoad(s2_base, vec2<i32>(i32(id.x), i32(id.y)), i32(layer), 0).xyz;
+        var acc = rk_weight(method, stage) * dx;
+        if (stage > 0u) { acc = acc + rk_accum[i].xyz; }
+        if (stage + 1u < stage_count) {
+            rk_accum[i] = vec4<f32>(acc, 0.0);
+            x_next = x0 + dx * (rk_advance(method, stage) * params.dt);
+        } else {
+            x_next = x0 + acc * params.dt;
+        }
+    }
     let n = length(x_next);
     let x_norm = select(vec3<f32>(1.0, 0.0, 0.0), x_next / n, n > 1e-6);
 
@@ -1315,8 +1494,8 @@ struct Params {
     flow_radial: f32, flow_rotate: f32, flow_swirl: f32, flow_bubble: f32,
     flow_ring: f32, flow_vortex: f32, flow_vertical: f32, orient_radial: f32,
     orient_circles: f32, orient_swirl: f32, orient_bubble: f32, orient_linear: f32,
-    mesh_mode: f32, manifold_mode: f32, pad5: f32, pad6: f32,
-    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_pad: f32,
+    mesh_mode: f32, manifold_mode: f32, noise_mode: f32, noise_tau: f32,
+    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_layout: f32,
     layer_count: f32, pad7: f32, pad8: f32, active_layer: f32,
 }
 
@@ -1371,12 +1550,12 @@ struct LayerParams {
     orient_swirl: f32,
     orient_bubble: f32,
     orient_linear: f32,
-    layer_coupling_up: f32,
-    layer_coupling_down: f32,
+    coupling_pad0: f32,
+    coupling_pad1: f32,
     growth_mu: f32,
     growth_sigma: f32,
     growth_mode: f32,
-    _pad3: f32,
+    integrator: f32,  // 0 = Euler, 1 = Heun, 2 = RK4
 }
 
 @group(0) @binding(0) var s3_in: texture_2d_array<f32>;
@@ -1386,10 +1565,16 @@ struct LayerParams {
 @group(0) @binding(4) var s3_out: texture_storage_2d_array<rgba32float, write>;
 @group(0) @binding(5) var<storage, read> graph_neighbors: array<u32>;
 @group(0) @binding(6) var<storage, read> graph_weights: array<f32>;
-@group(0) @binding(7) var<storage, read> graph_counts: array<u32>;
+@group(0) @binding(7) var<storage, read> graph_rows: array<u32>;  // counts (fixed layout) or N + 1 offsets (CSR)
 @group(0) @binding(8) var<uniform> layer_params: array<LayerParams, 8>;
+@group(0) @binding(9) var s3_base: texture_2d_array<f32>;
+@group(0) @binding(10) var<storage, read_write> rk_accum: array<vec4<f32>>;
+@group(0) @binding(11) var<uniform> rk_stage: vec4<f32>;  // (stage, stage_count, 0, 0)
+@group(0) @binding(12) var<storage, read> input_weights: array<f32>;
+@group(0) @binding(13) var<uniform> input_signal: f32;
+@group(0) @binding(14) var<storage, read> layer_coupling: array<vec4<f32>, 64>;  // (gain, dx, dy, delay) at target * 8 + source
 
-const MAX_GRAPH_DEGREE: u32 = 16u;
+${RK_TABLEAU}
 
 // Hamilton product: quaternion multiplication
 // q = (x, y, z, w) where w is scalar part
@@ -1425,16 +1610,26 @@ fn loadQuatByIndex(idx: u32, cols: u32, rows: u32) -> vec4<f32> {
     return textureLoad(s3_in, vec2<i32>(col, row), layer, 0);
 }
 
+// Edge slot range [start, end) of node i. Fixed layout rows sit at
+// i * topology_max_degree; CSR rows come from the offsets in graph_rows.
+fn graphRow(i: u32) -> vec2<u32> {
+    if (params.topology_layout > 0.5) {
+        return vec2<u32>(graph_rows[i], graph_rows[i + 1u]);
+    }
+    let stride = u32(params.topology_max_degree);
+    let start = i * stride;
+    return vec2<u32>(start, start + min(graph_rows[i], stride));
+}
+
 fn meanQuatGraph(i: u32, cols: u32, rows: u32) -> vec4<f32> {
-    let count = min(graph_counts[i], MAX_GRAPH_DEGREE);
+    let row = graphRow(i);
+    let count = row.y - row.x;
     if (count == 0u) { return vec4<f32>(0.0, 0.0, 0.0, 1.0); }
-    let base = i * MAX_GRAPH_DEGREE;
     var sum = vec4<f32>(0.0);
     var norm = 0.0;
-    for (var j = 0u; j < MAX_GRAPH_DEGREE; j = j + 1u) {
-        if (j >= count) { break; }
-        let idx = graph_neighbors[base + j];
-        let w = abs(graph_weights[base + j]);
+    for (var e = row.x; e < row.y; e = e + 1u) {
+        let idx = graph_neighbors[e];
+        let w = abs(graph_weights[e]);
         sum = sum + loadQuatByIndex(idx, cols, rows) * w;
         norm = norm + max(w, 0.0001);
     }
@@ -1483,33 +1678,60 @@ fn main(@builtin(global_invocation_id) id: vec3<u32>,
 
     // Local order = magnitude of mean quaternion
     let local_r = length(m);
-    order[i] = clamp(local_r, 0.0, 1.0);
+    if (rk_stage.x < 0.5) { order[i] = clamp(local_r, 0.0, 1.0); }
 
     // Coupling term: project mean onto tangent space of q, scale by K
     var y = tangent_project_s3(q, m) * lp.K0;
 
-    // Layer coupling (if enabled)
-    if (layer > 0u && abs(lp.layer_coupling_up) > 0.0001) {
-        let v = loadQuatGlobal(i32(id.x), i32(id.y), i32(layer - 1u), i32(cols), i32(rows));
-        y = y + tangent_project_s3(q, v) * lp.layer_coupling_up;
+    // Layer coupling G[layer][m] at the pair's offset (delays are S¹ only)
+    let coupling_row = min(layer, 7u) * 8u;
+    for (var m = 0u; m < min(u32(params.layer_count), 8u); m = m + 1u) {
+        let link = layer_coupling[coupling_row + m];
+        if (abs(link.x) <= 0.0001) { continue; }
+        let v = loadQuatGlobal(i32(id.x) + i32(link.y), i32(id.y) + i32(link.z), i32(m), i32(cols), i32(rows));
+        y = y + tangent_project_s3(q, v) * link.x;
     }
-    if (layer + 1u < u32(params.layer_count) && abs(lp.layer_coupling_down) > 0.0001) {
-        let v = loadQuatGlobal(i32(id.x), i32(id.y), i32(layer + 1u), i32(cols), i32(rows));
-        y = y + tangent_project_s3(q, v) * lp.layer_coupling_down;
+
+    // Reservoir computing input, params.input_mode as on S¹:
+    // mode 0: rotation drive (extra angular velocity about the k axis)
+    // mode 1: field bias toward the identity quaternion
+    // mode 2: coupling modulation (scales the coupling term locally)
+    let input_drive = input_weights[i] * input_signal;
+    let inj_mode = i32(params.input_mode + 0.5);
+    var omega = omega_vec[i].xyz;
+    if (inj_mode == 0) {
+        omega = omega + vec3<f32>(0.0, 0.0, input_drive * 5.0);
+    } else if (inj_mode == 1) {
+        y = y + tangent_project_s3(q, vec4<f32>(0.0, 0.0, 0.0, input_drive * 5.0));
+    } else if (inj_mode == 2) {
+        y = y * (1.0 + input_drive * 0.5);
     }
 
     // Intrinsic rotation: dq/dt = 0.5 * omega_quat * q
     // omega_quat = (wx, wy, wz, 0) is pure imaginary quaternion
-    let omega = omega_vec[i];
-    let omega_quat = vec4<f32>(omega.xyz, 0.0);
+    let omega_quat = vec4<f32>(omega, 0.0);
     let dq_intrinsic = quat_mult(omega_quat, q) * 0.5;
 
     // Total change in quaternion
     var dq = dq_intrinsic + y;
     dq = dq * (1.0 - lp.leak);
 
-    // Euler integration + renormalization to stay on S³
-    let q_next = q + dq * params.dt;
+    // Euler / RK stage integration + renormalization to stay on S³
+    var q_next = q + dq * params.dt;
+    let stage = u32(rk_stage.x);
+    let stage_count = u32(rk_stage.y);
+    if (stage_count > 1u) {
+        let method = i32(lp.integrator);
+        let q0 = textureLoad(s3_base, vec2<i32>(i32(id.x), i32(id.y)), i32(layer), 0);
+        var acc = rk_weight(method, stage) * dq;
+        if (stage > 0u) { acc = acc + rk_accum[i]; }
+        if (stage + 1u < stage_count) {
+            rk_accum[i] = acc;
+            q_next = q0 + dq * (rk_advance(method, stage) * params.dt);
+        } else {
+            q_next = q0 + acc * params.dt;
+        }
+    }
     let n = length(q_next);
     let q_norm = select(vec4<f32>(0.0, 0.0, 0.0, 1.0), q_next / n, n > 1e-6);
 
@@ -0,0 +1,125 @@
+/**
+ * Interlayer plasticity shader source exports.
+ *
+ * Learned 3×3 kernels share the layer_coupling buffer with the coupling
+ * matrix: links[target * 8 + source] = (gain, dx, dy, delay), then 9 weights
+ * per pair at (target * 8 + source) * 9 + (oy + 1) * 3 + (ox + 1).
+ */
+
+const PLASTICITY_STRUCTS = `
+struct LayerCoupling {
+    links: array<vec4<f32>, 64>,
+    kernels: array<f32, 576>,
+}
+
+struct PlasticityParams {
+    cells: u32,   // Oscillators per layer
+    layers: u32,  // At most 8
+    cols: u32,    // Grid side
+    groups: u32,  // Workgroups per pair (grid-stride over cells)
+    rate: f32,    // Learning rate η
+    decay: f32,   // Fraction of each weight removed per update
+    bound: f32,   // Weights are clamped to [-bound, bound]
+    pad0: f32,
+}
+`;
+
+// Hebbian statistics per coupled pair, one row of workgroups per pair:
+// c_k = cos(θ_source(x + d + o_k) − θ_target(x)), y = Σ_k w_k c_k;
+// partials[(group * 64 + pair) * 10 + k] = Σ y c_k, [+ 9] = Σ y²
+export const PLASTICITY_HEBB_SHADER = `${PLASTICITY_STRUCTS}
+@group(0) @binding(0) var<storage, read> theta: array<f32>;  // [layer][row][col]
+@group(0) @binding(1) var<storage, read> layer_coupling: LayerCoupling;
+@group(0) @binding(2) var<storage, read_write> partials: array<f32>;
+@group(0) @binding(3) var<uniform> params: PlasticityParams;
+
+var<workgroup> shared_sum: array<f32, 256>;
+
+fn phase_at(layer: u32, col: i32, row: i32) -> f32 {
+    let n = i32(params.cols);
+    let c = ((col % n) + n) % n;
+    let r = ((row % n) + n) % n;
+    return theta[layer * params.cells + u32(r) * params.cols + u32(c)];
+}
+
+@compute @workgroup_size(256)
+fn main(@builtin(workgroup_id) wid: vec3<u32>,
+        @builtin(local_invocation_id) lid: vec3<u32>) {
+    let pair = wid.y;
+    let tgt = pair / 8u;
+    let src = pair % 8u;
+    let link = layer_coupling.links[pair];
+    // Uniform per workgroup, so uncoupled pairs skip the barriers together
+    if (tgt >= params.layers || src >= params.layers || abs(link.x) <= 0.0001) {
+        return;
+    }
+
+    var w: array<f32, 9>;
+    for (var k = 0u; k < 9u; k++) {
+        w[k] = layer_coupling.kernels[pair * 9u + k];
+    }
+    var acc: array<f32, 10>;
+    for (var cell = wid.x * 256u + lid.x; cell < params.cells; cell += params.groups * 256u) {
+        let col = i32(cell % params.cols) + i32(link.y);
+        let row = i32(cell / params.cols) + i32(link.z);
+        let t = theta[tgt * params.cells + cell];
+        var c: array<f32, 9>;
+        var y = 0.0;
+        for (var k = 0u; k < 9u; k++) {
+            c[k] = cos(phase_at(src, col + i32(k % 3u) - 1, row + i32(k / 3u) - 1) - t);
+            y += w[k] * c[k];
+        }
+        for (var k = 0u; k < 9u; k++) {
+            acc[k] += y * c[k];
+        }
+        acc[9] += y * y;
+    }
+
+    for (var j = 0u; j < 10u; j++) {
+        shared_sum[lid.x] = acc[j];
+        workgroupBarrier();
+        for (var offset = 128u; offset > 0u; offset = offset / 2u) {
+            if (lid.x < offset) {
+                shared_sum[lid.x] = shared_sum[lid.x] + shared_sum[lid.x + offset];
+            }
+            workgroupBarrier();
+        }
+        if (lid.x == 0u) {
+            partials[(wid.x * 64u + pair) * 10u + j] = shared_sum[0];
+        }
+        workgroupBarrier();
+    }
+}
+`;
+
+// Oja-style update of every coupled weight, one thread per (pair, k):
+// w ← clamp((1 − decay) w + η (⟨y c_k⟩ − ⟨y²⟩ w), −bound, bound)
+export const PLASTICITY_APPLY_SHADER = `${PLASTICITY_STRUCTS}
+@group(0) @binding(0) var<storage, read_write> layer_coupling: LayerCoupling;
+@group(0) @binding(1) var<storage, read> partials: array<f32>;
+@group(0) @binding(2) var<uniform> params: PlasticityParams;
+
+@compute @workgroup_size(64)
+fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
+    let i = gid.x;
+    if (i >= 576u) {
+        return;
+    }
+    let pair = i / 9u;
+    let k = i % 9u;
+    if (pair / 8u >= params.layers || pair % 8u >= params.layers || abs(layer_coupling.links[pair].x) <= 0.0001) {
+        return;
+    }
+    var hebb = 0.0;
+    var norm = 0.0;
+    for (var g = 0u; g < params.groups; g++) {
+        let base = (g * 64u + pair) * 10u;
+        hebb += partials[base + k];
+        norm += partials[base + 9u];
+    }
+    let n = f32(params.cells);
+    let w = layer_coupling.kernels[i];
+    let next = (1.0 - params.decay) * w + params.rate * (hebb / n - (norm / n) * w);
+    layer_coupling.kernels[i] = clamp(next, -params.bound, params.bound);
+}
+`;
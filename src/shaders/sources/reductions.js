@@ -156,8 +156,8 @@ struct Params {
     flow_radial: f32, flow_rotate: f32, flow_swirl: f32, flow_bubble: f32,
     flow_ring: f32, flow_vortex: f32, flow_vertical: f32, orient_radial: f32,
     orient_circles: f32, orient_swirl: f32, orient_bubble: f32, orient_linear: f32,
-    mesh_mode: f32, manifold_mode: f32, pad5: f32, pad6: f32,
-    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_pad: f32,
+    mesh_mode: f32, manifold_mode: f32, noise_mode: f32, noise_tau: f32,
+    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_layout: f32,
     layer_count: f32, pad7: f32, pad8: f32, active_layer: f32,
 }
 
@@ -238,8 +238,8 @@ struct Params {
     flow_radial: f32, flow_rotate: f32, flow_swirl: f32, flow_bubble: f32,
     flow_ring: f32, flow_vortex: f32, flow_vertical: f32, orient_radial: f32,
     orient_circles: f32, orient_swirl: f32, orient_bubble: f32, orient_linear: f32,
-    mesh_mode: f32, manifold_mode: f32, pad5: f32, pad6: f32,
-    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_pad: f32,
+    mesh_mode: f32, manifold_mode: f32, noise_mode: f32, noise_tau: f32,
+    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_layout: f32,
     layer_count: f32, pad7: f32, pad8: f32, active_layer: f32,
 }
 
@@ -372,8 +372,8 @@ struct Params {
     flow_radial: f32, flow_rotate: f32, flow_swirl: f32, flow_bubble: f32,
     flow_ring: f32, flow_vortex: f32, flow_vertical: f32, orient_radial: f32,
     orient_circles: f32, orient_swirl: f32, orient_bubble: f32, orient_linear: f32,
-    mesh_mode: f32, manifold_mode: f32, pad5: f32, pad6: f32,
-    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_pad: f32,
+    mesh_mode: f32, manifold_mode: f32, noise_mode: f32, noise_tau: f32,
+    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_layout: f32,
     layer_count: f32, pad7: f32, pad8: f32, active_layer: f32,
 }
 
@@ -611,3 +611,92 @@ fn main() {
     }
 }
 `;
+
+// Cross-layer synchronization (S¹, layered grids). One thread per cell reads
+// that cell in every layer; each (l, m ≥ l) item gets its own tree reduction.
+export const LAYER_SYNC_STATS_SHADER = `
+struct LayerSyncParams {
+    cells: u32,   // Oscillators per layer
+    layers: u32,  // At most 8
+    pad0: u32,
+    scale: f32,   // Fixed-point scale, keeps |sum| * scale within i32 for any grid
+}
+
+@group(0) @binding(0) var<storage, read> theta: array<f32>;        // [layer][row][col]
+@group(0) @binding(1) var<storage, read> local_order: array<f32>;  // Per-oscillator local R
+@group(0) @binding(2) var<storage, read_write> sync_atomic: array<atomic<i32>, 256>;
+// sync_atomic[2 * (l * 8 + m)], [+1] = sum of cos/sin of θ_l (m == l) or θ_l - θ_m (m > l), times params.scale
+// sync_atomic[128 + l * 16 + bin] = local R histogram counts of layer l
+@group(0) @binding(3) var<uniform> params: LayerSyncParams;
+
+var<workgroup> shared_sum: array<vec2<f32>, 256>;
+
+@compute @workgroup_size(256)
+fn main(@builtin(global_invocation_id) gid: vec3<u32>,
+        @builtin(local_invocation_id) lid: vec3<u32>) {
+    let local_id = lid.x;
+    let cell = gid.x;
+    let layers = min(params.layers, 8u);
+    let in_range = cell < params.cells;
+
+    // Phases of this cell in every layer
+    var th: array<f32, 8>;
+    for (var l = 0u; l < layers; l++) {
+        if (in_range) {
+            let idx = l * params.cells + cell;
+            th[l] = theta[idx];
+            let bin = clamp(i32(floor(local_order[idx] * 16.0)), 0, 15);
+            atomicAdd(&sync_atomic[128u + l * 16u + u32(bin)], 1);
+        }
+    }
+
+    // Loop bounds come from a uniform, so every invocation reaches the barriers
+    for (var l = 0u; l < layers; l++) {
+        for (var m = l; m < layers; m++) {
+            var v = vec2<f32>(0.0, 0.0);
+            if (in_range) {
+                let d = select(th[l] - th[m], th[l], m == l);
+                v = vec2<f32>(cos(d), sin(d));
+            }
+            shared_sum[local_id] = v;
+            workgroupBarrier();
+
+            for (var offset = 128u; offset > 0u; offset = offset / 2u) {
+                if (local_id < offset) {
+                    shared_sum[local_id] = shared_sum[local_id] + shared_sum[local_id + offset];
+                }
+                workgroupBarrier();
+            }
+
+            if (local_id == 0u) {
+                let slot = 2u * (l * 8u + m);
+                atomicAdd(&sync_atomic[slot], i32(shared_sum[0].x * params.scale));
+                atomicAdd(&sync_atomic[slot + 1u], i32(shared_sum[0].y * params.scale));
+            }
+        }
+    }
+}
+`;
+
+export const LAYER_SYNC_NORMALIZE_SHADER = `
+struct LayerSyncParams {
+    cells: u32,
+    layers: u32,
+    pad0: u32,
+    scale: f32,
+}
+
+@group(0) @binding(0) var<storage, read_write> sync_atomic: array<atomic<i32>, 256>;
+@group(0) @binding(1) var<storage, read_write> sync_out: array<f32, 256>;
+// sync_out[2 * (l * 8 + m)], [+1] = mean cos/sin of θ_l (m == l) or θ_l - θ_m (m > l)
+// sync_out[128 + l * 16 + bin] = local R histogram of layer l normalized to [0,1]
+@group(0) @binding(2) var<uniform> params: LayerSyncParams;
+
+@compute @workgroup_size(128)
+fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
+    let i = gid.x;
+    let n = f32(max(params.cells, 1u));
+    sync_out[i] = (f32(atomicLoad(&sync_atomic[i])) / params.scale) / n;
+    sync_out[128u + i] = f32(atomicLoad(&sync_atomic[128u + i])) / n;
+}
+`;
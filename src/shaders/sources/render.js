@@ -23,8 +23,8 @@ struct Params {
     flow_radial: f32, flow_rotate: f32, flow_swirl: f32, flow_bubble: f32,
     flow_ring: f32, flow_vortex: f32, flow_vertical: f32, orient_radial: f32,
     orient_circles: f32, orient_swirl: f32, orient_bubble: f32, orient_linear: f32,
-    mesh_mode: f32, manifold_mode: f32, pad5: f32, pad6: f32,
-    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_pad: f32,
+    mesh_mode: f32, manifold_mode: f32, noise_mode: f32, noise_tau: f32,
+    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_layout: f32,
     layer_count: f32, pad7: f32, pad8: f32, active_layer: f32,
 }
 
@@ -514,8 +514,8 @@ struct Params {
     flow_radial: f32, flow_rotate: f32, flow_swirl: f32, flow_bubble: f32,
     flow_ring: f32, flow_vortex: f32, flow_vertical: f32, orient_radial: f32,
     orient_circles: f32, orient_swirl: f32, orient_bubble: f32, orient_linear: f32,
-    mesh_mode: f32, manifold_mode: f32, pad5: f32, pad6: f32,
-    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_pad: f32,
+    mesh_mode: f32, manifold_mode: f32, noise_mode: f32, noise_tau: f32,
+    topology_mode: f32, topology_max_degree: f32, topology_avg_degree: f32, topology_layout: f32,
     layer_count: f32, pad7: f32, pad8: f32, active_layer: f32,
 }
 
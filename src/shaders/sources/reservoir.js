@@ -0,0 +1,57 @@
+/**
+ * Reservoir computing shader source exports.
+ */
+
+// One thread per readout oscillator: [sin θ, cos θ, 3×3 patch order R]
+// (layout of ReservoirIO GATHER_STRIDE); R only when with_order is set
+export const RC_FEATURE_GATHER_SHADER = `
+struct GatherParams {
+    count: u32,
+    cols: u32,
+    layer: u32,
+    with_order: u32,
+}
+
+@group(0) @binding(0) var theta_tex: texture_2d_array<f32>;
+@group(0) @binding(1) var<storage, read> readout_indices: array<u32>;
+@group(0) @binding(2) var<storage, read_write> features: array<f32>;
+@group(0) @binding(3) var<uniform> params: GatherParams;
+
+fn phase_at(x: i32, y: i32) -> f32 {
+    let n = i32(params.cols);
+    let xx = ((x % n) + n) % n;
+    let yy = ((y % n) + n) % n;
+    return textureLoad(theta_tex, vec2<i32>(xx, yy), i32(params.layer), 0).r;
+}
+
+@compute @workgroup_size(64)
+fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
+    let k = gid.x;
+    if (k >= params.count) {
+        return;
+    }
+    let idx = readout_indices[k];
+    let x = i32(idx % params.cols);
+    let y = i32(idx / params.cols);
+    let theta = phase_at(x, y);
+
+    var order = 0.0;
+    if (params.with_order != 0u) {
+        var re = 0.0;
+        var im = 0.0;
+        for (var dy = -1; dy <= 1; dy++) {
+            for (var dx = -1; dx <= 1; dx++) {
+                let th = phase_at(x + dx, y + dy);
+                re += cos(th);
+                im += sin(th);
+            }
+        }
+        order = sqrt(re * re + im * im) / 9.0;
+    }
+
+    let base = k * 3u;
+    features[base] = sin(theta);
+    features[base + 1u] = cos(theta);
+    features[base + 2u] = order;
+}
+`;
@@ -0,0 +1,1287 @@
+/**
+ * CpuSimulation — headless CPU reference for the S¹ compute path.
+ *
+ * Mirrors Simulation.step for rules 0-6 (grid and graph topology, global
+ * coupling, adaptive graph edge weights, interlayer coupling with learned
+ * kernels and their plasticity updates, gauge links, RC input, prismatic
+ * dynamics)
+ * using the same LayerParams layout, delay ring and stats ordering, so it can
+ * run in Node and be diffed against GPU readbacks.
+ *
+ * Shader behavior reproduced as-is (keep in sync with compute.js):
+ * - in-rule noise hashes frame time and cell index (the same kick in every RK
+ *   stage, added after the leak); white / OU noise replay the same
+ *   counter-based draws;
+ * - known limitation: tiled graph neighbors are not offset per layer, so every
+ *   layer of a multi-layer graph couples to layer 0's phases.
+ * Heun / RK4 layers run the same stage loop as the GPU (order field and
+ * global mean field at X_0, one shared weighted-slope accumulator).
+ * Not mirrored: the dynamic gauge update pass and audio feature metrics.
+ * Arithmetic runs in f64, so trajectories match the GPU to float tolerance.
+ */
+
+import { FIXED_GRAPH_DEGREE, TOPOLOGY_MODE_IDS } from '../topology/index.js';
+import {
+    packLayerParams,
+    packLayerCoupling,
+    integratorStageCount,
+    makeNoiseState,
+    tileTopologyLayers,
+    identityInterlayerKernels,
+    resolvePlasticity,
+    resolveAdaptiveCoupling,
+    layerSyncScale,
+    LAYER_PARAMS_STRIDE_FLOATS,
+    MAX_LAYER_PARAMS,
+    LAYER_SYNC_FLOATS,
+    INTERLAYER_KERNEL_FLOATS
+} from './buffers.js';
+import { unpackLayerSync } from './readback.js';
+
+const TWO_PI = 6.28318530718;
+const REDUCTION_WORKGROUP = 256;
+
+// LayerParams field order (must match writeLayerParams / WGSL LayerParams)
+const LAYER_FIELDS = [
+    'rule_mode', 'K0', 'range', 'harmonic_a', 'harmonic_b', 'sigma', 'sigma2', 'beta',
+    'noise_strength', 'leak', 'kernel_shape', 'kernel_orientation', 'kernel_aspect',
+    'kernel_scale2_weight', 'kernel_scale3_weight', 'kernel_asymmetry', 'kernel_rings',
+    'ring_width_1', 'ring_width_2', 'ring_width_3', 'ring_width_4', 'ring_width_5',
+    'ring_weight_1', 'ring_weight_2', 'ring_weight_3', 'ring_weight_4', 'ring_weight_5',
+    'kernel_composition_enabled', 'kernel_secondary', 'kernel_mix_ratio',
+    'kernel_asymmetric_orientation', 'kernel_spatial_freq_mag', 'kernel_spatial_freq_angle',
+    'kernel_gabor_phase',
+    'scale_base', 'scale_radial', 'scale_random', 'scale_ring',
+    'flow_radial', 'flow_rotate', 'flow_swirl', 'flow_bubble', 'flow_ring', 'flow_vortex', 'flow_vertical',
+    'orient_radial', 'orient_circles', 'orient_swirl', 'orient_bubble', 'orient_linear',
+    'coupling_pad0', 'coupling_pad1',
+    'growth_mu', 'growth_sigma', 'growth_mode', 'integrator'
+];
+
+// Diagonal explicit RK tableaux indexed by LayerParams.integrator (see rk_weight / rk_advance)
+const RK_WEIGHTS = [[1], [0.5, 0.5], [1 / 6, 1 / 3, 1 / 3, 1 / 6]];
+const RK_ADVANCE = [[], [1], [0.5, 0.5, 1]];
+
+function decodeLayerParams(data) {
+    const out = [];
+    for (let l = 0; l < MAX_LAYER_PARAMS; l++) {
+        const base = l * LAYER_PARAMS_STRIDE_FLOATS;
+        const lp = {};
+        for (let k = 0; k < LAYER_FIELDS.length; k++) {
+            lp[LAYER_FIELDS[k]] = data[base + k];
+        }
+        out.push(lp);
+    }
+    return out;
+}
+
+function pcgHash(v) {
+    const state = (Math.imul(v, 747796405) + 2891336453) >>> 0;
+    const word = Math.imul(((state >>> ((state >>> 28) + 4)) ^ state) >>> 0, 277803737) >>> 0;
+    return ((word >>> 22) ^ word) >>> 0;
+}
+
+// hash() in compute.js (Wang integer hash to [0, 1))
+function wangHash(n) {
+    let x = ((n ^ 61) ^ (n >>> 16)) >>> 0;
+    x = (x + (x << 3)) >>> 0;
+    x = (x ^ (x >>> 4)) >>> 0;
+    x = Math.imul(x, 0x27d4eb2d) >>> 0;
+    x = (x ^ (x >>> 15)) >>> 0;
+    return Math.fround(x) / 4294967296;
+}
+
+function wrapIndex(v, n) {
+    const m = v % n;
+    return m < 0 ? m + n : m;
+}
+
+function fract(x) {
+    return x - Math.floor(x);
+}
+
+function hash21(x, y) {
+    return fract(Math.sin(x * 12.9898 + y * 78.233) * 43758.5453);
+}
+
+function mix(a, b, t) {
+    return a * (1 - t) + b * t;
+}
+
+function ringWeight(r, s1, s2, lp) {
+    const rNorm = r / s2;
+    const rings = Math.trunc(lp.kernel_rings);
+    const widths = [lp.ring_width_1, lp.ring_width_2, lp.ring_width_3, lp.ring_width_4, lp.ring_width_5];
+    const weights = [lp.ring_weight_1, lp.ring_weight_2, lp.ring_weight_3, lp.ring_weight_4, lp.ring_weight_5];
+    for (let k = 0; k < 5; k++) {
+        if (rings >= k + 1 && rNorm < widths[k]) {
+            const inner = k === 0 ? 0 : widths[k - 1];
+            const center = (inner + widths[k]) * 0.5 * s2;
+            const d = Math.abs(r - center);
+            return weights[k] * Math.exp(-d * d / (2 * s1 * s1));
+        }
+    }
+    return 0;
+}
+
+function kernelWeightForShape(dx, dy, shape, scale, lp) {
+    const s1 = lp.sigma * scale;
+    const s2 = lp.sigma2 * scale;
+    const mexhat = (distSq, a, b) => Math.exp(-distSq / (2 * a * a)) - lp.beta * Math.exp(-distSq / (2 * b * b));
+    if (shape === 1) {
+        const c = Math.cos(lp.kernel_orientation);
+        const s = Math.sin(lp.kernel_orientation);
+        const xr = dx * c + dy * s;
+        const yr = -dx * s + dy * c;
+        const aspect = lp.kernel_aspect;
+        return mexhat(xr * xr + (yr * yr) / (aspect * aspect), s1, s2);
+    }
+    if (shape === 2) {
+        const d2 = dx * dx + dy * dy;
+        return mexhat(d2, s1, s2)
+            + lp.kernel_scale2_weight * mexhat(d2, s1 * 2, s2 * 2)
+            + lp.kernel_scale3_weight * mexhat(d2, s1 * 3, s2 * 3);
+    }
+    if (shape === 3) {
+        const pointAngle = Math.atan2(dy, -dx);
+        const directional = 1 + lp.kernel_asymmetry * Math.cos(pointAngle - lp.kernel_asymmetric_orientation);
+        return directional * mexhat(dx * dx + dy * dy, s1, s2);
+    }
+    if (shape === 4) {
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist < s1) return 1;
+        if (dist < s2) return -lp.beta;
+        return 0;
+    }
+    if (shape === 5) {
+        return ringWeight(Math.sqrt(dx * dx + dy * dy), s1, s2, lp);
+    }
+    if (shape === 6) {
+        const envelope = mexhat(dx * dx + dy * dy, s1, s2);
+        const k = lp.kernel_spatial_freq_mag;
+        const a = lp.kernel_spatial_freq_angle;
+        return envelope * Math.cos(k * Math.cos(a) * dx + k * Math.sin(a) * dy + lp.kernel_gabor_phase);
+    }
+    return mexhat(dx * dx + dy * dy, s1, s2);
+}
+
+function kernelWeight(dx, dy, lp) {
+    const primary = Math.trunc(lp.kernel_shape);
+    if (lp.kernel_composition_enabled > 0.5) {
+        const secondary = Math.trunc(lp.kernel_secondary);
+        return mix(
+            kernelWeightForShape(dx, dy, secondary, 1, lp),
+            kernelWeightForShape(dx, dy, primary, 1, lp),
+            lp.kernel_mix_ratio
+        );
+    }
+    return kernelWeightForShape(dx, dy, primary, 1, lp);
+}
+
+function buildKernelTable(lp, radius) {
+    const size = 2 * radius + 1;
+    const table = new Float64Array(size * size);
+    for (let dr = -radius; dr <= radius; dr++) {
+        for (let dc = -radius; dc <= radius; dc++) {
+            table[(dr + radius) * size + (dc + radius)] = kernelWeight(dc, dr, lp);
+        }
+    }
+    return { radius, size, table };
+}
+
+function growthSelect(u, mu, sigma, mode) {
+    if (mode === 1) return Math.abs(u - mu) < sigma ? 1 : -1;
+    if (mode === 2) {
+        const d1 = u - mu;
+        const d2 = u - 2 * mu;
+        const g1 = Math.exp(-(d1 * d1) / (2 * sigma * sigma));
+        const g2 = Math.exp(-(d2 * d2) / (2 * sigma * sigma));
+        return 2 * (g1 - 0.5 * g2) - 1;
+    }
+    const d = u - mu;
+    return 2 * Math.exp(-(d * d) / (2 * sigma * sigma)) - 1;
+}
+
+// Sum in 256-wide chunks and truncate each chunk to 1 / scale fixed point,
+// matching the atomic accumulation in reductions.js.
+function quantizedChunkSum(n, valueAt, scale = 10000) {
+    let total = 0;
+    for (let start = 0; start < n; start += REDUCTION_WORKGROUP) {
+        const end = Math.min(n, start + REDUCTION_WORKGROUP);
+        let chunk = 0;
+        for (let i = start; i < end; i++) chunk += Math.fround(valueAt(i));
+        total += Math.trunc(Math.fround(chunk) * scale);
+    }
+    return total / scale;
+}
+
+export class CpuSimulation {
+    constructor(gridSize, layerCount = 1) {
+        this.gridSize = gridSize;
+        this.layers = Math.max(1, Math.floor(layerCount));
+        this.layerSize = gridSize * gridSize;
+        this.N = this.layerSize * this.layers;
+        this.delayBufferSize = 32;
+        this.delayBufferIndex = 0;
+        this.delayBuffers = [];
+        this.paramsManifoldMode = 's1';
+        this.topologyModeValue = 0;
+        this.gaugeEnabled = false;
+        this.gaugeDynamic = false;
+        this.initBuffers();
+    }
+
+    initBuffers() {
+        const N = this.N;
+        this.theta = new Float32Array(N);
+        this.thetaNext = new Float32Array(N);
+        this.rkStageData = [new Float32Array(N), new Float32Array(N)];
+        this.rkAccum = new Float64Array(N);
+        this.noiseState = makeNoiseState(N, this.noiseSeed ?? 1);
+        this.noiseEta = new Float32Array(N);
+        this.omegaData = new Float32Array(N);
+        this.order = new Float32Array(N).fill(0.5);
+        this.prismaticState = new Float32Array(N * 2);
+        this.prismaticStateNext = new Float32Array(N * 2);
+        this.gaugeXData = new Float32Array(N);
+        this.gaugeYData = new Float32Array(N);
+        this.graphLayout = 'fixed';
+        this.graphStride = FIXED_GRAPH_DEGREE;
+        this.graphSlots = N * FIXED_GRAPH_DEGREE;
+        this.graphNeighbors = new Uint32Array(this.graphSlots);
+        this.graphWeights = new Float32Array(this.graphSlots);
+        this.graphCounts = new Uint32Array(N);
+        this.graphOffsets = new Uint32Array(N + 1);
+        for (let i = 0; i <= N; i++) this.graphOffsets[i] = i * FIXED_GRAPH_DEGREE;
+        this.graphGaugeData = new Float32Array(this.graphSlots);
+        this.adaptiveCoupling = resolveAdaptiveCoupling(null);
+        this.inputWeights = new Float32Array(N);
+        this.inputSignal = 0;
+        this.delayBuffers = [];
+        for (let i = 0; i < this.delayBufferSize; i++) {
+            this.delayBuffers.push(new Float32Array(N));
+        }
+        this.couplingHistory = [];
+        this.couplingHistoryIndex = 0;
+        this.couplingHistoryHead = 0;
+        this.interlayerKernels = identityInterlayerKernels();
+        this.plasticity = resolvePlasticity(null, this.layers);
+        this.plasticityStep = 0;
+        this.plasticityUpdates = 0;
+        this.globalOrder = new Float32Array(2);
+        this.localStatsData = new Float32Array(5 + 16);
+        this.layerSyncData = new Float32Array(LAYER_SYNC_FLOATS);
+        this.params = {
+            dt: 0,
+            time: 0,
+            globalCoupling: false,
+            inputMode: 0,
+            topologyMode: 0,
+            layerKernelEnabled: false,
+            layerCount: this.layers,
+            noiseMode: 0,
+            noiseTau: 1.0
+        };
+        this.gauge = { enabled: false, charge: 1.0 };
+        this.interaction = {
+            phaseLag: 0,
+            prismaticDynamics: false,
+            forceEnabled: false,
+            mouseActive: false,
+            mouseU: 0.5,
+            mouseV: 0.5,
+            mouseStrength: 4.0,
+            mouseRadius: 0.08,
+            mouseFalloff: 1.0,
+            targetPhase: 0,
+            prismaticK: 0.10,
+            prismaticFriction: 0.92,
+            prismaticEnergyDecay: 0.88,
+            prismaticEnergyMix: 0.12
+        };
+        this.readbackPending = false;
+        this.pendingReadback = null;
+        this.lastGlobalOrder = { cos: 0, sin: 0, R: 0, Psi: 0 };
+        this.lastLocalStats = { meanR: 0, syncFraction: 0, gradient: 0, variance: 0 };
+        this.writeLayerParams(null);
+    }
+
+    writeLayerParams(layers) {
+        this.layerParamsData = packLayerParams(layers, this.layers);
+        this.layerParams = decodeLayerParams(this.layerParamsData);
+        this.integratorStages = integratorStageCount(this.layerParamsData, this.layers);
+        const coupling = packLayerCoupling(layers, this.layers);
+        this.layerCoupling = coupling.data;
+        this._ensureCouplingHistory(coupling.maxDelay);
+        this.kernelTables = this.layerParams.map((lp) => {
+            const intraRadius = Math.max(0, Math.trunc(lp.sigma2 * 3.0));
+            const interRadius = Math.trunc(Math.min(8, Math.max(1, lp.sigma2 * 3.0)));
+            return {
+                intra: buildKernelTable(lp, intraRadius),
+                inter: buildKernelTable(lp, interRadius)
+            };
+        });
+    }
+
+    writeTopology(topology) {
+        if (!topology) return;
+        let { neighbors, weights, counts, offsets } = topology;
+        if (this.layers > 1 && counts?.length === this.layerSize && offsets?.length === this.layerSize + 1) {
+            ({ neighbors, weights, counts, offsets } = tileTopologyLayers(topology, this.layerSize, this.layers));
+        }
+        if (counts?.length !== this.N ||
+            offsets?.length !== this.N + 1 ||
+            neighbors?.length !== offsets[this.N] ||
+            weights?.length !== neighbors.length) {
+            console.warn('Topology buffers have unexpected length; skipping upload');
+            return;
+        }
+        this.graphNeighbors = new Uint32Array(neighbors);
+        this.graphWeights = new Float32Array(weights);
+        this.graphCounts = new Uint32Array(counts);
+        this.graphOffsets = new Uint32Array(offsets);
+        this.graphLayout = topology.layout === 'csr' ? 'csr' : 'fixed';
+        this.graphStride = this.graphLayout === 'csr' ? 0 : topology.stride;
+        this.graphSlots = neighbors.length;
+        this.graphGaugeData = new Float32Array(this.graphSlots);
+        this.topologyInfo = { ...topology, neighbors, weights, counts, offsets };
+    }
+
+    updateParams(p) {
+        this.params.dt = p.dt * p.timeScale * (p.paused ? 0 : 1);
+        this.params.time = p.frameTime;
+        this.paramsManifoldMode = p.manifoldMode || 's1';
+        this.setInteractionParams(p);
+    }
+
+    updateFullParams(p) {
+        const manifold = p.manifoldMode || 's1';
+        if (manifold !== 's1') {
+            throw new Error(`CpuSimulation only supports the S1 manifold (got ${manifold})`);
+        }
+        const injMode = (() => {
+            if (typeof p.rcInjectionMode === 'string') {
+                if (p.rcInjectionMode === 'phase_drive') return 1;
+                if (p.rcInjectionMode === 'coupling_mod') return 2;
+                return 0;
+            }
+            return p.rcInjectionMode || 0;
+        })();
+        const topoMode = TOPOLOGY_MODE_IDS[p.topologyMode] ?? 0;
+        this.paramsManifoldMode = manifold;
+        this.params.dt = p.dt * p.timeScale * (p.paused ? 0 : 1);
+        this.params.time = p.frameTime ?? 0;
+        this.params.globalCoupling = !!p.globalCoupling && !p.gaugeEnabled;
+        this.params.inputMode = injMode;
+        this.params.topologyMode = topoMode;
+        this.params.layerKernelEnabled = !!p.layerKernelEnabled;
+        this.params.layerCount = this.layers;
+        this.params.noiseMode = p.noiseMode === 'wiener' ? 1 : (p.noiseMode === 'ou' ? 2 : 0);
+        this.params.noiseTau = Math.fround(p.noiseTau ?? 1.0);
+        this.topologyModeValue = topoMode;
+        this.setGaugeParams(p);
+        this.setInteractionParams(p);
+        this.setPlasticityParams(p);
+        this.setAdaptiveCouplingParams(p);
+    }
+
+    setAdaptiveCouplingParams(state) {
+        this.adaptiveCoupling = resolveAdaptiveCoupling(state);
+    }
+
+    writeGraphWeights(data) {
+        if (!data || data.length !== this.graphSlots) {
+            console.warn('Graph weights length mismatch', data?.length, 'expected', this.graphSlots);
+            return;
+        }
+        this.graphWeights = Float32Array.from(data);
+    }
+
+    resetGraphWeights() {
+        if (this.topologyInfo?.weights) this.writeGraphWeights(this.topologyInfo.weights);
+    }
+
+    async readGraphWeights() {
+        return Float32Array.from(this.graphWeights);
+    }
+
+    setPlasticityParams(state) {
+        this.plasticity = resolvePlasticity(state, this.layers);
+    }
+
+    writeInterlayerKernels(data) {
+        if (!data || data.length !== INTERLAYER_KERNEL_FLOATS) {
+            console.warn('Interlayer kernel length mismatch', data?.length, 'expected', INTERLAYER_KERNEL_FLOATS);
+            return;
+        }
+        this.interlayerKernels = Float32Array.from(data);
+        this.plasticityUpdates = 0;
+    }
+
+    resetInterlayerKernels() {
+        this.writeInterlayerKernels(identityInterlayerKernels());
+    }
+
+    async readInterlayerKernels() {
+        return Float32Array.from(this.interlayerKernels);
+    }
+
+    setGaugeParams(state) {
+        this.gauge.enabled = !!state?.gaugeEnabled;
+        this.gauge.charge = state?.gaugeCharge ?? 1.0;
+        this.gaugeEnabled = this.gauge.enabled;
+        this.gaugeDynamic = this.gaugeEnabled && state?.gaugeMode === 'dynamic';
+    }
+
+    setInteractionParams(state) {
+        const s1 = (state?.manifoldMode || 's1') === 's1';
+        const it = this.interaction;
+        it.phaseLag = (s1 && state?.phaseLagEnabled) ? (state?.phaseLagEta ?? 0.0) : 0.0;
+        it.prismaticDynamics = s1 && !!state?.prismaticDynamicsEnabled;
+        it.forceEnabled = s1 && !!state?.interactionForceEnabled;
+        it.mouseActive = it.forceEnabled && !!state?.mouseForcePointerActive;
+        it.mouseU = Math.max(0.0, Math.min(1.0, state?.mouseForcePointerU ?? 0.5));
+        it.mouseV = Math.max(0.0, Math.min(1.0, state?.mouseForcePointerV ?? 0.5));
+        it.mouseStrength = Math.max(0.0, state?.prismaticDragPeakForce ?? 4.0);
+        it.mouseRadius = Math.max(0.001, state?.prismaticDragRadiusUV ?? 0.08);
+        it.targetPhase = state?.prismaticTargetPhase ?? 0.0;
+        it.mouseFalloff = Math.max(0.2, state?.interactionForceFalloff ?? 1.0);
+        it.prismaticK = Math.max(0.0, state?.prismaticK ?? 0.10);
+        it.prismaticFriction = Math.max(0.0, Math.min(0.999, state?.prismaticFriction ?? 0.92));
+        it.prismaticEnergyDecay = Math.max(0.0, Math.min(0.999, state?.prismaticEnergyDecay ?? 0.88));
+        it.prismaticEnergyMix = Math.max(0.0, state?.prismaticEnergyMix ?? 0.12);
+    }
+
+    setManifoldMode(mode) {
+        this.paramsManifoldMode = mode || 's1';
+    }
+
+    writeTheta(data) {
+        this.theta = new Float32Array(data);
+        this.thetaNext = new Float32Array(this.N);
+        this.thetaData = new Float32Array(data);
+        for (const buf of this.delayBuffers) {
+            buf.set(this.theta);
+        }
+        for (const buf of this.couplingHistory) {
+            buf.set(this.theta);
+        }
+    }
+
+    // Theta history for delayed interlayer couplings (see ensureCouplingHistory)
+    _ensureCouplingHistory(maxDelay) {
+        const slots = maxDelay > 0 ? maxDelay + 1 : 0;
+        if (slots === this.couplingHistory.length) return;
+        this.couplingHistory = [];
+        for (let i = 0; i < slots; i++) {
+            this.couplingHistory.push(Float32Array.from(this.theta));
+        }
+        this.couplingHistoryIndex = 0;
+        this.couplingHistoryHead = 0;
+    }
+
+    writeOmega(data) {
+        this.omegaData = new Float32Array(data);
+    }
+
+    getOmega() {
+        return this.omegaData;
+    }
+
+    storeOmega(data) {
+        this.omegaData = new Float32Array(data);
+    }
+
+    writeGaugeField(ax, ay) {
+        this.gaugeXData = new Float32Array(ax);
+        this.gaugeYData = new Float32Array(ay);
+    }
+
+    writeGraphGauge(data) {
+        const expected = this.graphSlots;
+        if (!data || data.length !== expected) {
+            console.warn('Graph gauge length mismatch', data?.length, 'expected', expected);
+            return;
+        }
+        this.graphGaugeData = new Float32Array(data);
+    }
+
+    writeInputWeights(weights) {
+        this.inputWeights = new Float32Array(weights);
+    }
+
+    writeReservoirReadouts(indices, { layer = 0, localOrder = false } = {}) {
+        this.rcGather = {
+            indices: Uint32Array.from(indices),
+            layer: Math.min(this.layers - 1, Math.max(0, Math.floor(layer))),
+            localOrder
+        };
+    }
+
+    setInputSignal(signal) {
+        this.inputSignal = Math.fround(signal);
+    }
+
+    writePrismaticState(data = null) {
+        this.prismaticState = data ? new Float32Array(data) : new Float32Array(this.N * 2);
+        this.prismaticStateNext = new Float32Array(this.N * 2);
+    }
+
+    seedNoise(seed) {
+        this.noiseSeed = seed;
+        this.noiseState = makeNoiseState(this.N, seed);
+        this.noiseEta = new Float32Array(this.N);
+    }
+
+    // S2/S3 writers are accepted so resetSimulation can run, but never stepped.
+    writeS2(data) {
+        this.s2Data = new Float32Array(data);
+    }
+
+    writeS3(data) {
+        this.writeS2(data);
+    }
+
+    writeOmegaVec(data) {
+        this.omegaVecData = new Float32Array(data);
+    }
+
+    step(commandEncoder, delaySteps, globalCoupling, computeStats = true) {
+        if (this.paramsManifoldMode !== 's1') {
+            throw new Error(`CpuSimulation cannot step manifold ${this.paramsManifoldMode}`);
+        }
+        if (computeStats) {
+            this._computeGlobalOrder();
+            this._computeLocalStats();
+            if (this.layers > 1) this._computeLayerSync();
+        }
+        this.delayBuffers[this.delayBufferIndex].set(this.theta);
+        this.delayBufferIndex = (this.delayBufferIndex + 1) % this.delayBufferSize;
+        const delayIdx = (this.delayBufferIndex - delaySteps + this.delayBufferSize) % this.delayBufferSize;
+        this.thetaDelayed = this.delayBuffers[delayIdx];
+        if (this.couplingHistory.length > 0) {
+            this.couplingHistoryHead = this.couplingHistoryIndex;
+            this.couplingHistory[this.couplingHistoryHead].set(this.theta);
+            this.couplingHistoryIndex = (this.couplingHistoryIndex + 1) % this.couplingHistory.length;
+        }
+        if (this.plasticity.active) {
+            this.plasticityStep = (this.plasticityStep + 1) % this.plasticity.interval;
+            if (this.plasticityStep === 0) this._updatePlasticity();
+        }
+        if (this.adaptiveCoupling.active) this._updateGraphWeights();
+
+        const layerCount = Math.min(this.layers, this.params.layerCount);
+        const prismaticActive = this.interaction.prismaticDynamics && this.params.topologyMode === 0;
+        const stages = prismaticActive ? 1 : this.integratorStages;
+        const theta0 = this.theta;
+        this.thetaBase = theta0;
+        for (let stage = 0; stage < stages; stage++) {
+            const out = stage === stages - 1 ? this.thetaNext : this.rkStageData[stage & 1];
+            for (let layer = 0; layer < layerCount; layer++) {
+                for (let r = 0; r < this.gridSize; r++) {
+                    for (let c = 0; c < this.gridSize; c++) {
+                        this._updateCell(layer, c, r, stage, stages, out);
+                    }
+                }
+            }
+            this.theta = out;
+        }
+
+        this.thetaNext = theta0;
+        [this.prismaticState, this.prismaticStateNext] = [this.prismaticStateNext, this.prismaticState];
+    }
+
+    /**
+     * Deterministic right-hand side dθ/dt at an arbitrary state (no noise,
+     * single stage), with the mean field taken from `theta` itself. This is
+     * the tangent model LyapunovCalculator differentiates; prismatic dynamics
+     * are not covered.
+     *
+     * Delayed terms read the rings exactly as the next step(…, delaySteps)
+     * will: that step first pushes the current state, so a delay landing on
+     * the slot it fills reads `theta` itself; older slots are past states and
+     * stay fixed.
+     * @param {Float64Array|Float32Array} theta - State to evaluate (length N)
+     * @param {Float64Array} out - Receives dθ/dt
+     * @param {number} [delaySteps=0] - Delay ring offset of the next step
+     */
+    evaluateDrift(theta, out, delaySteps = 0) {
+        const savedTheta = this.theta;
+        const savedDelayed = this.thetaDelayed;
+        const savedHead = this.couplingHistoryHead;
+        const savedOrder = Float32Array.from(this.globalOrder);
+        this.theta = theta;
+        const fill = this.delayBufferIndex;
+        const delayIdx = ((fill + 1) % this.delayBufferSize - delaySteps + this.delayBufferSize) % this.delayBufferSize;
+        this.thetaDelayed = delayIdx === fill ? theta : this.delayBuffers[delayIdx];
+        // Delays ≥ 1 never reach the head slot, so the unfilled head is not read
+        this.couplingHistoryHead = this.couplingHistoryIndex;
+        if (this.params.globalCoupling) {
+            let sx = 0; let sy = 0;
+            for (let i = 0; i < this.N; i++) {
+                sx += Math.cos(theta[i]);
+                sy += Math.sin(theta[i]);
+            }
+            this.globalOrder = new Float64Array([sx / this.N, sy / this.N]);
+        }
+        const graph = this.params.topologyMode > 0;
+        const g = this.gridSize;
+        try {
+            for (let layer = 0; layer < this.layers; layer++) {
+                const lp = this.layerParams[Math.min(layer, 7)];
+                const needsOrder = Math.trunc(lp.rule_mode) === 1;
+                const rng = Math.trunc(lp.range);
+                for (let r = 0; r < g; r++) {
+                    for (let c = 0; c < g; c++) {
+                        const i = layer * this.layerSize + r * g + c;
+                        let ri = 0;
+                        if (needsOrder) ri = graph ? this._localOrderGraph(i) : this._localOrderGrid(c, r, layer, rng);
+                        out[i] = this._cellDrift(layer, c, r, i, theta[i], ri);
+                    }
+                }
+            }
+        } finally {
+            this.theta = savedTheta;
+            this.thetaDelayed = savedDelayed;
+            this.couplingHistoryHead = savedHead;
+            this.globalOrder = savedOrder;
+        }
+        return out;
+    }
+
+    requestGlobalOrderReadback(commandEncoder) {
+        if (this.readbackPending) return;
+        this.pendingReadback = {
+            global: Float32Array.from(this.globalOrder),
+            local: Float32Array.from(this.localStatsData),
+            layerSync: this.layers > 1 ? Float32Array.from(this.layerSyncData) : null
+        };
+        this.readbackPending = true;
+    }
+
+    async processReadback() {
+        if (!this.readbackPending || !this.pendingReadback) return null;
+        const { global, local, layerSync } = this.pendingReadback;
+        const cosSum = global[0];
+        const sinSum = global[1];
+        this.lastGlobalOrder = {
+            cos: cosSum,
+            sin: sinSum,
+            R: Math.sqrt(cosSum * cosSum + sinSum * sinSum),
+            Psi: Math.atan2(sinSum, cosSum)
+        };
+        this.lastLocalStats = {
+            meanR: local[0],
+            syncFraction: local[1],
+            gradient: local[2],
+            variance: local[3],
+            histogram: local.slice(5, 21),
+            layerSync: layerSync ? unpackLayerSync(layerSync, this.layers) : null
+        };
+        this.readbackPending = false;
+        this.pendingReadback = null;
+        return { ...this.lastGlobalOrder, localStats: this.lastLocalStats };
+    }
+
+    getLastGlobalOrder() {
+        return this.lastGlobalOrder;
+    }
+
+    getLastLocalStats() {
+        return this.lastLocalStats;
+    }
+
+    async readTheta() {
+        return new Float32Array(this.theta);
+    }
+
+    // Same layout as the GPU gather: [sin θ, cos θ, 3×3 patch order R] per readout
+    async readReservoirFeatures() {
+        if (!this.rcGather || this.rcGather.indices.length === 0) return null;
+        const { indices, layer, localOrder } = this.rcGather;
+        const n = this.gridSize;
+        const offset = layer * this.layerSize;
+        const out = new Float32Array(indices.length * 3);
+        for (let k = 0; k < indices.length; k++) {
+            const idx = indices[k];
+            const th = this.theta[offset + idx];
+            out[k * 3] = Math.sin(th);
+            out[k * 3 + 1] = Math.cos(th);
+            if (!localOrder) continue;
+            const x = idx % n;
+            const y = (idx - x) / n;
+            let re = 0;
+            let im = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const t = this.theta[offset + ((y + dy + n) % n) * n + ((x + dx + n) % n)];
+                    re += Math.cos(t);
+                    im += Math.sin(t);
+                }
+            }
+            out[k * 3 + 2] = Math.sqrt(re * re + im * im) / 9;
+        }
+        return out;
+    }
+
+    async readOrderField() {
+        return new Float32Array(this.order);
+    }
+
+    async waitForIdle() {
+        return true;
+    }
+
+    destroy() {
+        this.delayBuffers = [];
+        this.couplingHistory = [];
+    }
+
+    _computeGlobalOrder() {
+        const theta = this.theta;
+        const n = this.N;
+        this.globalOrder[0] = quantizedChunkSum(n, (i) => Math.cos(theta[i])) / n;
+        this.globalOrder[1] = quantizedChunkSum(n, (i) => Math.sin(theta[i])) / n;
+    }
+
+    _computeLocalStats() {
+        const n = this.N;
+        const order = this.order;
+        const hist = new Uint32Array(16);
+        for (let i = 0; i < n; i++) {
+            const bin = Math.max(0, Math.min(15, Math.floor(order[i] * 16)));
+            hist[bin]++;
+        }
+        const sumR = quantizedChunkSum(n, (i) => order[i]);
+        const syncCount = quantizedChunkSum(n, (i) => (order[i] > 0.7 ? 1 : 0));
+        const sumGrad = quantizedChunkSum(n, (i) => this._phaseGradient(i));
+        const sumR2 = quantizedChunkSum(n, (i) => order[i] * order[i]);
+        const meanR = sumR / n;
+        const out = this.localStatsData;
+        out[0] = meanR;
+        out[1] = syncCount / n;
+        out[2] = sumGrad / n;
+        out[3] = (sumR2 / n) - meanR * meanR;
+        out[4] = n;
+        for (let b = 0; b < 16; b++) out[5 + b] = hist[b] / n;
+    }
+
+    // LAYER_SYNC_STATS_SHADER layout: one 256-cell workgroup chunk per partial sum
+    _computeLayerSync() {
+        const cells = this.layerSize;
+        const layers = Math.min(this.layers, MAX_LAYER_PARAMS);
+        const theta = this.theta;
+        const order = this.order;
+        const out = this.layerSyncData;
+        const scale = Math.fround(layerSyncScale(cells));
+        out.fill(0);
+        for (let l = 0; l < layers; l++) {
+            const a = l * cells;
+            for (let m = l; m < layers; m++) {
+                const b = m * cells;
+                const slot = 2 * (l * MAX_LAYER_PARAMS + m);
+                const phase = m === l ? (i) => theta[a + i] : (i) => theta[a + i] - theta[b + i];
+                out[slot] = quantizedChunkSum(cells, (i) => Math.cos(phase(i)), scale) / cells;
+                out[slot + 1] = quantizedChunkSum(cells, (i) => Math.sin(phase(i)), scale) / cells;
+            }
+            const histBase = 2 * MAX_LAYER_PARAMS * MAX_LAYER_PARAMS + l * 16;
+            for (let i = 0; i < cells; i++) {
+                const bin = Math.max(0, Math.min(15, Math.floor(order[a + i] * 16)));
+                out[histBase + bin] += 1;
+            }
+            for (let b = 0; b < 16; b++) out[histBase + b] /= cells;
+        }
+    }
+
+    _phaseGradient(idx) {
+        const g = this.gridSize;
+        const layerSize = this.layerSize;
+        const base = Math.floor(idx / layerSize) * layerSize;
+        const local = idx - base;
+        const col = local % g;
+        const row = Math.floor(local / g);
+        const theta = this.theta;
+        const tc = theta[idx];
+        const tl = theta[base + row * g + (col + g - 1) % g];
+        const tr = theta[base + row * g + (col + 1) % g];
+        const tu = theta[base + ((row + g - 1) % g) * g + col];
+        const td = theta[base + ((row + 1) % g) * g + col];
+        const dx = Math.sin(tr - tc) + Math.sin(tc - tl);
+        const dy = Math.sin(td - tc) + Math.sin(tc - tu);
+        return Math.sqrt(dx * dx + dy * dy) * 0.5;
+    }
+
+    _thetaAt(c, r, layer) {
+        const g = this.gridSize;
+        return this.theta[layer * this.layerSize + wrapIndex(r, g) * g + wrapIndex(c, g)];
+    }
+
+    _gaugePath(c, r, dc, dr, layer) {
+        if (!this.gauge.enabled) return 0;
+        const g = this.gridSize;
+        const base = layer * this.layerSize;
+        const ax = this.gaugeXData;
+        const ay = this.gaugeYData;
+        let sum = 0;
+        let x = c;
+        let y = r;
+        if (dc > 0) {
+            for (let s = 0; s < dc; s++) { sum += ax[base + wrapIndex(y, g) * g + wrapIndex(x, g)]; x++; }
+        } else if (dc < 0) {
+            for (let s = 0; s < -dc; s++) { x--; sum -= ax[base + wrapIndex(y, g) * g + wrapIndex(x, g)]; }
+        }
+        if (dr > 0) {
+            for (let s = 0; s < dr; s++) { sum += ay[base + wrapIndex(y, g) * g + wrapIndex(x, g)]; y++; }
+        } else if (dr < 0) {
+            for (let s = 0; s < -dr; s++) { y--; sum -= ay[base + wrapIndex(y, g) * g + wrapIndex(x, g)]; }
+        }
+        return sum;
+    }
+
+    _covSin(thetaJ, thetaI, link) {
+        if (!this.gauge.enabled) return Math.sin(thetaJ - thetaI - this.interaction.phaseLag);
+        return Math.sin(thetaJ - thetaI - this.gauge.charge * link - this.interaction.phaseLag);
+    }
+
+    _localOrderGraph(i) {
+        const count = this.graphCounts[i];
+        if (count === 0) return 0;
+        const base = this.graphOffsets[i];
+        let sx = 0; let sy = 0; let norm = 0;
+        for (let j = 0; j < count; j++) {
+            const tj = this.theta[this.graphNeighbors[base + j]];
+            const w = Math.abs(this.graphWeights[base + j]);
+            sx += Math.cos(tj) * w;
+            sy += Math.sin(tj) * w;
+            norm += Math.max(w, 0.0001);
+        }
+        const cx = sx / norm;
+        const cy = sy / norm;
+        return Math.sqrt(cx * cx + cy * cy);
+    }
+
+    _localOrderGrid(c, r, layer, rng) {
+        let sx = 0; let sy = 0; let cnt = 0;
+        for (let dr = -rng; dr <= rng; dr++) {
+            for (let dc = -rng; dc <= rng; dc++) {
+                if (dr === 0 && dc === 0) continue;
+                const tj = this._thetaAt(c + dc, r + dr, layer);
+                sx += Math.cos(tj);
+                sy += Math.sin(tj);
+                cnt += 1;
+            }
+        }
+        return Math.sqrt((sx / cnt) * (sx / cnt) + (sy / cnt) * (sy / cnt));
+    }
+
+    // Returns [s1, s2, s3, norm]; harmonics only when requested.
+    _graphSums(i, t, source, harmonics = false) {
+        const count = this.graphCounts[i];
+        if (count === 0) return [0, 0, 0, 1];
+        const base = this.graphOffsets[i];
+        const lag = this.interaction.phaseLag;
+        let s1 = 0; let s2 = 0; let s3 = 0; let norm = 0;
+        for (let j = 0; j < count; j++) {
+            const tj = source[this.graphNeighbors[base + j]];
+            const w = this.graphWeights[base + j];
+            const a = this.gauge.enabled ? this.graphGaugeData[base + j] : 0;
+            if (harmonics) {
+                const d = tj - t - this.gauge.charge * a - lag;
+                s1 += w * Math.sin(d);
+                s2 += w * Math.sin(2 * d);
+                s3 += w * Math.sin(3 * d);
+            } else {
+                s1 += w * this._covSin(tj, t, a);
+            }
+            norm += Math.abs(w);
+        }
+        if (norm < 0.0001) norm = count;
+        return [s1, s2, s3, norm];
+    }
+
+    _spatialCoupling(c, r, layer, rng, t) {
+        let sum = 0; let cnt = 0;
+        for (let dr = -rng; dr <= rng; dr++) {
+            for (let dc = -rng; dc <= rng; dc++) {
+                if (dr === 0 && dc === 0) continue;
+                const tj = this._thetaAt(c + dc, r + dr, layer);
+                sum += this._covSin(tj, t, this._gaugePath(c, r, dc, dr, layer));
+                cnt += 1;
+            }
+        }
+        return [sum, cnt];
+    }
+
+    _meanFieldSin(t) {
+        const tp = t + this.interaction.phaseLag;
+        return this.globalOrder[1] * Math.cos(tp) - this.globalOrder[0] * Math.sin(tp);
+    }
+
+    _basicCoupling(c, r, layer, rng, t, i) {
+        if (this.params.globalCoupling) return [this._meanFieldSin(t), 1];
+        if (this.params.topologyMode > 0) {
+            const res = this._graphSums(i, t, this.theta);
+            return [res[0], res[3]];
+        }
+        return this._spatialCoupling(c, r, layer, rng, t);
+    }
+
+    _ruleHarmonics(c, r, layer, rng, t, i, lp) {
+        let s1 = 0; let s2 = 0; let s3 = 0; let cnt = 0;
+        if (this.params.globalCoupling) {
+            const zc = this.globalOrder[0];
+            const zs = this.globalOrder[1];
+            const zMag = Math.sqrt(zc * zc + zs * zs);
+            s1 = this._meanFieldSin(t);
+            s2 = s1 * lp.harmonic_a * zMag;
+            s3 = s1 * lp.harmonic_b * zMag;
+            cnt = 1;
+        } else if (this.params.topologyMode > 0) {
+            [s1, s2, s3, cnt] = this._graphSums(i, t, this.theta, true);
+        } else {
+            const lag = this.interaction.phaseLag;
+            for (let dr = -rng; dr <= rng; dr++) {
+                for (let dc = -rng; dc <= rng; dc++) {
+                    if (dr === 0 && dc === 0) continue;
+                    const tj = this._thetaAt(c + dc, r + dr, layer);
+                    const d = tj - t - this.gauge.charge * this._gaugePath(c, r, dc, dr, layer) - lag;
+                    s1 += Math.sin(d);
+                    s2 += Math.sin(2 * d);
+                    s3 += Math.sin(3 * d);
+                    cnt += 1;
+                }
+            }
+        }
+        return lp.K0 * ((s1 + lp.harmonic_a * s2 + lp.harmonic_b * s3) / Math.max(cnt, 1e-5));
+    }
+
+    _ruleKernel(c, r, layer, t, i, lp, kernel) {
+        if (this.params.topologyMode > 0) {
+            const res = this._graphSums(i, t, this.theta);
+            return lp.K0 * (res[0] / Math.max(res[3], 1e-5));
+        }
+        const { radius, size, table } = kernel;
+        let sum = 0; let wtotal = 0;
+        for (let dr = -radius; dr <= radius; dr++) {
+            for (let dc = -radius; dc <= radius; dc++) {
+                if (dr === 0 && dc === 0) continue;
+                const w = table[(dr + radius) * size + (dc + radius)];
+                const tj = this._thetaAt(c + dc, r + dr, layer);
+                sum += w * this._covSin(tj, t, this._gaugePath(c, r, dc, dr, layer));
+                wtotal += Math.abs(w);
+            }
+        }
+        return wtotal > 0 ? lp.K0 * (sum / wtotal) : 0;
+    }
+
+    _ruleDelay(c, r, layer, rng, t, i, lp) {
+        if (this.params.topologyMode > 0) {
+            const res = this._graphSums(i, t, this.thetaDelayed);
+            return lp.K0 * (res[0] / Math.max(res[3], 1e-5));
+        }
+        const g = this.gridSize;
+        let sum = 0; let cnt = 0;
+        for (let dr = -rng; dr <= rng; dr++) {
+            for (let dc = -rng; dc <= rng; dc++) {
+                if (dr === 0 && dc === 0) continue;
+                const j = layer * this.layerSize + wrapIndex(r + dr, g) * g + wrapIndex(c + dc, g);
+                sum += this._covSin(this.thetaDelayed[j], t, this._gaugePath(c, r, dc, dr, layer));
+                cnt += 1;
+            }
+        }
+        return lp.K0 * (sum / Math.max(cnt, 1e-5));
+    }
+
+    _ruleLenia(c, r, layer, lp, kernel) {
+        const { radius, size, table } = kernel;
+        let sum = 0; let wtotal = 0;
+        for (let dr = -radius; dr <= radius; dr++) {
+            for (let dc = -radius; dc <= radius; dc++) {
+                if (dr === 0 && dc === 0) continue;
+                const w = table[(dr + radius) * size + (dc + radius)];
+                sum += w * (this._thetaAt(c + dc, r + dr, layer) / (2.0 * 3.14159265));
+                wtotal += Math.abs(w);
+            }
+        }
+        const u = wtotal > 0 ? sum / wtotal : 0;
+        return lp.K0 * growthSelect(u, lp.growth_mu, lp.growth_sigma, Math.trunc(lp.growth_mode));
+    }
+
+    // Theta of a source layer `delay` steps back; 0 reads the current state
+    _sourceThetaAt(c, r, layer, delay) {
+        const slots = this.couplingHistory.length;
+        if (delay === 0 || slots === 0) return this._thetaAt(c, r, layer);
+        const g = this.gridSize;
+        const idx = layer * this.layerSize + wrapIndex(r, g) * g + wrapIndex(c, g);
+        const slot = (this.couplingHistoryHead + slots - Math.min(delay, slots - 1)) % slots;
+        return this.couplingHistory[slot][idx];
+    }
+
+    _kernelCouplingLayer(c, r, sourceLayer, delay, t, kernel) {
+        const { radius, size, table } = kernel;
+        const lag = this.interaction.phaseLag;
+        let sum = 0; let wtotal = 0;
+        for (let dr = -radius; dr <= radius; dr++) {
+            for (let dc = -radius; dc <= radius; dc++) {
+                if (dr === 0 && dc === 0) continue;
+                const w = table[(dr + radius) * size + (dc + radius)];
+                if (Math.abs(w) < 0.0001) continue;
+                sum += w * Math.sin(this._sourceThetaAt(c + dc, r + dr, sourceLayer, delay) - t - lag);
+                wtotal += Math.abs(w);
+            }
+        }
+        return wtotal < 0.0001 ? 0 : sum / wtotal;
+    }
+
+    // Sum over G[layer][m] of all source layers m at the pair's offset and delay
+    _interlayer(c, r, layer, t) {
+        const lag = this.interaction.phaseLag;
+        const useKernel = this.params.layerKernelEnabled;
+        const row = Math.min(layer, 7) * MAX_LAYER_PARAMS;
+        let inter = 0;
+        for (let m = 0; m < Math.min(this.params.layerCount, MAX_LAYER_PARAMS); m++) {
+            const base = (row + m) * 4;
+            const gain = this.layerCoupling[base];
+            if (Math.abs(gain) <= 0.0001) continue;
+            const sc = c + this.layerCoupling[base + 1];
+            const sr = r + this.layerCoupling[base + 2];
+            const delay = this.layerCoupling[base + 3];
+            if (useKernel) {
+                inter += gain * this._kernelCouplingLayer(sc, sr, m, delay, t, this.kernelTables[m].inter);
+            } else {
+                const kbase = (row + m) * 9;
+                let ksum = 0;
+                for (let k = 0; k < 9; k++) {
+                    const w = this.interlayerKernels[kbase + k];
+                    if (w === 0) continue;
+                    ksum += w * Math.sin(this._sourceThetaAt(sc + (k % 3) - 1, sr + Math.trunc(k / 3) - 1, m, delay) - t - lag);
+                }
+                inter += gain * ksum;
+            }
+        }
+        return inter;
+    }
+
+    // Euler step of the adaptive edge weights (ADAPTIVE_COUPLING_SHADER):
+    // dK_ij/dt = ε (α cos(θ_j − θ_i + β) − K_ij), from the phases at the start of the step
+    _updateGraphWeights() {
+        const { epsilon, alpha, beta } = this.adaptiveCoupling;
+        const rate = epsilon * this.params.dt;
+        if (rate === 0) return;
+        for (let i = 0; i < this.N; i++) {
+            const count = this.graphCounts[i];
+            const base = this.graphOffsets[i];
+            const t = this.theta[i];
+            for (let j = 0; j < count; j++) {
+                const e = base + j;
+                const w = this.graphWeights[e];
+                this.graphWeights[e] = w + rate * (alpha * Math.cos(this.theta[this.graphNeighbors[e]] - t + beta) - w);
+            }
+        }
+    }
+
+    // Hebbian / Oja step of the learned kernels (PLASTICITY_HEBB_SHADER and
+    // PLASTICITY_APPLY_SHADER): per coupled pair, c_k = cos(θ_source(x + d + o_k) − θ_target(x)),
+    // y = Σ w_k c_k and w_k ← clamp((1 − decay) w_k + η (⟨y c_k⟩ − ⟨y²⟩ w_k))
+    _updatePlasticity() {
+        const { rate, decay, bound } = this.plasticity;
+        const g = this.gridSize;
+        const cells = this.layerSize;
+        const layers = Math.min(this.layers, MAX_LAYER_PARAMS);
+        const c = new Float64Array(9);
+        const hebb = new Float64Array(9);
+        for (let target = 0; target < layers; target++) {
+            for (let source = 0; source < layers; source++) {
+                const pair = target * MAX_LAYER_PARAMS + source;
+                const gain = this.layerCoupling[pair * 4];
+                if (Math.abs(gain) <= 0.0001) continue;
+                const dx = this.layerCoupling[pair * 4 + 1];
+                const dy = this.layerCoupling[pair * 4 + 2];
+                const w = this.interlayerKernels.subarray(pair * 9, pair * 9 + 9);
+                hebb.fill(0);
+                let norm = 0;
+                for (let r = 0; r < g; r++) {
+                    for (let col = 0; col < g; col++) {
+                        const t = this.theta[target * cells + r * g + col];
+                        let y = 0;
+                        for (let k = 0; k < 9; k++) {
+                            c[k] = Math.cos(this._thetaAt(col + dx + (k % 3) - 1, r + dy + Math.trunc(k / 3) - 1, source) - t);
+                            y += w[k] * c[k];
+                        }
+                        for (let k = 0; k < 9; k++) hebb[k] += y * c[k];
+                        norm += y * y;
+                    }
+                }
+                for (let k = 0; k < 9; k++) {
+                    const next = (1 - decay) * w[k] + rate * (hebb[k] / cells - (norm / cells) * w[k]);
+                    w[k] = Math.min(bound, Math.max(-bound, next));
+                }
+            }
+        }
+        this.plasticityUpdates++;
+    }
+
+    _mouseDrive(c, r, t) {
+        const it = this.interaction;
+        if (!it.forceEnabled || !it.mouseActive || this.params.topologyMode > 0) return 0;
+        const u = (c + 0.5) / this.gridSize;
+        const v = (r + 0.5) / this.gridSize;
+        let du = Math.abs(u - it.mouseU);
+        let dv = Math.abs(v - it.mouseV);
+        du = Math.min(du, 1 - du);
+        dv = Math.min(dv, 1 - dv);
+        const dist = Math.sqrt(du * du + dv * dv);
+        if (dist >= it.mouseRadius) return 0;
+        const shape = Math.max(0, Math.min(1, 1 - dist / it.mouseRadius));
+        return it.mouseStrength * Math.pow(shape, Math.max(0.2, it.mouseFalloff)) * Math.sin(it.targetPhase - t);
+    }
+
+    // Mirrors noise_gaussian: counter-based draws keyed by (cell key, cell index, counter)
+    _noiseGaussian(i) {
+        const key = this.noiseState[i * 4];
+        const counter = this.noiseState[i * 4 + 1];
+        this.noiseState[i * 4 + 1] = counter + 2;
+        const uniform = (n) => ((pcgHash(key ^ pcgHash(i ^ pcgHash(n))) >>> 8) + 0.5) / 16777216;
+        const u = uniform(counter);
+        const v = uniform((counter + 1) >>> 0);
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(TWO_PI * v);
+    }
+
+    // Mirrors noise(): in-rule perturbation keyed by frame time and cell index
+    _ruleNoise(i, strength) {
+        const seed = ((Math.fround(Math.fround(this.params.time) * 1000) >>> 0) + Math.imul(i, 12345)) >>> 0;
+        return (wangHash(seed) - 0.5) * strength * 2.0;
+    }
+
+    _noiseIncrement(i, strength) {
+        const dt = this.params.dt;
+        const xi = this._noiseGaussian(i);
+        if (this.params.noiseMode === 1) {
+            return strength * Math.sqrt(dt) * xi;
+        }
+        const tau = Math.max(this.params.noiseTau, 1e-4);
+        const decay = Math.exp(-dt / tau);
+        const eta = this.noiseEta[i];
+        this.noiseEta[i] = eta * decay + strength * Math.sqrt((1 - decay * decay) / (2 * tau)) * xi;
+        return eta * dt;
+    }
+
+    _effectiveOmega(i) {
+        const omega = this.omegaData[i];
+        return this.params.inputMode === 0 ? omega + this.inputWeights[i] * this.inputSignal * 5.0 : omega;
+    }
+
+    // Deterministic dθ/dt of one cell (rule, interlayer, input, mouse, flow; no noise).
+    _cellDrift(layer, c, r, i, t, ri) {
+        const g = this.gridSize;
+        const lpIdx = Math.min(layer, 7);
+        const lp = this.layerParams[lpIdx];
+        const kernels = this.kernelTables[lpIdx];
+        const rng = Math.trunc(lp.range);
+
+        let dtheta = 0;
+        const mode = Math.trunc(lp.rule_mode);
+        if (mode >= 0 && mode <= 2) {
+            const [sum, cnt] = this._basicCoupling(c, r, layer, rng, t, i);
+            const mean = sum / Math.max(cnt, 1e-5);
+            if (mode === 0) dtheta = lp.K0 * mean;
+            else if (mode === 1) dtheta = lp.K0 * (1 - 0.8 * ri) * mean;
+            else dtheta = lp.K0 * Math.min(1, Math.abs(mean) * 2) * mean;
+        } else if (mode === 3) {
+            dtheta = this._ruleHarmonics(c, r, layer, rng, t, i, lp);
+        } else if (mode === 4) {
+            dtheta = this._ruleKernel(c, r, layer, t, i, lp, kernels.intra);
+        } else if (mode === 5) {
+            dtheta = this._ruleDelay(c, r, layer, rng, t, i, lp);
+        } else if (mode === 6) {
+            dtheta = this._ruleLenia(c, r, layer, lp, kernels.intra);
+        }
+
+        const interSum = this._interlayer(c, r, layer, t);
+
+        if (this.params.inputMode === 2) dtheta *= 1.0 + this.inputWeights[i] * this.inputSignal * 0.5;
+        const dthetaInput = this.params.inputMode === 1 ? this.inputWeights[i] * this.inputSignal * 5.0 : 0;
+
+        const nx = c / g - 0.5;
+        const ny = r / g - 0.5;
+        const flow = (lp.flow_radial * nx +
+            lp.flow_rotate * (-ny) +
+            lp.flow_swirl * (nx * ny) +
+            lp.flow_bubble * (nx * nx - ny * ny) +
+            lp.flow_ring * (nx * nx + ny * ny) +
+            lp.flow_vortex * (nx * -ny) +
+            lp.flow_vertical * ny) * 2.0;
+        const orient = Math.max(0.05, Math.min(8.0, 1.0 +
+            lp.orient_radial * Math.abs(nx) * 4.0 +
+            lp.orient_circles * Math.abs(ny) * 4.0 +
+            lp.orient_swirl * (nx * ny) * 4.0 +
+            lp.orient_bubble * (nx * nx - ny * ny) * 4.0 +
+            lp.orient_linear * ny * 4.0));
+        const rand = hash21(c, r) - 0.5;
+        const scaleMod = lp.scale_base
+            + lp.scale_radial * (Math.abs(nx) + Math.abs(ny)) * 2.0
+            + lp.scale_random * rand * 2.0
+            + lp.scale_ring * (nx * nx + ny * ny) * 4.0;
+        const kScaled = lp.K0 * Math.max(0.1, Math.min(5.0, scaleMod));
+        const dthetaScaled = dtheta * (kScaled / Math.max(lp.K0, 1e-6));
+
+        const mouseDrive = this._mouseDrive(c, r, t);
+        return (this._effectiveOmega(i) + dthetaScaled * orient + interSum + dthetaInput + mouseDrive + flow) * (1 - lp.leak);
+    }
+
+    _updateCell(layer, c, r, stage = 0, stages = 1, out = this.thetaNext) {
+        const g = this.gridSize;
+        const i = layer * this.layerSize + r * g + c;
+        const t = this.theta[i];
+        const lpIdx = Math.min(layer, 7);
+        const lp = this.layerParams[lpIdx];
+        const rng = Math.trunc(lp.range);
+        const graph = this.params.topologyMode > 0;
+        let vel = this.prismaticState[i * 2];
+        let energy = Math.max(0, this.prismaticState[i * 2 + 1]);
+
+        const ri = graph ? this._localOrderGraph(i) : this._localOrderGrid(c, r, layer, rng);
+        if (stage === 0) this.order[i] = ri;
+
+        const it = this.interaction;
+        let newTheta = t;
+        if (it.prismaticDynamics && !graph) {
+            const mouseDrive = this._mouseDrive(c, r, t);
+            const force = this._covSin(this._thetaAt(c + 1, r, layer), t, this._gaugePath(c, r, 1, 0, layer))
+                + this._covSin(this._thetaAt(c - 1, r, layer), t, this._gaugePath(c, r, -1, 0, layer))
+                + this._covSin(this._thetaAt(c, r + 1, layer), t, this._gaugePath(c, r, 0, 1, layer))
+                + this._covSin(this._thetaAt(c, r - 1, layer), t, this._gaugePath(c, r, 0, -1, layer));
+            vel = (vel + it.prismaticK * (force + mouseDrive)) * it.prismaticFriction;
+            energy = energy * it.prismaticEnergyDecay + Math.abs(vel) * it.prismaticEnergyMix;
+            newTheta = t + this._effectiveOmega(i) + vel;
+        } else {
+            let dyn = this._cellDrift(layer, c, r, i, t, ri);
+            if (this.params.noiseMode === 0 && lp.noise_strength > 0.001) dyn += this._ruleNoise(i, lp.noise_strength);
+            if (stages <= 1) {
+                newTheta = t + dyn * this.params.dt;
+            } else {
+                const method = Math.trunc(lp.integrator);
+                const t0 = this.thetaBase[i];
+                let acc = (RK_WEIGHTS[method]?.[stage] ?? 0) * dyn;
+                if (stage > 0) acc += this.rkAccum[i];
+                if (stage + 1 < stages) {
+                    this.rkAccum[i] = acc;
+                    newTheta = t0 + (RK_ADVANCE[method]?.[stage] ?? 0) * dyn * this.params.dt;
+                } else {
+                    newTheta = t0 + acc * this.params.dt;
+                }
+            }
+            if (this.params.noiseMode > 0 && lp.noise_strength > 0 && this.params.dt > 0 && stage + 1 >= stages) {
+                newTheta += this._noiseIncrement(i, lp.noise_strength);
+            }
+            vel *= 0.95;
+            energy *= 0.98;
+        }
+
+        if (newTheta < 0) newTheta += TWO_PI;
+        if (newTheta > TWO_PI) newTheta -= TWO_PI;
+        out[i] = newTheta;
+        this.prismaticStateNext[i * 2] = vel;
+        this.prismaticStateNext[i * 2 + 1] = Math.max(0, energy);
+    }
+}
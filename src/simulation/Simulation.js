@@ -1,4 +1,4 @@
-import { MAX_GRAPH_DEGREE } from '../topology/index.js';
+import { TOPOLOGY_MODE_IDS } from '../topology/index.js';
 import {
     initBuffers as initBuffersFn,
     writeLayerParams as writeLayerParamsFn,
@@ -11,10 +11,18 @@ import {
     writeGaugeField as writeGaugeFieldFn,
     writeGraphGauge as writeGraphGaugeFn,
     writeInputWeights as writeInputWeightsFn,
+    writeReservoirReadouts as writeReservoirReadoutsFn,
     setInputSignal as setInputSignalFn,
     writePrismaticState as writePrismaticStateFn,
+    seedNoise as seedNoiseFn,
     setGaugeParams as setGaugeParamsFn,
-    setInteractionParams as setInteractionParamsFn
+    setInteractionParams as setInteractionParamsFn,
+    setPlasticityParams as setPlasticityParamsFn,
+    writeInterlayerKernels as writeInterlayerKernelsFn,
+    identityInterlayerKernels,
+    setAdaptiveCouplingParams as setAdaptiveCouplingParamsFn,
+    writeGraphWeights as writeGraphWeightsFn,
+    LAYER_SYNC_FLOATS
 } from './buffers.js';
 import {
     initPipeline as initPipelineFn,
@@ -23,7 +31,9 @@ import {
     getS2BindGroup as getS2BindGroupFn,
     getS3BindGroup as getS3BindGroupFn,
     getGaugeUpdateBindGroup as getGaugeUpdateBindGroupFn,
-    getPrismaticMetricsBindGroup as getPrismaticMetricsBindGroupFn
+    getAdaptiveCouplingBindGroup as getAdaptiveCouplingBindGroupFn,
+    getPrismaticMetricsBindGroup as getPrismaticMetricsBindGroupFn,
+    getReservoirGatherBindGroup as getReservoirGatherBindGroupFn
 } from './pipelines.js';
 import {
     requestGlobalOrderReadback as requestGlobalOrderReadbackFn,
@@ -31,12 +41,15 @@ import {
     getLastGlobalOrder as getLastGlobalOrderFn,
     getLastLocalStats as getLastLocalStatsFn,
     readTheta as readThetaFn,
+    readReservoirFeatures as readReservoirFeaturesFn,
     readOrderField as readOrderFieldFn,
     readS2 as readS2Fn,
     readS3 as readS3Fn,
     readGaugeField as readGaugeFieldFn,
     readGaugeFieldDecimated as readGaugeFieldDecimatedFn,
     readThetaNeighborhood as readThetaNeighborhoodFn,
+    readInterlayerKernels as readInterlayerKernelsFn,
+    readGraphWeights as readGraphWeightsFn,
     requestPrismaticMetricsReadback as requestPrismaticMetricsReadbackFn,
     processPrismaticMetricsReadback as processPrismaticMetricsReadbackFn,
     getOmega as getOmegaFn,
@@ -59,7 +72,6 @@ export class Simulation {
         this.layers = Math.max(1, Math.floor(layerCount));
         this.layerSize = gridSize * gridSize;
         this.N = this.layerSize * this.layers;
-        this.maxGraphDegree = MAX_GRAPH_DEGREE;
         this.delayBufferSize = 32;
         this.delayBufferIndex = 0;
         this.delayBuffers = [];
@@ -86,26 +98,34 @@ export class Simulation {
         return initReductionPipelineFn.call(this);
     }
 
-    getBindGroup(delaySteps) {
-        return getBindGroupFn.call(this, delaySteps);
+    getBindGroup(delaySteps, stage = 0, stages = 1) {
+        return getBindGroupFn.call(this, delaySteps, stage, stages);
     }
 
-    getS2BindGroup() {
-        return getS2BindGroupFn.call(this);
+    getS2BindGroup(stage = 0, stages = 1) {
+        return getS2BindGroupFn.call(this, stage, stages);
     }
 
-    getS3BindGroup() {
-        return getS3BindGroupFn.call(this);
+    getS3BindGroup(stage = 0, stages = 1) {
+        return getS3BindGroupFn.call(this, stage, stages);
     }
 
     getGaugeUpdateBindGroup() {
         return getGaugeUpdateBindGroupFn.call(this);
     }
 
+    getAdaptiveCouplingBindGroup() {
+        return getAdaptiveCouplingBindGroupFn.call(this);
+    }
+
     getPrismaticMetricsBindGroup(thetaIdx = this.thetaIndex, prismaticIdx = this.prismaticIndex) {
         return getPrismaticMetricsBindGroupFn.call(this, thetaIdx, prismaticIdx);
     }
 
+    getReservoirGatherBindGroup() {
+        return getReservoirGatherBindGroupFn.call(this);
+    }
+
     writeLayerParams(layers) {
         return writeLayerParamsFn.call(this, layers);
     }
@@ -121,6 +141,9 @@ export class Simulation {
         
         const timeData = new Float32Array([p.frameTime]);
         this.device.queue.writeBuffer(this.paramsBuf, 16 * 4, timeData);
+        if (this.adaptiveCoupling.active) {
+            this.device.queue.writeBuffer(this.adaptiveParamsBuf, 16, dtData);
+        }
 
         this.paramsManifoldMode = p.manifoldMode || 's1';
         setInteractionParamsFn.call(this, p);
@@ -140,11 +163,8 @@ export class Simulation {
             }
             return p.rcInjectionMode || 0;
         })();
-        const topoMode = (() => {
-            if (p.topologyMode === 'ws' || p.topologyMode === 'watts_strogatz') return 1;
-            if (p.topologyMode === 'ba' || p.topologyMode === 'barabasi_albert') return 2;
-            return 0;
-        })();
+        const topoMode = TOPOLOGY_MODE_IDS[p.topologyMode] ?? 0;
+        const noiseMode = p.noiseMode === 'wiener' ? 1 : (p.noiseMode === 'ou' ? 2 : 0);
         const layerCount = this.layers || 1;
         const activeLayer = Math.min(layerCount - 1, Math.max(0, Math.floor(p.activeLayer ?? 0)));
         const globalCouplingEnabled = !!p.globalCoupling && !(p.manifoldMode === 's1' && p.gaugeEnabled);
@@ -188,10 +208,10 @@ export class Simulation {
             p.orientRadial ?? 0.0, p.orientCircles ?? 0.0, p.orientSwirl ?? 0.0, p.orientBubble ?? 0.0,
             // 67
             p.orientLinear ?? 0.0,
-            // 68-71 mesh flag + manifold mode + pads
-            (p.surfaceMode === 'mesh' ? 1.0 : 0.0), (p.manifoldMode === 's2' ? 1.0 : (p.manifoldMode === 's3' ? 2.0 : 0.0)), 0, 0,
-            // 72-75 topology mode/meta
-            topoMode, this.maxGraphDegree, p.topologyAvgDegree ?? 0, 0,
+            // 68-71 mesh flag + manifold mode + noise mode/correlation time
+            (p.surfaceMode === 'mesh' ? 1.0 : 0.0), (p.manifoldMode === 's2' ? 1.0 : (p.manifoldMode === 's3' ? 2.0 : 0.0)), noiseMode, p.noiseTau ?? 1.0,
+            // 72-75 topology mode/meta: fixed-layout row stride, avg degree, layout (0 fixed, 1 CSR)
+            topoMode, this.graphStride, p.topologyAvgDegree ?? 0, (this.graphLayout === 'csr' ? 1.0 : 0.0),
             // 76-79 layer meta (coupling removed - now per-layer)
             layerCount, 0, 0, activeLayer
         ]);
@@ -203,6 +223,8 @@ export class Simulation {
             : { ...p, gaugeEnabled: false, gaugeMode: 'static' };
         setGaugeParamsFn.call(this, gaugeState);
         setInteractionParamsFn.call(this, p);
+        setPlasticityParamsFn.call(this, p);
+        setAdaptiveCouplingParamsFn.call(this, p);
     }
 
     setManifoldMode(mode) {
@@ -224,6 +246,10 @@ export class Simulation {
         const currentPrismaticIdx = this.prismaticIndex;
         const nextPrismaticIdx = currentPrismaticIdx ^ 1;
         const gaugeDynamic = (!useVectorManifold) && this.gaugeEnabled && this.gaugeDynamic && (this.topologyModeValue === 0);
+        // Prismatic dynamics is a discrete velocity update, so it always takes a single Euler stage
+        const prismaticActive = (!useVectorManifold) && this.prismaticDynamicsEnabled && (this.topologyModeValue === 0);
+        const stages = prismaticActive ? 1 : (this.integratorStages || 1);
+        const wgCount = Math.ceil(this.gridSize / 16);
 
         if (gaugeDynamic) {
             const gaugePass = commandEncoder.beginComputePass();
@@ -298,6 +324,22 @@ export class Simulation {
                 localStatsNormalizePass.setBindGroup(0, this.localStatsNormalizeBindGroup);
                 localStatsNormalizePass.dispatchWorkgroups(1);
                 localStatsNormalizePass.end();
+
+                // ============= CROSS-LAYER SYNC =============
+                if (this.layers > 1) {
+                    commandEncoder.clearBuffer(this.layerSyncAtomicBuf, 0, LAYER_SYNC_FLOATS * 4);
+                    const layerSyncPass = commandEncoder.beginComputePass();
+                    layerSyncPass.setPipeline(this.layerSyncPipeline);
+                    layerSyncPass.setBindGroup(0, this.layerSyncBindGroup);
+                    layerSyncPass.dispatchWorkgroups(Math.ceil(this.layerSize / 256));
+                    layerSyncPass.end();
+
+                    const layerSyncNormalizePass = commandEncoder.beginComputePass();
+                    layerSyncNormalizePass.setPipeline(this.layerSyncNormalizePipeline);
+                    layerSyncNormalizePass.setBindGroup(0, this.layerSyncNormalizeBindGroup);
+                    layerSyncNormalizePass.dispatchWorkgroups(1);
+                    layerSyncNormalizePass.end();
+                }
             } else {
                 // S² or S³: use vector manifold statistics
                 commandEncoder.copyTextureToBuffer(
@@ -385,12 +427,57 @@ export class Simulation {
             commandEncoder.copyBufferToBuffer(this.thetaStagingBuf, 0, this.delayBuffers[this.delayBufferIndex], 0, this.N * 4);
             this.delayBufferIndex = (this.delayBufferIndex + 1) % this.delayBufferSize;
 
-            const pass = commandEncoder.beginComputePass();
-            pass.setPipeline(this.pipeline);
-            pass.setBindGroup(0, this.getBindGroup(delaySteps));
-            const wgCount = Math.ceil(this.gridSize / 16);
-            pass.dispatchWorkgroups(wgCount, wgCount, this.layers);
-            pass.end();
+            // Record this step's theta for delayed interlayer couplings and
+            // point the shader at its history slot
+            if (this.couplingHistorySlots > 0) {
+                const slot = this.couplingHistoryIndex;
+                commandEncoder.copyTextureToTexture(
+                    { texture: currentThetaTex },
+                    { texture: this.couplingHistoryTexture, origin: [0, 0, slot * this.layers] },
+                    [this.gridSize, this.gridSize, this.layers]
+                );
+                commandEncoder.copyBufferToBuffer(this.couplingHeadTableBuf, slot * 16, this.couplingHeadBuf, 0, 16);
+                this.couplingHistoryIndex = (slot + 1) % this.couplingHistorySlots;
+            }
+
+            // Throttled Hebbian / Oja update of the learned interlayer kernels,
+            // from this step's theta in the staging copy
+            if (this.plasticity.active) {
+                this.plasticityStep = (this.plasticityStep + 1) % this.plasticity.interval;
+                if (this.plasticityStep === 0) {
+                    const hebbPass = commandEncoder.beginComputePass();
+                    hebbPass.setPipeline(this.plasticityHebbPipeline);
+                    hebbPass.setBindGroup(0, this.plasticityHebbBindGroup);
+                    hebbPass.dispatchWorkgroups(this.plasticityGroups, 64);
+                    hebbPass.end();
+
+                    const applyPass = commandEncoder.beginComputePass();
+                    applyPass.setPipeline(this.plasticityApplyPipeline);
+                    applyPass.setBindGroup(0, this.plasticityApplyBindGroup);
+                    applyPass.dispatchWorkgroups(9);
+                    applyPass.end();
+                    this.plasticityUpdates++;
+                }
+            }
+
+            // Adaptive graph coupling: Euler step of every edge weight from
+            // this step's theta, before the RK passes read the weights
+            if (this.adaptiveCoupling.active) {
+                const adaptivePass = commandEncoder.beginComputePass();
+                adaptivePass.setPipeline(this.adaptiveCouplingPipeline);
+                adaptivePass.setBindGroup(0, this.getAdaptiveCouplingBindGroup());
+                adaptivePass.dispatchWorkgroups(Math.ceil(this.N / 256));
+                adaptivePass.end();
+            }
+
+            // One pass per RK stage; stage 0 also writes the local order field
+            for (let stage = 0; stage < stages; stage++) {
+                const pass = commandEncoder.beginComputePass();
+                pass.setPipeline(this.pipeline);
+                pass.setBindGroup(0, this.getBindGroup(delaySteps, stage, stages));
+                pass.dispatchWorkgroups(wgCount, wgCount, this.layers);
+                pass.end();
+            }
 
             // Swap textures
             this.thetaIndex = nextIdx;
@@ -415,24 +502,26 @@ export class Simulation {
                 metricsNormalizePass.end();
             }
         } else if (useS3) {
-            // S³ compute pass
-            const pass = commandEncoder.beginComputePass();
-            pass.setPipeline(this.s3Pipeline);
-            pass.setBindGroup(0, this.getS3BindGroup());
-            const wgCount = Math.ceil(this.gridSize / 16);
-            pass.dispatchWorkgroups(wgCount, wgCount, this.layers);
-            pass.end();
+            // S³ compute pass (one per RK stage)
+            for (let stage = 0; stage < stages; stage++) {
+                const pass = commandEncoder.beginComputePass();
+                pass.setPipeline(this.s3Pipeline);
+                pass.setBindGroup(0, this.getS3BindGroup(stage, stages));
+                pass.dispatchWorkgroups(wgCount, wgCount, this.layers);
+                pass.end();
+            }
 
             this.s2Index = this.s2Index ^ 1;
             this.s2Texture = this.s2Textures[this.s2Index];
         } else {
-            // S² compute pass
-            const pass = commandEncoder.beginComputePass();
-            pass.setPipeline(this.s2Pipeline);
-            pass.setBindGroup(0, this.getS2BindGroup());
-            const wgCount = Math.ceil(this.gridSize / 16);
-            pass.dispatchWorkgroups(wgCount, wgCount, this.layers);
-            pass.end();
+            // S² compute pass (one per RK stage)
+            for (let stage = 0; stage < stages; stage++) {
+                const pass = commandEncoder.beginComputePass();
+                pass.setPipeline(this.s2Pipeline);
+                pass.setBindGroup(0, this.getS2BindGroup(stage, stages));
+                pass.dispatchWorkgroups(wgCount, wgCount, this.layers);
+                pass.end();
+            }
 
             this.s2Index = this.s2Index ^ 1;
             this.s2Texture = this.s2Textures[this.s2Index];
@@ -475,10 +564,47 @@ export class Simulation {
         return setInteractionParamsFn.call(this, state);
     }
 
+    setPlasticityParams(state) {
+        return setPlasticityParamsFn.call(this, state);
+    }
+
+    writeInterlayerKernels(data) {
+        return writeInterlayerKernelsFn.call(this, data);
+    }
+
+    resetInterlayerKernels() {
+        return writeInterlayerKernelsFn.call(this, identityInterlayerKernels());
+    }
+
+    async readInterlayerKernels() {
+        return readInterlayerKernelsFn.call(this);
+    }
+
+    setAdaptiveCouplingParams(state) {
+        return setAdaptiveCouplingParamsFn.call(this, state);
+    }
+
+    writeGraphWeights(data) {
+        return writeGraphWeightsFn.call(this, data);
+    }
+
+    // Back to the weights of the generated / imported graph
+    resetGraphWeights() {
+        if (this.topologyInfo?.weights) writeGraphWeightsFn.call(this, this.topologyInfo.weights);
+    }
+
+    async readGraphWeights() {
+        return readGraphWeightsFn.call(this);
+    }
+
     writeInputWeights(weights) {
         return writeInputWeightsFn.call(this, weights);
     }
 
+    writeReservoirReadouts(indices, options = {}) {
+        return writeReservoirReadoutsFn.call(this, indices, options);
+    }
+
     setInputSignal(signal) {
         return setInputSignalFn.call(this, signal);
     }
@@ -487,6 +613,10 @@ export class Simulation {
         return writePrismaticStateFn.call(this, data);
     }
 
+    seedNoise(seed) {
+        return seedNoiseFn.call(this, seed);
+    }
+
     requestGlobalOrderReadback(commandEncoder) {
         return requestGlobalOrderReadbackFn.call(this, commandEncoder);
     }
@@ -507,6 +637,10 @@ export class Simulation {
         return readThetaFn.call(this);
     }
 
+    async readReservoirFeatures() {
+        return readReservoirFeaturesFn.call(this);
+    }
+
     async readOrderField() {
         return readOrderFieldFn.call(this);
     }
@@ -1,12 +1,35 @@
+import { makeRng } from '../utils/index.js';
+import { FIXED_GRAPH_DEGREE } from '../topology/index.js';
+
 const PARAMS_FLOAT_COUNT = 80;
 const PARAMS_UNIFORM_BYTES = PARAMS_FLOAT_COUNT * 4;
 const GAUGE_PARAMS_FLOAT_COUNT = 12;
 const GAUGE_PARAMS_UNIFORM_BYTES = GAUGE_PARAMS_FLOAT_COUNT * 4;
 const INTERACTION_PARAMS_FLOAT_COUNT = 28;
 const INTERACTION_PARAMS_UNIFORM_BYTES = INTERACTION_PARAMS_FLOAT_COUNT * 4;
-const LAYER_PARAMS_STRIDE_FLOATS = 56;
-const MAX_LAYER_PARAMS = 8;
+export const LAYER_PARAMS_STRIDE_FLOATS = 56;
+export const MAX_LAYER_PARAMS = 8;
 const LAYER_PARAMS_UNIFORM_BYTES = LAYER_PARAMS_STRIDE_FLOATS * 4 * MAX_LAYER_PARAMS;
+// Interlayer coupling matrix: vec4 (gain, dx, dy, delay) per target/source pair,
+// followed in the same buffer by a learned 3×3 kernel per pair (the S¹ compute
+// pass has no storage binding to spare)
+const LAYER_COUPLING_MATRIX_BYTES = MAX_LAYER_PARAMS * MAX_LAYER_PARAMS * 16;
+export const INTERLAYER_KERNEL_FLOATS = MAX_LAYER_PARAMS * MAX_LAYER_PARAMS * 9;
+const LAYER_COUPLING_BYTES = LAYER_COUPLING_MATRIX_BYTES + INTERLAYER_KERNEL_FLOATS * 4;
+// Workgroups per layer pair in the Hebbian pass (grid-stride over the cells)
+const PLASTICITY_MAX_GROUPS = 64;
+// Longest per-pair delay; slots × layers must fit maxTextureArrayLayers (256)
+export const MAX_LAYER_COUPLING_DELAY = 31;
+// Cross-layer sync output: cos/sin per (l, m ≥ l) item in an 8×8 table, then 8 × 16 histogram bins
+export const LAYER_SYNC_FLOATS = 2 * MAX_LAYER_PARAMS * MAX_LAYER_PARAMS + MAX_LAYER_PARAMS * 16;
+// Fixed-point scale of the cross-layer sums: 1e-4 like the other reductions,
+// coarser on large layers so a full-layer sum of cosines stays within i32
+export function layerSyncScale(cells) {
+    return Math.min(10000, Math.floor(2e9 / Math.max(1, cells)));
+}
+// Per-layer integrator ids (LayerParams.integrator) and their explicit RK stage counts
+export const INTEGRATOR_IDS = { euler: 0, heun: 1, rk4: 2 };
+const INTEGRATOR_STAGES = [1, 2, 4];
 
 function assertBufferLayoutInvariants() {
         const assert = (ok, message) => {
@@ -106,6 +129,15 @@ export function initBuffers() {
         this.prismaticMetricsPending = false;
         this.prismaticMetricsMapping = false;
 
+        // RC feature gather: readout indices in, GATHER_STRIDE floats per readout out.
+        // Sized by writeReservoirReadouts(); only this small buffer is mapped back.
+        this.rcGatherParamsBuf = this.device.createBuffer({ size: 16, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+        this.rcGatherIndexBuf = null;
+        this.rcGatherOutBuf = null;
+        this.rcGatherReadbackBuf = null;
+        this.rcGatherCapacity = 0;
+        this.rcGatherCount = 0;
+
         const makeGaugeTexture = () => this.device.createTexture({
             size: [this.gridSize, this.gridSize, this.layers],
             format: 'r32float',
@@ -221,30 +253,123 @@ export function initBuffers() {
         });
         this.device.queue.writeBuffer(this.nUniformBuf, 0, new Uint32Array([this.N]));
 
-        // ============= GRAPH TOPOLOGY BUFFERS =============
-        const neighborSlots = this.N * this.maxGraphDegree;
-        this.graphNeighborsBuf = this.device.createBuffer({
-            size: neighborSlots * 4,
+        // ============= CROSS-LAYER SYNC BUFFERS =============
+        // Per-layer order, layer-pair phase differences and per-layer local R
+        // histograms (S¹ with more than one layer)
+        this.layerSyncAtomicBuf = this.device.createBuffer({
+            size: LAYER_SYNC_FLOATS * 4,
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
         });
-        this.graphWeightsBuf = this.device.createBuffer({
-            size: neighborSlots * 4,
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        this.layerSyncBuf = this.device.createBuffer({
+            size: LAYER_SYNC_FLOATS * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
         });
-        this.graphCountsBuf = this.device.createBuffer({
-            size: this.N * 4,
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        this.layerSyncReadbackBuf = this.device.createBuffer({
+            size: LAYER_SYNC_FLOATS * 4,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
         });
-        this.graphGaugeBuf = this.device.createBuffer({
-            size: neighborSlots * 4,
+        this.layerSyncParamsBuf = this.device.createBuffer({
+            size: 16, // cells, layers, pad, scale
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        const layerSyncParams = new ArrayBuffer(16);
+        new Uint32Array(layerSyncParams, 0, 3).set([this.layerSize, this.layers, 0]);
+        new Float32Array(layerSyncParams, 12, 1)[0] = layerSyncScale(this.layerSize);
+        this.device.queue.writeBuffer(this.layerSyncParamsBuf, 0, layerSyncParams);
+
+        // ============= GRAPH TOPOLOGY BUFFERS =============
+        // Edge arrays start sized for a fixed-stride graph and grow in
+        // writeTopology when a CSR graph needs more slots. graphRowsBuf holds
+        // per-node counts (fixed layout) or N + 1 row offsets (CSR).
+        this.graphLayout = 'fixed';
+        this.graphStride = FIXED_GRAPH_DEGREE;
+        this.graphSlots = this.N * FIXED_GRAPH_DEGREE;
+        createGraphEdgeBuffers(this, this.graphSlots);
+        this.graphRowsBuf = this.device.createBuffer({
+            size: (this.N + 1) * 4,
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
         });
+        // Adaptive coupling: nodes, layout, stride, pad, dt, epsilon, alpha, beta
+        this.adaptiveParamsBuf = this.device.createBuffer({
+            size: 32,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        setAdaptiveCouplingParams.call(this, this.adaptiveCouplingState ?? null);
 
         this.layerParamsBuf = this.device.createBuffer({
             size: LAYER_PARAMS_UNIFORM_BYTES,
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
         });
         this.device.queue.writeBuffer(this.layerParamsBuf, 0, new Float32Array(LAYER_PARAMS_STRIDE_FLOATS * MAX_LAYER_PARAMS).fill(0));
+        this.integratorStages = 1;
+
+        // ============= INTERLAYER COUPLING =============
+        // G[target][source] with offsets and delays; delayed pairs read a theta
+        // history texture whose current slot is copied into couplingHeadBuf
+        // from a per-slot table each step (encoder-ordered, unlike writeBuffer).
+        this.layerCouplingBuf = this.device.createBuffer({
+            size: LAYER_COUPLING_BYTES,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+        });
+        writeInterlayerKernels.call(this, identityInterlayerKernels());
+        this.couplingHeadBuf = this.device.createBuffer({
+            size: 16,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        this.couplingHeadTableBuf = this.device.createBuffer({
+            size: (MAX_LAYER_COUPLING_DELAY + 1) * 16,
+            usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+        });
+        ensureCouplingHistory.call(this, 0, true);
+
+        // ============= INTERLAYER PLASTICITY =============
+        // Per-workgroup Hebbian sums ([group][pair][10]) and the update settings;
+        // kernels are reset to identity whenever the buffers are recreated.
+        this.plasticityGroups = Math.min(PLASTICITY_MAX_GROUPS, Math.ceil(this.layerSize / 256));
+        this.plasticityPartialBuf = this.device.createBuffer({
+            size: PLASTICITY_MAX_GROUPS * MAX_LAYER_PARAMS * MAX_LAYER_PARAMS * 10 * 4,
+            usage: GPUBufferUsage.STORAGE
+        });
+        this.plasticityParamsBuf = this.device.createBuffer({
+            size: 32, // cells, layers, cols, groups, rate, decay, bound, pad
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        this.interlayerKernelReadbackBuf = this.device.createBuffer({
+            size: INTERLAYER_KERNEL_FLOATS * 4,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+        });
+        this.plasticityStep = 0;
+        this.plasticityUpdates = 0;
+        setPlasticityParams.call(this, this.plasticityState ?? null);
+
+        // ============= HIGHER-ORDER INTEGRATOR BUFFERS =============
+        // Intermediate RK stage states (ping-pong) and the running weighted slope sum.
+        // The accumulator is vec4 per cell so S² / S³ can share it with S¹.
+        this.rkStageTextures = [makeThetaTexture(), makeThetaTexture()];
+        this.s2StageTextures = [makeS2Texture(), makeS2Texture()];
+        this.rkAccumBuf = this.device.createBuffer({
+            size: this.N * 16,
+            usage: GPUBufferUsage.STORAGE
+        });
+        // Per-cell noise state: NoiseCell { key: u32, counter: u32, eta: f32, pad }
+        this.noiseStateBuf = this.device.createBuffer({
+            size: this.N * 16,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.device.queue.writeBuffer(this.noiseStateBuf, 0, makeNoiseState(this.N, this.noiseSeed ?? 1));
+        // One (stage, stage_count) uniform per stage of each stage count
+        this.rkStageBufs = {};
+        for (const count of new Set(INTEGRATOR_STAGES)) {
+            this.rkStageBufs[count] = [];
+            for (let stage = 0; stage < count; stage++) {
+                const buf = this.device.createBuffer({
+                    size: 16,
+                    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+                });
+                this.device.queue.writeBuffer(buf, 0, new Float32Array([stage, count, 0, 0]));
+                this.rkStageBufs[count].push(buf);
+            }
+        }
         
         // ============= RESERVOIR COMPUTING BUFFERS =============
         // Input weights: how strongly each oscillator receives input signal
@@ -268,14 +393,36 @@ export function initBuffers() {
         }
 
         this.writeGaugeField(new Float32Array(this.N), new Float32Array(this.N));
-        this.writeGraphGauge(new Float32Array(this.N * this.maxGraphDegree));
+        this.writeGraphGauge(new Float32Array(this.graphSlots));
 }
 
-export function writeLayerParams(layers) {
-        const count = Math.max(1, this.layers || 1);
+/**
+ * Initial per-cell noise state: a stream key per cell drawn from the `noise`
+ * stream of the base seed, draw counter and OU forcing at zero.
+ * Shared with CpuSimulation.
+ */
+export function makeNoiseState(count, seed) {
+        const rng = makeRng(seed, 'noise');
+        const data = new Uint32Array(count * 4);
+        for (let i = 0; i < count; i++) {
+            data[i * 4] = rng.nextU32();
+        }
+        return data;
+}
+
+export function seedNoise(seed) {
+        this.noiseSeed = seed;
+        this.device.queue.writeBuffer(this.noiseStateBuf, 0, makeNoiseState(this.N, seed));
+}
+
+/**
+ * Pack per-layer parameters into the LayerParams uniform layout
+ * (stride 56 floats x 8 layers). Shared by the GPU and CPU simulators.
+ */
+export function packLayerParams(layers, count = 1) {
         const stride = LAYER_PARAMS_STRIDE_FLOATS;  // Must match WGSL struct size (56 floats = 224 bytes, 16-byte aligned)
         const data = new Float32Array(stride * MAX_LAYER_PARAMS);
-        for (let i = 0; i < Math.min(MAX_LAYER_PARAMS, count); i++) {
+        for (let i = 0; i < Math.min(MAX_LAYER_PARAMS, Math.max(1, count)); i++) {
             const lp = Array.isArray(layers) ? layers[i] : null;
             const base = i * stride;
             data[base] = lp?.ruleMode ?? 0;
@@ -329,15 +476,191 @@ export function writeLayerParams(layers) {
             data[base + 47] = lp?.orientSwirl ?? 0.0;
             data[base + 48] = lp?.orientBubble ?? 0.0;
             data[base + 49] = lp?.orientLinear ?? 0.0;
-            data[base + 50] = lp?.layerCouplingUp ?? 0.0;
-            data[base + 51] = lp?.layerCouplingDown ?? 0.0;
+            // 50-51 unused: interlayer gains are packed by packLayerCoupling
             // Lenia growth function parameters (indices 52-54)
             data[base + 52] = lp?.growthMu ?? 0.15;
             data[base + 53] = lp?.growthSigma ?? 0.015;
             data[base + 54] = lp?.growthMode ?? 0;
-            data[base + 55] = 0;
+            data[base + 55] = INTEGRATOR_IDS[lp?.integrator] ?? 0;
+        }
+        return data;
+}
+
+/**
+ * Number of integrator stages a step needs: the largest stage count of the
+ * active layers. Layers with fewer stages hold their state in the extra ones.
+ */
+export function integratorStageCount(data, count = 1) {
+        let stages = 1;
+        for (let i = 0; i < Math.min(MAX_LAYER_PARAMS, Math.max(1, count)); i++) {
+            const id = data[i * LAYER_PARAMS_STRIDE_FLOATS + 55];
+            stages = Math.max(stages, INTEGRATOR_STAGES[id] ?? 1);
+        }
+        return stages;
+}
+
+/**
+ * Pack the interlayer coupling matrix (layout of the links that open the
+ * layer_coupling buffer):
+ * vec4 (gain, dx, dy, delay) at target * 8 + source, read from
+ * layers[target].layerCoupling[source]. Offsets are whole cells, delays
+ * whole steps in [0, MAX_LAYER_COUPLING_DELAY]; pairs with |gain| ≤ 1e-4
+ * are left zero. Shared by the GPU and CPU simulators.
+ * @returns {{data: Float32Array, maxDelay: number}} maxDelay over coupled pairs
+ */
+export function packLayerCoupling(layers, count = 1) {
+        const data = new Float32Array(MAX_LAYER_PARAMS * MAX_LAYER_PARAMS * 4);
+        const n = Math.min(MAX_LAYER_PARAMS, Math.max(1, count));
+        let maxDelay = 0;
+        for (let target = 0; target < n; target++) {
+            const row = Array.isArray(layers) ? layers[target]?.layerCoupling : null;
+            for (let source = 0; source < n; source++) {
+                const link = row?.[source];
+                const gain = link?.gain ?? 0;
+                if (!(Math.abs(gain) > 0.0001)) continue;
+                const delay = Math.min(MAX_LAYER_COUPLING_DELAY, Math.max(0, Math.round(link.delay ?? 0)));
+                const base = (target * MAX_LAYER_PARAMS + source) * 4;
+                data[base] = gain;
+                data[base + 1] = Math.round(link.dx ?? 0);
+                data[base + 2] = Math.round(link.dy ?? 0);
+                data[base + 3] = delay;
+                maxDelay = Math.max(maxDelay, delay);
+            }
         }
+        return { data, maxDelay };
+}
+
+/**
+ * Size the theta history for delayed interlayer couplings to maxDelay + 1
+ * slots (none without delays; a 1×1 placeholder keeps the binding valid).
+ * A new history is filled with the current theta.
+ */
+export function ensureCouplingHistory(maxDelay, force = false) {
+        const slots = maxDelay > 0 ? maxDelay + 1 : 0;
+        if (!force && slots === this.couplingHistorySlots) return;
+        if (this.couplingHistoryTexture) this.couplingHistoryTexture.destroy();
+        const side = slots > 0 ? this.gridSize : 1;
+        this.couplingHistoryTexture = this.device.createTexture({
+            size: [side, side, Math.max(1, slots * this.layers)],
+            format: 'r32float',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+        });
+        this.couplingHistorySlots = slots;
+        this.couplingHistoryIndex = 0;
+        const table = new Uint32Array((MAX_LAYER_COUPLING_DELAY + 1) * 4);
+        for (let slot = 0; slot <= MAX_LAYER_COUPLING_DELAY; slot++) {
+            table[slot * 4] = slot;
+            table[slot * 4 + 1] = slots;
+        }
+        this.device.queue.writeBuffer(this.couplingHeadTableBuf, 0, table);
+        this.device.queue.writeBuffer(this.couplingHeadBuf, 0, table.subarray(0, 4));
+        this.bindGroupCache?.clear();
+        fillCouplingHistory(this);
+}
+
+// Copy the current theta into every history slot
+function fillCouplingHistory(sim) {
+        if (!sim.couplingHistorySlots) return;
+        const encoder = sim.device.createCommandEncoder();
+        for (let slot = 0; slot < sim.couplingHistorySlots; slot++) {
+            encoder.copyTextureToTexture(
+                { texture: sim.thetaTextures[sim.thetaIndex] },
+                { texture: sim.couplingHistoryTexture, origin: [0, 0, slot * sim.layers] },
+                [sim.gridSize, sim.gridSize, sim.layers]
+            );
+        }
+        sim.device.queue.submit([encoder.finish()]);
+}
+
+/**
+ * Identity interlayer kernels: center weight 1 for every pair, which is the
+ * plain same-cell coupling.
+ * @returns {Float32Array} INTERLAYER_KERNEL_FLOATS weights
+ */
+export function identityInterlayerKernels() {
+        const data = new Float32Array(INTERLAYER_KERNEL_FLOATS);
+        for (let pair = 0; pair < MAX_LAYER_PARAMS * MAX_LAYER_PARAMS; pair++) {
+            data[pair * 9 + 4] = 1.0;
+        }
+        return data;
+}
+
+/**
+ * Interlayer plasticity settings from state, shared by the GPU and CPU
+ * simulators. Updates run on S¹ with more than one layer while learning is
+ * enabled and not frozen, and only in the same-cell interlayer mode (the
+ * cross-layer kernel does not read the learned weights); a frozen kernel
+ * keeps coupling as learned.
+ * @returns {{active: boolean, rate: number, decay: number, bound: number, interval: number}}
+ */
+export function resolvePlasticity(state, layers = 1) {
+        const s1 = (state?.manifoldMode || 's1') === 's1';
+        return {
+            active: s1 && layers > 1 && !!state?.plasticityEnabled && !state?.plasticityFrozen && !state?.layerKernelEnabled,
+            rate: Math.max(0, state?.plasticityRate ?? 0.01),
+            decay: Math.min(1, Math.max(0, state?.plasticityDecay ?? 0)),
+            bound: Math.max(0, state?.plasticityClamp ?? 1),
+            interval: Math.max(1, Math.round(state?.plasticityInterval ?? 10))
+        };
+}
+
+export function setPlasticityParams(state) {
+        this.plasticityState = state;
+        this.plasticity = resolvePlasticity(state, this.layers);
+        const data = new ArrayBuffer(32);
+        new Uint32Array(data, 0, 4).set([this.layerSize, this.layers, this.gridSize, this.plasticityGroups]);
+        new Float32Array(data, 16, 4).set([this.plasticity.rate, this.plasticity.decay, this.plasticity.bound, 0]);
+        this.device.queue.writeBuffer(this.plasticityParamsBuf, 0, data);
+}
+
+/**
+ * Upload learned interlayer kernels (layout of INTERLAYER_KERNEL_FLOATS:
+ * 9 weights per target * 8 + source pair, row-major over offsets -1..1).
+ */
+export function writeInterlayerKernels(data) {
+        if (!data || data.length !== INTERLAYER_KERNEL_FLOATS) {
+            console.warn('Interlayer kernel length mismatch', data?.length, 'expected', INTERLAYER_KERNEL_FLOATS);
+            return;
+        }
+        this.device.queue.writeBuffer(this.layerCouplingBuf, LAYER_COUPLING_MATRIX_BYTES, Float32Array.from(data));
+        this.plasticityUpdates = 0;
+}
+
+/**
+ * Adaptive graph coupling settings from state, shared by the GPU and CPU
+ * simulators. Edge weights follow dK_ij/dt = ε(α cos(θ_j − θ_i + β) − K_ij)
+ * on S¹ graph topologies while enabled.
+ * @returns {{active: boolean, epsilon: number, alpha: number, beta: number}}
+ */
+export function resolveAdaptiveCoupling(state) {
+        const s1 = (state?.manifoldMode || 's1') === 's1';
+        const graph = (state?.topologyMode || 'grid') !== 'grid';
+        return {
+            active: s1 && graph && !!state?.adaptiveCouplingEnabled,
+            epsilon: Math.max(0, state?.adaptiveCouplingEpsilon ?? 0.05),
+            alpha: state?.adaptiveCouplingAlpha ?? 1.0,
+            beta: state?.adaptiveCouplingBeta ?? 0.0
+        };
+}
+
+export function setAdaptiveCouplingParams(state) {
+        this.adaptiveCouplingState = state;
+        this.adaptiveCoupling = resolveAdaptiveCoupling(state);
+        const dt = state ? state.dt * state.timeScale * (state.paused ? 0 : 1) : 0;
+        const data = new ArrayBuffer(32);
+        new Uint32Array(data, 0, 4).set([this.N, this.graphLayout === 'csr' ? 1 : 0, this.graphStride, 0]);
+        const { epsilon, alpha, beta } = this.adaptiveCoupling;
+        new Float32Array(data, 16, 4).set([dt, epsilon, alpha, beta]);
+        this.device.queue.writeBuffer(this.adaptiveParamsBuf, 0, data);
+}
+
+export function writeLayerParams(layers) {
+        const data = packLayerParams(layers, this.layers || 1);
         this.device.queue.writeBuffer(this.layerParamsBuf, 0, data);
+        const coupling = packLayerCoupling(layers, this.layers || 1);
+        this.device.queue.writeBuffer(this.layerCouplingBuf, 0, coupling.data);
+        ensureCouplingHistory.call(this, coupling.maxDelay);
+        this.integratorStages = integratorStageCount(data, this.layers || 1);
 }
 
 export function setGaugeParams(state) {
@@ -449,47 +772,98 @@ export function setInteractionParams(state) {
             && (state?.topologyMode || 'grid') === 'grid';
 }
 
+function createGraphEdgeBuffers(sim, slots) {
+        const size = Math.max(1, slots) * 4;
+        const usage = GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST;
+        sim.graphNeighborsBuf = sim.device.createBuffer({ size, usage });
+        // Adaptive coupling evolves the weights on the GPU; COPY_SRC for readback
+        sim.graphWeightsBuf = sim.device.createBuffer({ size, usage: usage | GPUBufferUsage.COPY_SRC });
+        sim.graphGaugeBuf = sim.device.createBuffer({ size, usage });
+        sim.graphCapacity = Math.max(1, slots);
+}
+
+/**
+ * Replicate a single-layer topology across layers. Neighbor indices are copied
+ * verbatim (not offset per layer), matching what the compute shader expects;
+ * row offsets are shifted by the per-layer slot count so both layouts tile.
+ */
+export function tileTopologyLayers(topology, layerSize, layers) {
+        const layerSlots = topology.offsets[layerSize];
+        const tiledNeighbors = new Uint32Array(layerSlots * layers);
+        const tiledWeights = new Float32Array(layerSlots * layers);
+        const tiledCounts = new Uint32Array(layerSize * layers);
+        const tiledOffsets = new Uint32Array(layerSize * layers + 1);
+        for (let layer = 0; layer < layers; layer++) {
+            const dstNodeOffset = layer * layerSize;
+            const dstEdgeOffset = layer * layerSlots;
+            tiledNeighbors.set(topology.neighbors, dstEdgeOffset);
+            tiledWeights.set(topology.weights, dstEdgeOffset);
+            tiledCounts.set(topology.counts, dstNodeOffset);
+            for (let i = 0; i < layerSize; i++) {
+                tiledOffsets[dstNodeOffset + i] = topology.offsets[i] + dstEdgeOffset;
+            }
+        }
+        tiledOffsets[layerSize * layers] = layerSlots * layers;
+        return { neighbors: tiledNeighbors, weights: tiledWeights, counts: tiledCounts, offsets: tiledOffsets };
+}
+
 export function writeTopology(topology) {
         if (!topology) return;
-        const expectedSlots = this.N * this.maxGraphDegree;
-        const singleLayerSlots = this.layerSize * this.maxGraphDegree;
-        let neighbors = topology.neighbors;
-        let weights = topology.weights;
-        let counts = topology.counts;
+        let { neighbors, weights, counts, offsets } = topology;
 
         // If a single-layer topology is provided but we have multiple layers,
         // replicate it across layers so graph mode still works.
-        if (this.layers > 1 &&
-            neighbors?.length === singleLayerSlots &&
-            weights?.length === singleLayerSlots &&
-            counts?.length === this.layerSize) {
-            const tiledNeighbors = new Uint32Array(expectedSlots);
-            const tiledWeights = new Float32Array(expectedSlots);
-            const tiledCounts = new Uint32Array(this.N);
-            for (let layer = 0; layer < this.layers; layer++) {
-                const dstNodeOffset = layer * this.layerSize;
-                const dstEdgeOffset = layer * singleLayerSlots;
-                tiledNeighbors.set(neighbors, dstEdgeOffset);
-                tiledWeights.set(weights, dstEdgeOffset);
-                tiledCounts.set(counts, dstNodeOffset);
-            }
-            neighbors = tiledNeighbors;
-            weights = tiledWeights;
-            counts = tiledCounts;
+        if (this.layers > 1 && counts?.length === this.layerSize && offsets?.length === this.layerSize + 1) {
+            ({ neighbors, weights, counts, offsets } = tileTopologyLayers(topology, this.layerSize, this.layers));
         }
 
-        if (neighbors?.length !== expectedSlots ||
-            weights?.length !== expectedSlots ||
-            counts?.length !== this.N) {
+        if (counts?.length !== this.N ||
+            offsets?.length !== this.N + 1 ||
+            neighbors?.length !== offsets[this.N] ||
+            weights?.length !== neighbors.length) {
             console.warn('Topology buffers have unexpected length; skipping upload');
             return;
         }
+        const slots = neighbors.length;
+        const maxBinding = this.device.limits?.maxStorageBufferBindingSize ?? Infinity;
+        if (slots * 4 > maxBinding) {
+            console.warn(`Graph needs ${slots} edge slots; exceeds the storage buffer limit (${maxBinding} bytes)`);
+            return;
+        }
+        if (slots > this.graphCapacity) {
+            this.graphNeighborsBuf.destroy();
+            this.graphWeightsBuf.destroy();
+            this.graphGaugeBuf.destroy();
+            createGraphEdgeBuffers(this, slots);
+            this.bindGroupCache.clear();
+            this.s2BindGroupCache.clear();
+            this.s3BindGroupCache.clear();
+            this.adaptiveCouplingBindGroupCache?.clear();
+        }
+        const layout = topology.layout === 'csr' ? 'csr' : 'fixed';
         this.device.queue.writeBuffer(this.graphNeighborsBuf, 0, neighbors);
         this.device.queue.writeBuffer(this.graphWeightsBuf, 0, weights);
-        this.device.queue.writeBuffer(this.graphCountsBuf, 0, counts);
-        this.graphGaugeData = new Float32Array(expectedSlots);
+        this.device.queue.writeBuffer(this.graphRowsBuf, 0, layout === 'csr' ? offsets : counts);
+        this.graphLayout = layout;
+        this.graphStride = layout === 'csr' ? 0 : topology.stride;
+        this.graphSlots = slots;
+        this.graphGaugeData = new Float32Array(slots);
         this.device.queue.writeBuffer(this.graphGaugeBuf, 0, this.graphGaugeData);
-        this.topologyInfo = { ...topology, neighbors, weights, counts };
+        this.topologyInfo = { ...topology, neighbors, weights, counts, offsets };
+        setAdaptiveCouplingParams.call(this, this.adaptiveCouplingState ?? null);
+}
+
+/**
+ * Overwrite the edge weights of the current graph (same slot layout as
+ * topologyInfo.weights), e.g. to restore adapted weights from a snapshot.
+ */
+export function writeGraphWeights(data) {
+        const expected = this.graphSlots;
+        if (!data || data.length !== expected) {
+            console.warn('Graph weights length mismatch', data?.length, 'expected', expected);
+            return;
+        }
+        this.device.queue.writeBuffer(this.graphWeightsBuf, 0, Float32Array.from(data));
 }
 
 export function writeTheta(data) {
@@ -509,6 +883,7 @@ export function writeTheta(data) {
         for (let buf of this.delayBuffers) {
             this.device.queue.writeBuffer(buf, 0, data);
         }
+        fillCouplingHistory(this);
 }
 
 export function writeS2(data) {
@@ -568,7 +943,7 @@ export function writeGaugeField(ax, ay) {
 }
 
 export function writeGraphGauge(data) {
-        const expected = this.N * this.maxGraphDegree;
+        const expected = this.graphSlots;
         if (!data || data.length !== expected) {
             console.warn('Graph gauge length mismatch', data?.length, 'expected', expected);
             return;
@@ -581,6 +956,43 @@ export function writeInputWeights(weights) {
         this.device.queue.writeBuffer(this.inputWeightsBuf, 0, weights);
 }
 
+/**
+ * Readout oscillators for readReservoirFeatures(): flat row-major cell
+ * indices within one layer. Buffers only grow, so writing the same set every
+ * RC step costs one small upload.
+ * @param {ArrayLike<number>} indices
+ * @param {Object} [options]
+ * @param {number} [options.layer=0] - Layer the readouts are read from
+ * @param {boolean} [options.localOrder=false] - Also gather the 3×3 patch order
+ */
+export function writeReservoirReadouts(indices, { layer = 0, localOrder = false } = {}) {
+        const count = indices.length;
+        if (count > this.rcGatherCapacity) {
+            for (const buf of [this.rcGatherIndexBuf, this.rcGatherOutBuf, this.rcGatherReadbackBuf]) {
+                if (buf) buf.destroy();
+            }
+            const capacity = Math.max(64, 2 ** Math.ceil(Math.log2(count)));
+            this.rcGatherIndexBuf = this.device.createBuffer({
+                size: capacity * 4,
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+            });
+            this.rcGatherOutBuf = this.device.createBuffer({
+                size: capacity * 3 * 4,
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
+            });
+            this.rcGatherReadbackBuf = this.device.createBuffer({
+                size: capacity * 3 * 4,
+                usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+            });
+            this.rcGatherCapacity = capacity;
+            this.rcGatherBindGroupCache.clear();
+        }
+        const activeLayer = Math.min(this.layers - 1, Math.max(0, Math.floor(layer)));
+        if (count > 0) this.device.queue.writeBuffer(this.rcGatherIndexBuf, 0, Uint32Array.from(indices));
+        this.device.queue.writeBuffer(this.rcGatherParamsBuf, 0, new Uint32Array([count, this.gridSize, activeLayer, localOrder ? 1 : 0]));
+        this.rcGatherCount = count;
+}
+
 export function setInputSignal(signal) {
         this.device.queue.writeBuffer(this.inputSignalBuf, 0, new Float32Array([signal]));
 }
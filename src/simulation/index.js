@@ -5,3 +5,4 @@
  */
 
 export { Simulation } from './Simulation.js';
+export { CpuSimulation } from './CpuSimulation.js';
@@ -12,9 +12,15 @@ import {
     S3_GLOBAL_ORDER_REDUCTION_SHADER,
     S3_GLOBAL_ORDER_NORMALIZE_SHADER,
     S3_LOCAL_ORDER_STATS_SHADER,
+    LAYER_SYNC_STATS_SHADER,
+    LAYER_SYNC_NORMALIZE_SHADER,
     GAUGE_UPDATE_SHADER,
     PRISMATIC_METRICS_REDUCTION_SHADER,
-    PRISMATIC_METRICS_NORMALIZE_SHADER
+    PRISMATIC_METRICS_NORMALIZE_SHADER,
+    RC_FEATURE_GATHER_SHADER,
+    PLASTICITY_HEBB_SHADER,
+    PLASTICITY_APPLY_SHADER,
+    ADAPTIVE_COUPLING_SHADER
 } from '../shaders/index.js';
 
 const S1_BIND = {
@@ -29,7 +35,7 @@ const S1_BIND = {
     INPUT_SIGNAL: 8,
     GRAPH_NEIGHBORS: 9,
     GRAPH_WEIGHTS: 10,
-    GRAPH_COUNTS: 11,
+    GRAPH_ROWS: 11,
     LAYER_PARAMS: 12,
     GAUGE_X: 13,
     GAUGE_Y: 14,
@@ -37,7 +43,14 @@ const S1_BIND = {
     GAUGE_PARAMS: 16,
     INTERACTION_PARAMS: 17,
     PRISMATIC_IN: 18,
-    PRISMATIC_OUT: 19
+    PRISMATIC_OUT: 19,
+    THETA_BASE: 20,
+    RK_ACCUM: 21,
+    RK_STAGE: 22,
+    NOISE_STATE: 23,
+    LAYER_COUPLING: 24,
+    THETA_HISTORY: 25,
+    COUPLING_HISTORY: 26
 };
 
 const PRISMATIC_METRICS_BIND = {
@@ -74,12 +87,20 @@ export function initPipeline() {
             compute: { module: gaugeUpdateModule, entryPoint: 'main' }
         });
 
+        const adaptiveCouplingModule = this.device.createShaderModule({ code: ADAPTIVE_COUPLING_SHADER });
+        this.adaptiveCouplingPipeline = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: adaptiveCouplingModule, entryPoint: 'main' }
+        });
+
         // Cache bind groups for each delay step
         this.bindGroupCache = new Map();
         this.s2BindGroupCache = new Map();
         this.s3BindGroupCache = new Map();
         this.gaugeUpdateBindGroupCache = new Map();
+        this.adaptiveCouplingBindGroupCache = new Map();
         this.prismaticMetricsBindGroupCache = new Map();
+        this.rcGatherBindGroupCache = new Map();
 }
 
 export function initReductionPipeline() {
@@ -224,6 +245,52 @@ export function initReductionPipeline() {
             ],
         });
 
+        // ============= CROSS-LAYER SYNC PIPELINES =============
+        const layerSyncModule = this.device.createShaderModule({ code: LAYER_SYNC_STATS_SHADER });
+        this.layerSyncPipeline = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: layerSyncModule, entryPoint: 'main' }
+        });
+
+        const layerSyncNormalizeModule = this.device.createShaderModule({ code: LAYER_SYNC_NORMALIZE_SHADER });
+        this.layerSyncNormalizePipeline = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: layerSyncNormalizeModule, entryPoint: 'main' }
+        });
+
+        this.layerSyncBindGroup = this.device.createBindGroup({
+            layout: this.layerSyncPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: this.thetaStagingBuf } },
+                { binding: 1, resource: { buffer: this.orderBuf } },
+                { binding: 2, resource: { buffer: this.layerSyncAtomicBuf } },
+                { binding: 3, resource: { buffer: this.layerSyncParamsBuf } },
+            ],
+        });
+
+        this.layerSyncNormalizeBindGroup = this.device.createBindGroup({
+            layout: this.layerSyncNormalizePipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: this.layerSyncAtomicBuf } },
+                { binding: 1, resource: { buffer: this.layerSyncBuf } },
+                { binding: 2, resource: { buffer: this.layerSyncParamsBuf } },
+            ],
+        });
+
+        // ============= INTERLAYER PLASTICITY PIPELINES =============
+        const plasticityHebbModule = this.device.createShaderModule({ code: PLASTICITY_HEBB_SHADER });
+        this.plasticityHebbPipeline = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: plasticityHebbModule, entryPoint: 'main' }
+        });
+
+        const plasticityApplyModule = this.device.createShaderModule({ code: PLASTICITY_APPLY_SHADER });
+        this.plasticityApplyPipeline = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: plasticityApplyModule, entryPoint: 'main' }
+        });
+        createPlasticityBindGroups(this);
+
         const prismaticReductionModule = this.device.createShaderModule({ code: PRISMATIC_METRICS_REDUCTION_SHADER });
         this.prismaticMetricsReductionPipeline = this.device.createComputePipeline({
             layout: 'auto',
@@ -244,33 +311,63 @@ export function initReductionPipeline() {
             ],
         });
 
+        const rcGatherModule = this.device.createShaderModule({ code: RC_FEATURE_GATHER_SHADER });
+        this.rcGatherPipeline = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: rcGatherModule, entryPoint: 'main' }
+        });
+
+}
+
+// Rebuilt whenever the theta staging, coupling or plasticity buffers are recreated
+export function createPlasticityBindGroups(sim) {
+        sim.plasticityHebbBindGroup = sim.device.createBindGroup({
+            layout: sim.plasticityHebbPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: sim.thetaStagingBuf } },
+                { binding: 1, resource: { buffer: sim.layerCouplingBuf } },
+                { binding: 2, resource: { buffer: sim.plasticityPartialBuf } },
+                { binding: 3, resource: { buffer: sim.plasticityParamsBuf } },
+            ],
+        });
+        sim.plasticityApplyBindGroup = sim.device.createBindGroup({
+            layout: sim.plasticityApplyPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: sim.layerCouplingBuf } },
+                { binding: 1, resource: { buffer: sim.plasticityPartialBuf } },
+                { binding: 2, resource: { buffer: sim.plasticityParamsBuf } },
+            ],
+        });
 }
 
-export function getBindGroup(delaySteps) {
+export function getBindGroup(delaySteps, stage = 0, stages = 1) {
         const delayIdx = (this.delayBufferIndex - delaySteps + this.delayBufferSize) % this.delayBufferSize;
         const currentIdx = this.thetaIndex;
         const nextIdx = currentIdx ^ 1;
         const currentPrismaticIdx = this.prismaticIndex;
         const nextPrismaticIdx = currentPrismaticIdx ^ 1;
+        // RK stages ping-pong through the stage textures; the last one writes the next theta
+        const stageIn = stage === 0 ? this.thetaTextures[currentIdx] : this.rkStageTextures[(stage - 1) & 1];
+        const stageOut = stage === stages - 1 ? this.thetaTextures[nextIdx] : this.rkStageTextures[stage & 1];
         
-        // Cache key based on delay index and active theta texture
-        const cacheKey = `${delayIdx}:${currentIdx}:${this.gaugeIndex}:${this.prismaticIndex}`;
+        // Cache key based on delay index, active theta texture and integrator stage
+        const cacheKey = `${delayIdx}:${currentIdx}:${this.gaugeIndex}:${this.prismaticIndex}:${stage}/${stages}`;
         if (!this.bindGroupCache.has(cacheKey)) {
             this.bindGroupCache.set(cacheKey, this.device.createBindGroup({
                 layout: this.pipeline.getBindGroupLayout(0),
                 entries: [
-                    { binding: S1_BIND.THETA_IN, resource: this.thetaTextures[currentIdx].createView({ dimension: '2d-array' }) },
+                    { binding: S1_BIND.THETA_IN, resource: stageIn.createView({ dimension: '2d-array' }) },
                     { binding: S1_BIND.OMEGA, resource: { buffer: this.omegaBuf } },
                     { binding: S1_BIND.PARAMS, resource: { buffer: this.paramsBuf } },
                     { binding: S1_BIND.ORDER, resource: { buffer: this.orderBuf } },
                     { binding: S1_BIND.DELAY, resource: { buffer: this.delayBuffers[delayIdx] } },
                     { binding: S1_BIND.GLOBAL_ORDER, resource: { buffer: this.globalOrderBuf } },
-                    { binding: S1_BIND.THETA_OUT, resource: this.thetaTextures[nextIdx].createView({ dimension: '2d-array' }) },
+                    { binding: S1_BIND.THETA_OUT, resource: stageOut.createView({ dimension: '2d-array' }) },
                     { binding: S1_BIND.INPUT_WEIGHTS, resource: { buffer: this.inputWeightsBuf } },
                     { binding: S1_BIND.INPUT_SIGNAL, resource: { buffer: this.inputSignalBuf } },
                     { binding: S1_BIND.GRAPH_NEIGHBORS, resource: { buffer: this.graphNeighborsBuf } },
                     { binding: S1_BIND.GRAPH_WEIGHTS, resource: { buffer: this.graphWeightsBuf } },
-                    { binding: S1_BIND.GRAPH_COUNTS, resource: { buffer: this.graphCountsBuf } },
+                    { binding: S1_BIND.GRAPH_ROWS, resource: { buffer: this.graphRowsBuf } },
                     { binding: S1_BIND.LAYER_PARAMS, resource: { buffer: this.layerParamsBuf } },
                     { binding: S1_BIND.GAUGE_X, resource: this.gaugeXTextures[this.gaugeIndex].createView({ dimension: '2d-array' }) },
                     { binding: S1_BIND.GAUGE_Y, resource: this.gaugeYTextures[this.gaugeIndex].createView({ dimension: '2d-array' }) },
@@ -279,6 +376,13 @@ export function getBindGroup(delaySteps) {
                     { binding: S1_BIND.INTERACTION_PARAMS, resource: { buffer: this.interactionParamsBuf } },
                     { binding: S1_BIND.PRISMATIC_IN, resource: this.prismaticStateTextures[currentPrismaticIdx].createView({ dimension: '2d-array' }) },
                     { binding: S1_BIND.PRISMATIC_OUT, resource: this.prismaticStateTextures[nextPrismaticIdx].createView({ dimension: '2d-array' }) },
+                    { binding: S1_BIND.THETA_BASE, resource: this.thetaTextures[currentIdx].createView({ dimension: '2d-array' }) },
+                    { binding: S1_BIND.RK_ACCUM, resource: { buffer: this.rkAccumBuf } },
+                    { binding: S1_BIND.RK_STAGE, resource: { buffer: this.rkStageBufs[stages][stage] } },
+                    { binding: S1_BIND.NOISE_STATE, resource: { buffer: this.noiseStateBuf } },
+                    { binding: S1_BIND.LAYER_COUPLING, resource: { buffer: this.layerCouplingBuf } },
+                    { binding: S1_BIND.THETA_HISTORY, resource: this.couplingHistoryTexture.createView({ dimension: '2d-array' }) },
+                    { binding: S1_BIND.COUPLING_HISTORY, resource: { buffer: this.couplingHeadBuf } },
                 ],
             }));
         }
@@ -303,6 +407,23 @@ export function getPrismaticMetricsBindGroup(thetaIdx = this.thetaIndex, prismat
         return this.prismaticMetricsBindGroupCache.get(cacheKey);
 }
 
+// Reads the current theta texture, so one bind group per ping-pong index
+export function getReservoirGatherBindGroup() {
+        const cacheKey = this.thetaIndex;
+        if (!this.rcGatherBindGroupCache.has(cacheKey)) {
+            this.rcGatherBindGroupCache.set(cacheKey, this.device.createBindGroup({
+                layout: this.rcGatherPipeline.getBindGroupLayout(0),
+                entries: [
+                    { binding: 0, resource: this.thetaTextures[this.thetaIndex].createView({ dimension: '2d-array' }) },
+                    { binding: 1, resource: { buffer: this.rcGatherIndexBuf } },
+                    { binding: 2, resource: { buffer: this.rcGatherOutBuf } },
+                    { binding: 3, resource: { buffer: this.rcGatherParamsBuf } },
+                ],
+            }));
+        }
+        return this.rcGatherBindGroupCache.get(cacheKey);
+}
+
 export function getGaugeUpdateBindGroup() {
         const currentGaugeIdx = this.gaugeIndex;
         const nextGaugeIdx = currentGaugeIdx ^ 1;
@@ -324,46 +445,81 @@ export function getGaugeUpdateBindGroup() {
         return this.gaugeUpdateBindGroupCache.get(cacheKey);
 }
 
-export function getS2BindGroup() {
+// Reads this step's theta from the staging copy; the graph edge buffers are
+// recreated when a larger topology is written (the cache is cleared then)
+export function getAdaptiveCouplingBindGroup() {
+        const cacheKey = 'edges';
+        if (!this.adaptiveCouplingBindGroupCache.has(cacheKey)) {
+            this.adaptiveCouplingBindGroupCache.set(cacheKey, this.device.createBindGroup({
+                layout: this.adaptiveCouplingPipeline.getBindGroupLayout(0),
+                entries: [
+                    { binding: 0, resource: { buffer: this.thetaStagingBuf } },
+                    { binding: 1, resource: { buffer: this.graphNeighborsBuf } },
+                    { binding: 2, resource: { buffer: this.graphWeightsBuf } },
+                    { binding: 3, resource: { buffer: this.graphRowsBuf } },
+                    { binding: 4, resource: { buffer: this.adaptiveParamsBuf } },
+                ],
+            }));
+        }
+        return this.adaptiveCouplingBindGroupCache.get(cacheKey);
+}
+
+export function getS2BindGroup(stage = 0, stages = 1) {
         const currentIdx = this.s2Index;
         const nextIdx = currentIdx ^ 1;
-        const cacheKey = `${currentIdx}:${nextIdx}`;
+        const stageIn = stage === 0 ? this.s2Textures[currentIdx] : this.s2StageTextures[(stage - 1) & 1];
+        const stageOut = stage === stages - 1 ? this.s2Textures[nextIdx] : this.s2StageTextures[stage & 1];
+        const cacheKey = `${currentIdx}:${nextIdx}:${stage}/${stages}`;
         if (!this.s2BindGroupCache.has(cacheKey)) {
             this.s2BindGroupCache.set(cacheKey, this.device.createBindGroup({
                 layout: this.s2Pipeline.getBindGroupLayout(0),
                 entries: [
-                    { binding: 0, resource: this.s2Textures[currentIdx].createView({ dimension: '2d-array' }) },
+                    { binding: 0, resource: stageIn.createView({ dimension: '2d-array' }) },
                     { binding: 1, resource: { buffer: this.omegaVecBuf } },
                     { binding: 2, resource: { buffer: this.paramsBuf } },
                     { binding: 3, resource: { buffer: this.orderBuf } },
-                    { binding: 4, resource: this.s2Textures[nextIdx].createView({ dimension: '2d-array' }) },
+                    { binding: 4, resource: stageOut.createView({ dimension: '2d-array' }) },
                     { binding: 5, resource: { buffer: this.graphNeighborsBuf } },
                     { binding: 6, resource: { buffer: this.graphWeightsBuf } },
-                    { binding: 7, resource: { buffer: this.graphCountsBuf } },
+                    { binding: 7, resource: { buffer: this.graphRowsBuf } },
                     { binding: 8, resource: { buffer: this.layerParamsBuf } },
+                    { binding: 9, resource: this.s2Textures[currentIdx].createView({ dimension: '2d-array' }) },
+                    { binding: 10, resource: { buffer: this.rkAccumBuf } },
+                    { binding: 11, resource: { buffer: this.rkStageBufs[stages][stage] } },
+                    { binding: 12, resource: { buffer: this.inputWeightsBuf } },
+                    { binding: 13, resource: { buffer: this.inputSignalBuf } },
+                    { binding: 14, resource: { buffer: this.layerCouplingBuf } },
                 ],
             }));
         }
         return this.s2BindGroupCache.get(cacheKey);
 }
 
-export function getS3BindGroup() {
+export function getS3BindGroup(stage = 0, stages = 1) {
         const currentIdx = this.s2Index;
         const nextIdx = currentIdx ^ 1;
-        const cacheKey = `${currentIdx}:${nextIdx}`;
+        const stageIn = stage === 0 ? this.s2Textures[currentIdx] : this.s2StageTextures[(stage - 1) & 1];
+        const stageOut = stage === stages - 1 ? this.s2Textures[nextIdx] : this.s2StageTextures[stage & 1];
+        const cacheKey = `${currentIdx}:${nextIdx}:${stage}/${stages}`;
         if (!this.s3BindGroupCache.has(cacheKey)) {
             this.s3BindGroupCache.set(cacheKey, this.device.createBindGroup({
                 layout: this.s3Pipeline.getBindGroupLayout(0),
                 entries: [
-                    { binding: 0, resource: this.s2Textures[currentIdx].createView({ dimension: '2d-array' }) },
+                    { binding: 0, resource: stageIn.createView({ dimension: '2d-array' }) },
                     { binding: 1, resource: { buffer: this.omegaVecBuf } },
                     { binding: 2, resource: { buffer: this.paramsBuf } },
                     { binding: 3, resource: { buffer: this.orderBuf } },
-                    { binding: 4, resource: this.s2Textures[nextIdx].createView({ dimension: '2d-array' }) },
+                    { binding: 4, resource: stageOut.createView({ dimension: '2d-array' }) },
                     { binding: 5, resource: { buffer: this.graphNeighborsBuf } },
                     { binding: 6, resource: { buffer: this.graphWeightsBuf } },
-                    { binding: 7, resource: { buffer: this.graphCountsBuf } },
+                    { binding: 7, resource: { buffer: this.graphRowsBuf } },
                     { binding: 8, resource: { buffer: this.layerParamsBuf } },
+                    { binding: 9, resource: this.s2Textures[currentIdx].createView({ dimension: '2d-array' }) },
+                    { binding: 10, resource: { buffer: this.rkAccumBuf } },
+                    { binding: 11, resource: { buffer: this.rkStageBufs[stages][stage] } },
+                    { binding: 12, resource: { buffer: this.inputWeightsBuf } },
+                    { binding: 13, resource: { buffer: this.inputSignalBuf } },
+                    { binding: 14, resource: { buffer: this.layerCouplingBuf } },
                 ],
             }));
         }
@@ -1,3 +1,32 @@
+import { LAYER_SYNC_FLOATS, MAX_LAYER_PARAMS, INTERLAYER_KERNEL_FLOATS } from './buffers.js';
+
+/**
+ * Split LAYER_SYNC_NORMALIZE_SHADER output into layer-pair tables and
+ * per-layer local R histograms.
+ * @param {Float32Array} data - LAYER_SYNC_FLOATS values
+ * @param {number} layers - Layer count
+ * @returns {{layers: number, cos: Float32Array, sin: Float32Array, histograms: Float32Array}}
+ *   cos / sin are L×L: mean cos / sin θ_l on the diagonal and of θ_l − θ_m
+ *   at [l][m] (sin is antisymmetric); histograms holds 16 bins per layer
+ */
+export function unpackLayerSync(data, layers) {
+        const L = Math.min(layers, MAX_LAYER_PARAMS);
+        const cos = new Float32Array(L * L);
+        const sin = new Float32Array(L * L);
+        for (let l = 0; l < L; l++) {
+            for (let m = l; m < L; m++) {
+                const slot = 2 * (l * MAX_LAYER_PARAMS + m);
+                cos[l * L + m] = data[slot];
+                sin[l * L + m] = data[slot + 1];
+                if (m === l) continue;
+                cos[m * L + l] = data[slot];
+                sin[m * L + l] = -data[slot + 1];
+            }
+        }
+        const histStart = 2 * MAX_LAYER_PARAMS * MAX_LAYER_PARAMS;
+        return { layers: L, cos, sin, histograms: data.slice(histStart, histStart + L * 16) };
+}
+
 export function requestGlobalOrderReadback(commandEncoder) {
         if (this.readbackPending) return; // Don't queue multiple readbacks
         
@@ -14,6 +43,12 @@ export function requestGlobalOrderReadback(commandEncoder) {
             this.localStatsReadbackBuf, 0,
             (5 + 16) * 4
         );
+
+        // Cross-layer sync is only reduced for layered S¹ runs
+        this.layerSyncPending = this.layers > 1 && this.paramsManifoldMode === 's1';
+        if (this.layerSyncPending) {
+            commandEncoder.copyBufferToBuffer(this.layerSyncBuf, 0, this.layerSyncReadbackBuf, 0, LAYER_SYNC_FLOATS * 4);
+        }
         
         this.readbackPending = true;
 }
@@ -64,7 +99,15 @@ export async function processReadback() {
                 gradient: localData[2],     // Mean phase gradient - high = waves/spirals
                 variance: localData[3],     // Variance of local R
                 histogram: hist,
+                layerSync: null,
             };
+
+            if (this.layerSyncPending) {
+                await this.layerSyncReadbackBuf.mapAsync(GPUMapMode.READ);
+                const syncData = new Float32Array(this.layerSyncReadbackBuf.getMappedRange().slice(0));
+                this.layerSyncReadbackBuf.unmap();
+                this.lastLocalStats.layerSync = unpackLayerSync(syncData, this.layers);
+            }
             
             this.readbackPending = false;
             this.mappingInProgress = false;
@@ -216,6 +259,42 @@ export async function readTheta() {
         }
 }
 
+/**
+ * Gather the readout oscillators set by writeReservoirReadouts() on the GPU
+ * and map back only those values: GATHER_STRIDE floats per readout,
+ * [sin θ, cos θ, 3×3 patch order R], instead of the whole θ field.
+ * @returns {Promise<Float32Array|null>} Null while another read is in flight
+ */
+export async function readReservoirFeatures() {
+        if (this.thetaReadPending || !this.rcGatherOutBuf || this.rcGatherCount === 0) {
+            return null;
+        }
+        this.thetaReadPending = true;
+
+        try {
+            const byteSize = this.rcGatherCount * 3 * 4;
+            const encoder = this.device.createCommandEncoder();
+            const pass = encoder.beginComputePass();
+            pass.setPipeline(this.rcGatherPipeline);
+            pass.setBindGroup(0, this.getReservoirGatherBindGroup());
+            pass.dispatchWorkgroups(Math.ceil(this.rcGatherCount / 64));
+            pass.end();
+            encoder.copyBufferToBuffer(this.rcGatherOutBuf, 0, this.rcGatherReadbackBuf, 0, byteSize);
+            this.device.queue.submit([encoder.finish()]);
+
+            await this.rcGatherReadbackBuf.mapAsync(GPUMapMode.READ, 0, byteSize);
+            const data = new Float32Array(this.rcGatherReadbackBuf.getMappedRange(0, byteSize).slice(0));
+            this.rcGatherReadbackBuf.unmap();
+
+            return data;
+        } catch (e) {
+            console.warn('readReservoirFeatures failed:', e);
+            return null;
+        } finally {
+            this.thetaReadPending = false;
+        }
+}
+
 export async function readS2() {
         if (this.thetaReadPending) {
             return null;
@@ -409,6 +488,65 @@ export async function readGaugeFieldDecimated(layer = 0, stride = 1) {
         }
 }
 
+/**
+ * Read the learned interlayer kernels (see writeInterlayerKernels for the layout).
+ * @returns {Promise<Float32Array|null>} Null while another read is in flight
+ */
+export async function readInterlayerKernels() {
+        if (this.interlayerKernelReadPending) {
+            return null;
+        }
+        this.interlayerKernelReadPending = true;
+
+        try {
+            const bytes = INTERLAYER_KERNEL_FLOATS * 4;
+            const encoder = this.device.createCommandEncoder();
+            encoder.copyBufferToBuffer(this.layerCouplingBuf, this.layerCouplingBuf.size - bytes, this.interlayerKernelReadbackBuf, 0, bytes);
+            this.device.queue.submit([encoder.finish()]);
+
+            await this.interlayerKernelReadbackBuf.mapAsync(GPUMapMode.READ);
+            const data = new Float32Array(this.interlayerKernelReadbackBuf.getMappedRange().slice(0));
+            this.interlayerKernelReadbackBuf.unmap();
+            return data;
+        } catch (e) {
+            console.warn('readInterlayerKernels failed:', e);
+            return null;
+        } finally {
+            this.interlayerKernelReadPending = false;
+        }
+}
+
+export async function readGraphWeights() {
+        if (this.graphWeightsReadPending) {
+            return null;
+        }
+        this.graphWeightsReadPending = true;
+
+        try {
+            const bytes = this.graphSlots * 4;
+            if (!this.graphWeightsReadbackBuf || this.graphWeightsReadbackBuf.size !== bytes) {
+                if (this.graphWeightsReadbackBuf) this.graphWeightsReadbackBuf.destroy();
+                this.graphWeightsReadbackBuf = this.device.createBuffer({
+                    size: bytes,
+                    usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+                });
+            }
+            const encoder = this.device.createCommandEncoder();
+            encoder.copyBufferToBuffer(this.graphWeightsBuf, 0, this.graphWeightsReadbackBuf, 0, bytes);
+            this.device.queue.submit([encoder.finish()]);
+
+            await this.graphWeightsReadbackBuf.mapAsync(GPUMapMode.READ);
+            const data = new Float32Array(this.graphWeightsReadbackBuf.getMappedRange().slice(0));
+            this.graphWeightsReadbackBuf.unmap();
+            return data;
+        } catch (e) {
+            console.warn('readGraphWeights failed:', e);
+            return null;
+        } finally {
+            this.graphWeightsReadPending = false;
+        }
+}
+
 export async function readThetaNeighborhood(layer = 0, c = 0, r = 0, radius = 1) {
         if (this.thetaReadPending) {
             return null;
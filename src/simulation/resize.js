@@ -1,3 +1,5 @@
+import { createPlasticityBindGroups } from './pipelines.js';
+
 export function interpolateScalar(data, srcSize, dstSize, layers = 1) {
         const layerSizeSrc = srcSize * srcSize;
         const layerSizeDst = dstSize * dstSize;
@@ -128,9 +130,13 @@ export async function resizePreservingState(newGridSize) {
         
         // Interpolate to new size
         const newTheta = interpolateThetaLayers(oldTheta, oldSize, newGridSize, this.layers);
+
+        // Learned interlayer kernels do not depend on the grid size
+        const kernels = this.layers > 1 ? await this.readInterlayerKernels() : null;
         
         // Do the resize (destroys old buffers, creates new)
         this.resize(newGridSize);
+        if (kernels) this.writeInterlayerKernels(kernels);
         
         // Return interpolated theta for caller to apply
         return newTheta;
@@ -166,6 +172,12 @@ export function destroy() {
                 tex.destroy();
             }
         }
+        if (this.rkStageTextures) {
+            for (const tex of this.rkStageTextures) tex.destroy();
+        }
+        if (this.s2StageTextures) {
+            for (const tex of this.s2StageTextures) tex.destroy();
+        }
         if (this.thetaStagingBuf) {
             this.thetaStagingBuf.destroy();
         }
@@ -193,6 +205,10 @@ export function destroy() {
         if (this.localStatsReadbackBuf) this.localStatsReadbackBuf.destroy();
         if (this.gridSizeUniformBuf) this.gridSizeUniformBuf.destroy();
         if (this.nUniformBuf) this.nUniformBuf.destroy();
+        if (this.layerSyncAtomicBuf) this.layerSyncAtomicBuf.destroy();
+        if (this.layerSyncBuf) this.layerSyncBuf.destroy();
+        if (this.layerSyncReadbackBuf) this.layerSyncReadbackBuf.destroy();
+        if (this.layerSyncParamsBuf) this.layerSyncParamsBuf.destroy();
         for (const buf of this.delayBuffers) {
             buf.destroy();
         }
@@ -210,17 +226,37 @@ export function destroy() {
         if (this.gaugeLayerReadbackYBuf) this.gaugeLayerReadbackYBuf.destroy();
         if (this.thetaNeighborhoodReadbackBuf) this.thetaNeighborhoodReadbackBuf.destroy();
         if (this.thetaLayerReadbackBuf) this.thetaLayerReadbackBuf.destroy();
+        if (this.rcGatherIndexBuf) this.rcGatherIndexBuf.destroy();
+        if (this.rcGatherOutBuf) this.rcGatherOutBuf.destroy();
+        if (this.rcGatherReadbackBuf) this.rcGatherReadbackBuf.destroy();
+        if (this.rcGatherParamsBuf) this.rcGatherParamsBuf.destroy();
         if (this.inputWeightsBuf) this.inputWeightsBuf.destroy();
         if (this.inputSignalBuf) this.inputSignalBuf.destroy();
         if (this.graphNeighborsBuf) this.graphNeighborsBuf.destroy();
         if (this.graphWeightsBuf) this.graphWeightsBuf.destroy();
-        if (this.graphCountsBuf) this.graphCountsBuf.destroy();
+        if (this.graphRowsBuf) this.graphRowsBuf.destroy();
+        if (this.adaptiveParamsBuf) this.adaptiveParamsBuf.destroy();
+        if (this.graphWeightsReadbackBuf) this.graphWeightsReadbackBuf.destroy();
         if (this.layerParamsBuf) this.layerParamsBuf.destroy();
+        if (this.layerCouplingBuf) this.layerCouplingBuf.destroy();
+        if (this.couplingHeadBuf) this.couplingHeadBuf.destroy();
+        if (this.couplingHeadTableBuf) this.couplingHeadTableBuf.destroy();
+        if (this.couplingHistoryTexture) this.couplingHistoryTexture.destroy();
+        if (this.plasticityPartialBuf) this.plasticityPartialBuf.destroy();
+        if (this.plasticityParamsBuf) this.plasticityParamsBuf.destroy();
+        if (this.interlayerKernelReadbackBuf) this.interlayerKernelReadbackBuf.destroy();
+        if (this.rkAccumBuf) this.rkAccumBuf.destroy();
+        if (this.noiseStateBuf) this.noiseStateBuf.destroy();
+        if (this.rkStageBufs) {
+            for (const bufs of Object.values(this.rkStageBufs)) bufs.forEach(buf => buf.destroy());
+        }
         this.bindGroupCache.clear();
         if (this.s2BindGroupCache) this.s2BindGroupCache.clear();
         if (this.s3BindGroupCache) this.s3BindGroupCache.clear();
         if (this.gaugeUpdateBindGroupCache) this.gaugeUpdateBindGroupCache.clear();
+        if (this.adaptiveCouplingBindGroupCache) this.adaptiveCouplingBindGroupCache.clear();
         if (this.prismaticMetricsBindGroupCache) this.prismaticMetricsBindGroupCache.clear();
+        if (this.rcGatherBindGroupCache) this.rcGatherBindGroupCache.clear();
 }
 
 export function resize(newGridSize) {
@@ -244,6 +280,12 @@ export function resize(newGridSize) {
                 tex.destroy();
             }
         }
+        if (this.rkStageTextures) {
+            for (const tex of this.rkStageTextures) tex.destroy();
+        }
+        if (this.s2StageTextures) {
+            for (const tex of this.s2StageTextures) tex.destroy();
+        }
         if (this.thetaStagingBuf) {
             this.thetaStagingBuf.destroy();
         }
@@ -286,6 +328,12 @@ export function resize(newGridSize) {
         if (this.nUniformBuf) {
             this.nUniformBuf.destroy();
         }
+        if (this.layerSyncAtomicBuf) {
+            this.layerSyncAtomicBuf.destroy();
+            this.layerSyncBuf.destroy();
+            this.layerSyncReadbackBuf.destroy();
+            this.layerSyncParamsBuf.destroy();
+        }
         for (let buf of this.delayBuffers) {
             buf.destroy();
         }
@@ -304,8 +352,42 @@ export function resize(newGridSize) {
         if (this.graphWeightsBuf) {
             this.graphWeightsBuf.destroy();
         }
-        if (this.graphCountsBuf) {
-            this.graphCountsBuf.destroy();
+        if (this.graphRowsBuf) {
+            this.graphRowsBuf.destroy();
+        }
+        if (this.adaptiveParamsBuf) {
+            this.adaptiveParamsBuf.destroy();
+        }
+        if (this.graphWeightsReadbackBuf) {
+            this.graphWeightsReadbackBuf.destroy();
+            this.graphWeightsReadbackBuf = null;
+        }
+        if (this.rkAccumBuf) {
+            this.rkAccumBuf.destroy();
+        }
+        if (this.layerCouplingBuf) {
+            this.layerCouplingBuf.destroy();
+        }
+        if (this.couplingHeadBuf) {
+            this.couplingHeadBuf.destroy();
+        }
+        if (this.couplingHeadTableBuf) {
+            this.couplingHeadTableBuf.destroy();
+        }
+        if (this.couplingHistoryTexture) {
+            this.couplingHistoryTexture.destroy();
+            this.couplingHistoryTexture = null;
+        }
+        if (this.plasticityPartialBuf) {
+            this.plasticityPartialBuf.destroy();
+            this.plasticityParamsBuf.destroy();
+            this.interlayerKernelReadbackBuf.destroy();
+        }
+        if (this.noiseStateBuf) {
+            this.noiseStateBuf.destroy();
+        }
+        if (this.rkStageBufs) {
+            for (const bufs of Object.values(this.rkStageBufs)) bufs.forEach(buf => buf.destroy());
         }
         if (this.graphGaugeBuf) {
             this.graphGaugeBuf.destroy();
@@ -353,13 +435,31 @@ export function resize(newGridSize) {
             this.thetaLayerReadbackBuf.destroy();
             this.thetaLayerReadbackBuf = null;
         }
+        if (this.rcGatherIndexBuf) {
+            this.rcGatherIndexBuf.destroy();
+            this.rcGatherIndexBuf = null;
+        }
+        if (this.rcGatherOutBuf) {
+            this.rcGatherOutBuf.destroy();
+            this.rcGatherOutBuf = null;
+        }
+        if (this.rcGatherReadbackBuf) {
+            this.rcGatherReadbackBuf.destroy();
+            this.rcGatherReadbackBuf = null;
+        }
+        if (this.rcGatherParamsBuf) {
+            this.rcGatherParamsBuf.destroy();
+            this.rcGatherParamsBuf = null;
+        }
         
         // Clear bind group cache since textures/buffers changed
         this.bindGroupCache.clear();
         if (this.s2BindGroupCache) this.s2BindGroupCache.clear();
         if (this.s3BindGroupCache) this.s3BindGroupCache.clear();
         if (this.gaugeUpdateBindGroupCache) this.gaugeUpdateBindGroupCache.clear();
+        if (this.adaptiveCouplingBindGroupCache) this.adaptiveCouplingBindGroupCache.clear();
         if (this.prismaticMetricsBindGroupCache) this.prismaticMetricsBindGroupCache.clear();
+        if (this.rcGatherBindGroupCache) this.rcGatherBindGroupCache.clear();
         
         // Update size
         this.gridSize = newGridSize;
@@ -406,6 +506,27 @@ export function resize(newGridSize) {
             ],
         });
 
+        this.layerSyncBindGroup = this.device.createBindGroup({
+            layout: this.layerSyncPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: this.thetaStagingBuf } },
+                { binding: 1, resource: { buffer: this.orderBuf } },
+                { binding: 2, resource: { buffer: this.layerSyncAtomicBuf } },
+                { binding: 3, resource: { buffer: this.layerSyncParamsBuf } },
+            ],
+        });
+
+        this.layerSyncNormalizeBindGroup = this.device.createBindGroup({
+            layout: this.layerSyncNormalizePipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: this.layerSyncAtomicBuf } },
+                { binding: 1, resource: { buffer: this.layerSyncBuf } },
+                { binding: 2, resource: { buffer: this.layerSyncParamsBuf } },
+            ],
+        });
+
+        createPlasticityBindGroups(this);
+
         this.prismaticMetricsNormalizeBindGroup = this.device.createBindGroup({
             layout: this.prismaticMetricsNormalizePipeline.getBindGroupLayout(0),
             entries: [
@@ -5,6 +5,37 @@
  * previously scattered throughout main.js.
  */
 
+/**
+ * Fields of one interlayer coupling entry G[target][source]:
+ * gain, integer source offset (dx, dy) in cells, delay in steps.
+ */
+export const LAYER_COUPLING_FIELDS = Object.freeze(['gain', 'dx', 'dy', 'delay']);
+
+/**
+ * Incoming coupling row of one layer: one uncoupled entry per source layer.
+ * @param {number} count - Layer count
+ * @returns {{gain: number, dx: number, dy: number, delay: number}[]}
+ */
+export function createLayerCouplingRow(count) {
+    return Array.from({ length: Math.max(1, count) }, () => ({ gain: 0.0, dx: 0, dy: 0, delay: 0 }));
+}
+
+// Copy of a row resized to `count` sources (missing entries uncoupled)
+function resizeLayerCouplingRow(row, count) {
+    const out = createLayerCouplingRow(count);
+    if (Array.isArray(row)) {
+        for (let m = 0; m < Math.min(count, row.length); m++) {
+            out[m] = {
+                gain: Number(row[m]?.gain) || 0,
+                dx: Math.round(Number(row[m]?.dx) || 0),
+                dy: Math.round(Number(row[m]?.dy) || 0),
+                delay: Math.max(0, Math.round(Number(row[m]?.delay) || 0)),
+            };
+        }
+    }
+    return out;
+}
+
 /**
  * Create a layer parameters object from current state.
  * @param {Object} state - Current application state
@@ -44,6 +75,7 @@ export function makeLayerParamsFromState(state) {
         // Dynamics
         noiseStrength: state.noiseStrength,
         leak: state.leak,
+        integrator: state.integrator ?? 'euler',
         
         // Interaction modifiers
         scaleBase: state.scaleBase,
@@ -63,10 +95,6 @@ export function makeLayerParamsFromState(state) {
         orientBubble: state.orientBubble,
         orientLinear: state.orientLinear,
         
-        // Inter-layer coupling
-        layerCouplingUp: state.layerCouplingUp ?? 0.0,
-        layerCouplingDown: state.layerCouplingDown ?? 0.0,
-
         // Lenia growth function
         growthMu: state.growthMu ?? 0.15,
         growthSigma: state.growthSigma ?? 0.015,
@@ -119,6 +147,7 @@ export function applyLayerParamsToState(state, layerIdx) {
     // Apply dynamics
     state.noiseStrength = lp.noiseStrength;
     state.leak = lp.leak;
+    state.integrator = lp.integrator ?? 'euler';
     
     // Apply interaction modifiers with defaults
     state.scaleBase = lp.scaleBase ?? 1.0;
@@ -138,9 +167,9 @@ export function applyLayerParamsToState(state, layerIdx) {
     state.orientBubble = lp.orientBubble ?? 0.0;
     state.orientLinear = lp.orientLinear ?? 0.0;
     
-    // Apply inter-layer coupling with defaults
-    state.layerCouplingUp = lp.layerCouplingUp ?? 0.0;
-    state.layerCouplingDown = lp.layerCouplingDown ?? 0.0;
+    // Up / Down mirror the adjacent entries of this layer's coupling row
+    state.layerCouplingUp = lp.layerCoupling?.[layerIdx - 1]?.gain ?? 0.0;
+    state.layerCouplingDown = lp.layerCoupling?.[layerIdx + 1]?.gain ?? 0.0;
 
     // Apply Lenia growth params
     state.growthMu = lp.growthMu ?? 0.15;
@@ -152,35 +181,81 @@ export function applyLayerParamsToState(state, layerIdx) {
 
 /**
  * Sync current state to layer parameters for specified layer indices.
+ * Each layer keeps its own coupling row; the Up / Down values are written
+ * to its adjacent entries G[idx][idx - 1] and G[idx][idx + 1].
  * @param {Object} state - Application state
  * @param {number|number[]} indices - Layer index or array of indices to sync
  */
 export function syncStateToLayerParams(state, indices) {
     const targets = Array.isArray(indices) ? indices : [indices];
     const lp = makeLayerParamsFromState(state);
+    const count = state.layerParams.length;
     
     targets.forEach(idx => {
         if (idx == null) return;
+        const layerCoupling = resizeLayerCouplingRow(state.layerParams[idx]?.layerCoupling, count);
+        if (idx > 0) layerCoupling[idx - 1].gain = state.layerCouplingUp ?? 0.0;
+        if (idx + 1 < count) layerCoupling[idx + 1].gain = state.layerCouplingDown ?? 0.0;
         state.layerParams[idx] = {
             ...lp,
             kernelRingWidths: [...lp.kernelRingWidths],
             kernelRingWeights: [...lp.kernelRingWeights],
+            layerCoupling,
         };
     });
 }
 
 /**
- * Ensure layerParams array exists and has the correct number of entries.
+ * Set one entry of the interlayer coupling matrix and keep the Up / Down
+ * state values in step when it is an adjacent entry of the active layer.
+ * @param {Object} state - Application state
+ * @param {number} target - Layer receiving the coupling
+ * @param {number} source - Layer it reads from
+ * @param {string} field - One of LAYER_COUPLING_FIELDS
+ * @param {number} value
+ * @returns {boolean} False if the entry or field does not exist
+ */
+export function setLayerCouplingEntry(state, target, source, field, value) {
+    const entry = state.layerParams?.[target]?.layerCoupling?.[source];
+    if (!entry || !LAYER_COUPLING_FIELDS.includes(field) || !Number.isFinite(value)) return false;
+    if (field === 'gain') entry.gain = value;
+    else if (field === 'delay') entry.delay = Math.max(0, Math.round(value));
+    else entry[field] = Math.round(value);
+    if (target === (state.activeLayer ?? 0)) {
+        if (source === target - 1) state.layerCouplingUp = entry.gain;
+        if (source === target + 1) state.layerCouplingDown = entry.gain;
+    }
+    return true;
+}
+
+/**
+ * Ensure layerParams array exists and has the correct number of entries,
+ * each with a coupling row over all layers. Entries saved before the
+ * coupling matrix (layerCouplingUp / layerCouplingDown) are migrated to
+ * their adjacent gains; added layers start uncoupled.
  * @param {Object} state - Application state
  * @param {number} count - Target layer count
  */
 export function ensureLayerParams(state, count) {
     const target = Math.max(1, count);
     
-    // Initialize if needed
+    // Initialize if needed: every layer takes the current parameters and
+    // Up / Down gains (as restored from the URL)
     if (!Array.isArray(state.layerParams) || state.layerParams.length === 0) {
-        state.layerParams = [makeLayerParamsFromState(state)];
+        state.layerParams = Array.from({ length: target }, () => makeLayerParamsFromState(state));
+        syncStateToLayerParams(state, state.layerParams.map((_, idx) => idx));
     }
+
+    // Migrate per-layer up / down gains
+    state.layerParams.forEach((lp, idx) => {
+        if (Array.isArray(lp.layerCoupling)) return;
+        const row = createLayerCouplingRow(state.layerParams.length);
+        if (idx > 0) row[idx - 1].gain = lp.layerCouplingUp ?? 0.0;
+        if (idx + 1 < row.length) row[idx + 1].gain = lp.layerCouplingDown ?? 0.0;
+        delete lp.layerCouplingUp;
+        delete lp.layerCouplingDown;
+        lp.layerCoupling = row;
+    });
     
     // Add layers if needed
     if (state.layerParams.length < target) {
@@ -191,6 +266,7 @@ export function ensureLayerParams(state, count) {
                 ...template,
                 kernelRingWidths: [...template.kernelRingWidths],
                 kernelRingWeights: [...template.kernelRingWeights],
+                layerCoupling: createLayerCouplingRow(target),
             });
         }
     } 
@@ -198,6 +274,10 @@ export function ensureLayerParams(state, count) {
     else if (state.layerParams.length > target) {
         state.layerParams = state.layerParams.slice(0, target);
     }
+
+    state.layerParams.forEach((lp) => {
+        lp.layerCoupling = resizeLayerCouplingRow(lp.layerCoupling, target);
+    });
 }
 
 /**
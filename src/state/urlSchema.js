@@ -13,13 +13,18 @@ export const URL_STATE_SCHEMA = {
     dt: 'float', timeScale: 'float', paused: 'bool', K0: 'float', range: 'int', ruleMode: 'int',
     harmonicA: 'float', harmonicB: 'float', globalCoupling: 'bool',
     topologyMode: 'str', topologySeed: 'int', topologyWSK: 'int', topologyWSRewire: 'float', topologyBAM0: 'int', topologyBAM: 'int',
+    topologySBMBlocks: 'int', topologySBMKIn: 'float', topologySBMKOut: 'float', topologyRGGK: 'float', topologyERK: 'float',
+    topologyCMGamma: 'float', topologyCMKMin: 'int',
+    adaptiveCouplingEnabled: 'bool', adaptiveCouplingEpsilon: 'float', adaptiveCouplingAlpha: 'float', adaptiveCouplingBeta: 'float',
     delaySteps: 'int', sigma: 'float', sigma2: 'float', beta: 'float', showOrder: 'bool',
-    colormap: 'int', colormapPalette: 'int', noiseStrength: 'float',
+    colormap: 'int', colormapPalette: 'int', noiseStrength: 'float', noiseMode: 'str', noiseTau: 'float',
     gaugeEnabled: 'bool', gaugeMode: 'str', gaugeCharge: 'float', gaugeMatterCoupling: 'float',
     gaugeStiffness: 'float', gaugeDamping: 'float', gaugeNoise: 'float', gaugeDtScale: 'float',
     gaugeInitPattern: 'str', gaugeInitAmplitude: 'float', gaugeFluxBias: 'float', gaugeGraphSeed: 'int',
     vizFluxGain: 'float', vizCovGradGain: 'float', vizGaugeAutoNormalize: 'bool', vizGaugeSignedFlux: 'bool',
     sweepParam: 'str', sweepFrom: 'float', sweepTo: 'float', sweepSteps: 'int', sweepSettleFrames: 'int',
+    spectralSeries: 'str', spectralWindow: 'int', lleExponentCount: 'int',
+    infoFlowSource: 'str', infoFlowRegions: 'int', infoFlowMethod: 'str', infoFlowLag: 'int', infoFlowSurrogates: 'int',
     overlayGaugeLinks: 'bool', overlayPlaquetteSign: 'bool', overlayProbeEnabled: 'bool',
     phaseLagEnabled: 'bool', phaseLagEta: 'float',
     prismaticStyleEnabled: 'bool', prismaticStyleBlend: 'float', prismaticStyleBaseLayerMode: 'str',
@@ -36,15 +41,19 @@ export const URL_STATE_SCHEMA = {
     zoom: 'float', panX: 'float', panY: 'float',
     layerCount: 'int', activeLayer: 'int', layerCouplingUp: 'float', layerCouplingDown: 'float',
     layerKernelEnabled: 'bool', renderAllLayers: 'bool', layerZOffset: 'float',
+    plasticityEnabled: 'bool', plasticityFrozen: 'bool', plasticityRate: 'float', plasticityDecay: 'float',
+    plasticityClamp: 'float', plasticityInterval: 'int',
     kernelShape: 'int', kernelOrientation: 'float', kernelAsymmetricOrientation: 'float', kernelAspect: 'float',
     kernelScale2Weight: 'float', kernelScale3Weight: 'float', kernelAsymmetry: 'float', kernelRings: 'int',
     kernelRingWidths: 'arrayFloat', kernelRingWeights: 'arrayFloat',
     kernelCompositionEnabled: 'bool', kernelSecondary: 'int', kernelMixRatio: 'float',
     kernelSpatialFreqMag: 'float', kernelSpatialFreqAngle: 'float', kernelGaborPhase: 'float',
     rcEnabled: 'bool', rcInputRegion: 'str', rcOutputRegion: 'str', rcInputWidth: 'float', rcOutputWidth: 'float', rcInputStrength: 'float',
-    rcInjectionMode: 'str', rcHistoryLength: 'int', rcMaxFeatures: 'int', rcTask: 'str',
+    rcInjectionMode: 'str', rcHistoryLength: 'int', rcMaxFeatures: 'int', rcFeatureMaps: 'str', rcFourierFeatures: 'int', rcGpuFeatures: 'bool', rcTask: 'str', rcForecastHorizon: 'int', rcForecastDt: 'float', rcForecastComponents: 'str', rcReadoutMode: 'str',
+    rcGenSteps: 'int', rcGenThreshold: 'float',
+    rcCapacitySamples: 'int', rcCapacityMaxDelay: 'int', rcCapacityMaxDegree: 'int',
     phaseSpaceEnabled: 'bool',
-    leak: 'float',
+    leak: 'float', integrator: 'str',
     scaleBase: 'float', scaleRadial: 'float', scaleRandom: 'float', scaleRing: 'float',
     flowRadial: 'float', flowRotate: 'float', flowSwirl: 'float', flowBubble: 'float', flowRing: 'float', flowVortex: 'float', flowVertical: 'float',
     orientRadial: 'float', orientCircles: 'float', orientSwirl: 'float', orientBubble: 'float', orientLinear: 'float',
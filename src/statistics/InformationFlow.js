@@ -0,0 +1,484 @@
+/**
+ * Information Flow
+ *
+ * Directed coupling between phase time series ("channels": the mean phase
+ * of each layer, or of blocks of one layer), sampled at readback cadence:
+ * - transfer entropy TE(X→Y) = I(Y_{t+1}; X_{t+1-lag} | Y_t) in bits, either
+ *   binned on the circle or by the KSG nearest-neighbour estimator
+ *   (Frenzel–Pompe conditional MI form, circular max-norm distances);
+ * - linear Granger causality on the (cos θ, sin θ) embedding, reported as
+ *   Geweke's ln(det Σ_restricted / det Σ_full) for `order` lags.
+ *
+ * Significance comes from circular time-shift surrogates of the source:
+ * shifting X against Y keeps both autocorrelations but breaks their
+ * alignment, so p = (1 + #{surrogate ≥ observed}) / (1 + count). p-values
+ * are per pair and not corrected for the number of pairs tested.
+ *
+ * Lags count samples, not simulation time, so compare runs recorded with
+ * the same stats interval.
+ */
+import { makeRng } from '../utils/index.js';
+
+export const INFO_FLOW_METHODS = {
+    binned: 'TE (binned)',
+    ksg: 'TE (KSG)',
+    granger: 'Granger',
+};
+
+const MIN_SAMPLES = 50;
+// KSG costs O(n²) per estimate, so it only sees the most recent samples
+const KSG_MAX_SAMPLES = 400;
+
+function wrapPhase(x) {
+    return x - 2 * Math.PI * Math.floor((x + Math.PI) / (2 * Math.PI));
+}
+
+function circularDistance(a, b) {
+    return Math.abs(wrapPhase(a - b));
+}
+
+// ψ(x) for x ≥ 1 (recurrence up to 6, then the asymptotic series)
+function digamma(x) {
+    let r = 0;
+    while (x < 6) {
+        r -= 1 / x;
+        x += 1;
+    }
+    const f = 1 / (x * x);
+    return r + Math.log(x) - 0.5 / x - f * (1 / 12 - f * (1 / 120 - f * (1 / 252 - f * (1 / 240 - f / 132))));
+}
+
+// (Y_{t+1}, Y_t, X_{t+1-lag}) triples of a source → target pair
+function embedTransfer(source, target, lag) {
+    const n = Math.min(source.length, target.length);
+    const start = Math.max(0, lag - 1);
+    const m = Math.max(0, n - 1 - start);
+    const yf = new Float64Array(m);
+    const yp = new Float64Array(m);
+    const xp = new Float64Array(m);
+    for (let i = 0; i < m; i++) {
+        const t = start + i;
+        yf[i] = target[t + 1];
+        yp[i] = target[t];
+        xp[i] = source[t + 1 - lag];
+    }
+    return { yf, yp, xp, m };
+}
+
+/**
+ * Transfer entropy with phases binned uniformly on [−π, π).
+ * @param {ArrayLike<number>} source - Phase series X
+ * @param {ArrayLike<number>} target - Phase series Y
+ * @param {Object} [options]
+ * @param {number} [options.bins=8] - Bins per phase
+ * @param {number} [options.lag=1] - Source lag in samples (≥ 1)
+ * @returns {number} TE(X→Y) in bits, NaN if there are too few samples
+ */
+export function binnedTransferEntropy(source, target, { bins = 8, lag = 1 } = {}) {
+    const { yf, yp, xp, m } = embedTransfer(source, target, Math.max(1, Math.floor(lag)));
+    if (m < MIN_SAMPLES) return NaN;
+    const b = Math.max(2, Math.floor(bins));
+    const bin = (theta) => Math.min(b - 1, Math.floor(((wrapPhase(theta) + Math.PI) / (2 * Math.PI)) * b));
+    const joint = new Float64Array(b * b * b);  // [yf][yp][xp]
+    const pastPair = new Float64Array(b * b);   // [yp][xp]
+    const targetPair = new Float64Array(b * b); // [yf][yp]
+    const targetPast = new Float64Array(b);     // [yp]
+    for (let i = 0; i < m; i++) {
+        const f = bin(yf[i]);
+        const p = bin(yp[i]);
+        const x = bin(xp[i]);
+        joint[(f * b + p) * b + x]++;
+        pastPair[p * b + x]++;
+        targetPair[f * b + p]++;
+        targetPast[p]++;
+    }
+    let te = 0;
+    for (let f = 0; f < b; f++) {
+        for (let p = 0; p < b; p++) {
+            for (let x = 0; x < b; x++) {
+                const c = joint[(f * b + p) * b + x];
+                if (c === 0) continue;
+                te += c * Math.log2((c * targetPast[p]) / (pastPair[p * b + x] * targetPair[f * b + p]));
+            }
+        }
+    }
+    return te / m;
+}
+
+/**
+ * Transfer entropy by the KSG estimator (algorithm 1, max-norm) of the
+ * conditional mutual information, with circular distances per phase.
+ * @param {ArrayLike<number>} source
+ * @param {ArrayLike<number>} target
+ * @param {Object} [options]
+ * @param {number} [options.k=4] - Nearest neighbours in the joint space
+ * @param {number} [options.lag=1] - Source lag in samples (≥ 1)
+ * @returns {number} TE(X→Y) in bits (can be slightly negative), NaN if there are too few samples
+ */
+export function ksgTransferEntropy(source, target, { k = 4, lag = 1 } = {}) {
+    const { yf, yp, xp, m } = embedTransfer(source, target, Math.max(1, Math.floor(lag)));
+    const kk = Math.max(1, Math.floor(k));
+    if (m < MIN_SAMPLES || m <= kk) return NaN;
+    const nearest = new Float64Array(kk);
+    let sum = 0;
+    for (let i = 0; i < m; i++) {
+        nearest.fill(Infinity);
+        for (let j = 0; j < m; j++) {
+            if (j === i) continue;
+            const d = Math.max(circularDistance(yf[i], yf[j]), circularDistance(yp[i], yp[j]), circularDistance(xp[i], xp[j]));
+            if (d >= nearest[kk - 1]) continue;
+            let slot = kk - 1;
+            while (slot > 0 && nearest[slot - 1] > d) {
+                nearest[slot] = nearest[slot - 1];
+                slot--;
+            }
+            nearest[slot] = d;
+        }
+        const eps = nearest[kk - 1];
+        let nz = 0;
+        let nyz = 0;
+        let nxz = 0;
+        for (let j = 0; j < m; j++) {
+            if (j === i) continue;
+            const dz = circularDistance(yp[i], yp[j]);
+            if (dz >= eps) continue;
+            nz++;
+            if (circularDistance(yf[i], yf[j]) < eps) nyz++;
+            if (circularDistance(xp[i], xp[j]) < eps) nxz++;
+        }
+        sum += digamma(nyz + 1) + digamma(nxz + 1) - digamma(nz + 1);
+    }
+    return (digamma(kk) - sum / m) / Math.LN2;
+}
+
+// Cholesky solve of the SPD system A x = b (A is d×d, row-major; overwritten)
+function solveSPD(A, b, d) {
+    for (let j = 0; j < d; j++) {
+        let s = A[j * d + j];
+        for (let k = 0; k < j; k++) s -= A[j * d + k] * A[j * d + k];
+        const diag = Math.sqrt(Math.max(s, 1e-300));
+        A[j * d + j] = diag;
+        for (let i = j + 1; i < d; i++) {
+            let t = A[i * d + j];
+            for (let k = 0; k < j; k++) t -= A[i * d + k] * A[j * d + k];
+            A[i * d + j] = t / diag;
+        }
+    }
+    const x = Float64Array.from(b);
+    for (let i = 0; i < d; i++) {
+        for (let k = 0; k < i; k++) x[i] -= A[i * d + k] * x[k];
+        x[i] /= A[i * d + i];
+    }
+    for (let i = d - 1; i >= 0; i--) {
+        for (let k = i + 1; k < d; k++) x[i] -= A[k * d + i] * x[k];
+        x[i] /= A[i * d + i];
+    }
+    return x;
+}
+
+// Determinant of the residual covariance of a least-squares fit of the
+// 2-column response Y on the regressor rows X (tiny ridge for stability)
+function residualCovarianceDet(X, Y, d) {
+    const m = X.length;
+    const XtX = new Float64Array(d * d);
+    const XtY = [new Float64Array(d), new Float64Array(d)];
+    for (let t = 0; t < m; t++) {
+        const x = X[t];
+        for (let i = 0; i < d; i++) {
+            for (let j = 0; j <= i; j++) XtX[i * d + j] += x[i] * x[j];
+            XtY[0][i] += x[i] * Y[t][0];
+            XtY[1][i] += x[i] * Y[t][1];
+        }
+    }
+    let trace = 0;
+    for (let i = 0; i < d; i++) {
+        for (let j = 0; j < i; j++) XtX[j * d + i] = XtX[i * d + j];
+        trace += XtX[i * d + i];
+    }
+    const ridge = 1e-9 * trace / d;
+    for (let i = 0; i < d; i++) XtX[i * d + i] += ridge;
+    const beta = [solveSPD(Float64Array.from(XtX), XtY[0], d), solveSPD(Float64Array.from(XtX), XtY[1], d)];
+    let c00 = 0;
+    let c01 = 0;
+    let c11 = 0;
+    for (let t = 0; t < m; t++) {
+        const x = X[t];
+        let e0 = Y[t][0];
+        let e1 = Y[t][1];
+        for (let i = 0; i < d; i++) {
+            e0 -= x[i] * beta[0][i];
+            e1 -= x[i] * beta[1][i];
+        }
+        c00 += e0 * e0;
+        c01 += e0 * e1;
+        c11 += e1 * e1;
+    }
+    return Math.max((c00 * c11 - c01 * c01) / (m * m), 1e-300);
+}
+
+/**
+ * Linear Granger causality of the (cos, sin) embedded phases: Y_t regressed
+ * on its own `order` past values with and without those of X.
+ * @param {ArrayLike<number>} source
+ * @param {ArrayLike<number>} target
+ * @param {Object} [options]
+ * @param {number} [options.order=2] - Lags in both models
+ * @returns {number} ln(det Σ_restricted / det Σ_full) ≥ 0, NaN if there are too few samples
+ */
+export function grangerCausality(source, target, { order = 2 } = {}) {
+    const p = Math.max(1, Math.floor(order));
+    const n = Math.min(source.length, target.length);
+    const m = n - p;
+    if (m < Math.max(MIN_SAMPLES, 4 * p + 10)) return NaN;
+    const dr = 1 + 2 * p;
+    const df = 1 + 4 * p;
+    const restricted = [];
+    const full = [];
+    const Y = [];
+    for (let t = p; t < n; t++) {
+        const r = new Float64Array(dr);
+        const f = new Float64Array(df);
+        r[0] = 1;
+        f[0] = 1;
+        for (let l = 1; l <= p; l++) {
+            const y = target[t - l];
+            const x = source[t - l];
+            r[2 * l - 1] = f[2 * l - 1] = Math.cos(y);
+            r[2 * l] = f[2 * l] = Math.sin(y);
+            f[2 * p + 2 * l - 1] = Math.cos(x);
+            f[2 * p + 2 * l] = Math.sin(x);
+        }
+        restricted.push(r);
+        full.push(f);
+        Y.push([Math.cos(target[t]), Math.sin(target[t])]);
+    }
+    return Math.max(0, Math.log(residualCovarianceDet(restricted, Y, dr) / residualCovarianceDet(full, Y, df)));
+}
+
+/**
+ * Estimate and its circular time-shift surrogate distribution.
+ * @param {function(ArrayLike<number>, ArrayLike<number>): number} estimate - (source, target) → value
+ * @param {ArrayLike<number>} source
+ * @param {ArrayLike<number>} target
+ * @param {Object} [options]
+ * @param {number} [options.surrogates=100]
+ * @param {{int: function(number, number): number}} [options.rng] - Seeded RNG (makeRng)
+ * @param {number} [options.minShift] - Smallest shift in samples (default n/10)
+ * @returns {{value: number, pValue: number, surrogateMean: number, surrogateStd: number}}
+ */
+export function surrogateTest(estimate, source, target, { surrogates = 100, rng = makeRng(1, 'info-flow'), minShift } = {}) {
+    const value = estimate(source, target);
+    const n = source.length;
+    const count = Math.max(0, Math.floor(surrogates));
+    const shiftMin = Math.max(1, Math.floor(minShift ?? n / 10));
+    if (!Number.isFinite(value) || count === 0 || n - 2 * shiftMin < 1) {
+        return { value, pValue: NaN, surrogateMean: NaN, surrogateStd: NaN };
+    }
+    const shifted = new Float64Array(n);
+    let exceed = 0;
+    let sum = 0;
+    let sumSq = 0;
+    let valid = 0;
+    for (let s = 0; s < count; s++) {
+        const shift = rng.int(shiftMin, n - shiftMin);
+        for (let t = 0; t < n; t++) shifted[t] = source[(t + shift) % n];
+        const v = estimate(shifted, target);
+        if (!Number.isFinite(v)) continue;
+        valid++;
+        sum += v;
+        sumSq += v * v;
+        if (v >= value) exceed++;
+    }
+    const mean = valid > 0 ? sum / valid : NaN;
+    const std = valid > 1 ? Math.sqrt(Math.max(0, (sumSq - valid * mean * mean) / (valid - 1))) : NaN;
+    return { value, pValue: (1 + exceed) / (1 + valid), surrogateMean: mean, surrogateStd: std };
+}
+
+/**
+ * Mean phase of each layer from a layerSync readback (Simulation.processReadback).
+ * @param {{layers: number, cos: Float32Array, sin: Float32Array}} sync
+ * @returns {Float64Array}
+ */
+export function layerPhases(sync) {
+    const L = sync.layers;
+    const out = new Float64Array(L);
+    for (let l = 0; l < L; l++) out[l] = Math.atan2(sync.sin[l * L + l], sync.cos[l * L + l]);
+    return out;
+}
+
+/**
+ * Mean phase of each block when one layer is split into regions × regions blocks.
+ * @param {Float32Array} theta - All layers, [layer][row][col]
+ * @param {number} gridSize
+ * @param {number} layer
+ * @param {number} regions - Blocks per side
+ * @returns {Float64Array} Row-major block phases
+ */
+export function regionPhases(theta, gridSize, layer, regions) {
+    const r = Math.max(1, Math.floor(regions));
+    const re = new Float64Array(r * r);
+    const im = new Float64Array(r * r);
+    const base = layer * gridSize * gridSize;
+    for (let y = 0; y < gridSize; y++) {
+        const by = Math.min(r - 1, Math.floor((y * r) / gridSize));
+        for (let x = 0; x < gridSize; x++) {
+            const bx = Math.min(r - 1, Math.floor((x * r) / gridSize));
+            const th = theta[base + y * gridSize + x];
+            re[by * r + bx] += Math.cos(th);
+            im[by * r + bx] += Math.sin(th);
+        }
+    }
+    const out = new Float64Array(r * r);
+    for (let i = 0; i < r * r; i++) out[i] = Math.atan2(im[i], re[i]);
+    return out;
+}
+
+/**
+ * Records channel phase series and tests every ordered channel pair.
+ */
+export class InformationFlowAnalyzer {
+    constructor({ maxSamples = 2000 } = {}) {
+        this.maxSamples = maxSamples;
+        this.recording = false;
+        this.running = false;
+        this.cancelRequested = false;
+        this.lastResult = null;
+        this.reset();
+    }
+
+    /**
+     * Drop recorded samples and start over with new channels.
+     * @param {string[]} [labels] - Channel names
+     */
+    reset(labels = []) {
+        this.labels = [...labels];
+        this.series = this.labels.map(() => []);
+        this.time = [];
+    }
+
+    /**
+     * Stop a running analyze() after the current pair; it resolves to null.
+     */
+    cancel() {
+        if (this.running) this.cancelRequested = true;
+    }
+
+    get sampleCount() {
+        return this.time.length;
+    }
+
+    /**
+     * Append one phase per channel; ignored if the channel count differs.
+     * @param {ArrayLike<number>} phases
+     * @param {number} [time] - Simulation time of the sample
+     * @returns {boolean} Whether the sample was recorded
+     */
+    addSample(phases, time = NaN) {
+        if (phases.length !== this.series.length || phases.length === 0) return false;
+        for (let c = 0; c < phases.length; c++) this.series[c].push(phases[c]);
+        this.time.push(time);
+        if (this.time.length > this.maxSamples) {
+            for (const s of this.series) s.shift();
+            this.time.shift();
+        }
+        return true;
+    }
+
+    /**
+     * Test every ordered pair (source → target). Yields to the event loop
+     * between pairs so a long KSG run does not freeze the page.
+     * @param {Object} [options]
+     * @param {string} [options.method='binned'] - Key of INFO_FLOW_METHODS
+     * @param {number} [options.surrogates=100]
+     * @param {number} [options.lag=1] - TE source lag in samples
+     * @param {number} [options.bins=8] - Binned TE bins per phase
+     * @param {number} [options.k=4] - KSG neighbours
+     * @param {number} [options.order=2] - Granger lags
+     * @param {number} [options.alpha=0.05] - Significance level
+     * @param {number} [options.seed=1] - Surrogate RNG seed
+     * @param {function(number): void} [onProgress] - Fraction of pairs done
+     * @returns {Promise<Object|null>} Null if there are too few samples or
+     *   channels, or if the run was cancelled
+     */
+    async analyze(options = {}, onProgress = null) {
+        const {
+            method = 'binned',
+            surrogates = 100,
+            lag = 1,
+            bins = 8,
+            k = 4,
+            order = 2,
+            alpha = 0.05,
+            seed = 1
+        } = options;
+        if (!(method in INFO_FLOW_METHODS)) throw new Error(`Unknown information flow method: ${method}`);
+        const C = this.labels.length;
+        if (C < 2 || this.sampleCount < MIN_SAMPLES + Math.max(lag, order)) {
+            console.warn(`InformationFlowAnalyzer.analyze: need 2+ channels and ${MIN_SAMPLES + Math.max(lag, order)} samples, have ${C} and ${this.sampleCount}`);
+            return null;
+        }
+        let estimate;
+        if (method === 'binned') estimate = (x, y) => binnedTransferEntropy(x, y, { bins, lag });
+        else if (method === 'ksg') estimate = (x, y) => ksgTransferEntropy(x, y, { k, lag });
+        else estimate = (x, y) => grangerCausality(x, y, { order });
+
+        const limit = method === 'ksg' ? KSG_MAX_SAMPLES : this.sampleCount;
+        const series = this.series.map((s) => Float64Array.from(s.slice(-limit)));
+        const rng = makeRng(seed, 'info-flow');
+        const value = Array.from({ length: C }, () => new Array(C).fill(NaN));
+        const pValue = Array.from({ length: C }, () => new Array(C).fill(NaN));
+        const pairs = [];
+        this.running = true;
+        this.cancelRequested = false;
+        try {
+            for (let s = 0; s < C; s++) {
+                for (let t = 0; t < C; t++) {
+                    if (s === t) continue;
+                    if (this.cancelRequested) return null;
+                    const test = surrogateTest(estimate, series[s], series[t], { surrogates, rng });
+                    value[s][t] = test.value;
+                    pValue[s][t] = test.pValue;
+                    pairs.push({
+                        source: this.labels[s],
+                        target: this.labels[t],
+                        ...test,
+                        significant: test.pValue <= alpha
+                    });
+                    if (onProgress) onProgress(pairs.length / (C * (C - 1)));
+                    await new Promise((resolve) => setTimeout(resolve, 0));
+                }
+            }
+        } finally {
+            this.running = false;
+            this.cancelRequested = false;
+        }
+        this.lastResult = {
+            method,
+            unit: method === 'granger' ? 'nats' : 'bits',
+            labels: [...this.labels],
+            samples: series[0].length,
+            surrogates,
+            alpha,
+            params: { lag, bins, k, order },
+            value,
+            pValue,
+            pairs
+        };
+        return this.lastResult;
+    }
+
+    /**
+     * CSV with one row per ordered pair, prefixed by the analysis settings.
+     */
+    exportCSV(result = this.lastResult) {
+        if (!result) return 'No information flow result. Record samples and run Analyze first.';
+        const fmt = (v) => (Number.isFinite(v) ? v.toFixed(6) : '');
+        const { lag, bins, k, order } = result.params;
+        const settings = `${result.method},${result.unit},${result.samples},${result.surrogates},${lag},${bins},${k},${order}`;
+        let csv = 'method,unit,samples,surrogates,lag,bins,k,order,source,target,value,pValue,surrogateMean,surrogateStd,significant\n';
+        for (const p of result.pairs) {
+            csv += `${settings},${p.source},${p.target},${fmt(p.value)},${fmt(p.pValue)},${fmt(p.surrogateMean)},${fmt(p.surrogateStd)},${p.significant ? 1 : 0}\n`;
+        }
+        return csv;
+    }
+}
@@ -1,36 +1,62 @@
+/**
+ * Kaplan–Yorke (Lyapunov) dimension of an ordered spectrum λ₁ ≥ λ₂ ≥ ...
+ * D = j + (λ₁ + ... + λⱼ) / |λⱼ₊₁| with j the largest index whose partial
+ * sum is non-negative. When every partial sum of the measured exponents is
+ * non-negative the true dimension is at least k, so `bounded` is false.
+ * @param {ArrayLike<number>} exponents - Exponents sorted descending
+ * @returns {{dimension: number, bounded: boolean}}
+ */
+export function kaplanYorkeDimension(exponents) {
+    let sum = 0;
+    for (let j = 0; j < exponents.length; j++) {
+        const next = sum + exponents[j];
+        if (next < 0) {
+            return { dimension: j + sum / Math.abs(exponents[j]), bounded: true };
+        }
+        sum = next;
+    }
+    return { dimension: exponents.length, bounded: false };
+}
+
 export class LyapunovCalculator {
     constructor(N) {
         this.N = N;
         this.gridSize = Math.sqrt(N);
-        
+
         // Parameters
-        this.delta0 = 1e-8;  // Initial perturbation magnitude (smaller for accuracy)
-        this.renormInterval = 5;  // Steps between renormalizations
-        
+        this.exponentCount = 4;  // Tangent vectors tracked (top-k exponents)
+        this.renormInterval = 5;  // Steps between QR re-orthonormalizations
+        this.transientSteps = 100;  // Steps to align the basis before accumulating
+
         // State
         this.isRunning = false;
-        this.perturbation = null;  // Current perturbation vector δθ
-        this.prevTheta = null;     // Previous theta for computing trajectory evolution
-        
-        // Accumulator for LLE computation
-        this.logSum = 0;
+        this.model = null;         // Reference trajectory + tangent model: step(), evaluateDrift(theta, out, delaySteps)
+        this.tangents = null;      // Orthonormal tangent basis Q (k vectors of length N)
+        this.drift0 = null;
+        this.driftScratch = null;
+        this.probe = null;
+
+        // Accumulators: Σ log |R_ii| per exponent
+        this.logSums = new Float64Array(this.exponentCount);
         this.renormCount = 0;
         this.stepCount = 0;
         this.totalTime = 0;
-        
+
         // History for plotting
         this.lleHistory = [];
         this.maxHistory = 200;
-        
-        // Current estimate
+
+        // Current estimates
+        this.exponents = new Float64Array(this.exponentCount);
         this.lle = 0;
-        
+        this.kaplanYorke = { dimension: 0, bounded: true };
+
         // Callbacks
         this.onUpdate = null;
 
         this.rng = null;
     }
-    
+
     /**
      * Resize the calculator for new grid size
      */
@@ -38,180 +64,234 @@ export class LyapunovCalculator {
         this.stop();
         this.N = N;
         this.gridSize = Math.sqrt(N);
+        this.resetEstimates();
+    }
+
+    /**
+     * Set how many exponents to track; takes effect on the next start().
+     */
+    setExponentCount(k) {
+        this.exponentCount = Math.max(1, Math.min(32, Math.floor(k) || 1));
+        if (!this.isRunning) this.resetEstimates();
+    }
+
+    resetEstimates() {
+        this.logSums = new Float64Array(this.exponentCount);
+        this.exponents = new Float64Array(this.exponentCount);
         this.lle = 0;
+        this.kaplanYorke = { dimension: 0, bounded: true };
         this.lleHistory = [];
     }
-    
+
     /**
-     * Initialize the perturbation from current state
+     * Start tracking k tangent vectors from the current state. The model is
+     * seeded with `theta` and then integrated on its own, so the Jacobian is
+     * always taken on the trajectory the tangents follow.
      * @param {Float32Array} theta - Current phase values
+     * @param {Object} [rng] - Seeded RNG for the initial basis
+     * @param {Object} model - Reference model with writeTheta(), step() and
+     *   evaluateDrift(theta, out, delaySteps), e.g. a CpuSimulation mirroring the
+     *   running rule, topology and layers
      */
-    start(theta, rng = null) {
-        this.prevTheta = new Float32Array(theta);
-        this.rng = rng;
-        
-        // Initialize random unit perturbation
-        this.perturbation = new Float32Array(this.N);
-        let norm = 0;
-        for (let i = 0; i < this.N; i++) {
-            const r = this.rng ? this.rng.float() : Math.random();
-            this.perturbation[i] = r - 0.5;
-            norm += this.perturbation[i] * this.perturbation[i];
+    start(theta, rng = null, model = null) {
+        if (!model || typeof model.evaluateDrift !== 'function' || typeof model.step !== 'function') {
+            throw new Error('LyapunovCalculator.start needs a model with step() and evaluateDrift()');
         }
-        norm = Math.sqrt(norm);
-        
-        // Normalize to delta0
-        for (let i = 0; i < this.N; i++) {
-            this.perturbation[i] = this.delta0 * this.perturbation[i] / norm;
+        this.model = model;
+        model.writeTheta(theta);
+        this.rng = rng;
+        const k = Math.min(this.exponentCount, this.N);
+        this.exponentCount = k;
+
+        // Random orthonormal initial basis
+        this.tangents = [];
+        for (let v = 0; v < k; v++) {
+            this.tangents.push(this.randomVector());
         }
-        
-        this.logSum = 0;
+        this.orthonormalize();
+
+        this.drift0 = new Float64Array(this.N);
+        this.driftScratch = new Float64Array(this.N);
+        this.probe = new Float64Array(this.N);
+        this.resetEstimates();
         this.renormCount = 0;
         this.stepCount = 0;
         this.totalTime = 0;
-        this.lleHistory = [];
         this.isRunning = true;
-        
-        console.log('Lyapunov calculation started (tangent-space method)');
+
+        console.log(`Lyapunov spectrum started (${k} tangent vectors, QR every ${this.renormInterval} steps)`);
     }
-    
+
     /**
      * Stop the calculation
      */
     stop() {
         this.isRunning = false;
-        this.perturbation = null;
-        this.prevTheta = null;
+        this.tangents = null;
+        this.model = null;
+        this.drift0 = null;
+        this.driftScratch = null;
+        this.probe = null;
         console.log(`Lyapunov calculation stopped. Final LLE = ${this.lle.toFixed(4)}`);
     }
-    
+
+    randomVector() {
+        const vec = new Float64Array(this.N);
+        for (let i = 0; i < this.N; i++) {
+            vec[i] = (this.rng ? this.rng.float() : Math.random()) - 0.5;
+        }
+        return vec;
+    }
+
     /**
-     * Evolve perturbation using linearized dynamics (tangent-space method)
-     * 
-     * For Kuramoto: dθᵢ/dt = ωᵢ + (K/N) Σⱼ sin(θⱼ - θᵢ)
-     * Linearized: dδθᵢ/dt = (K/N) Σⱼ cos(θⱼ - θᵢ)(δθⱼ - δθᵢ)
-     * 
-     * @param {Float32Array} theta - Current phase values from GPU
-     * @param {Float32Array} omega - Natural frequencies (unused in linearized eqn)
-     * @param {number} K - Coupling strength
-     * @param {number} dt - Time step
-     * @param {number} range - Coupling range
-     * @param {number} gridSize - Grid dimension
+     * Advance the reference trajectory by one step of `dt` and the tangent
+     * basis with it: δθ' = J(θ) δθ. The tangents use explicit Euler even when
+     * a layer integrates with Heun or RK4, so they are first order in dt.
+     *
+     * J·v is a forward difference of the model's drift, so it follows
+     * whatever the model integrates (classic, harmonics, kernel, graph
+     * topology, global mean field, interlayer coupling) without a
+     * hand-written Jacobian per rule:
+     *   J v ≈ (F(θ + εv) − F(θ)) / ε
+     * Noise is additive and drops out. The delay rule and delayed coupling
+     * links read the model's own delay rings at the slots the following
+     * model.step will use; those past states are held fixed, so
+     * perturbations of the history are not propagated.
+     *
+     * @param {number} dt - Time step of the model (dt · timeScale)
+     * @param {Object} [options]
+     * @param {number} [options.delaySteps=0] - Delay ring offset passed to model.step
+     * @param {boolean} [options.globalCoupling=false] - Passed to model.step
      */
-    step(theta, omega, K, dt, range, gridSize) {
-        if (!this.isRunning || !this.perturbation) return;
-        
-        const rng = Math.floor(range);
-        const newPerturbation = new Float32Array(this.N);
-        
-        // Evolve perturbation using linearized Kuramoto dynamics
-        for (let i = 0; i < this.N; i++) {
-            const col = i % gridSize;
-            const row = Math.floor(i / gridSize);
-            
-            let dPerturbation = 0;
-            let count = 0;
-            
-            for (let dr = -rng; dr <= rng; dr++) {
-                for (let dc = -rng; dc <= rng; dc++) {
-                    if (dr === 0 && dc === 0) continue;
-                    
-                    const nc = (col + dc + gridSize) % gridSize;
-                    const nr = (row + dr + gridSize) % gridSize;
-                    const j = nr * gridSize + nc;
-                    
-                    // Jacobian element: J_ij = (K/count) * cos(θⱼ - θᵢ)
-                    const phaseDiff = theta[j] - theta[i];
-                    const coupling = Math.cos(phaseDiff);
-                    
-                    // Contribution to δθᵢ: J_ij * (δθⱼ - δθᵢ)
-                    dPerturbation += coupling * (this.perturbation[j] - this.perturbation[i]);
-                    count++;
-                }
-            }
-            
-            // Euler step for perturbation
-            newPerturbation[i] = this.perturbation[i] + dt * (K / count) * dPerturbation;
+    step(dt, { delaySteps = 0, globalCoupling = false } = {}) {
+        if (!this.isRunning || !this.tangents || !(dt > 0)) return;
+
+        const N = this.N;
+        const model = this.model;
+        const theta = model.theta;
+        const f0 = this.drift0;
+        const f1 = this.driftScratch;
+        const probe = this.probe;
+        model.evaluateDrift(theta, f0, delaySteps);
+
+        let thetaNorm = 0;
+        for (let i = 0; i < N; i++) thetaNorm += theta[i] * theta[i];
+        const scale = 1.5e-8 * (1 + Math.sqrt(thetaNorm));
+
+        for (const vec of this.tangents) {
+            let vecNorm = 0;
+            for (let i = 0; i < N; i++) vecNorm += vec[i] * vec[i];
+            vecNorm = Math.sqrt(vecNorm);
+            if (!(vecNorm > 0) || !Number.isFinite(vecNorm)) continue;
+            const eps = scale / vecNorm;
+            for (let i = 0; i < N; i++) probe[i] = theta[i] + eps * vec[i];
+            model.evaluateDrift(probe, f1, delaySteps);
+            const gain = dt / eps;
+            for (let i = 0; i < N; i++) vec[i] += gain * (f1[i] - f0[i]);
         }
-        
-        this.perturbation = newPerturbation;
+        model.step(null, delaySteps, globalCoupling, false);
+
         this.stepCount++;
-        this.totalTime += dt;
-        
-        // Renormalize and measure growth periodically
+        if (this.stepCount > this.transientSteps) this.totalTime += dt;
+
         if (this.stepCount % this.renormInterval === 0) {
             this.renormalize();
         }
-        
-        // Store previous theta
-        this.prevTheta.set(theta);
     }
-    
+
     /**
-     * Renormalize the perturbation and accumulate log-growth
+     * Modified Gram–Schmidt QR of the tangent basis in place; returns the
+     * diagonal |R_ii| (the stretch of each successive direction).
      */
-    renormalize() {
-        // Compute current perturbation norm
-        let normSq = 0;
-        for (let i = 0; i < this.N; i++) {
-            normSq += this.perturbation[i] * this.perturbation[i];
+    orthonormalize() {
+        const N = this.N;
+        const vecs = this.tangents;
+        const diag = new Float64Array(vecs.length);
+        for (let a = 0; a < vecs.length; a++) {
+            const va = vecs[a];
+            for (let b = 0; b < a; b++) {
+                const vb = vecs[b];
+                let dot = 0;
+                for (let i = 0; i < N; i++) dot += va[i] * vb[i];
+                for (let i = 0; i < N; i++) va[i] -= dot * vb[i];
+            }
+            let norm = 0;
+            for (let i = 0; i < N; i++) norm += va[i] * va[i];
+            norm = Math.sqrt(norm);
+            diag[a] = norm;
+            if (norm > 0 && Number.isFinite(norm)) {
+                for (let i = 0; i < N; i++) va[i] /= norm;
+            }
         }
-        const norm = Math.sqrt(normSq);
-        
-        if (norm > 0 && norm < Infinity && !isNaN(norm)) {
-            // Accumulate log-growth: λ = (1/T) * Σ log(||δθ|| / δ₀)
-            this.logSum += Math.log(norm / this.delta0);
-            this.renormCount++;
-            
-            // Renormalize: reset perturbation magnitude while keeping direction
-            for (let i = 0; i < this.N; i++) {
-                this.perturbation[i] = this.delta0 * this.perturbation[i] / norm;
+        return diag;
+    }
+
+    /**
+     * Re-orthonormalize the basis and accumulate log-growth per direction
+     */
+    renormalize() {
+        const diag = this.orthonormalize();
+        if (this.stepCount <= this.transientSteps) return;
+
+        if (diag.every((r) => r > 0 && Number.isFinite(r))) {
+            // Accumulate log-growth: λᵢ = (1/T) * Σ log |R_ii|
+            for (let a = 0; a < diag.length; a++) {
+                this.logSums[a] += Math.log(diag[a]);
             }
-            
-            // Update LLE estimate (divide by actual time, not steps)
+            this.renormCount++;
+
             if (this.totalTime > 0) {
-                this.lle = this.logSum / this.totalTime;
+                for (let a = 0; a < diag.length; a++) {
+                    this.exponents[a] = this.logSums[a] / this.totalTime;
+                }
+                this.lle = this.exponents[0];
+                this.kaplanYorke = kaplanYorkeDimension(this.exponents);
             }
-            
-            // Store in history
+
             this.lleHistory.push(this.lle);
             if (this.lleHistory.length > this.maxHistory) {
                 this.lleHistory.shift();
             }
-            
-            // Callback
+
             if (this.onUpdate) {
                 this.onUpdate(this.lle, this.renormCount);
             }
         } else {
-            // Perturbation collapsed or exploded - reinitialize
-            console.warn('LLE: Perturbation numerical issue, reinitializing');
-            let newNorm = 0;
-            for (let i = 0; i < this.N; i++) {
-                const r = this.rng ? this.rng.float() : Math.random();
-                this.perturbation[i] = r - 0.5;
-                newNorm += this.perturbation[i] * this.perturbation[i];
-            }
-            newNorm = Math.sqrt(newNorm);
-            for (let i = 0; i < this.N; i++) {
-                this.perturbation[i] = this.delta0 * this.perturbation[i] / newNorm;
-            }
+            // A direction collapsed or exploded - redraw the basis
+            console.warn('LLE: tangent basis numerical issue, reinitializing');
+            this.tangents = this.tangents.map(() => this.randomVector());
+            this.orthonormalize();
         }
     }
-    
+
     /**
      * Get interpretation of current LLE
      */
     getInterpretation() {
         if (this.renormCount < 5) return 'measuring...';
-        
+
         if (this.lle > 0.1) return 'chaotic';
         if (this.lle > 0.01) return 'weakly chaotic';
         if (this.lle > -0.01) return 'critical (edge of chaos)';
         if (this.lle > -0.1) return 'weakly stable';
         return 'stable';
     }
-    
+
+    /**
+     * Current spectrum estimate
+     * @returns {{exponents: number[], lle: number, kaplanYorke: number, bounded: boolean, time: number, renorms: number}}
+     */
+    getSpectrum() {
+        return {
+            exponents: Array.from(this.exponents),
+            lle: this.lle,
+            kaplanYorke: this.kaplanYorke.dimension,
+            bounded: this.kaplanYorke.bounded,
+            time: this.totalTime,
+            renorms: this.renormCount
+        };
+    }
+
     /**
      * Get recent LLE history for plotting
      */
@@ -219,8 +299,3 @@ export class LyapunovCalculator {
         return this.lleHistory;
     }
 }
-
-
-/**
- * Time Series Plot - Canvas-based real-time plotting
- */
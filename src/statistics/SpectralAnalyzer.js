@@ -0,0 +1,341 @@
+/**
+ * Spectral Analyzer
+ *
+ * Short-time Fourier analysis of the StatisticsTracker histories. Samples
+ * arrive at the readback cadence, which jitters, so each history is first
+ * resampled onto a uniform grid in simulation time (falling back to sample
+ * index when no time stamps are recorded). Each series gets an STFT
+ * (Hann window, 50% overlap by default), a Welch-averaged spectrum, its
+ * dominant peaks and the energy in octave bands below Nyquist.
+ *
+ * The scalar getRegime() heuristic only sees the current R; a breathing
+ * chimera or an oscillating R(t) shows up here as a sharp spectral peak.
+ */
+
+export const SPECTRAL_SERIES = {
+    R: 'Global R',
+    localR: 'Local R̄',
+    gradient: 'Gradient',
+    chi: 'χ',
+};
+
+const MIN_WINDOW = 16;
+
+/**
+ * In-place iterative radix-2 FFT.
+ * @param {Float64Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ */
+export function fftInPlace(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            const tRe = re[i];
+            const tIm = im[i];
+            re[i] = re[j];
+            im[i] = im[j];
+            re[j] = tRe;
+            im[j] = tIm;
+        }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+        const ang = -2 * Math.PI / len;
+        const wRe = Math.cos(ang);
+        const wIm = Math.sin(ang);
+        const half = len >> 1;
+        for (let start = 0; start < n; start += len) {
+            let cRe = 1;
+            let cIm = 0;
+            for (let k = 0; k < half; k++) {
+                const a = start + k;
+                const b = a + half;
+                const xRe = re[b] * cRe - im[b] * cIm;
+                const xIm = re[b] * cIm + im[b] * cRe;
+                re[b] = re[a] - xRe;
+                im[b] = im[a] - xIm;
+                re[a] += xRe;
+                im[a] += xIm;
+                const nRe = cRe * wRe - cIm * wIm;
+                cIm = cRe * wIm + cIm * wRe;
+                cRe = nRe;
+            }
+        }
+    }
+}
+
+export function hannWindow(n) {
+    const w = new Float64Array(n);
+    for (let i = 0; i < n; i++) w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / n);
+    return w;
+}
+
+/**
+ * Linearly resample a time-stamped series onto a uniform grid spaced by the
+ * median sample interval. Only the trailing run of increasing, finite time
+ * stamps is used (a reset rewinds the clock); without one the samples are
+ * taken as uniformly spaced in index.
+ * @returns {{ values: Float64Array, dt: number, unit: 'time'|'sample' }}
+ */
+export function resampleUniform(time, values) {
+    const n = values.length;
+    let start = n - 1;
+    while (start > 0 && Number.isFinite(time?.[start - 1]) && time[start - 1] < time[start]) start--;
+    if (!time || n - start < 2 || !Number.isFinite(time[n - 1])) {
+        return { values: Float64Array.from(values), dt: 1, unit: 'sample' };
+    }
+    const diffs = [];
+    for (let i = start + 1; i < n; i++) diffs.push(time[i] - time[i - 1]);
+    diffs.sort((a, b) => a - b);
+    const dt = diffs[diffs.length >> 1];
+    const t0 = time[start];
+    const count = Math.floor((time[n - 1] - t0) / dt + 1e-9) + 1;
+    const out = new Float64Array(count);
+    let j = start;
+    for (let k = 0; k < count; k++) {
+        const t = t0 + k * dt;
+        while (j < n - 2 && time[j + 1] < t) j++;
+        const span = time[j + 1] - time[j];
+        const a = span > 0 ? Math.min(1, Math.max(0, (t - time[j]) / span)) : 0;
+        out[k] = values[j] + a * (values[j + 1] - values[j]);
+    }
+    return { values: out, dt, unit: 'time' };
+}
+
+/**
+ * One-sided power STFT. Each frame is mean-removed and Hann-windowed.
+ * @param {ArrayLike<number>} values - Uniformly sampled signal
+ * @param {Object} options
+ * @param {number} options.windowSize - Power of two
+ * @param {number} [options.hop] - Frame advance (default windowSize/2)
+ * @param {number} [options.dt=1] - Sample interval
+ * @returns {{ freqs: Float64Array, frames: Float64Array[], frameTimes: Float64Array, windowSize: number, hop: number, dt: number }}
+ */
+export function stft(values, { windowSize, hop = windowSize >> 1, dt = 1 }) {
+    const window = hannWindow(windowSize);
+    const bins = (windowSize >> 1) + 1;
+    const freqs = new Float64Array(bins);
+    for (let k = 0; k < bins; k++) freqs[k] = k / (windowSize * dt);
+    const frameCount = values.length < windowSize ? 0 : Math.floor((values.length - windowSize) / hop) + 1;
+    // Align the last frame with the newest sample.
+    const first = values.length - windowSize - (frameCount - 1) * hop;
+    const frames = [];
+    const frameTimes = new Float64Array(frameCount);
+    const re = new Float64Array(windowSize);
+    const im = new Float64Array(windowSize);
+    for (let f = 0; f < frameCount; f++) {
+        const offset = first + f * hop;
+        let mean = 0;
+        for (let i = 0; i < windowSize; i++) mean += values[offset + i];
+        mean /= windowSize;
+        for (let i = 0; i < windowSize; i++) {
+            re[i] = (values[offset + i] - mean) * window[i];
+            im[i] = 0;
+        }
+        fftInPlace(re, im);
+        const power = new Float64Array(bins);
+        for (let k = 0; k < bins; k++) power[k] = (re[k] * re[k] + im[k] * im[k]) / windowSize;
+        frames.push(power);
+        frameTimes[f] = (offset + windowSize / 2) * dt;
+    }
+    return { freqs, frames, frameTimes, windowSize, hop, dt };
+}
+
+function median(arr) {
+    const sorted = Array.from(arr).sort((a, b) => a - b);
+    return sorted.length ? sorted[sorted.length >> 1] : 0;
+}
+
+/**
+ * STFT plus summary metrics for one series.
+ * @param {ArrayLike<number>} values - Uniformly sampled signal
+ * @param {Object} options - `{ windowSize, hop, dt, bands, peaks }`
+ */
+export function analyzeSeries(values, { windowSize, hop, dt = 1, bands = 5, peaks = 3 }) {
+    const spec = stft(values, { windowSize, hop, dt });
+    const bins = spec.freqs.length;
+    const welch = new Float64Array(bins);
+    for (const frame of spec.frames) {
+        for (let k = 0; k < bins; k++) welch[k] += frame[k] / spec.frames.length;
+    }
+
+    let mean = 0;
+    for (let i = 0; i < values.length; i++) mean += values[i];
+    mean /= Math.max(1, values.length);
+    let variance = 0;
+    for (let i = 0; i < values.length; i++) variance += (values[i] - mean) ** 2;
+    const std = Math.sqrt(variance / Math.max(1, values.length - 1));
+
+    // DC is removed per frame, so bin 0 is excluded from every metric.
+    let total = 0;
+    let logSum = 0;
+    for (let k = 1; k < bins; k++) {
+        total += welch[k];
+        logSum += Math.log(welch[k] + 1e-30);
+    }
+    const flatness = total > 0 ? Math.exp(logSum / (bins - 1)) / (total / (bins - 1)) : 1;
+
+    const df = spec.freqs[1];
+    const found = [];
+    for (let k = 1; k < bins; k++) {
+        const left = welch[k - 1];
+        const right = k + 1 < bins ? welch[k + 1] : 0;
+        if (welch[k] <= left || welch[k] < right) continue;
+        // Parabolic interpolation of the peak position between bins.
+        const denom = left - 2 * welch[k] + right;
+        const delta = k + 1 < bins && denom !== 0 ? 0.5 * (left - right) / denom : 0;
+        const frequency = (k + delta) * df;
+        const power = (k > 1 ? left : 0) + welch[k] + right;
+        found.push({
+            frequency,
+            period: frequency > 0 ? 1 / frequency : Infinity,
+            power: welch[k],
+            fraction: total > 0 ? power / total : 0,
+        });
+    }
+    found.sort((a, b) => b.power - a.power);
+    const dominant = found.slice(0, peaks);
+
+    const nyquist = spec.freqs[bins - 1];
+    const bandList = [];
+    for (let b = 0; b < bands; b++) {
+        const lo = b === 0 ? 0 : nyquist / 2 ** (bands - b);
+        const hi = nyquist / 2 ** (bands - 1 - b);
+        let energy = 0;
+        for (let k = 1; k < bins; k++) {
+            const f = spec.freqs[k];
+            if (f > lo && (f <= hi || (b === bands - 1 && k === bins - 1))) energy += welch[k];
+        }
+        bandList.push({ lo, hi, fraction: total > 0 ? energy / total : 0 });
+    }
+
+    const top = dominant[0];
+    const oscillating = !!top
+        && std > 1e-4
+        && top.fraction >= 0.3
+        && top.power >= 8 * median(welch.subarray(1));
+
+    return {
+        ...spec,
+        welch,
+        mean,
+        std,
+        totalPower: total,
+        flatness,
+        dominant,
+        bands: bandList,
+        oscillating,
+    };
+}
+
+export class SpectralAnalyzer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.windowSize=128] - STFT window (power of two)
+     * @param {number} [options.hop] - Frame advance (default windowSize/2)
+     * @param {number} [options.bands=5] - Octave bands below Nyquist
+     * @param {number} [options.peaks=3] - Dominant peaks reported per series
+     */
+    constructor(options = {}) {
+        this.windowSize = options.windowSize || 128;
+        this.hop = options.hop || null;
+        this.bands = options.bands || 5;
+        this.peaks = options.peaks || 3;
+        this.lastResult = null;
+    }
+
+    setWindowSize(windowSize) {
+        const size = 2 ** Math.round(Math.log2(Math.max(MIN_WINDOW, windowSize || 128)));
+        this.windowSize = size;
+    }
+
+    /**
+     * Analyze every tracked series of a StatisticsTracker.
+     * @param {StatisticsTracker} stats
+     * @returns {Object|null} `{ sampleCount, dt, unit, windowSize, series, label }`,
+     *   or null while fewer than 16 samples are available
+     */
+    analyze(stats) {
+        const history = stats.getHistorySeries();
+        const series = {};
+        let dt = 1;
+        let unit = 'sample';
+        let sampleCount = 0;
+        let windowSize = 0;
+        for (const key of Object.keys(SPECTRAL_SERIES)) {
+            const uniform = resampleUniform(history.time, history[key]);
+            if (uniform.values.length < MIN_WINDOW) return null;
+            sampleCount = uniform.values.length;
+            windowSize = Math.min(this.windowSize, 2 ** Math.floor(Math.log2(sampleCount)));
+            dt = uniform.dt;
+            unit = uniform.unit;
+            series[key] = analyzeSeries(uniform.values, {
+                windowSize,
+                hop: this.hop ? Math.min(this.hop, windowSize) : windowSize >> 1,
+                dt,
+                bands: this.bands,
+                peaks: this.peaks,
+            });
+        }
+        this.lastResult = {
+            sampleCount,
+            dt,
+            unit,
+            windowSize,
+            series,
+            label: this.describe(series),
+        };
+        return this.lastResult;
+    }
+
+    /**
+     * Short dynamics label from the spectra (complements getRegime()).
+     */
+    describe(series) {
+        const R = series.R;
+        const period = (s) => {
+            const T = s.dominant[0]?.period;
+            return Number.isFinite(T) ? T.toPrecision(3) : '∞';
+        };
+        if (R?.oscillating) {
+            if (R.mean > 0.15 && R.mean < 0.85) return `breathing (R period ${period(R)})`;
+            return `oscillating R (period ${period(R)})`;
+        }
+        const local = series.localR?.oscillating ? series.localR : (series.gradient?.oscillating ? series.gradient : null);
+        if (local) return `local oscillation (period ${period(local)})`;
+        if (R && R.flatness > 0.5) return 'broadband fluctuations';
+        return 'steady';
+    }
+
+    /**
+     * Export dominant frequencies and band energies, one row per series.
+     */
+    exportCSV(result = this.lastResult) {
+        if (!result) {
+            return 'No spectral data. Enable statistics and let the history fill.';
+        }
+        const first = result.series[Object.keys(result.series)[0]];
+        const header = ['series', 'unit', 'dt', 'windowSize', 'frames', 'mean', 'std', 'flatness', 'oscillating'];
+        for (let p = 0; p < this.peaks; p++) {
+            header.push(`peak${p + 1}_freq`, `peak${p + 1}_period`, `peak${p + 1}_fraction`);
+        }
+        for (const band of first.bands) {
+            header.push(`band_${band.lo.toPrecision(3)}_${band.hi.toPrecision(3)}`);
+        }
+        let csv = `${header.join(',')}\n`;
+        for (const [key, s] of Object.entries(result.series)) {
+            const row = [key, result.unit, result.dt.toPrecision(6), result.windowSize, s.frames.length,
+                s.mean.toFixed(6), s.std.toFixed(6), s.flatness.toFixed(4), s.oscillating ? 1 : 0];
+            for (let p = 0; p < this.peaks; p++) {
+                const peak = s.dominant[p];
+                if (peak) row.push(peak.frequency.toPrecision(6), peak.period.toPrecision(6), peak.fraction.toFixed(4));
+                else row.push('', '', '');
+            }
+            for (const band of s.bands) row.push(band.fraction.toFixed(4));
+            csv += `${row.join(',')}\n`;
+        }
+        return csv;
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * Spectrogram Plot - STFT power of one series (time →, frequency ↑)
+ */
+const SPECTROGRAM_STOPS = [
+    [0.0, [15, 15, 30]],
+    [0.35, [80, 30, 120]],
+    [0.65, [220, 70, 70]],
+    [0.85, [250, 170, 50]],
+    [1.0, [255, 250, 200]],
+];
+
+function spectrogramColor(t) {
+    const x = Math.min(1, Math.max(0, t));
+    for (let i = 1; i < SPECTROGRAM_STOPS.length; i++) {
+        const [p1, c1] = SPECTROGRAM_STOPS[i];
+        if (x > p1) continue;
+        const [p0, c0] = SPECTROGRAM_STOPS[i - 1];
+        const a = (x - p0) / (p1 - p0);
+        return `rgb(${Math.round(c0[0] + a * (c1[0] - c0[0]))}, ${Math.round(c0[1] + a * (c1[1] - c0[1]))}, ${Math.round(c0[2] + a * (c1[2] - c0[2]))})`;
+    }
+    return 'rgb(255, 250, 200)';
+}
+
+export class SpectrogramPlot {
+    constructor(canvasId, options = {}) {
+        this.canvas = document.getElementById(canvasId);
+        if (!this.canvas) {
+            console.warn(`Canvas ${canvasId} not found`);
+            return;
+        }
+        this.ctx = this.canvas.getContext('2d');
+        this.dynamicRangeDb = options.dynamicRangeDb ?? 40;
+        this.label = options.label || '';
+        this.setupHiDPI();
+    }
+
+    setupHiDPI() {
+        if (!this.canvas) return;
+        const dpr = window.devicePixelRatio || 1;
+        const rect = this.canvas.getBoundingClientRect();
+        this.canvas.width = rect.width * dpr;
+        this.canvas.height = rect.height * dpr;
+        this.ctx.scale(dpr, dpr);
+        this.displayWidth = rect.width;
+        this.displayHeight = rect.height;
+    }
+
+    /**
+     * Render an analyzeSeries() result.
+     * @param {Object|null} analysis - One series of SpectralAnalyzer.analyze()
+     * @param {string} [unit] - 'time' or 'sample' (axis label)
+     */
+    render(analysis, unit = 'time') {
+        if (!this.canvas || !this.ctx) return;
+        const W = this.displayWidth;
+        const H = this.displayHeight;
+        const ctx = this.ctx;
+
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, W, H);
+
+        if (!analysis || analysis.frames.length === 0) {
+            ctx.fillStyle = '#666';
+            ctx.font = '10px monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText('collecting samples...', W / 2, H / 2 + 3);
+            return;
+        }
+
+        const frames = analysis.frames;
+        const bins = analysis.freqs.length;
+        let maxPower = 0;
+        for (const frame of frames) {
+            for (let k = 1; k < bins; k++) maxPower = Math.max(maxPower, frame[k]);
+        }
+        const maxDb = 10 * Math.log10(maxPower || 1e-30);
+        const cellW = W / frames.length;
+        const cellH = H / (bins - 1);
+        for (let f = 0; f < frames.length; f++) {
+            for (let k = 1; k < bins; k++) {
+                const db = 10 * Math.log10(frames[f][k] || 1e-30);
+                ctx.fillStyle = spectrogramColor(1 + (db - maxDb) / this.dynamicRangeDb);
+                ctx.fillRect(f * cellW, H - k * cellH, Math.ceil(cellW), Math.ceil(cellH));
+            }
+        }
+
+        // Dominant frequency marker
+        const nyquist = analysis.freqs[bins - 1];
+        const top = analysis.dominant[0];
+        if (top && nyquist > 0) {
+            const y = H - (top.frequency / nyquist) * (bins - 1) * cellH + cellH / 2;
+            ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+            ctx.setLineDash([3, 3]);
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(W, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        ctx.fillStyle = '#aaa';
+        ctx.font = '9px monospace';
+        ctx.textAlign = 'right';
+        const fUnit = unit === 'time' ? '' : '/sample';
+        ctx.fillText(`${nyquist.toPrecision(3)}${fUnit}`, W - 4, 10);
+        ctx.fillText('0', W - 4, H - 3);
+        if (this.label) {
+            ctx.textAlign = 'left';
+            ctx.fillText(this.label, 4, 10);
+        }
+    }
+}
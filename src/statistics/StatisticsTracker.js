@@ -1,3 +1,33 @@
+/**
+ * CSV column names of a cross-layer sample: per-layer global R, then the
+ * mean cos(θ_l − θ_m) of each layer pair l < m.
+ * @param {number} layers
+ * @returns {string[]}
+ */
+export function layerSyncColumns(layers) {
+    const cols = [];
+    for (let l = 0; l < layers; l++) cols.push(`R_L${l}`);
+    for (let l = 0; l < layers; l++) {
+        for (let m = l + 1; m < layers; m++) cols.push(`cos_L${l}_L${m}`);
+    }
+    return cols;
+}
+
+/**
+ * Values of a layerSync readback in layerSyncColumns() order.
+ * @param {{layers: number, cos: Float32Array, sin: Float32Array}} sync
+ * @returns {number[]}
+ */
+export function layerSyncRow(sync) {
+    const L = sync.layers;
+    const row = [];
+    for (let l = 0; l < L; l++) row.push(Math.hypot(sync.cos[l * L + l], sync.sin[l * L + l]));
+    for (let l = 0; l < L; l++) {
+        for (let m = l + 1; m < L; m++) row.push(sync.cos[l * L + m]);
+    }
+    return row;
+}
+
 export class StatisticsTracker {
     constructor(N, historySize = 500) {
         this.N = N;
@@ -9,6 +39,7 @@ export class StatisticsTracker {
         this.chi_history = new Float32Array(historySize);
         this.gradient_history = new Float32Array(historySize); // Phase gradient
         this.Psi_history = new Float32Array(historySize);
+        this.time_history = new Float64Array(historySize).fill(NaN); // Sim time per sample (NaN if unknown)
         this.historyIndex = 0;
         this.historyCount = 0;
         
@@ -21,6 +52,18 @@ export class StatisticsTracker {
         this.gradient = 0;     // Mean phase gradient (high = waves/spirals)
         this.localVariance = 0; // Variance of local R values
         this.localHist = new Float32Array(16); // Histogram of local R
+
+        // Cross-layer synchronization (layered S¹ runs, see updateLayerSync)
+        this.layerCount = 0;          // 0 until the first sample with layer data
+        this.layerR = null;           // Global R per layer
+        this.layerHist = null;        // Local R histogram per layer (16 bins each)
+        this.layerCos = null;         // L×L mean cos(θ_l − θ_m)
+        this.layerPLV = null;         // L×L phase-locking value over the sync window
+        this.layerSync_history = null; // historySize rows of layerSyncRow() values
+        this.layerSyncWindowSize = 100;
+        this.layerZ_window = null;    // Window of pair (cos, sin) means
+        this.layerWindowIndex = 0;
+        this.layerWindowCount = 0;
         
         // For variance computation (Welford's algorithm)
         this.R_mean = 0;
@@ -48,8 +91,9 @@ export class StatisticsTracker {
      * @param {number} cosSum - Sum of cos(θ) / N (global)
      * @param {number} sinSum - Sum of sin(θ) / N (global)
      * @param {Object} localStats - Local order statistics from GPU
+     * @param {number} [time] - Simulation time of the sample (for spectral analysis)
      */
-    update(cosSum, sinSum, localStats = null) {
+    update(cosSum, sinSum, localStats = null, time = NaN) {
         // Compute global R and Ψ from complex order parameter Z = (cosSum, sinSum)
         this.R = Math.sqrt(cosSum * cosSum + sinSum * sinSum);
         this.Psi = Math.atan2(sinSum, cosSum);
@@ -70,6 +114,8 @@ export class StatisticsTracker {
         this.localR_history[this.historyIndex] = this.localR;
         this.gradient_history[this.historyIndex] = this.gradient;
         this.Psi_history[this.historyIndex] = this.Psi;
+        this.time_history[this.historyIndex] = Number.isFinite(time) ? time : NaN;
+        this.updateLayerSync(localStats?.layerSync ?? null);
         
         // Update variance window (use local R for susceptibility - better metric)
         this.R_window[this.windowIndex] = this.localR;
@@ -92,6 +138,85 @@ export class StatisticsTracker {
         }
     }
     
+    /**
+     * Record the cross-layer part of a sample at the current history index.
+     * The pair PLV is |⟨e^{i(θ_l − θ_m)}⟩| over cells and the last
+     * layerSyncWindowSize samples: it stays near 1 for layers locked at any
+     * fixed offset, where the mean cosine only does for in-phase layers.
+     * Samples without layer data are stored as NaN.
+     * @param {{layers: number, cos: Float32Array, sin: Float32Array, histograms: Float32Array}|null} sync
+     */
+    updateLayerSync(sync) {
+        if (!sync || sync.layers < 2) {
+            if (this.layerSync_history) {
+                const width = this.layerSync_history.length / this.historySize;
+                this.layerSync_history.fill(NaN, this.historyIndex * width, (this.historyIndex + 1) * width);
+            }
+            return;
+        }
+        const L = sync.layers;
+        if (L !== this.layerCount) this.allocateLayerSync(L);
+        const pairs = L * L;
+        for (let l = 0; l < L; l++) {
+            this.layerR[l] = Math.hypot(sync.cos[l * L + l], sync.sin[l * L + l]);
+        }
+        this.layerHist.set(sync.histograms.subarray(0, L * 16));
+        this.layerCos.set(sync.cos.subarray(0, pairs));
+
+        const base = this.layerWindowIndex * pairs * 2;
+        for (let k = 0; k < pairs; k++) {
+            this.layerZ_window[base + 2 * k] = sync.cos[k];
+            this.layerZ_window[base + 2 * k + 1] = sync.sin[k];
+        }
+        this.layerWindowIndex = (this.layerWindowIndex + 1) % this.layerSyncWindowSize;
+        this.layerWindowCount = Math.min(this.layerWindowCount + 1, this.layerSyncWindowSize);
+        for (let k = 0; k < pairs; k++) {
+            let re = 0;
+            let im = 0;
+            for (let w = 0; w < this.layerWindowCount; w++) {
+                re += this.layerZ_window[(w * pairs + k) * 2];
+                im += this.layerZ_window[(w * pairs + k) * 2 + 1];
+            }
+            this.layerPLV[k] = Math.hypot(re, im) / this.layerWindowCount;
+        }
+        for (let l = 0; l < L; l++) {
+            // Diagonal entries hold the layer's own mean phase; a layer is locked to itself
+            this.layerCos[l * L + l] = 1;
+            this.layerPLV[l * L + l] = 1;
+        }
+
+        const row = layerSyncRow(sync);
+        this.layerSync_history.set(row, this.historyIndex * row.length);
+    }
+
+    allocateLayerSync(layers) {
+        this.layerCount = layers;
+        this.layerR = new Float32Array(layers);
+        this.layerHist = new Float32Array(layers * 16);
+        this.layerCos = new Float32Array(layers * layers);
+        this.layerPLV = new Float32Array(layers * layers);
+        this.layerSync_history = new Float32Array(this.historySize * layerSyncColumns(layers).length).fill(NaN);
+        this.layerZ_window = new Float32Array(this.layerSyncWindowSize * layers * layers * 2);
+        this.layerWindowIndex = 0;
+        this.layerWindowCount = 0;
+    }
+
+    /**
+     * Latest cross-layer statistics, or null before any layered S¹ sample.
+     * @returns {{layers: number, R: Float32Array, histograms: Float32Array,
+     *   cos: Float32Array, plv: Float32Array}|null} cos and plv are L×L
+     */
+    getLayerSync() {
+        if (this.layerCount === 0) return null;
+        return {
+            layers: this.layerCount,
+            R: this.layerR,
+            histograms: this.layerHist,
+            cos: this.layerCos,
+            plv: this.layerPLV
+        };
+    }
+    
     /**
      * Compute susceptibility χ = N × Var(local mean R)
      * Uses variance of local mean R over a recent window.
@@ -204,6 +329,30 @@ export class StatisticsTracker {
         return out;
     }
     
+    /**
+     * Full history in chronological order, one array per tracked series.
+     * @returns {{ time: Float64Array, R: Float32Array, localR: Float32Array, gradient: Float32Array, chi: Float32Array }}
+     */
+    getHistorySeries() {
+        const count = this.historyCount;
+        const out = {
+            time: new Float64Array(count),
+            R: new Float32Array(count),
+            localR: new Float32Array(count),
+            gradient: new Float32Array(count),
+            chi: new Float32Array(count),
+        };
+        for (let i = 0; i < count; i++) {
+            const idx = (this.historyIndex - count + i + this.historySize) % this.historySize;
+            out.time[i] = this.time_history[idx];
+            out.R[i] = this.R_history[idx];
+            out.localR[i] = this.localR_history[idx];
+            out.gradient[i] = this.gradient_history[idx];
+            out.chi[i] = this.chi_history[idx];
+        }
+        return out;
+    }
+    
     /**
      * Check if system is near criticality
      * Heuristic: R ≈ 0.5 AND high variance
@@ -493,6 +642,7 @@ export class StatisticsTracker {
         this.R_history.fill(0);
         this.chi_history.fill(0);
         this.Psi_history.fill(0);
+        this.time_history.fill(NaN);
         this.historyIndex = 0;
         this.historyCount = 0;
         this.R = 0;
@@ -507,22 +657,65 @@ export class StatisticsTracker {
         this.windowFilled = false;
         this.phaseDiagramData = [];
         this.estimatedKc = null;
+        this.layerCount = 0;
+        this.layerR = null;
+        this.layerHist = null;
+        this.layerCos = null;
+        this.layerPLV = null;
+        this.layerSync_history = null;
+        this.layerZ_window = null;
+        this.layerWindowIndex = 0;
+        this.layerWindowCount = 0;
     }
     
     /**
      * Export statistics data to CSV format
      */
     exportCSV() {
-        let csv = 'time,globalR,localMeanR,chi,gradient,Psi\n';
+        // Layered S¹ runs append per-layer R and layer-pair mean cos columns
+        const layerCols = this.layerCount > 0 ? layerSyncColumns(this.layerCount) : [];
+        const width = layerCols.length;
+        let csv = `time,globalR,localMeanR,chi,gradient,Psi${width ? ',' + layerCols.join(',') : ''}\n`;
         const count = this.historyCount;
         
         for (let i = 0; i < count; i++) {
             const idx = (this.historyIndex - count + i + this.historySize) % this.historySize;
-            csv += `${i},${this.R_history[idx].toFixed(6)},${this.localR_history[idx].toFixed(6)},${this.chi_history[idx].toFixed(6)},${this.gradient_history[idx].toFixed(6)},${this.Psi_history[idx].toFixed(6)}\n`;
+            csv += `${i},${this.R_history[idx].toFixed(6)},${this.localR_history[idx].toFixed(6)},${this.chi_history[idx].toFixed(6)},${this.gradient_history[idx].toFixed(6)},${this.Psi_history[idx].toFixed(6)}`;
+            for (let c = 0; c < width; c++) {
+                const v = this.layerSync_history[idx * width + c];
+                csv += `,${Number.isNaN(v) ? '' : v.toFixed(6)}`;
+            }
+            csv += '\n';
         }
         
         return csv;
     }
+
+    /**
+     * Export the latest cross-layer statistics to CSV: one row per layer
+     * (global R and local R histogram), then one row per layer pair
+     * (mean cos(θ_l − θ_m) and windowed PLV).
+     */
+    exportLayerSyncCSV() {
+        const sync = this.getLayerSync();
+        if (!sync) {
+            return 'No layer sync data. Run an S¹ simulation with more than one layer first.';
+        }
+        const L = sync.layers;
+        const bins = Array.from({ length: 16 }, (_, b) => `hist_${b}`);
+        let csv = `layer,R,${bins.join(',')}\n`;
+        for (let l = 0; l < L; l++) {
+            const hist = Array.from(sync.histograms.subarray(l * 16, (l + 1) * 16), (v) => v.toFixed(6));
+            csv += `${l},${sync.R[l].toFixed(6)},${hist.join(',')}\n`;
+        }
+        csv += '\nlayer_l,layer_m,meanCos,PLV\n';
+        for (let l = 0; l < L; l++) {
+            for (let m = l + 1; m < L; m++) {
+                csv += `${l},${m},${sync.cos[l * L + m].toFixed(6)},${sync.plv[l * L + m].toFixed(6)}\n`;
+            }
+        }
+        return csv;
+    }
     
     /**
      * Export phase diagram data to CSV
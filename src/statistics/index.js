@@ -1,7 +1,9 @@
 /**
  * Statistics Module
  * 
- * Real-time tracking of order parameters and analysis.
+ * Real-time tracking of order parameters and analysis, including STFT
+ * spectra of the tracked time series, the top-k Lyapunov spectrum and
+ * directed information flow between layers or regions.
  */
 
 export {
@@ -9,5 +11,17 @@ export {
     TimeSeriesPlot,
     PhaseDiagramPlot,
     PhaseSpacePlot,
-    LyapunovCalculator
+    LyapunovCalculator,
+    kaplanYorkeDimension,
+    SpectralAnalyzer,
+    SpectrogramPlot,
+    SPECTRAL_SERIES,
+    InformationFlowAnalyzer,
+    INFO_FLOW_METHODS,
+    binnedTransferEntropy,
+    ksgTransferEntropy,
+    grangerCausality,
+    surrogateTest,
+    layerPhases,
+    regionPhases
 } from './statistics.js';
@@ -1,5 +1,17 @@
 export { StatisticsTracker } from './StatisticsTracker.js';
-export { LyapunovCalculator } from './LyapunovCalculator.js';
+export { LyapunovCalculator, kaplanYorkeDimension } from './LyapunovCalculator.js';
 export { TimeSeriesPlot } from './TimeSeriesPlot.js';
 export { PhaseDiagramPlot } from './PhaseDiagramPlot.js';
 export { PhaseSpacePlot } from './PhaseSpacePlot.js';
+export { SpectralAnalyzer, SPECTRAL_SERIES } from './SpectralAnalyzer.js';
+export { SpectrogramPlot } from './SpectrogramPlot.js';
+export {
+    InformationFlowAnalyzer,
+    INFO_FLOW_METHODS,
+    binnedTransferEntropy,
+    ksgTransferEntropy,
+    grangerCausality,
+    surrogateTest,
+    layerPhases,
+    regionPhases
+} from './InformationFlow.js';
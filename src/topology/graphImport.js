@@ -0,0 +1,357 @@
+/**
+ * Graph file import (edge list, GraphML, JSON adjacency).
+ *
+ * Every parser reduces its input to the same plain, JSON-safe graph object so
+ * it can live in STATE (and therefore in snapshots and rollout exports):
+ *
+ *   { name, format, nodeCount, edgeCount, edges: [a0, b0, w0, a1, b1, w1, ...], labels? }
+ *
+ * Edges are undirected: self-loops are dropped, a pair listed in both
+ * directions becomes one edge with the mean of the two weights (counted in
+ * `asymmetric` when they differ, i.e. the input was directed), an edge given
+ * in one direction only keeps its weight, and a repeat in the same direction
+ * keeps the first weight (counted in `duplicates`). The rule is the same for
+ * every format; adjacency matrices are read as directed entries W[i][j].
+ * Node ids that are all non-negative integers are mapped densely in
+ * ascending order (contiguous ids are just shifted so the smallest maps to
+ * cell 0, sparse ids also keep their original ids in `labels`); any other ids
+ * are indexed in declaration / first-appearance order and kept in `labels`.
+ */
+
+const HEADER_TOKENS = new Set([
+    'source', 'target', 'from', 'to', 'src', 'dst', 'u', 'v', 'i', 'j',
+    'node1', 'node2', 'weight', 'w', 'value',
+]);
+
+const INTEGER_ID = /^\d+$/;
+
+function parseWeight(value, where) {
+    if (value === undefined || value === null || value === '') return 1;
+    const w = Number(value);
+    if (!Number.isFinite(w)) {
+        throw new Error(`Invalid edge weight "${value}" (${where})`);
+    }
+    return w;
+}
+
+function decodeXmlEntities(s) {
+    return s
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function xmlAttr(attrs, name) {
+    const m = attrs.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+    if (!m) return null;
+    return decodeXmlEntities(m[1] ?? m[2]);
+}
+
+/**
+ * Map raw node ids to cell indices and build the normalized graph.
+ * @param {{ edges: Array<[*, *, number]>, nodes?: Array<*>|null, nodeCount?: number }} raw
+ */
+function finalizeGraph(raw, meta) {
+    const rawEdges = raw.edges;
+    const declared = raw.nodes && raw.nodes.length ? raw.nodes.map(String) : null;
+
+    let toIndex;
+    let nodeCount;
+    let labels = null;
+    const allInteger = !declared && rawEdges.every(([a, b]) => INTEGER_ID.test(String(a)) && INTEGER_ID.test(String(b)));
+    if (Number.isFinite(raw.nodeCount)) {
+        // Dense matrices are already indexed 0..n-1.
+        nodeCount = raw.nodeCount;
+        toIndex = (id) => Number(id);
+    } else if (allInteger) {
+        // Dense remap: sparse ids (e.g. 1, 1000, 70000) must not create
+        // thousands of isolated phantom nodes.
+        const ids = new Set();
+        for (const [a, b] of rawEdges) {
+            ids.add(Number(a));
+            ids.add(Number(b));
+        }
+        const sorted = [...ids].sort((x, y) => x - y);
+        const index = new Map(sorted.map((id, k) => [id, k]));
+        nodeCount = sorted.length;
+        toIndex = (id) => index.get(Number(id));
+        if (nodeCount > 0 && sorted[nodeCount - 1] - sorted[0] + 1 !== nodeCount) {
+            labels = sorted.map(String);
+        }
+    } else {
+        const index = new Map();
+        labels = [];
+        const add = (id) => {
+            const key = String(id);
+            let idx = index.get(key);
+            if (idx === undefined) {
+                idx = labels.length;
+                index.set(key, idx);
+                labels.push(key);
+            }
+            return idx;
+        };
+        if (declared) declared.forEach(add);
+        toIndex = add;
+        for (const [a, b] of rawEdges) {
+            add(a);
+            add(b);
+        }
+        nodeCount = labels.length;
+    }
+
+    // key -> { at: offset in edges, from: first source, merged: reverse seen }
+    const seen = new Map();
+    const edges = [];
+    let selfLoops = 0;
+    let duplicates = 0;
+    let asymmetric = 0;
+    for (const [rawA, rawB, w] of rawEdges) {
+        const a = toIndex(rawA);
+        const b = toIndex(rawB);
+        if (a === b) {
+            selfLoops++;
+            continue;
+        }
+        const lo = Math.min(a, b);
+        const hi = Math.max(a, b);
+        const key = lo * nodeCount + hi;
+        const entry = seen.get(key);
+        if (!entry) {
+            seen.set(key, { at: edges.length, from: a, merged: false });
+            edges.push(a, b, w);
+        } else if (entry.from !== a && !entry.merged) {
+            entry.merged = true;
+            const first = edges[entry.at + 2];
+            if (first !== w) {
+                asymmetric++;
+                edges[entry.at + 2] = (first + w) / 2;
+            }
+        } else {
+            duplicates++;
+        }
+    }
+    if (nodeCount === 0) {
+        throw new Error('Graph file contains no nodes');
+    }
+    if (asymmetric > 0) {
+        console.warn(`Graph import: ${asymmetric} edge pair(s) have different weights per direction; using the mean`);
+    }
+
+    const graph = {
+        name: meta.name || 'graph',
+        format: meta.format,
+        nodeCount,
+        edgeCount: edges.length / 3,
+        edges,
+        selfLoops,
+        duplicates,
+        asymmetric,
+    };
+    if (labels) graph.labels = labels;
+    return graph;
+}
+
+/**
+ * Whitespace/comma separated `source target [weight]` lines. Lines starting
+ * with #, % or // are comments; a first row made only of header words
+ * (source,target,weight, ...) is skipped.
+ */
+export function parseEdgeList(text, name = 'graph') {
+    const edges = [];
+    const lines = String(text).split(/\r?\n/);
+    let sawData = false;
+    for (let ln = 0; ln < lines.length; ln++) {
+        const line = lines[ln].trim();
+        if (!line || line.startsWith('#') || line.startsWith('%') || line.startsWith('//')) continue;
+        const tokens = line.split(/[\s,;]+/).filter(Boolean);
+        if (!sawData && tokens.every(t => HEADER_TOKENS.has(t.toLowerCase()))) {
+            sawData = true;
+            continue;
+        }
+        sawData = true;
+        if (tokens.length < 2) {
+            throw new Error(`Edge list line ${ln + 1}: expected "source target [weight]"`);
+        }
+        edges.push([tokens[0], tokens[1], parseWeight(tokens[2], `line ${ln + 1}`)]);
+    }
+    return finalizeGraph({ edges }, { name, format: 'edgelist' });
+}
+
+/**
+ * GraphML: <node id> declarations fix the node order; the edge weight is the
+ * <data> whose <key for="edge"> has attr.name "weight" (its <default>, else 1).
+ */
+export function parseGraphML(text, name = 'graph') {
+    const src = String(text);
+    if (!/<graphml\b/.test(src) && !/<graph\b/.test(src)) {
+        throw new Error('Not a GraphML document');
+    }
+
+    let weightKey = null;
+    let weightDefault = 1;
+    const keyRe = /<key\b([^>]*?)(\/>|>([\s\S]*?)<\/key>)/g;
+    let m;
+    while ((m = keyRe.exec(src))) {
+        const attrs = m[1];
+        const target = xmlAttr(attrs, 'for') || 'all';
+        const attrName = (xmlAttr(attrs, 'attr.name') || '').toLowerCase();
+        if ((target === 'edge' || target === 'all') && attrName === 'weight') {
+            weightKey = xmlAttr(attrs, 'id');
+            const def = m[3] && m[3].match(/<default>([^<]*)<\/default>/);
+            if (def) weightDefault = parseWeight(def[1].trim(), 'GraphML weight default');
+            break;
+        }
+    }
+
+    const nodes = [];
+    const nodeRe = /<node\b([^>]*?)\/?>/g;
+    while ((m = nodeRe.exec(src))) {
+        const id = xmlAttr(m[1], 'id');
+        if (id !== null) nodes.push(id);
+    }
+
+    const edges = [];
+    const edgeRe = /<edge\b([^>]*?)(?:\/>|>([\s\S]*?)<\/edge>)/g;
+    while ((m = edgeRe.exec(src))) {
+        const source = xmlAttr(m[1], 'source');
+        const target = xmlAttr(m[1], 'target');
+        if (source === null || target === null) {
+            throw new Error(`GraphML edge ${edges.length + 1} is missing source/target`);
+        }
+        let w = weightDefault;
+        if (weightKey && m[2]) {
+            const dataRe = /<data\b([^>]*?)>([^<]*)<\/data>/g;
+            let d;
+            while ((d = dataRe.exec(m[2]))) {
+                if (xmlAttr(d[1], 'key') === weightKey) {
+                    w = parseWeight(d[2].trim(), `GraphML edge ${source}-${target}`);
+                    break;
+                }
+            }
+        }
+        edges.push([source, target, w]);
+    }
+    return finalizeGraph({ edges, nodes }, { name, format: 'graphml' });
+}
+
+function neighborEntry(entry, where) {
+    if (Array.isArray(entry)) return [entry[0], parseWeight(entry[1], where)];
+    if (entry && typeof entry === 'object') {
+        const id = entry.id ?? entry.target ?? entry.node;
+        if (id === undefined) throw new Error(`Adjacency entry without id (${where})`);
+        return [id, parseWeight(entry.weight ?? entry.value ?? entry.w, where)];
+    }
+    return [entry, 1];
+}
+
+// Nonzero entries are directed edges; finalizeGraph merges W and Wᵀ the same
+// way as for the other formats (a one-way entry keeps its weight).
+function parseMatrix(matrix, name) {
+    const n = matrix.length;
+    const edges = [];
+    for (let i = 0; i < n; i++) {
+        const row = matrix[i];
+        if (!Array.isArray(row) || row.length !== n) {
+            throw new Error(`Adjacency matrix row ${i} must have ${n} entries`);
+        }
+        for (let j = 0; j < n; j++) {
+            const w = parseWeight(row[j], `matrix[${i}][${j}]`);
+            if (w !== 0) edges.push([i, j, w]);
+        }
+    }
+    return finalizeGraph({ edges, nodeCount: n }, { name, format: 'json' });
+}
+
+/**
+ * JSON adjacency. Accepted shapes:
+ * - dense matrix `[[0, w01, ...], ...]` or `{ matrix: [[...]] }`
+ * - node-link `{ nodes?, links|edges: [{ source, target, weight? }] | [[s, t, w?]] }`
+ * - networkx adjacency_data `{ nodes: [{ id }], adjacency: [[{ id, weight? }], ...] }`
+ * - neighbor map `{ "a": ["b", ["c", 0.5], { "id": "d", "weight": 2 }], ... }`
+ *   or `{ "a": { "b": 1, "c": 0.5 } }`, optionally wrapped as `{ adjacency: {...} }`
+ */
+export function parseAdjacencyJSON(input, name = 'graph') {
+    const data = typeof input === 'string' ? JSON.parse(input) : input;
+    if (Array.isArray(data)) return parseMatrix(data, name);
+    if (!data || typeof data !== 'object') {
+        throw new Error('Graph JSON must be an object or a matrix');
+    }
+    if (Array.isArray(data.matrix)) return parseMatrix(data.matrix, name);
+
+    const nodeIds = Array.isArray(data.nodes)
+        ? data.nodes.map((n, i) => (n && typeof n === 'object') ? (n.id ?? i) : n)
+        : null;
+    const edges = [];
+
+    const links = data.links || data.edges;
+    if (Array.isArray(links)) {
+        links.forEach((link, k) => {
+            const where = `edge ${k}`;
+            if (Array.isArray(link)) {
+                edges.push([link[0], link[1], parseWeight(link[2], where)]);
+            } else if (link && typeof link === 'object') {
+                // d3 replaces source/target by node objects after a simulation.
+                const s = (link.source && typeof link.source === 'object') ? link.source.id : link.source;
+                const t = (link.target && typeof link.target === 'object') ? link.target.id : link.target;
+                if (s === undefined || t === undefined) throw new Error(`Graph JSON ${where} is missing source/target`);
+                edges.push([s, t, parseWeight(link.weight ?? link.value, where)]);
+            } else {
+                throw new Error(`Graph JSON ${where} is not an object or [source, target, weight]`);
+            }
+        });
+        return finalizeGraph({ edges, nodes: nodeIds }, { name, format: 'json' });
+    }
+
+    if (Array.isArray(data.adjacency)) {
+        if (!nodeIds || nodeIds.length !== data.adjacency.length) {
+            throw new Error('Graph JSON adjacency list needs a matching "nodes" array');
+        }
+        data.adjacency.forEach((list, i) => {
+            for (const entry of list || []) {
+                const [id, w] = neighborEntry(entry, `node ${nodeIds[i]}`);
+                edges.push([nodeIds[i], id, w]);
+            }
+        });
+        return finalizeGraph({ edges, nodes: nodeIds }, { name, format: 'json' });
+    }
+
+    const map = (data.adjacency && typeof data.adjacency === 'object') ? data.adjacency : data;
+    for (const [node, nbrs] of Object.entries(map)) {
+        if (Array.isArray(nbrs)) {
+            for (const entry of nbrs) {
+                const [id, w] = neighborEntry(entry, `node ${node}`);
+                edges.push([node, id, w]);
+            }
+        } else if (nbrs && typeof nbrs === 'object') {
+            for (const [id, w] of Object.entries(nbrs)) {
+                edges.push([node, id, parseWeight(w, `node ${node}`)]);
+            }
+        } else {
+            throw new Error(`Graph JSON neighbors of "${node}" must be an array or object`);
+        }
+    }
+    return finalizeGraph({ edges, nodes: Object.keys(map) }, { name, format: 'json' });
+}
+
+/**
+ * Parse a graph file, picking the format from the extension and falling back
+ * to sniffing the content.
+ * @param {string} text - File contents
+ * @param {string} [filename] - Used for format detection and as the graph name
+ * @returns {Object} Normalized graph (see module header)
+ */
+export function parseGraphFile(text, filename = '') {
+    const name = String(filename).split(/[\\/]/).pop() || 'graph';
+    const ext = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    const head = String(text).trimStart();
+    if (ext === 'graphml' || ext === 'xml' || head.startsWith('<')) {
+        return parseGraphML(text, name);
+    }
+    if (ext === 'json' || head.startsWith('{') || head.startsWith('[')) {
+        return parseAdjacencyJSON(text, name);
+    }
+    return parseEdgeList(text, name);
+}
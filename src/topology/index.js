@@ -1,7 +1,17 @@
 /**
  * Topology Module
  * 
- * Graph topology generation (grid, Watts-Strogatz, Barabási-Albert).
+ * Graph topology generation (grid, Watts-Strogatz, Barabási-Albert,
+ * stochastic block model, random geometric, Erdős-Rényi, configuration model)
+ * import of custom graphs (edge list, GraphML, JSON adjacency) and Laplacian
+ * spectral analysis.
  */
 
-export { generateTopology, MAX_GRAPH_DEGREE } from './topology.js';
+export {
+    generateTopology,
+    topologyOptionsFromState,
+    TOPOLOGY_MODE_IDS,
+    FIXED_GRAPH_DEGREE,
+} from './topology.js';
+export { parseGraphFile, parseEdgeList, parseGraphML, parseAdjacencyJSON } from './graphImport.js';
+export { computeLaplacianSpectrum, computeLaplacianSpectrumAsync } from './spectrum.js';
@@ -0,0 +1,420 @@
+/**
+ * Graph Laplacian spectrum.
+ *
+ * Eigenvalues/eigenvectors of L = D - W for a topology produced by
+ * generateTopology (rows `offsets[i] .. offsets[i] + counts[i]`). Edge weights
+ * enter as |w|, so signed imported graphs are analysed as unsigned ones; rows
+ * are assumed symmetric, which holds for every generator and the importer.
+ *
+ * Disconnected graphs have λ₂ = 0, which says nothing about the part that can
+ * actually synchronize, so the analysis runs on the largest connected
+ * component and reports how many nodes it covers. Small components are
+ * diagonalized densely; larger ones use thick-restart Lanczos with full
+ * reorthogonalization, deflated against the constant vector.
+ */
+
+import { makeRng } from '../utils/rng.js';
+import { symmetricEigen } from '../utils/linalg.js';
+
+const DEFAULTS = {
+    modes: 3,
+    denseLimit: 300,
+    krylovDim: 48,
+    maxRestarts: 40,
+    tol: 1e-6,
+    maxNodes: 65536,
+    seed: 1,
+};
+
+/** Largest connected component of rows 0..n-1 as a sorted node list. */
+function largestComponent(topology, n) {
+    const { offsets, counts, neighbors } = topology;
+    const label = new Int32Array(n).fill(-1);
+    const queue = new Uint32Array(n);
+    let components = 0;
+    let bestLabel = -1;
+    let bestSize = 0;
+    for (let s = 0; s < n; s++) {
+        if (label[s] >= 0) continue;
+        let head = 0;
+        let tail = 0;
+        queue[tail++] = s;
+        label[s] = components;
+        while (head < tail) {
+            const i = queue[head++];
+            const end = offsets[i] + counts[i];
+            for (let e = offsets[i]; e < end; e++) {
+                const j = neighbors[e];
+                if (j < n && label[j] < 0) {
+                    label[j] = components;
+                    queue[tail++] = j;
+                }
+            }
+        }
+        if (tail > bestSize) {
+            bestSize = tail;
+            bestLabel = components;
+        }
+        components++;
+    }
+    const nodes = new Uint32Array(bestSize);
+    let k = 0;
+    for (let i = 0; i < n; i++) if (label[i] === bestLabel) nodes[k++] = i;
+    return { nodes, components };
+}
+
+/** Component-local CSR with |w| weights and weighted degrees. */
+function componentLaplacian(topology, nodes, n) {
+    const { offsets, counts, neighbors, weights } = topology;
+    const local = new Int32Array(n).fill(-1);
+    for (let k = 0; k < nodes.length; k++) local[nodes[k]] = k;
+    const rowPtr = new Uint32Array(nodes.length + 1);
+    let edges = 0;
+    for (let k = 0; k < nodes.length; k++) {
+        rowPtr[k] = edges;
+        edges += counts[nodes[k]];
+    }
+    rowPtr[nodes.length] = edges;
+    const cols = new Uint32Array(edges);
+    const w = new Float64Array(edges);
+    const degree = new Float64Array(nodes.length);
+    for (let k = 0; k < nodes.length; k++) {
+        const i = nodes[k];
+        let out = rowPtr[k];
+        const end = offsets[i] + counts[i];
+        for (let e = offsets[i]; e < end; e++) {
+            const j = local[neighbors[e]];
+            if (j < 0 || j === k) continue;
+            cols[out] = j;
+            w[out] = Math.abs(weights[e]);
+            degree[k] += w[out];
+            out++;
+        }
+        // Self-loops and out-of-range entries leave a zero-weight tail.
+        for (; out < rowPtr[k + 1]; out++) cols[out] = k;
+    }
+    const apply = (x, y) => {
+        for (let k = 0; k < degree.length; k++) {
+            let acc = degree[k] * x[k];
+            for (let e = rowPtr[k]; e < rowPtr[k + 1]; e++) acc -= w[e] * x[cols[e]];
+            y[k] = acc;
+        }
+    };
+    return { size: nodes.length, rowPtr, cols, w, degree, apply };
+}
+
+function dot(a, b) {
+    let s = 0;
+    for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+    return s;
+}
+
+function denseSpectrum(lap, modes) {
+    const n = lap.size;
+    const rows = Array.from({ length: n }, () => new Float64Array(n));
+    for (let k = 0; k < n; k++) {
+        rows[k][k] = lap.degree[k];
+        for (let e = lap.rowPtr[k]; e < lap.rowPtr[k + 1]; e++) rows[k][lap.cols[e]] -= lap.w[e];
+    }
+    const { values, vectors } = symmetricEigen(rows);
+    const column = (j) => {
+        const v = new Float64Array(n);
+        for (let k = 0; k < n; k++) v[k] = vectors[k][j];
+        return v;
+    };
+    const low = [];
+    for (let j = 1; j <= modes; j++) low.push({ value: Math.max(0, values[j]), vector: column(j) });
+    return {
+        method: 'dense',
+        low,
+        high: { value: values[n - 1], vector: column(n - 1) },
+        residual: 0,
+        converged: true,
+        matvecs: 0,
+    };
+}
+
+/**
+ * Thick-restart Lanczos for the `modes` smallest eigenpairs of L restricted
+ * to the complement of `deflate` (orthonormal vectors, the first being the
+ * constant one) and the largest one. A generator: yields after every matvec so
+ * callers can spread the solve over several tasks.
+ */
+function* lanczosSpectrum(lap, modes, opts, deflate, pass) {
+    const n = lap.size;
+    const m = Math.min(n - deflate.length, Math.max(opts.krylovDim, 2 * modes + 10));
+    const keepLow = Math.min(m - 3, modes + 4);
+    const rng = makeRng(opts.seed, pass ? `topology:spectrum:${pass}` : 'topology:spectrum');
+
+    const orthogonalize = (w, basis, count, coeffs) => {
+        // Two passes of classical Gram-Schmidt; the first pass gives H's column.
+        for (let p = 0; p < 2; p++) {
+            for (const q of deflate) {
+                const c = dot(q, w);
+                for (let i = 0; i < n; i++) w[i] -= c * q[i];
+            }
+            for (let b = 0; b < count; b++) {
+                const q = basis[b];
+                const c = dot(q, w);
+                if (coeffs && p === 0) coeffs[b] = c;
+                else if (coeffs) coeffs[b] += c;
+                for (let i = 0; i < n; i++) w[i] -= c * q[i];
+            }
+        }
+    };
+
+    let basis = [];
+    const start = new Float64Array(n);
+    for (let i = 0; i < n; i++) start[i] = rng.float() - 0.5;
+    orthogonalize(start, basis, 0, null);
+    const startNorm = Math.sqrt(dot(start, start));
+    for (let i = 0; i < n; i++) start[i] /= startNorm;
+    basis.push(start);
+
+    let H = Array.from({ length: m }, () => new Float64Array(m));
+    let kept = 0;
+    let matvecs = 0;
+    let result = null;
+    const coeffs = new Float64Array(m + 1);
+
+    for (let restart = 0; restart <= opts.maxRestarts; restart++) {
+        let size = m;
+        let beta = 0;
+        let residualVec = null;
+        for (let j = kept; j < m; j++) {
+            const w = new Float64Array(n);
+            lap.apply(basis[j], w);
+            matvecs++;
+            coeffs.fill(0);
+            orthogonalize(w, basis, j + 1, coeffs);
+            for (let i = 0; i <= j; i++) {
+                H[i][j] = coeffs[i];
+                H[j][i] = coeffs[i];
+            }
+            beta = Math.sqrt(dot(w, w));
+            if (beta < 1e-12 * Math.max(1, Math.abs(H[j][j]))) {
+                // Invariant subspace: the Ritz pairs below are exact.
+                size = j + 1;
+                beta = 0;
+                break;
+            }
+            for (let i = 0; i < n; i++) w[i] /= beta;
+            if (j + 1 < m) basis.push(w);
+            else residualVec = w;
+            yield matvecs;
+        }
+
+        const projected = Array.from({ length: size }, (_, i) => H[i].slice(0, size));
+        const { values, vectors } = symmetricEigen(projected);
+        const wanted = [];
+        for (let j = 0; j < Math.min(modes, size); j++) wanted.push(j);
+        wanted.push(size - 1);
+        let residual = 0;
+        let scale = 1;
+        for (const j of wanted) scale = Math.max(scale, Math.abs(values[j]));
+        for (const j of wanted) residual = Math.max(residual, Math.abs(beta * vectors[size - 1][j]));
+
+        const ritz = (j) => {
+            const y = new Float64Array(n);
+            for (let b = 0; b < size; b++) {
+                const s = vectors[b][j];
+                if (s === 0) continue;
+                const q = basis[b];
+                for (let i = 0; i < n; i++) y[i] += s * q[i];
+            }
+            return y;
+        };
+
+        const done = beta === 0 || residual <= opts.tol * scale || restart === opts.maxRestarts;
+        if (done) {
+            const low = [];
+            for (let j = 0; j < Math.min(modes, size - 1); j++) {
+                low.push({ value: Math.max(0, values[j]), vector: ritz(j) });
+                yield matvecs;
+            }
+            result = {
+                method: 'lanczos',
+                low,
+                high: { value: values[size - 1], vector: ritz(size - 1) },
+                residual,
+                converged: beta === 0 || residual <= opts.tol * scale,
+                matvecs,
+            };
+            break;
+        }
+
+        // Restart from the wanted end of the spectrum plus the residual direction.
+        const keepIdx = [];
+        for (let j = 0; j < keepLow; j++) keepIdx.push(j);
+        keepIdx.push(size - 1);
+        const next = [];
+        for (const j of keepIdx) {
+            next.push(ritz(j));
+            yield matvecs;
+        }
+        H = Array.from({ length: m }, () => new Float64Array(m));
+        keepIdx.forEach((j, b) => { H[b][b] = values[j]; });
+        next.push(residualVec);
+        basis = next;
+        kept = keepIdx.length;
+    }
+    return result;
+}
+
+/**
+ * Low modes by Lanczos plus a multiplicity check. A single-vector Krylov space
+ * holds one direction per distinct eigenvalue, so a degenerate λ₂ (e.g. the
+ * periodic grid's, multiplicity 4) comes back once. After a converged solve,
+ * Lanczos is rerun deflated against the modes found so far; any eigenvalue
+ * below the current largest kept one was missed and replaces it. Stops when a
+ * rerun finds nothing lower, after at most `modes` reruns.
+ */
+function* lanczosLowModes(lap, modes, opts) {
+    const n = lap.size;
+    const constant = new Float64Array(n).fill(1 / Math.sqrt(n));
+    const first = yield* lanczosSpectrum(lap, modes, opts, [constant], 0);
+    let { low, residual, converged, matvecs } = first;
+    const tol = opts.tol * Math.max(1, Math.abs(first.high.value));
+    for (let pass = 1; converged && pass <= modes && n - 1 - low.length > modes; pass++) {
+        const deflate = [constant];
+        for (const { vector } of low) {
+            const v = Float64Array.from(vector);
+            for (const q of deflate) {
+                const c = dot(q, v);
+                for (let i = 0; i < n; i++) v[i] -= c * q[i];
+            }
+            const norm = Math.sqrt(dot(v, v));
+            for (let i = 0; i < n; i++) v[i] /= norm;
+            deflate.push(v);
+        }
+        const probe = yield* lanczosSpectrum(lap, modes, opts, deflate, pass);
+        matvecs += probe.matvecs;
+        residual = Math.max(residual, probe.residual);
+        converged = probe.converged;
+        const top = low[low.length - 1].value;
+        const missed = probe.low.filter((p) => p.value < top - tol);
+        if (missed.length === 0) break;
+        low = [...low, ...missed].sort((a, b) => a.value - b.value).slice(0, modes);
+    }
+    return { ...first, low, residual, converged, matvecs };
+}
+
+/**
+ * Drive the spectrum generator; yields Lanczos matvec counts and returns the
+ * result object described at computeLaplacianSpectrum.
+ */
+function* spectrumSteps(topology, options) {
+    const opts = { ...DEFAULTS, ...options };
+    if (!topology?.offsets || !topology?.counts || !topology?.neighbors) {
+        throw new Error('Topology has no adjacency to analyse');
+    }
+    const n = Math.min(topology.counts.length, Math.floor(opts.nodeCount ?? topology.counts.length));
+    const { nodes, components } = largestComponent(topology, n);
+    if (nodes.length > opts.maxNodes) {
+        throw new Error(`Largest component has ${nodes.length} nodes; spectral analysis is limited to ${opts.maxNodes}`);
+    }
+
+    const base = {
+        nodeCount: n,
+        componentCount: components,
+        componentSize: nodes.length,
+    };
+    const modes = Math.max(0, Math.min(Math.floor(opts.modes), nodes.length - 2));
+    if (nodes.length < 2) {
+        return {
+            ...base,
+            method: 'dense',
+            lambda2: 0,
+            lambdaMax: 0,
+            ratio: Infinity,
+            eigenvalues: new Float64Array(0),
+            eigenvectors: [],
+            fiedler: null,
+            maxVector: null,
+            residual: 0,
+            converged: true,
+            matvecs: 0,
+        };
+    }
+
+    const lap = componentLaplacian(topology, nodes, n);
+    const raw = lap.size <= opts.denseLimit
+        ? denseSpectrum(lap, Math.max(1, modes))
+        : yield* lanczosLowModes(lap, Math.max(1, modes), opts);
+
+    const expand = (v) => {
+        const out = new Float32Array(n);
+        for (let k = 0; k < nodes.length; k++) out[nodes[k]] = v[k];
+        return out;
+    };
+    const eigenvalues = Float64Array.from(raw.low, (p) => p.value);
+    const eigenvectors = raw.low.map((p) => expand(p.vector));
+    const lambda2 = eigenvalues[0] ?? 0;
+    const lambdaMax = raw.high.value;
+    return {
+        ...base,
+        method: raw.method,
+        lambda2,
+        lambdaMax,
+        ratio: lambda2 > 1e-12 ? lambdaMax / lambda2 : Infinity,
+        eigenvalues,
+        eigenvectors,
+        fiedler: eigenvectors[0] ?? null,
+        maxVector: expand(raw.high.vector),
+        residual: raw.residual,
+        converged: raw.converged,
+        matvecs: raw.matvecs,
+    };
+}
+
+/**
+ * Laplacian spectrum of one layer of a topology.
+ * @param {Object} topology - `generateTopology` result (or `sim.topologyInfo`)
+ * @param {Object} [options]
+ * @param {number} [options.nodeCount] - Rows to analyse (defaults to all; pass
+ *   the layer size for a topology tiled across layers)
+ * @param {number} [options.modes=3] - Nontrivial low modes to return (v₂, v₃, ...)
+ * @param {number} [options.denseLimit=300] - Largest component solved densely
+ * @param {number} [options.krylovDim=48] - Lanczos basis size per restart
+ * @param {number} [options.maxRestarts=40] - Lanczos restart budget (per pass)
+ * @param {number} [options.tol=1e-6] - Residual tolerance relative to λ_max
+ * @param {number} [options.maxNodes=65536] - Refuse larger components
+ * @param {number} [options.seed=1] - Lanczos start vector seed
+ * @returns {Object} `{ method, nodeCount, componentCount, componentSize,
+ *   lambda2, lambdaMax, ratio, eigenvalues, eigenvectors, fiedler, maxVector,
+ *   residual, converged, matvecs }`; eigenvectors have length `nodeCount` and
+ *   are zero outside the analysed component
+ */
+export function computeLaplacianSpectrum(topology, options = {}) {
+    const steps = spectrumSteps(topology, options);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+}
+
+/**
+ * computeLaplacianSpectrum split into slices of about `sliceMs`, yielding to
+ * the event loop in between so a large Lanczos solve does not freeze the page.
+ * @param {Object} topology - As for computeLaplacianSpectrum
+ * @param {Object} [options] - As for computeLaplacianSpectrum, plus
+ *   `sliceMs` (default 12)
+ * @param {Function} [onProgress] - Called with the matvec count after each slice
+ * @param {Function} [isCancelled] - Polled between slices; when it returns
+ *   true the solve stops and the promise resolves to null
+ * @returns {Promise<Object|null>}
+ */
+export async function computeLaplacianSpectrumAsync(topology, options = {}, onProgress = null, isCancelled = null) {
+    const sliceMs = options.sliceMs ?? 12;
+    const steps = spectrumSteps(topology, options);
+    let step = steps.next();
+    while (!step.done) {
+        const until = performance.now() + sliceMs;
+        while (!step.done && performance.now() < until) step = steps.next();
+        if (step.done) break;
+        if (onProgress) onProgress(step.value);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        if (isCancelled?.()) return null;
+        step = steps.next();
+    }
+    return step.value;
+}
@@ -1,4 +1,6 @@
-export const MAX_GRAPH_DEGREE = 16; // Keep in sync with shaders/sources/compute.js (MAX_GRAPH_DEGREE)
+// Rows up to this degree are stored with a fixed stride (fast path for regular
+// graphs); a graph with any larger hub is stored as CSR instead.
+export const FIXED_GRAPH_DEGREE = 16;
 
 class RNG {
     constructor(seed = 1) {
@@ -17,88 +19,175 @@ class RNG {
     }
 }
 
-function hasNeighbor(neighbors, counts, node, target, maxDegree) {
-    const base = node * maxDegree;
-    const count = counts[node];
-    for (let i = 0; i < count; i++) {
-        if (neighbors[base + i] === target) return true;
+/**
+ * Undirected adjacency under construction. Rows live in a fixed-stride block
+ * of FIXED_GRAPH_DEGREE slots; a node that outgrows it (a hub) spills into
+ * plain arrays, so degree is bounded only by `degreeCap`.
+ */
+class GraphBuilder {
+    constructor(n, degreeCap = Infinity) {
+        this.n = n;
+        this.degreeCap = degreeCap;
+        this.clamped = false;
+        this.neighbors = new Uint32Array(n * FIXED_GRAPH_DEGREE);
+        this.weights = new Float32Array(n * FIXED_GRAPH_DEGREE);
+        this.counts = new Uint32Array(n);
+        this.spill = new Map();
     }
-    return false;
-}
 
-function removeNeighbor(neighbors, weights, counts, node, target, maxDegree) {
-    const base = node * maxDegree;
-    const count = counts[node];
-    for (let i = 0; i < count; i++) {
-        if (neighbors[base + i] === target) {
-            const lastIdx = base + count - 1;
-            neighbors[base + i] = neighbors[lastIdx];
-            weights[base + i] = weights[lastIdx];
-            counts[node] = count - 1;
-            return true;
+    degree(node) {
+        const row = this.spill.get(node);
+        return row ? row.neighbors.length : this.counts[node];
+    }
+
+    hasNeighbor(node, target) {
+        const row = this.spill.get(node);
+        if (row) return row.neighbors.includes(target);
+        const base = node * FIXED_GRAPH_DEGREE;
+        const count = this.counts[node];
+        for (let i = 0; i < count; i++) {
+            if (this.neighbors[base + i] === target) return true;
         }
+        return false;
     }
-    return false;
-}
 
-function addEdge(neighbors, weights, counts, a, b, maxDegree, weight, flags) {
-    if (a === b) return false;
-    if (hasNeighbor(neighbors, counts, a, b, maxDegree)) return false;
-    if (counts[a] >= maxDegree || counts[b] >= maxDegree) {
-        flags.clamped = true;
+    removeNeighbor(node, target) {
+        const row = this.spill.get(node);
+        if (row) {
+            const idx = row.neighbors.indexOf(target);
+            if (idx < 0) return false;
+            row.neighbors[idx] = row.neighbors[row.neighbors.length - 1];
+            row.weights[idx] = row.weights[row.weights.length - 1];
+            row.neighbors.pop();
+            row.weights.pop();
+            return true;
+        }
+        const base = node * FIXED_GRAPH_DEGREE;
+        const count = this.counts[node];
+        for (let i = 0; i < count; i++) {
+            if (this.neighbors[base + i] === target) {
+                const lastIdx = base + count - 1;
+                this.neighbors[base + i] = this.neighbors[lastIdx];
+                this.weights[base + i] = this.weights[lastIdx];
+                this.counts[node] = count - 1;
+                return true;
+            }
+        }
         return false;
     }
-    const baseA = a * maxDegree;
-    const baseB = b * maxDegree;
-    neighbors[baseA + counts[a]] = b;
-    weights[baseA + counts[a]] = weight;
-    counts[a]++;
-    neighbors[baseB + counts[b]] = a;
-    weights[baseB + counts[b]] = weight;
-    counts[b]++;
-    return true;
-}
 
-function degreeStats(counts) {
-    let sum = 0;
-    let max = 0;
-    for (let i = 0; i < counts.length; i++) {
-        sum += counts[i];
-        if (counts[i] > max) max = counts[i];
+    push(node, target, weight) {
+        let row = this.spill.get(node);
+        if (!row && this.counts[node] < FIXED_GRAPH_DEGREE) {
+            const slot = node * FIXED_GRAPH_DEGREE + this.counts[node];
+            this.neighbors[slot] = target;
+            this.weights[slot] = weight;
+            this.counts[node]++;
+            return;
+        }
+        if (!row) {
+            const base = node * FIXED_GRAPH_DEGREE;
+            row = {
+                neighbors: Array.from(this.neighbors.subarray(base, base + FIXED_GRAPH_DEGREE)),
+                weights: Array.from(this.weights.subarray(base, base + FIXED_GRAPH_DEGREE)),
+            };
+            this.spill.set(node, row);
+        }
+        row.neighbors.push(target);
+        row.weights.push(weight);
+    }
+
+    addEdge(a, b, weight) {
+        if (a === b) return false;
+        if (this.hasNeighbor(a, b)) return false;
+        if (this.degree(a) >= this.degreeCap || this.degree(b) >= this.degreeCap) {
+            this.clamped = true;
+            return false;
+        }
+        this.push(a, b, weight);
+        this.push(b, a, weight);
+        return true;
+    }
+
+    /**
+     * Pack into the GPU layout. Graphs whose max degree fits FIXED_GRAPH_DEGREE
+     * use a fixed stride (row i starts at i * stride); anything with hubs
+     * becomes CSR. Either way row i is `offsets[i] .. offsets[i] + counts[i]`.
+     */
+    pack(mode, extra = {}) {
+        const n = this.n;
+        let total = 0;
+        let maxUsed = 0;
+        for (let i = 0; i < n; i++) {
+            const d = this.degree(i);
+            total += d;
+            if (d > maxUsed) maxUsed = d;
+        }
+        const layout = maxUsed <= FIXED_GRAPH_DEGREE ? 'fixed' : 'csr';
+        const stride = layout === 'fixed' ? Math.max(1, maxUsed) : 0;
+        const slots = layout === 'fixed' ? n * stride : total;
+        const neighbors = new Uint32Array(slots);
+        const weights = new Float32Array(slots);
+        const counts = new Uint32Array(n);
+        const offsets = new Uint32Array(n + 1);
+        let cursor = 0;
+        for (let i = 0; i < n; i++) {
+            const start = layout === 'fixed' ? i * stride : cursor;
+            const row = this.spill.get(i);
+            offsets[i] = start;
+            if (row) {
+                neighbors.set(row.neighbors, start);
+                weights.set(row.weights, start);
+                counts[i] = row.neighbors.length;
+            } else {
+                const base = i * FIXED_GRAPH_DEGREE;
+                const count = this.counts[i];
+                neighbors.set(this.neighbors.subarray(base, base + count), start);
+                weights.set(this.weights.subarray(base, base + count), start);
+                counts[i] = count;
+            }
+            cursor = start + counts[i];
+        }
+        offsets[n] = slots;
+        return {
+            layout,
+            stride,
+            offsets,
+            neighbors,
+            weights,
+            counts,
+            avgDegree: n ? total / n : 0,
+            maxUsedDegree: maxUsed,
+            clamped: this.clamped,
+            mode,
+            ...extra,
+        };
     }
-    return { avg: counts.length ? sum / counts.length : 0, max };
 }
 
-function buildGridTopology(gridSize, maxDegree) {
+function buildGridTopology(gridSize, degreeCap) {
     const n = gridSize * gridSize;
-    const neighbors = new Uint32Array(n * maxDegree);
-    const weights = new Float32Array(n * maxDegree);
-    const counts = new Uint32Array(n);
-    const flags = { clamped: false };
+    const graph = new GraphBuilder(n, degreeCap);
 
     for (let r = 0; r < gridSize; r++) {
         for (let c = 0; c < gridSize; c++) {
             const i = r * gridSize + c;
             const right = r * gridSize + ((c + 1) % gridSize);
             const down = ((r + 1) % gridSize) * gridSize + c;
-            addEdge(neighbors, weights, counts, i, right, maxDegree, 1, flags);
-            addEdge(neighbors, weights, counts, i, down, maxDegree, 1, flags);
+            graph.addEdge(i, right, 1);
+            graph.addEdge(i, down, 1);
         }
     }
-    const stats = degreeStats(counts);
-    return { neighbors, weights, counts, avgDegree: stats.avg, maxUsedDegree: stats.max, clamped: flags.clamped, mode: 'grid' };
+    return graph.pack('grid');
 }
 
-function buildWattsStrogatz(gridSize, maxDegree, kInput, rewireProb, seed) {
+function buildWattsStrogatz(gridSize, degreeCap, kInput, rewireProb, seed) {
     const n = gridSize * gridSize;
-    const neighbors = new Uint32Array(n * maxDegree);
-    const weights = new Float32Array(n * maxDegree);
-    const counts = new Uint32Array(n);
-    const flags = { clamped: false };
+    const graph = new GraphBuilder(n, degreeCap);
     const rng = new RNG(seed);
 
     // Ensure even k and within bounds
-    const maxUsable = Math.max(0, Math.min(maxDegree, n - 1));
+    const maxUsable = Math.max(0, Math.min(degreeCap, n - 1));
     let kEven = Math.min(maxUsable, Math.max(0, Math.round(kInput)));
     kEven = kEven - (kEven % 2);
     if (kEven < 2 && maxUsable >= 2) kEven = 2;
@@ -109,7 +198,7 @@ function buildWattsStrogatz(gridSize, maxDegree, kInput, rewireProb, seed) {
     for (let i = 0; i < n; i++) {
         for (let step = 1; step <= halfK; step++) {
             const j = (i + step) % n;
-            addEdge(neighbors, weights, counts, i, j, maxDegree, 1, flags);
+            graph.addEdge(i, j, 1);
         }
     }
 
@@ -121,55 +210,43 @@ function buildWattsStrogatz(gridSize, maxDegree, kInput, rewireProb, seed) {
             if (rng.next() > p) continue;
 
             // Remove existing edge
-            removeNeighbor(neighbors, weights, counts, i, j, maxDegree);
-            removeNeighbor(neighbors, weights, counts, j, i, maxDegree);
+            graph.removeNeighbor(i, j);
+            graph.removeNeighbor(j, i);
 
             // Pick a new target
             let candidate = -1;
             for (let attempt = 0; attempt < 24; attempt++) {
                 const cand = rng.nextInt(n);
                 if (cand === i) continue;
-                if (hasNeighbor(neighbors, counts, i, cand, maxDegree)) continue;
-                if (counts[cand] >= maxDegree) continue;
+                if (graph.hasNeighbor(i, cand)) continue;
+                if (graph.degree(cand) >= degreeCap) continue;
                 candidate = cand;
                 break;
             }
 
             if (candidate >= 0) {
-                addEdge(neighbors, weights, counts, i, candidate, maxDegree, 1, flags);
+                graph.addEdge(i, candidate, 1);
             } else {
                 // Restore original if no candidate found
-                addEdge(neighbors, weights, counts, i, j, maxDegree, 1, flags);
+                graph.addEdge(i, j, 1);
             }
         }
     }
 
-    const stats = degreeStats(counts);
-    return {
-        neighbors,
-        weights,
-        counts,
-        avgDegree: stats.avg,
-        maxUsedDegree: stats.max,
-        clamped: flags.clamped,
-        mode: 'watts_strogatz',
-    };
+    return graph.pack('watts_strogatz');
 }
 
-function buildBarabasiAlbert(gridSize, maxDegree, m0Input, mInput, seed) {
+function buildBarabasiAlbert(gridSize, degreeCap, m0Input, mInput, seed) {
     const n = gridSize * gridSize;
-    const neighbors = new Uint32Array(n * maxDegree);
-    const weights = new Float32Array(n * maxDegree);
-    const counts = new Uint32Array(n);
-    const flags = { clamped: false };
+    const graph = new GraphBuilder(n, degreeCap);
     const rng = new RNG(seed);
 
-    const m = Math.max(1, Math.min(maxDegree, Math.round(mInput), n - 1));
-    const m0 = Math.min(n, Math.max(m + 1, Math.min(maxDegree, Math.round(m0Input))));
+    const m = Math.max(1, Math.min(degreeCap, Math.round(mInput), n - 1));
+    const m0 = Math.min(n, Math.max(m + 1, Math.min(degreeCap, Math.round(m0Input))));
 
     const degreeBag = [];
 
-    const tryAddEdge = (a, b) => addEdge(neighbors, weights, counts, a, b, maxDegree, 1, flags);
+    const tryAddEdge = (a, b) => graph.addEdge(a, b, 1);
 
     // Seed clique
     for (let i = 0; i < m0; i++) {
@@ -185,7 +262,7 @@ function buildBarabasiAlbert(gridSize, maxDegree, m0Input, mInput, seed) {
         for (let attempt = 0; attempt < 32; attempt++) {
             const cand = degreeBag[rng.nextInt(degreeBag.length)];
             if (cand >= upperBound) continue; // only attach to existing nodes
-            if (counts[cand] >= maxDegree) continue;
+            if (graph.degree(cand) >= degreeCap) continue;
             return cand;
         }
         return -1;
@@ -201,13 +278,13 @@ function buildBarabasiAlbert(gridSize, maxDegree, m0Input, mInput, seed) {
                 for (let attempt = 0; attempt < 32; attempt++) {
                     const cand = rng.nextInt(i);
                     if (cand === i || seen.has(cand)) continue;
-                    if (counts[cand] >= maxDegree) continue;
+                    if (graph.degree(cand) >= degreeCap) continue;
                     target = cand;
                     break;
                 }
             }
             if (target < 0) {
-                flags.clamped = true;
+                graph.clamped = true;
                 break;
             }
             if (seen.has(target)) continue;
@@ -221,38 +298,302 @@ function buildBarabasiAlbert(gridSize, maxDegree, m0Input, mInput, seed) {
         }
     }
 
-    const stats = degreeStats(counts);
+    return graph.pack('barabasi_albert');
+}
+
+// Draw `count` distinct edges by rejection; duplicates, self-loops and
+// edges refused by the degree cap are redrawn up to a fixed budget.
+function addRandomEdges(graph, count, drawPair) {
+    const pair = [0, 0];
+    let added = 0;
+    const budget = count * 20 + 100;
+    for (let attempt = 0; added < count && attempt < budget; attempt++) {
+        drawPair(pair);
+        if (graph.addEdge(pair[0], pair[1], 1)) added++;
+    }
+    return added;
+}
+
+// G(n, m) with m = round(n * k / 2), i.e. mean degree k.
+function buildErdosRenyi(gridSize, degreeCap, kInput, seed) {
+    const n = gridSize * gridSize;
+    const graph = new GraphBuilder(n, degreeCap);
+    const rng = new RNG(seed);
+    const m = Math.min(n * (n - 1) / 2, Math.round(n * Math.max(0, kInput) / 2));
+    addRandomEdges(graph, m, (pair) => {
+        pair[0] = rng.nextInt(n);
+        pair[1] = rng.nextInt(n);
+    });
+    return graph.pack('er');
+}
+
+// Stochastic block model with equal contiguous blocks (horizontal bands of
+// the grid). kIn / kOut are the mean within- and between-block degrees.
+function buildStochasticBlock(gridSize, degreeCap, blocksInput, kIn, kOut, seed) {
+    const n = gridSize * gridSize;
+    const graph = new GraphBuilder(n, degreeCap);
+    const rng = new RNG(seed);
+    const blocks = Math.max(1, Math.min(n, Math.round(blocksInput)));
+    const starts = new Uint32Array(blocks + 1);
+    for (let b = 0; b <= blocks; b++) starts[b] = Math.floor((b * n) / blocks);
+
+    for (let b = 0; b < blocks; b++) {
+        const start = starts[b];
+        const size = starts[b + 1] - start;
+        const m = Math.min(size * (size - 1) / 2, Math.round(size * Math.max(0, kIn) / 2));
+        addRandomEdges(graph, m, (pair) => {
+            pair[0] = start + rng.nextInt(size);
+            pair[1] = start + rng.nextInt(size);
+        });
+    }
+
+    if (blocks > 1) {
+        const blockOf = new Uint32Array(n);
+        for (let b = 0; b < blocks; b++) blockOf.fill(b, starts[b], starts[b + 1]);
+        const m = Math.round(n * Math.max(0, kOut) / 2);
+        addRandomEdges(graph, m, (pair) => {
+            pair[0] = rng.nextInt(n);
+            pair[1] = rng.nextInt(n);
+            if (blockOf[pair[0]] === blockOf[pair[1]]) pair[1] = pair[0]; // rejected as a self-loop
+        });
+    }
+    return graph.pack('sbm', { blocks });
+}
+
+// Random geometric graph on the unit torus with radius r = sqrt(k / (pi n)),
+// i.e. mean degree k. Points are sorted into the grid by position (rows by y,
+// then x) so the phase field and the edge overlay show the geometry.
+function buildRandomGeometric(gridSize, degreeCap, kInput, seed) {
+    const n = gridSize * gridSize;
+    const graph = new GraphBuilder(n, degreeCap);
+    const rng = new RNG(seed);
+    const radius = Math.min(0.5, Math.sqrt(Math.max(0, kInput) / (Math.PI * n)));
+
+    const px = new Float64Array(n);
+    const py = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        px[i] = rng.next();
+        py[i] = rng.next();
+    }
+    const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => py[a] - py[b]);
+    for (let r = 0; r < gridSize; r++) {
+        const row = order.slice(r * gridSize, (r + 1) * gridSize).sort((a, b) => px[a] - px[b]);
+        for (let c = 0; c < gridSize; c++) order[r * gridSize + c] = row[c];
+    }
+    const x = new Float64Array(n);
+    const y = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        x[i] = px[order[i]];
+        y[i] = py[order[i]];
+    }
+    if (radius <= 0) return graph.pack('rgg', { radius });
+
+    // Bin into cells at least one radius wide and scan the 3x3 neighborhood.
+    const cells = Math.max(1, Math.floor(1 / radius));
+    const cellOf = (v) => Math.min(cells - 1, Math.floor(v * cells));
+    const cellStart = new Uint32Array(cells * cells + 1);
+    for (let i = 0; i < n; i++) cellStart[cellOf(y[i]) * cells + cellOf(x[i]) + 1]++;
+    for (let k = 0; k < cells * cells; k++) cellStart[k + 1] += cellStart[k];
+    const fill = cellStart.slice(0, cells * cells);
+    const cellItems = new Uint32Array(n);
+    for (let i = 0; i < n; i++) cellItems[fill[cellOf(y[i]) * cells + cellOf(x[i])]++] = i;
+
+    const r2 = radius * radius;
+    for (let i = 0; i < n; i++) {
+        const cx = cellOf(x[i]);
+        const cy = cellOf(y[i]);
+        const visited = new Set();
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const cell = ((cy + dy + cells) % cells) * cells + ((cx + dx + cells) % cells);
+                if (visited.has(cell)) continue;
+                visited.add(cell);
+                for (let k = cellStart[cell]; k < cellStart[cell + 1]; k++) {
+                    const j = cellItems[k];
+                    if (j <= i) continue;
+                    let ddx = Math.abs(x[i] - x[j]);
+                    let ddy = Math.abs(y[i] - y[j]);
+                    ddx = Math.min(ddx, 1 - ddx);
+                    ddy = Math.min(ddy, 1 - ddy);
+                    if (ddx * ddx + ddy * ddy < r2) graph.addEdge(i, j, 1);
+                }
+            }
+        }
+    }
+    return graph.pack('rgg', { radius });
+}
+
+// Erased configuration model: stubs from the degree sequence are shuffled and
+// paired; self-loops and multi-edges are dropped (reported as erasedEdges).
+// Without an explicit sequence, degrees follow P(k) ~ k^-gamma for k >= kMin.
+function buildConfigurationModel(gridSize, degreeCap, gammaInput, kMinInput, seed, degreeSequence) {
+    const n = gridSize * gridSize;
+    const graph = new GraphBuilder(n, degreeCap);
+    const rng = new RNG(seed);
+    const kMax = Math.max(1, Math.min(n - 1, degreeCap));
+
+    const degrees = new Uint32Array(n);
+    if (degreeSequence && degreeSequence.length) {
+        for (let i = 0; i < n; i++) {
+            degrees[i] = Math.min(kMax, Math.max(0, Math.floor(degreeSequence[i] || 0)));
+        }
+    } else {
+        const gamma = Math.max(1.05, gammaInput);
+        const kMin = Math.min(kMax, Math.max(1, Math.round(kMinInput)));
+        for (let i = 0; i < n; i++) {
+            const k = Math.floor(kMin * Math.pow(1 - rng.next(), -1 / (gamma - 1)));
+            degrees[i] = Math.min(kMax, k);
+        }
+    }
+    let stubCount = 0;
+    for (let i = 0; i < n; i++) stubCount += degrees[i];
+    if (stubCount % 2 === 1) {
+        // Even out the stub count by nudging one random node.
+        const i = rng.nextInt(n);
+        if (degrees[i] > 0) {
+            degrees[i]--;
+            stubCount--;
+        } else {
+            degrees[i]++;
+            stubCount++;
+        }
+    }
+
+    const stubs = new Uint32Array(stubCount);
+    let cursor = 0;
+    for (let i = 0; i < n; i++) {
+        stubs.fill(i, cursor, cursor + degrees[i]);
+        cursor += degrees[i];
+    }
+    for (let k = stubCount - 1; k > 0; k--) {
+        const j = rng.nextInt(k + 1);
+        const tmp = stubs[k];
+        stubs[k] = stubs[j];
+        stubs[j] = tmp;
+    }
+    let erasedEdges = 0;
+    for (let k = 0; k + 1 < stubCount; k += 2) {
+        if (!graph.addEdge(stubs[k], stubs[k + 1], 1)) erasedEdges++;
+    }
+    return graph.pack('cm', { erasedEdges });
+}
+
+function buildCustomTopology(graph, gridSize, degreeCap) {
+    const n = gridSize * gridSize;
+    const builder = new GraphBuilder(n, degreeCap);
+
+    // Node k sits on cell k (row-major); nodes past the grid are dropped, and
+    // edges past the degree cap are dropped in file order like the generators do.
+    const edges = graph.edges || [];
+    let droppedEdges = 0;
+    for (let e = 0; e + 2 < edges.length; e += 3) {
+        const a = edges[e];
+        const b = edges[e + 1];
+        if (a >= n || b >= n) {
+            droppedEdges++;
+            continue;
+        }
+        if (!builder.addEdge(a, b, edges[e + 2])) {
+            droppedEdges++;
+        }
+    }
+
+    return builder.pack('custom', {
+        nodeCount: graph.nodeCount,
+        droppedNodes: Math.max(0, (graph.nodeCount || 0) - n),
+        droppedEdges,
+    });
+}
+
+// Params.topology_mode values; the shaders only distinguish grid (0) from graph.
+export const TOPOLOGY_MODE_IDS = {
+    grid: 0,
+    ws: 1,
+    watts_strogatz: 1,
+    ba: 2,
+    barabasi_albert: 2,
+    custom: 3,
+    sbm: 4,
+    rgg: 5,
+    er: 6,
+    cm: 7,
+};
+
+/**
+ * generateTopology options from the topology* keys of app state.
+ */
+export function topologyOptionsFromState(state) {
     return {
-        neighbors,
-        weights,
-        counts,
-        avgDegree: stats.avg,
-        maxUsedDegree: stats.max,
-        clamped: flags.clamped,
-        mode: 'barabasi_albert',
+        mode: state.topologyMode,
+        gridSize: state.gridSize,
+        maxDegree: state.topologyMaxDegree || 0,
+        seed: Math.max(1, Math.floor(state.topologySeed || 1)),
+        wsK: state.topologyWSK,
+        wsRewire: state.topologyWSRewire,
+        baM0: state.topologyBAM0,
+        baM: state.topologyBAM,
+        sbmBlocks: state.topologySBMBlocks,
+        sbmKIn: state.topologySBMKIn,
+        sbmKOut: state.topologySBMKOut,
+        rggK: state.topologyRGGK,
+        erK: state.topologyERK,
+        cmGamma: state.topologyCMGamma,
+        cmKMin: state.topologyCMKMin,
+        graph: state.topologyGraph,
     };
 }
 
+/**
+ * Build a graph topology for one layer.
+ * @param {Object} options
+ * @param {number} [options.maxDegree=0] - Per-node degree cap; 0 means unlimited
+ *   (hubs are stored as CSR). Edges refused by the cap set `clamped`.
+ * @returns {Object} `{ layout, stride, offsets, neighbors, weights, counts, avgDegree, maxUsedDegree, clamped, mode }`
+ */
 export function generateTopology(options) {
     const {
         mode = 'grid',
         gridSize = 64,
-        maxDegree = MAX_GRAPH_DEGREE,
+        maxDegree = 0,
         seed = 1,
         wsK = 4,
         wsRewire = 0.2,
         baM0 = 5,
         baM = 3,
+        sbmBlocks = 4,
+        sbmKIn = 8,
+        sbmKOut = 1,
+        rggK = 8,
+        erK = 6,
+        cmGamma = 2.5,
+        cmKMin = 2,
+        degreeSequence = null,
+        graph = null,
     } = options || {};
 
-    const clampedDegree = Math.max(2, Math.min(MAX_GRAPH_DEGREE, Math.floor(maxDegree)));
+    const degreeCap = maxDegree > 0 ? Math.max(2, Math.floor(maxDegree)) : Infinity;
     const safeGrid = Math.max(1, Math.floor(gridSize));
 
     if (mode === 'watts_strogatz' || mode === 'ws') {
-        return buildWattsStrogatz(safeGrid, clampedDegree, wsK, wsRewire, seed >>> 0);
+        return buildWattsStrogatz(safeGrid, degreeCap, wsK, wsRewire, seed >>> 0);
     }
     if (mode === 'barabasi_albert' || mode === 'ba') {
-        return buildBarabasiAlbert(safeGrid, clampedDegree, baM0, baM, seed >>> 0);
+        return buildBarabasiAlbert(safeGrid, degreeCap, baM0, baM, seed >>> 0);
+    }
+    if (mode === 'sbm') {
+        return buildStochasticBlock(safeGrid, degreeCap, sbmBlocks, sbmKIn, sbmKOut, seed >>> 0);
+    }
+    if (mode === 'rgg') {
+        return buildRandomGeometric(safeGrid, degreeCap, rggK, seed >>> 0);
+    }
+    if (mode === 'er') {
+        return buildErdosRenyi(safeGrid, degreeCap, erK, seed >>> 0);
+    }
+    if (mode === 'cm') {
+        return buildConfigurationModel(safeGrid, degreeCap, cmGamma, cmKMin, seed >>> 0, degreeSequence);
+    }
+    if (mode === 'custom' && graph) {
+        return buildCustomTopology(graph, safeGrid, degreeCap);
     }
-    return buildGridTopology(safeGrid, clampedDegree);
+    return buildGridTopology(safeGrid, degreeCap);
 }
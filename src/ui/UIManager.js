@@ -1,6 +1,6 @@
 import { bindControls, bindZoomPan } from './bindings/controls.js';
 import { bindKeyboard } from './bindings/keyboard.js';
-import { updateDisplay, updateLayerTabs } from './view/updateDisplay.js';
+import { updateDisplay, updateLayerTabs, updateLayerCouplingMatrix } from './view/updateDisplay.js';
 import { updateManifoldVisibility, updatePatternOptions } from './view/manifoldVisibility.js';
 import { loadExternalImage, toggleWebcam, captureVideoFrame } from './externalInput.js';
 import { createElementAccessor } from './dom/getEl.js';
@@ -55,6 +55,10 @@ export class UIManager {
         updateLayerTabs.call(this);
     }
 
+    updateLayerCouplingMatrix() {
+        updateLayerCouplingMatrix.call(this);
+    }
+
     updateManifoldVisibility(manifoldId) {
         updateManifoldVisibility.call(this, manifoldId);
     }
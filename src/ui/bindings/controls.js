@@ -1,5 +1,5 @@
 import { alignGridSize, bindAction, bindSelect, bindStateValue, bindToggle } from './bindHelpers.js';
-import { CORE_CONTROL_SCHEMA } from '../controlSchema.js';
+import { CORE_CONTROL_SCHEMA, TOPOLOGY_CONTROL_SCHEMA, formatControlValue } from '../controlSchema.js';
 
 export function bindZoomPan() {
         const getEl = this.getEl || ((id) => document.getElementById(id));
@@ -91,7 +91,10 @@ export function bindControls() {
             'prismatic-style-enabled-toggle:prismaticStyleEnabled',
             'prismatic-dynamics-enabled-toggle:prismaticDynamicsEnabled',
             'interaction-force-enabled-toggle:interactionForceEnabled',
-            'audio-coherence-lock-toggle:audioCoherenceLock'
+            'audio-coherence-lock-toggle:audioCoherenceLock',
+            'plasticity-enabled-toggle:plasticityEnabled',
+            'plasticity-frozen-toggle:plasticityFrozen',
+            'adaptive-coupling-enabled-toggle:adaptiveCouplingEnabled'
         ].forEach((entry) => {
             const [id, key] = entry.split(':');
             bindToggle({
@@ -217,6 +220,16 @@ export function bindControls() {
                 if (this.cb.onTopologyChange) this.cb.onTopologyChange();
             });
         }
+        TOPOLOGY_CONTROL_SCHEMA.forEach((control) => {
+            const slider = getEl(`${control.id}-slider`);
+            if (!slider) return;
+            slider.addEventListener('change', () => {
+                this.state[control.key] = control.type === 'int' ? parseInt(slider.value) : parseFloat(slider.value);
+                const disp = getEl(`${control.id}-value`);
+                if (disp) disp.textContent = formatControlValue(control, this.state[control.key]);
+                if (this.cb.onTopologyChange) this.cb.onTopologyChange();
+            });
+        });
         const topologySeedInput = getEl('topology-seed-input');
         if (topologySeedInput) {
             topologySeedInput.addEventListener('change', () => {
@@ -234,6 +247,21 @@ export function bindControls() {
                 }
             });
         }
+        const topoImportInput = getEl('topology-import-input');
+        if (topoImportInput) {
+            topoImportInput.addEventListener('change', () => {
+                const file = topoImportInput.files && topoImportInput.files[0];
+                if (!file || !this.cb.onTopologyImport) return;
+                const status = getEl('topology-import-status');
+                if (status) status.textContent = 'loading...';
+                Promise.resolve(this.cb.onTopologyImport(file)).catch((e) => {
+                    console.error('Graph import failed:', e);
+                    if (status) status.textContent = `import failed: ${e.message}`;
+                }).finally(() => {
+                    topoImportInput.value = '';
+                });
+            });
+        }
         const graphOverlayToggle = getEl('graph-overlay-toggle');
         if (graphOverlayToggle) {
             graphOverlayToggle.addEventListener('change', () => {
@@ -243,6 +271,21 @@ export function bindControls() {
                 }
             });
         }
+        const spectrumComputeBtn = getEl('spectrum-compute-btn');
+        if (spectrumComputeBtn) {
+            spectrumComputeBtn.addEventListener('click', () => {
+                if (this.cb.onComputeSpectrum) this.cb.onComputeSpectrum();
+            });
+        }
+        const spectrumOverlaySelect = getEl('spectrum-overlay-select');
+        if (spectrumOverlaySelect) {
+            spectrumOverlaySelect.addEventListener('change', () => {
+                this.state.spectrumOverlayMode = spectrumOverlaySelect.value;
+                if (this.cb.onSpectrumOverlayChange) {
+                    this.cb.onSpectrumOverlayChange(spectrumOverlaySelect.value);
+                }
+            });
+        }
 
         // Scale sliders
         bind('scale-slider', 'scaleBase');
@@ -573,6 +616,23 @@ export function bindControls() {
             });
         }
 
+        const integratorSelect = getEl('integrator-select');
+        if (integratorSelect) {
+            integratorSelect.addEventListener('change', () => {
+                this.state.integrator = integratorSelect.value;
+                this.cb.onParamChange();
+            });
+        }
+
+        const noiseModeSelect = getEl('noise-mode-select');
+        if (noiseModeSelect) {
+            noiseModeSelect.addEventListener('change', () => {
+                this.state.noiseMode = noiseModeSelect.value;
+                this.cb.onParamChange();
+                this.updateDisplay();
+            });
+        }
+
         // Growth params with 3-decimal precision display
         for (const [id, key] of [['growth-mu-slider', 'growthMu'], ['growth-sigma-slider', 'growthSigma']]) {
             const el = document.getElementById(id);
@@ -885,6 +945,11 @@ export function bindControls() {
             };
         }
 
+        const layerCouplingFieldSelect = getEl('layer-coupling-field-select');
+        if (layerCouplingFieldSelect) {
+            layerCouplingFieldSelect.onchange = () => this.updateLayerCouplingMatrix();
+        }
+
         if (applyLayerCountBtn && layerCountInput) {
             applyLayerCountBtn.onclick = () => {
                 const requested = parseInt(layerCountInput.value);
@@ -925,7 +990,84 @@ export function bindControls() {
                 }
             };
         }
+
+        const exportLayerSyncBtn = getEl('export-layer-sync-btn');
+        if (exportLayerSyncBtn) {
+            exportLayerSyncBtn.onclick = () => {
+                if (this.cb.onExportLayerSync) {
+                    this.cb.onExportLayerSync();
+                }
+            };
+        }
         
+        const spectralSeriesSelect = getEl('spectral-series-select');
+        if (spectralSeriesSelect) {
+            spectralSeriesSelect.addEventListener('change', () => {
+                this.state.spectralSeries = spectralSeriesSelect.value;
+                if (this.cb.onSpectralConfigChange) this.cb.onSpectralConfigChange();
+            });
+        }
+        const spectralWindowSelect = getEl('spectral-window-select');
+        if (spectralWindowSelect) {
+            spectralWindowSelect.addEventListener('change', () => {
+                this.state.spectralWindow = parseInt(spectralWindowSelect.value, 10) || 128;
+                if (this.cb.onSpectralConfigChange) this.cb.onSpectralConfigChange();
+            });
+        }
+        const lleExponentsSelect = getEl('lle-exponents-select');
+        if (lleExponentsSelect) {
+            lleExponentsSelect.addEventListener('change', () => {
+                this.state.lleExponentCount = parseInt(lleExponentsSelect.value, 10) || 4;
+            });
+        }
+        // Source and regions change the recorded channels; the rest only affect analysis
+        const infoFlowSourceSelect = getEl('info-flow-source-select');
+        if (infoFlowSourceSelect) {
+            infoFlowSourceSelect.addEventListener('change', () => {
+                this.state.infoFlowSource = infoFlowSourceSelect.value;
+                const regionsSelect = getEl('info-flow-regions-select');
+                if (regionsSelect) regionsSelect.disabled = this.state.infoFlowSource !== 'regions';
+                if (this.cb.onInfoFlowChannelsChange) this.cb.onInfoFlowChannelsChange();
+            });
+        }
+        const infoFlowRegionsSelect = getEl('info-flow-regions-select');
+        if (infoFlowRegionsSelect) {
+            infoFlowRegionsSelect.addEventListener('change', () => {
+                this.state.infoFlowRegions = parseInt(infoFlowRegionsSelect.value, 10) || 2;
+                if (this.cb.onInfoFlowChannelsChange) this.cb.onInfoFlowChannelsChange();
+            });
+        }
+        const infoFlowMethodSelect = getEl('info-flow-method-select');
+        if (infoFlowMethodSelect) {
+            infoFlowMethodSelect.addEventListener('change', () => {
+                this.state.infoFlowMethod = infoFlowMethodSelect.value;
+                if (this.cb.onInfoFlowConfigChange) this.cb.onInfoFlowConfigChange();
+            });
+        }
+        const infoFlowLagSelect = getEl('info-flow-lag-select');
+        if (infoFlowLagSelect) {
+            infoFlowLagSelect.addEventListener('change', () => {
+                this.state.infoFlowLag = parseInt(infoFlowLagSelect.value, 10) || 1;
+                if (this.cb.onInfoFlowConfigChange) this.cb.onInfoFlowConfigChange();
+            });
+        }
+        const infoFlowSurrogatesSelect = getEl('info-flow-surrogates-select');
+        if (infoFlowSurrogatesSelect) {
+            infoFlowSurrogatesSelect.addEventListener('change', () => {
+                const value = parseInt(infoFlowSurrogatesSelect.value, 10);
+                this.state.infoFlowSurrogates = Number.isFinite(value) ? value : 100;
+                if (this.cb.onInfoFlowConfigChange) this.cb.onInfoFlowConfigChange();
+            });
+        }
+        const exportSpectralBtn = getEl('export-spectral-btn');
+        if (exportSpectralBtn) {
+            exportSpectralBtn.onclick = () => {
+                if (this.cb.onExportSpectral) {
+                    this.cb.onExportSpectral();
+                }
+            };
+        }
+
         const exportPDBtn = getEl('export-pd-btn');
         if (exportPDBtn) {
             exportPDBtn.onclick = () => {
@@ -13,6 +13,7 @@ const CORE_CONTROL_SCHEMA_RAW = [
     { id: 'beta-slider', key: 'beta', type: 'float', fallback: 0.6 },
     { id: 'delay-slider', key: 'delaySteps', type: 'int', fallback: 10 },
     { id: 'noise-slider', key: 'noiseStrength', type: 'float', fallback: 0.0 },
+    { id: 'noise-tau-slider', key: 'noiseTau', type: 'float', fallback: 1.0 },
     { id: 'leak-slider', key: 'leak', type: 'float', fallback: 0.0 },
     { id: 'omega-amplitude-slider', key: 'omegaAmplitude', type: 'float', fallback: 0.4 },
     { id: 'gauge-charge-slider', key: 'gaugeCharge', type: 'float', fallback: 1.0 },
@@ -47,9 +48,17 @@ const CORE_CONTROL_SCHEMA_RAW = [
     { id: 'layer-coupling-up-slider', key: 'layerCouplingUp', type: 'float', fallback: 0.0 },
     { id: 'layer-coupling-down-slider', key: 'layerCouplingDown', type: 'float', fallback: 0.0 },
     { id: 'layer-z-offset-slider', key: 'layerZOffset', type: 'float', fallback: 0.15 },
+    { id: 'plasticity-rate-slider', key: 'plasticityRate', type: 'float', fallback: 0.01 },
+    { id: 'plasticity-decay-slider', key: 'plasticityDecay', type: 'float', fallback: 0.0 },
+    { id: 'plasticity-clamp-slider', key: 'plasticityClamp', type: 'float', fallback: 1.0 },
+    { id: 'plasticity-interval-slider', key: 'plasticityInterval', type: 'int', fallback: 10 },
+    { id: 'adaptive-coupling-epsilon-slider', key: 'adaptiveCouplingEpsilon', type: 'float', fallback: 0.05 },
+    { id: 'adaptive-coupling-alpha-slider', key: 'adaptiveCouplingAlpha', type: 'float', fallback: 1.0 },
+    { id: 'adaptive-coupling-beta-slider', key: 'adaptiveCouplingBeta', type: 'float', fallback: 0.0 },
 ];
 
 const S1_ONLY_CONTROL_IDS = new Set([
+    'noise-tau-slider',
     'gauge-charge-slider',
     'gauge-matter-coupling-slider',
     'gauge-stiffness-slider',
@@ -65,7 +74,14 @@ const S1_ONLY_CONTROL_IDS = new Set([
     'prismatic-core-threshold-slider',
     'prismatic-core-scale-slider',
     'viz-flux-gain-slider',
-    'viz-cov-grad-gain-slider'
+    'viz-cov-grad-gain-slider',
+    'plasticity-rate-slider',
+    'plasticity-decay-slider',
+    'plasticity-clamp-slider',
+    'plasticity-interval-slider',
+    'adaptive-coupling-epsilon-slider',
+    'adaptive-coupling-alpha-slider',
+    'adaptive-coupling-beta-slider'
 ]);
 
 const S1_GRID_ONLY_CONTROL_IDS = new Set([
@@ -92,6 +108,20 @@ export const CORE_CONTROL_SCHEMA = CORE_CONTROL_SCHEMA_RAW.map((control) => {
     return { ...control, format, gating };
 });
 
+/**
+ * Generator parameters shown under topology-select (ids without the
+ * -slider / -value suffix). Changing one regenerates the topology.
+ */
+export const TOPOLOGY_CONTROL_SCHEMA = [
+    { id: 'sbm-blocks', key: 'topologySBMBlocks', type: 'int', fallback: 4 },
+    { id: 'sbm-kin', key: 'topologySBMKIn', type: 'float', fallback: 8 },
+    { id: 'sbm-kout', key: 'topologySBMKOut', type: 'float', fallback: 1 },
+    { id: 'rgg-k', key: 'topologyRGGK', type: 'float', fallback: 8 },
+    { id: 'er-k', key: 'topologyERK', type: 'float', fallback: 6 },
+    { id: 'cm-gamma', key: 'topologyCMGamma', type: 'float', fallback: 2.5 },
+    { id: 'cm-kmin', key: 'topologyCMKMin', type: 'int', fallback: 2 },
+].map(control => ({ ...control, format: control.type === 'int' ? 'int' : 'float2' }));
+
 export function formatControlValue(control, value) {
     if (typeof value !== 'number' || !Number.isFinite(value)) return `${value}`;
     if ((control?.format || 'float2') === 'int') return `${Math.round(value)}`;
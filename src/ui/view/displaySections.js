@@ -1,4 +1,4 @@
-import { CORE_CONTROL_SCHEMA } from '../controlSchema.js';
+import { CORE_CONTROL_SCHEMA, TOPOLOGY_CONTROL_SCHEMA, formatControlValue } from '../controlSchema.js';
 
 export function updateCoreSliderSection(state, updateOne) {
     for (const control of CORE_CONTROL_SCHEMA) {
@@ -15,4 +15,27 @@ export function updateTopologySection({ state, getEl }) {
     if (wsControls) wsControls.style.display = isWS ? 'block' : 'none';
     const baControls = getEl('ba-controls');
     if (baControls) baControls.style.display = isBA ? 'block' : 'none';
+    for (const mode of ['sbm', 'rgg', 'er', 'cm']) {
+        const group = getEl(`${mode}-controls`);
+        if (group) group.style.display = state.topologyMode === mode ? 'block' : 'none';
+    }
+    const adaptiveControls = getEl('adaptive-coupling-controls');
+    if (adaptiveControls) adaptiveControls.style.display = (state.topologyMode || 'grid') !== 'grid' ? 'block' : 'none';
+    for (const control of TOPOLOGY_CONTROL_SCHEMA) {
+        const value = state[control.key] ?? control.fallback;
+        const slider = getEl(`${control.id}-slider`);
+        if (slider) slider.value = value;
+        const disp = getEl(`${control.id}-value`);
+        if (disp) disp.textContent = formatControlValue(control, value);
+    }
+    const importStatus = getEl('topology-import-status');
+    if (importStatus) {
+        const g = state.topologyGraph;
+        const dropped = state.topologyDroppedEdges ?? 0;
+        const asymmetric = g?.asymmetric ?? 0;
+        importStatus.textContent = g
+            ? `${g.name}: ${g.nodeCount} nodes, ${g.edgeCount} edges${dropped ? ` (${dropped} dropped)` : ''}`
+                + `${asymmetric ? `, ${asymmetric} directed pairs averaged` : ''}`
+            : 'no graph loaded';
+    }
 }
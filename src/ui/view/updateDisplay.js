@@ -2,6 +2,7 @@ import { canShowGaugeLayers, canUseGaugeOverlay, getGaugeStatusText, isGaugeS1 }
 import { formatControlValue } from '../controlSchema.js';
 import { updateCoreSliderSection, updateTopologySection } from './displaySections.js';
 import { applyGaugePrismaticAudioGating } from './displayGating.js';
+import { isFeatureSupported } from '../../manifolds/ManifoldRegistry.js';
 
 export function updateDisplay() {
         const getEl = this.getEl || ((id) => document.getElementById(id));
@@ -26,7 +27,17 @@ export function updateDisplay() {
         if (layerCountInput) layerCountInput.value = layerCount;
         const layerKernelToggle = getEl('layer-kernel-toggle');
         if (layerKernelToggle) layerKernelToggle.checked = !!this.state.layerKernelEnabled;
+        const plasticityEnabledToggle = getEl('plasticity-enabled-toggle');
+        if (plasticityEnabledToggle) plasticityEnabledToggle.checked = !!this.state.plasticityEnabled;
+        const plasticityFrozenToggle = getEl('plasticity-frozen-toggle');
+        if (plasticityFrozenToggle) {
+            plasticityFrozenToggle.checked = !!this.state.plasticityFrozen;
+            plasticityFrozenToggle.disabled = !this.state.plasticityEnabled;
+        }
+        const adaptiveCouplingToggle = getEl('adaptive-coupling-enabled-toggle');
+        if (adaptiveCouplingToggle) adaptiveCouplingToggle.checked = !!this.state.adaptiveCouplingEnabled;
         this.updateLayerTabs();
+        this.updateLayerCouplingMatrix();
         const activeLayerInput = getEl('active-layer-input');
         const activeLayerVal = getEl('active-layer-value');
         if (!Array.isArray(this.state.selectedLayers) || this.state.selectedLayers.length === 0) {
@@ -74,7 +85,8 @@ export function updateDisplay() {
         const topoSeedVal = getEl('topology-seed-value');
         if (topoSeedVal) topoSeedVal.textContent = this.state.topologySeed ?? 1;
         const avg = this.state.topologyAvgDegree ?? 0;
-        const metaText = `avg deg ${avg.toFixed(2)} | max ${maxDeg}`;
+        const layoutText = this.state.topologyLayout === 'csr' ? ' | CSR' : '';
+        const metaText = `avg deg ${avg.toFixed(2)} | max ${this.state.topologyUsedDegree ?? 0}${layoutText}`;
         const topoMeta = getEl('topology-meta');
         if (topoMeta) topoMeta.textContent = metaText;
         const topoAvgLabel = getEl('topology-avgdegree');
@@ -90,6 +102,8 @@ export function updateDisplay() {
         }
         const overlayToggle = getEl('graph-overlay-toggle');
         if (overlayToggle) overlayToggle.checked = !!this.state.graphOverlayEnabled;
+        const spectrumOverlaySelect = getEl('spectrum-overlay-select');
+        if (spectrumOverlaySelect) spectrumOverlaySelect.value = this.state.spectrumOverlayMode || 'none';
 
         const seedInput = getEl('seed-input');
         if (seedInput) seedInput.value = this.state.seed ?? 1;
@@ -452,6 +466,12 @@ export function updateDisplay() {
     if (growthSigmaDisp && this.state.growthSigma != null) growthSigmaDisp.textContent = this.state.growthSigma.toFixed(3);
     const growthModeSelect = getEl('growth-mode-select');
     if (growthModeSelect) growthModeSelect.value = this.state.growthMode;
+    const integratorSelect = getEl('integrator-select');
+    if (integratorSelect) integratorSelect.value = this.state.integrator || 'euler';
+    const noiseModeSelect = getEl('noise-mode-select');
+    if (noiseModeSelect) noiseModeSelect.value = this.state.noiseMode || 'rule';
+    const noiseTauControl = getEl('noise-tau-control');
+    if (noiseTauControl) noiseTauControl.style.display = this.state.noiseMode === 'ou' ? 'block' : 'none';
 
     const kernelSection = getEl('kernel-section');
     const showKernel = this.state.ruleMode === 4 || this.state.ruleMode === 6 || this.state.layerKernelEnabled;
@@ -497,6 +517,25 @@ export function updateDisplay() {
         if (phaseLagToggle) phaseLagToggle.disabled = this.state.manifoldMode !== 's1';
         const phaseLagEta = getEl('phase-lag-eta-slider');
         if (phaseLagEta) phaseLagEta.disabled = this.state.manifoldMode !== 's1' || !this.state.phaseLagEnabled;
+        const spectralSeriesSelect = getEl('spectral-series-select');
+        if (spectralSeriesSelect) spectralSeriesSelect.value = this.state.spectralSeries || 'R';
+        const spectralWindowSelect = getEl('spectral-window-select');
+        if (spectralWindowSelect) spectralWindowSelect.value = `${this.state.spectralWindow || 128}`;
+        const lleExponentsSelect = getEl('lle-exponents-select');
+        if (lleExponentsSelect) lleExponentsSelect.value = `${this.state.lleExponentCount || 4}`;
+        const infoFlowSourceSelect = getEl('info-flow-source-select');
+        if (infoFlowSourceSelect) infoFlowSourceSelect.value = this.state.infoFlowSource || 'layers';
+        const infoFlowRegionsSelect = getEl('info-flow-regions-select');
+        if (infoFlowRegionsSelect) {
+            infoFlowRegionsSelect.value = `${this.state.infoFlowRegions || 2}`;
+            infoFlowRegionsSelect.disabled = this.state.infoFlowSource !== 'regions';
+        }
+        const infoFlowMethodSelect = getEl('info-flow-method-select');
+        if (infoFlowMethodSelect) infoFlowMethodSelect.value = this.state.infoFlowMethod || 'binned';
+        const infoFlowLagSelect = getEl('info-flow-lag-select');
+        if (infoFlowLagSelect) infoFlowLagSelect.value = `${this.state.infoFlowLag || 1}`;
+        const infoFlowSurrogatesSelect = getEl('info-flow-surrogates-select');
+        if (infoFlowSurrogatesSelect) infoFlowSurrogatesSelect.value = `${this.state.infoFlowSurrogates ?? 100}`;
         const sweepParamSelect = getEl('sweep-param-select');
         if (sweepParamSelect) sweepParamSelect.value = this.state.sweepParam || 'gaugeCharge';
         const sweepFromInput = getEl('sweep-from-input');
@@ -577,16 +616,43 @@ export function updateDisplay() {
         const rcFeatureBudgetVal = getEl('rc-feature-budget-val');
         if (rcFeatureBudget) rcFeatureBudget.value = this.state.rcMaxFeatures;
         if (rcFeatureBudgetVal) rcFeatureBudgetVal.textContent = this.state.rcMaxFeatures;
+        const rcFeatureMaps = (this.state.rcFeatureMaps || 'phase').split(',');
+        document.querySelectorAll('.rc-feature-map').forEach((box) => {
+            box.checked = rcFeatureMaps.includes(box.value);
+        });
+        const rcFourierFeatures = getEl('rc-fourier-features');
+        if (rcFourierFeatures) rcFourierFeatures.value = this.state.rcFourierFeatures ?? 64;
+        const rcGpuFeatures = getEl('rc-gpu-features');
+        if (rcGpuFeatures) rcGpuFeatures.checked = this.state.rcGpuFeatures !== false;
 
         const rcEnabled = getEl('rc-enabled');
+        const rcSupported = isFeatureSupported(this.state.manifoldMode || 's1', 'reservoir');
         if (rcEnabled) {
-            rcEnabled.checked = !!this.state.rcEnabled && this.state.manifoldMode === 's1';
-            rcEnabled.disabled = this.state.manifoldMode !== 's1';
+            rcEnabled.checked = !!this.state.rcEnabled && rcSupported;
+            rcEnabled.disabled = !rcSupported;
         }
         const rcContent = getEl('rc-content');
-        if (rcContent) rcContent.style.opacity = this.state.rcEnabled && this.state.manifoldMode === 's1' ? '1' : '0.5';
+        if (rcContent) rcContent.style.opacity = this.state.rcEnabled && rcSupported ? '1' : '0.5';
         const rcTaskSelect = getEl('rc-task-select');
         if (rcTaskSelect) rcTaskSelect.value = this.state.rcTask || 'sine';
+        const rcForecastHorizon = getEl('rc-forecast-horizon');
+        if (rcForecastHorizon) rcForecastHorizon.value = `${this.state.rcForecastHorizon ?? 1}`;
+        const rcForecastDt = getEl('rc-forecast-dt');
+        if (rcForecastDt) rcForecastDt.value = `${this.state.rcForecastDt ?? 0.01}`;
+        const rcForecastComponents = getEl('rc-forecast-components');
+        if (rcForecastComponents) rcForecastComponents.value = this.state.rcForecastComponents || 'x';
+        const rcReadoutMode = getEl('rc-readout-mode');
+        if (rcReadoutMode) rcReadoutMode.value = this.state.rcReadoutMode || 'rls';
+        const rcGenSteps = getEl('rc-gen-steps');
+        if (rcGenSteps) rcGenSteps.value = `${this.state.rcGenSteps ?? 500}`;
+        const rcGenThreshold = getEl('rc-gen-threshold');
+        if (rcGenThreshold) rcGenThreshold.value = `${this.state.rcGenThreshold ?? 0.4}`;
+        const rcCapacitySamples = getEl('rc-capacity-samples');
+        if (rcCapacitySamples) rcCapacitySamples.value = `${this.state.rcCapacitySamples ?? 2000}`;
+        const rcCapacityMaxDelay = getEl('rc-capacity-max-delay');
+        if (rcCapacityMaxDelay) rcCapacityMaxDelay.value = `${this.state.rcCapacityMaxDelay ?? 30}`;
+        const rcCapacityMaxDegree = getEl('rc-capacity-max-degree');
+        if (rcCapacityMaxDegree) rcCapacityMaxDegree.value = `${this.state.rcCapacityMaxDegree ?? 3}`;
         const rcInputRegion = getEl('rc-input-region');
         if (rcInputRegion) rcInputRegion.value = this.state.rcInputRegion || 'center';
         const rcOutputRegion = getEl('rc-output-region');
@@ -678,3 +744,48 @@ export function updateLayerTabs() {
             debug.textContent = `Active: ${active} | Selected: ${selected.join(', ')}`;
         }
 }
+
+// One input per G[target][source] entry of the field picked in the select;
+// left alone while one of its inputs has focus
+export function updateLayerCouplingMatrix() {
+        const getEl = this.getEl || ((id) => document.getElementById(id));
+        const grid = getEl('layer-coupling-matrix');
+        if (!grid || grid.contains(document.activeElement)) return;
+        const field = getEl('layer-coupling-field-select')?.value || 'gain';
+        const count = Math.max(1, this.state.layerCount ?? 1);
+        const group = getEl('layer-coupling-group');
+        if (group) group.style.display = count > 1 ? '' : 'none';
+        grid.style.gridTemplateColumns = `auto repeat(${count}, minmax(0, 1fr))`;
+        grid.replaceChildren();
+        const label = (text) => {
+            const span = document.createElement('span');
+            span.textContent = text;
+            return span;
+        };
+        grid.appendChild(label(''));
+        for (let m = 0; m < count; m++) grid.appendChild(label(`L${m}`));
+        for (let l = 0; l < count; l++) {
+            grid.appendChild(label(`L${l}`));
+            const row = this.state.layerParams?.[l]?.layerCoupling;
+            for (let m = 0; m < count; m++) {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = field === 'gain' ? '0.1' : '1';
+                if (field === 'delay') {
+                    input.min = '0';
+                    input.max = '31';
+                }
+                const value = row?.[m]?.[field] ?? 0;
+                input.value = value;
+                input.title = `G[${l}][${m}] ${field}`;
+                if (value !== 0) input.classList.add('nonzero');
+                input.addEventListener('change', () => {
+                    const next = parseFloat(input.value);
+                    if (this.cb.onLayerCouplingChange) {
+                        this.cb.onLayerCouplingChange(l, m, field, Number.isFinite(next) ? next : 0);
+                    }
+                });
+                grid.appendChild(input);
+            }
+        }
+}
@@ -11,6 +11,7 @@ export { encodeFloat32ToBase64, decodeBase64ToFloat32, estimateBase64SizeBytes }
 export { resizeSparkCanvas, renderSparkline } from './sparklines.js';
 export { showError } from './errors.js';
 export { downloadCSV, downloadJSON, formatBytes } from './downloads.js';
+export { symmetricEigen } from './linalg.js';
 export {
     isGaugeS1,
     isGaugeDynamicAllowed,